@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import 'dotenv/config';
+import { calculateIndicators, normalizeIndicatorParams, DEFAULT_INDICATOR_PARAMS } from '../src/lib/indicators.js';
+import { buildSignal } from '../src/lib/scoring.js';
+import { factorKeys, defaultWeights } from '../src/lib/factors/index.js';
+import { DEFAULT_RISK_SETTINGS, assessBook } from '../src/lib/risk.js';
+import { findRange, TIME_RANGES } from '../src/lib/ranges.js';
+import { toCsv } from '../src/lib/csv.js';
+import { adjustBars } from '../src/lib/adjust.js';
+import { attachBenchmark, DEFAULT_BENCHMARK } from '../src/lib/benchmark.js';
+import { attachLevels, parseAnnotations } from '../src/lib/annotations.js';
+import { buildReport, reportsToHtml, reportsToMarkdown } from '../src/lib/report.js';
+import { parseEarningsCalendar } from '../src/lib/earnings.js';
+import {
+  createProviderChain,
+  createYahooProvider,
+  createFinnhubProvider,
+  createSimulatedProvider,
+  createLocalProvider
+} from '../src/lib/providers/index.js';
+
+const USAGE = `Usage: alpha-engine [options] [TICKER...]
+
+Scores each ticker with the Alpha Engine factor model and prints the verdict.
+
+Options:
+  -w, --watchlist <file>   Tickers from a JSON array or a one-per-line text file
+      --weights <file>     JSON object with ${factorKeys().join('/')} weights
+      --risk <file>        JSON risk settings (${Object.keys(DEFAULT_RISK_SETTINGS).join(', ')})
+      --indicators <file>  JSON indicator parameters (${Object.keys(DEFAULT_INDICATOR_PARAMS).join(', ')})
+      --total-return       Score the dividend-adjusted series (default: split-adjusted price)
+      --annotations <file> Levels and trendlines exported from the app, for the Level Cross factor
+      --earnings <file>    Earnings calendar in Finnhub's format, instead of fetching it
+  -b, --benchmark <sym>    Index for relative strength, beta, correlation and alpha (default ${DEFAULT_BENCHMARK})
+  -r, --range <label>      History range: ${TIME_RANGES.map(r => r.label).join(', ')} (default 1Y)
+  -f, --format <fmt>       table | json | csv, or a report: html | md (default table)
+  -o, --out <file>         Write output to a file instead of stdout
+      --offline            No network: read <cache-dir>/<SYM>-<range>.json or <data-dir>/<SYM>.csv
+      --cache-dir <dir>    Price cache written by online runs (default .alpha-engine-cache)
+      --data-dir <dir>     Directory of <SYM>.csv / <SYM>.json daily bar files, tried before Yahoo
+      --simulated          Use generated prices (no network, deterministic per ticker)
+  -h, --help               Show this help
+
+Finnhub analyst sentiment and earnings dates are used when FINNHUB_API_KEY (or VITE_FINNHUB_API_KEY) is set.`;
+
+const COLUMNS = ['ticker', 'date', 'price', ...factorKeys(), 'total', 'verdict', 'vol', 'positionSize', 'shares', 'stopLoss', 'daysToEarnings', 'beta', 'correlation', 'alpha', 'source'];
+
+const readTickers = async (file) => {
+  const text = await readFile(file, 'utf8');
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) return JSON.parse(trimmed);
+  return trimmed.split(/\r?\n/).map(l => l.split('#')[0].trim()).filter(Boolean);
+};
+
+const readWeights = async (file) => {
+  const parsed = JSON.parse(await readFile(file, 'utf8'));
+  const weights = defaultWeights();
+  for (const key of factorKeys()) {
+    if (parsed[key] != null) {
+      const value = Number(parsed[key]);
+      if (!Number.isFinite(value)) throw new Error(`Weight "${key}" in ${file} is not a number`);
+      weights[key] = value;
+    }
+  }
+  return weights;
+};
+
+const readIndicatorParams = async (file) => {
+  const parsed = JSON.parse(await readFile(file, 'utf8'));
+  try {
+    return normalizeIndicatorParams(parsed);
+  } catch (err) {
+    throw new Error(`${err.message} in ${file}`);
+  }
+};
+
+const readRiskSettings = async (file) => {
+  const parsed = JSON.parse(await readFile(file, 'utf8'));
+  const settings = { ...DEFAULT_RISK_SETTINGS };
+  for (const [key, fallback] of Object.entries(DEFAULT_RISK_SETTINGS)) {
+    if (parsed[key] == null) continue;
+    if (typeof fallback === 'number' && !Number.isFinite(Number(parsed[key]))) {
+      throw new Error(`Risk setting "${key}" in ${file} is not a number`);
+    }
+    settings[key] = typeof fallback === 'number' ? Number(parsed[key])
+      : typeof fallback === 'boolean' ? parsed[key] === true
+      : String(parsed[key]);
+  }
+  return settings;
+};
+
+const readAnnotations = async (file) => {
+  try {
+    return parseAnnotations(await readFile(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`${err.message} in ${file}`);
+  }
+};
+
+const readEarnings = async (file) => {
+  const parsed = JSON.parse(await readFile(file, 'utf8'));
+  if (parseEarningsCalendar(parsed).length === 0) throw new Error(`No earnings calendar rows in ${file}`);
+  return parsed;
+};
+
+const cacheFile = (dir, symbol, rangeConfig) => path.join(dir, `${symbol}-${rangeConfig.label}.json`);
+
+const readIfExists = async (file) => {
+  try {
+    return await readFile(file, 'utf8');
+  } catch {
+    return null;
+  }
+};
+
+const readFirst = async (files) => {
+  for (const file of files) {
+    const text = await readIfExists(file);
+    if (text != null) return text;
+  }
+  return null;
+};
+
+// Same provider layer as the browser, with file-backed local sources.
+const buildProviders = (rangeConfig, opts) => {
+  if (opts.simulated) return createProviderChain([createSimulatedProvider()]);
+
+  const sources = [];
+  if (opts.dataDir) {
+    sources.push(createLocalProvider({
+      id: 'csv',
+      load: (symbol) => readFirst([path.join(opts.dataDir, `${symbol}.csv`), path.join(opts.dataDir, `${symbol}.json`)]),
+    }));
+  }
+  if (opts.offline) {
+    sources.push(createLocalProvider({ id: 'cache', load: (symbol) => readIfExists(cacheFile(opts.cacheDir, symbol, rangeConfig)) }));
+  } else {
+    sources.push(createYahooProvider({ headers: { 'User-Agent': 'Mozilla/5.0' } }));
+    sources.push(createFinnhubProvider({ apiKey: opts.apiKey }));
+  }
+  return createProviderChain(sources);
+};
+
+const fetchBars = async (symbol, rangeConfig, providers, opts) => {
+  const history = await providers.getHistory(symbol, rangeConfig);
+  if (history.source === 'yahoo') {
+    await mkdir(opts.cacheDir, { recursive: true });
+    await writeFile(cacheFile(opts.cacheDir, symbol, rangeConfig), JSON.stringify(history.data));
+  }
+  return history;
+};
+
+const scoreTicker = async (symbol, rangeConfig, weights, providers, opts) => {
+  const { data: rawData, source } = await fetchBars(symbol, rangeConfig, providers, opts);
+  const { data: recs } = await providers.getRecommendations(symbol);
+  const earnings = opts.earnings ? parseEarningsCalendar(opts.earnings, symbol) : (await providers.getEarnings(symbol)).data;
+  const bars = adjustBars(rawData, opts.priceMode);
+  const benchmarkBars = opts.benchmarkBars && adjustBars(opts.benchmarkBars, opts.priceMode);
+  const indicatorData = attachLevels(attachBenchmark(calculateIndicators(bars, opts.indicators), benchmarkBars), opts.annotations[symbol]);
+  const signal = buildSignal(indicatorData, weights, recs, opts.risk, opts.indicators, earnings);
+  const { beta = null, correlation = null, alpha = null } = indicatorData[indicatorData.length - 1] || {};
+  return { ticker: symbol, ...signal, beta, correlation, alpha, source, series: indicatorData, recs, earnings };
+};
+
+const round = (v, digits) => v == null ? null : +v.toFixed(digits);
+
+const formatRow = (r) => ({
+  ...r,
+  price: round(r.price, 2),
+  total: round(r.total, 3),
+  vol: round(r.vol, 4),
+  positionSize: round(r.positionSize, 2),
+  stopLoss: round(r.stopLoss, 2),
+  beta: round(r.beta, 2),
+  correlation: round(r.correlation, 2),
+  alpha: round(r.alpha, 4),
+});
+
+const renderTable = (rows) => {
+  const cells = rows.map(r => COLUMNS.map(c => {
+    const v = r[c];
+    if (v == null) return '—';
+    if (c === 'positionSize') return `${v.toFixed(1)}%`;
+    if (c === 'vol' || c === 'alpha') return `${(v * 100).toFixed(1)}%`;
+    if (factorKeys().includes(c)) return v > 0 ? `+${v}` : String(v);
+    return String(v);
+  }));
+  const widths = COLUMNS.map((c, i) => Math.max(c.length, ...cells.map(row => row[i].length)));
+  const line = (values) => values.map((v, i) => (i < 2 || i === COLUMNS.length - 1 ? v.padEnd(widths[i]) : v.padStart(widths[i]))).join('  ').trimEnd();
+  return [line(COLUMNS), line(widths.map(w => '-'.repeat(w))), ...cells.map(line)].join('\n') + '\n';
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      watchlist: { type: 'string', short: 'w' },
+      weights: { type: 'string' },
+      risk: { type: 'string' },
+      indicators: { type: 'string' },
+      'total-return': { type: 'boolean', default: false },
+      annotations: { type: 'string' },
+      earnings: { type: 'string' },
+      benchmark: { type: 'string', short: 'b', default: DEFAULT_BENCHMARK },
+      range: { type: 'string', short: 'r', default: '1Y' },
+      format: { type: 'string', short: 'f', default: 'table' },
+      out: { type: 'string', short: 'o' },
+      offline: { type: 'boolean', default: false },
+      'cache-dir': { type: 'string', default: '.alpha-engine-cache' },
+      'data-dir': { type: 'string' },
+      simulated: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (!['table', 'json', 'csv', 'html', 'md'].includes(values.format)) throw new Error(`Unknown format "${values.format}"`);
+
+  const tickers = [
+    ...positionals,
+    ...(values.watchlist ? await readTickers(values.watchlist) : []),
+  ].map(t => String(t).trim().toUpperCase()).filter((t, i, all) => t && all.indexOf(t) === i);
+  if (tickers.length === 0) throw new Error('No tickers given. Pass symbols or --watchlist <file>.');
+
+  const weights = values.weights ? await readWeights(values.weights) : defaultWeights();
+  const rangeConfig = findRange(values.range);
+  const opts = {
+    offline: values.offline,
+    simulated: values.simulated,
+    cacheDir: values['cache-dir'],
+    dataDir: values['data-dir'],
+    apiKey: process.env.FINNHUB_API_KEY || process.env.VITE_FINNHUB_API_KEY || '',
+    risk: values.risk ? await readRiskSettings(values.risk) : DEFAULT_RISK_SETTINGS,
+    indicators: values.indicators ? await readIndicatorParams(values.indicators) : DEFAULT_INDICATOR_PARAMS,
+    priceMode: values['total-return'] ? 'total' : 'price',
+    annotations: values.annotations ? await readAnnotations(values.annotations) : {},
+    earnings: values.earnings ? await readEarnings(values.earnings) : null,
+  };
+
+  const providers = buildProviders(rangeConfig, opts);
+  const benchmark = values.benchmark.trim().toUpperCase();
+  if (benchmark) {
+    try {
+      opts.benchmarkBars = (await fetchBars(benchmark, rangeConfig, providers, opts)).data;
+    } catch (err) {
+      process.stderr.write(`alpha-engine: benchmark ${benchmark}: ${err.message} (relative strength scores 0)\n`);
+    }
+  }
+
+  const signals = [];
+  let failures = 0;
+  for (const symbol of tickers) {
+    try {
+      signals.push(await scoreTicker(symbol, rangeConfig, weights, providers, opts));
+    } catch (err) {
+      failures++;
+      process.stderr.write(`alpha-engine: ${symbol}: ${err.message}\n`);
+    }
+  }
+
+  // With bookVolTarget the tickers are sized as one book, scaled down to the
+  // volatility target like the app's watchlist.
+  const book = opts.risk.bookVolTarget
+    ? assessBook(Object.fromEntries(signals.map(s => [s.ticker, s.series])), Object.fromEntries(signals.map(s => [s.ticker, s])), opts.risk)
+    : null;
+  const rows = signals.map(s => formatRow(book && book.scale < 1
+    ? { ...s, positionSize: s.positionSize * book.scale, shares: Math.floor(s.shares * book.scale) }
+    : s));
+
+  // Reports cover every scored ticker, one section each, like the app's batch mode.
+  const reports = ['html', 'md'].includes(values.format)
+    ? signals.map(s => buildReport(s.ticker, s.series, {
+      weights, recs: s.recs, earnings: s.earnings, params: opts.indicators, risk: opts.risk, source: s.source,
+      scale: book ? book.scale : 1, visibleBars: rangeConfig.visiblePoints,
+    }))
+    : null;
+  const skipped = tickers.filter(t => !signals.some(s => s.ticker === t));
+
+  const output = values.format === 'json'
+    ? JSON.stringify({ range: rangeConfig.label, priceMode: opts.priceMode, benchmark: opts.benchmarkBars ? benchmark : null, book: book && { vol: round(book.vol, 4), scale: round(book.scale, 4) }, weights, risk: opts.risk, indicators: opts.indicators, results: rows.map(r => Object.fromEntries(COLUMNS.map(c => [c, r[c]]))) }, null, 2) + '\n'
+    : values.format === 'csv'
+    ? toCsv(rows, COLUMNS)
+    : values.format === 'html'
+    ? reportsToHtml(reports, { skipped })
+    : values.format === 'md'
+    ? reportsToMarkdown(reports, { skipped })
+    : renderTable(rows);
+
+  if (values.out) await writeFile(values.out, output);
+  else process.stdout.write(output);
+
+  return failures === tickers.length ? 1 : 0;
+};
+
+main().then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    process.stderr.write(`alpha-engine: ${err.message}\n\n${USAGE}\n`);
+    process.exitCode = 2;
+  }
+);
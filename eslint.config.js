@@ -27,7 +27,7 @@ export default defineConfig([
     },
   },
   {
-    files: ['vite.config.js'],
+    files: ['vite.config.js', 'bin/**/*.js', 'worker/dev.js', 'worker/mock-finnhub-ws.js', 'test/**/*.js'],
     languageOptions: {
       globals: globals.node,
     },
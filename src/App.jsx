@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   ComposedChart,
   LineChart,
@@ -11,169 +11,329 @@ import {
   CartesianGrid,
   Tooltip,
   ResponsiveContainer,
-  ReferenceLine
+  ReferenceLine,
+  ReferenceDot
 } from 'recharts';
 import { 
   Search, 
   Activity, 
-  TrendingUp, 
   RefreshCw, 
   BarChart2, 
   AlertCircle,
   Settings,
-  DollarSign,
-  Shield,
   Plus,
-  X
+  X,
+  Database,
+  WifiOff,
+  Link2,
+  Check
 } from 'lucide-react';
+import { calculateIndicators } from './lib/indicators.js';
+import { adjustBars, corporateActions, PRICE_MODES, DEFAULT_PRICE_MODE } from './lib/adjust.js';
+import { attachBenchmark, DEFAULT_BENCHMARK, RS_SMA_PERIOD, BENCHMARK_WINDOW } from './lib/benchmark.js';
+import { FINNHUB_API_URL } from './lib/finnhub.js';
+import { createCachedProvider, formatAge } from './lib/barCache.js';
+import { createTradeStream, applyTrades, groupTrades, FINNHUB_WS_URL, STREAM_FLUSH_MS } from './lib/stream.js';
+import { normalizeProfiles, activeProfile, updateActiveProfile } from './lib/profiles.js';
+import { normalizeWatchlists, activeWatchlist, updateActiveWatchlist, moveItem, openLinkedWatchlist } from './lib/watchlists.js';
+import { formatAnalysisHash, parseAnalysisHash } from './lib/deepLink.js';
+import { normalizeAnnotations, createAnnotation, addAnnotation, attachLevels, lineValue, snapDate } from './lib/annotations.js';
+import { computeScores } from './lib/scoring.js';
+import { verdictTimeline, verdictFlips } from './lib/timeline.js';
+import { applyEventRisk, scaleForEventRisk, daysBetween } from './lib/earnings.js';
+import { buildReport } from './lib/report.js';
+import { getFactors, availableFactors } from './lib/factors/index.js';
+import { assessRisk, assessBook, scalePosition } from './lib/risk.js';
+import { TIME_RANGES, DEFAULT_RANGE } from './lib/ranges.js';
+import { computePositions } from './lib/portfolio.js';
+import { alertSnapshot, evaluateAlerts, DEFAULT_ALERT_CONFIG, ALERT_LOG_LIMIT } from './lib/alerts.js';
+import {
+  chainFromOrder,
+  createYahooProvider,
+  createFinnhubProvider,
+  createSimulatedProvider,
+  createLocalProvider,
+  DEFAULT_PROVIDER_ORDER
+} from './lib/providers/index.js';
+import BacktestPanel from './components/BacktestPanel.jsx';
+import OptimizerPanel from './components/OptimizerPanel.jsx';
+import DataSourcesPanel from './components/DataSourcesPanel.jsx';
+import Candlestick from './components/Candlestick.jsx';
+import RiskPanel from './components/RiskPanel.jsx';
+import PortfolioPanel from './components/PortfolioPanel.jsx';
+import WatchlistRiskPanel from './components/WatchlistRiskPanel.jsx';
+import WatchlistSwitcher from './components/WatchlistSwitcher.jsx';
+import ProfileComparePanel from './components/ProfileComparePanel.jsx';
+import CompareChart from './components/CompareChart.jsx';
+import DrawingLayer from './components/DrawingLayer.jsx';
+import AnnotationsPanel from './components/AnnotationsPanel.jsx';
+import VerdictTimeline from './components/VerdictTimeline.jsx';
+import FactorBreakdown from './components/FactorBreakdown.jsx';
+import ReportMenu from './components/ReportMenu.jsx';
+import EarningsPanel from './components/EarningsPanel.jsx';
+import ScreenerPanel from './components/ScreenerPanel.jsx';
+import AlertsPanel from './components/AlertsPanel.jsx';
+import { showNotification } from './components/notifications.js';
+import { createIndexedDbBarStore } from './components/barStore.js';
+import { factorIcon, factorColor } from './components/factorStyles.js';
+import IndicatorSettingsPanel from './components/IndicatorSettingsPanel.jsx';
+
+const WATCHLISTS_KEY = 'alpha-engine-watchlists';
+// The single watchlist and benchmark from before named lists; read once to
+// seed the first list.
+const LEGACY_WATCHLIST_KEY = 'alpha-engine-watchlist';
+const LEGACY_BENCHMARK_KEY = 'alpha-engine-benchmark';
+
+const loadWatchlists = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(WATCHLISTS_KEY));
+    if (saved) return normalizeWatchlists(saved);
+    return normalizeWatchlists(null, {
+      symbols: JSON.parse(localStorage.getItem(LEGACY_WATCHLIST_KEY)),
+      benchmark: localStorage.getItem(LEGACY_BENCHMARK_KEY),
+    });
+  } catch {
+    return normalizeWatchlists(null);
+  }
+};
 
-const DEFAULT_WATCHLIST = ['VOO', 'MSFT', 'GOOGL', 'AAPL', 'NVDA', 'NFLX'];
-const WATCHLIST_KEY = 'alpha-engine-watchlist';
+const saveWatchlists = (watchlists) => {
+  localStorage.setItem(WATCHLISTS_KEY, JSON.stringify(watchlists));
+};
 
-const loadWatchlist = () => {
+// The analysis state in the page's hash (see lib/deepLink.js); empty outside a browser.
+const readLink = () => {
   try {
-    const saved = localStorage.getItem(WATCHLIST_KEY);
-    if (saved) {
-      const parsed = JSON.parse(saved);
-      if (Array.isArray(parsed) && parsed.length > 0) return parsed;
-    }
-  } catch {}
-  return DEFAULT_WATCHLIST;
+    return parseAnalysisHash(window.location.hash);
+  } catch {
+    return {};
+  }
 };
 
-const saveWatchlist = (list) => {
-  localStorage.setItem(WATCHLIST_KEY, JSON.stringify(list));
+// History entries this page wrote carry LINK_STATE, which survives a reload;
+// only an entry without it is a link from outside.
+const LINK_STATE = { alphaEngineLink: true };
+const isWrittenEntry = () => {
+  try {
+    return window.history.state?.alphaEngineLink === true;
+  } catch {
+    return false;
+  }
 };
 
-// --- UTILS & MATH HELPERS ---
-const seededRandom = (seed) => {
-  let x = Math.sin(seed++) * 10000;
-  return x - Math.floor(x);
+// A link's watchlist is saved straight away, so it is still there after
+// navigating off the link. Reloading an entry the page wrote keeps the lists.
+const loadLinkedWatchlists = () => {
+  const saved = loadWatchlists();
+  if (isWrittenEntry()) return saved;
+  const linked = openLinkedWatchlist(saved, readLink());
+  if (linked !== saved) saveWatchlists(linked);
+  return linked;
 };
 
-const generateStockData = (ticker) => {
-  let seed = ticker.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-  const data = [];
-  let price = 100 + (seededRandom(seed) * 50); 
-  let trend = (seededRandom(seed + 1) - 0.5) * 0.2; 
-  const now = new Date();
-  const totalPoints = 400; 
-  
-  for (let i = 0; i < totalPoints; i++) {
-    const date = new Date(now);
-    date.setDate(date.getDate() - (totalPoints - i));
-    const volatility = price * 0.02; 
-    const change = (seededRandom(seed + i) - 0.5) * volatility + trend;
-    price += change;
-    price = Math.max(price, 5);
-
-    data.push({
-      date: date.toISOString().split('T')[0],
-      price: price,
-      volume: Math.floor(seededRandom(seed + i + 1000) * 1000000)
-    });
+const YAHOO_BASE_URL = import.meta.env.DEV ? '/api/yahoo' : import.meta.env.VITE_YAHOO_PROXY_URL;
+
+// Finnhub goes through the gateway's /finnhub route (or the dev server proxy),
+// which adds the key server-side. A VITE_FINNHUB_API_KEY still calls Finnhub
+// directly, at the cost of shipping the key in the bundle.
+const FINNHUB_API_KEY = import.meta.env.VITE_FINNHUB_API_KEY || '';
+const FINNHUB_GATEWAY_URL = import.meta.env.DEV
+  ? import.meta.env.VITE_FINNHUB_PROXY
+  : import.meta.env.VITE_YAHOO_PROXY_URL && `${import.meta.env.VITE_YAHOO_PROXY_URL}/finnhub`;
+const FINNHUB_BASE_URL = (!FINNHUB_API_KEY && FINNHUB_GATEWAY_URL) || FINNHUB_API_URL;
+
+// Trade stream, resolved the same way: VITE_FINNHUB_WS_URL (e.g. the mock
+// feed) wins, then a direct key, then the gateway's /finnhub/ws or the dev
+// server proxy. Null when there is nothing to stream from.
+const finnhubStreamUrl = () => {
+  if (import.meta.env.VITE_FINNHUB_WS_URL) return import.meta.env.VITE_FINNHUB_WS_URL;
+  if (FINNHUB_API_KEY) return `${FINNHUB_WS_URL}?token=${FINNHUB_API_KEY}`;
+  if (import.meta.env.DEV) {
+    return import.meta.env.VITE_FINNHUB_PROXY
+      ? `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/api/finnhub-ws`
+      : null;
   }
-  return data;
+  return import.meta.env.VITE_YAHOO_PROXY_URL ? `${import.meta.env.VITE_YAHOO_PROXY_URL.replace(/^http/, 'ws')}/finnhub/ws` : null;
 };
 
-const calculateIndicators = (data) => {
-  const period50 = 50;
-  const period200 = 200;
-  const rsiPeriod = 14;
-  let gains = 0;
-  let losses = 0;
-
-  const dataWithIndicators = data.map((day, index) => {
-    let sma50 = null;
-    if (index >= period50 - 1) {
-      const slice = data.slice(index - period50 + 1, index + 1);
-      sma50 = slice.reduce((sum, d) => sum + d.price, 0) / period50;
-    }
+const PROVIDER_ORDER_KEY = 'alpha-engine-providers';
+const LOCAL_FILES_KEY = 'alpha-engine-local-files';
+const OFFLINE_KEY = 'alpha-engine-offline';
+const PRICE_MODE_KEY = 'alpha-engine-price-mode';
 
-    let sma200 = null;
-    if (index >= period200 - 1) {
-      const slice = data.slice(index - period200 + 1, index + 1);
-      sma200 = slice.reduce((sum, d) => sum + d.price, 0) / period200;
-    }
+// Fetched price history, kept across reloads; see lib/barCache.js.
+const barStore = createIndexedDbBarStore();
 
-    let rsi = 50;
-    if (index > 0) {
-      const change = day.price - data[index - 1].price;
-      if (index <= rsiPeriod) {
-        if (change > 0) gains += change;
-        else losses -= change;
-        if (index === rsiPeriod) {
-          const avgGain = gains / rsiPeriod;
-          const avgLoss = losses / rsiPeriod;
-          rsi = 100 - (100 / (1 + (avgGain / (avgLoss || 1))));
-        }
-      } else {
-        const slice = data.slice(index - rsiPeriod + 1, index + 1);
-        let g = 0, l = 0;
-        for (let k = 1; k < slice.length; k++) {
-            const d = slice[k].price - slice[k-1].price;
-            if (d > 0) g += d; else l -= d;
-        }
-        rsi = 100 - (100 / (1 + ((g/rsiPeriod) / ((l/rsiPeriod) || 1))));
-      }
+// Saved order first, then any provider added since it was saved.
+const loadProviderOrder = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROVIDER_ORDER_KEY));
+    if (Array.isArray(saved)) {
+      const known = saved.filter(o => DEFAULT_PROVIDER_ORDER.some(d => d.id === o.id));
+      return [...known, ...DEFAULT_PROVIDER_ORDER.filter(d => !known.some(o => o.id === d.id))];
     }
+  } catch { /* fall through to defaults */ }
+  return DEFAULT_PROVIDER_ORDER;
+};
 
-    let bbUpper = null;
-    let bbLower = null;
-    let zScore = 0;
-    if (index >= 20) {
-        const slice = data.slice(index - 19, index + 1);
-        const mean = slice.reduce((a, b) => a + b.price, 0) / 20;
-        const stdDev = Math.sqrt(slice.reduce((a, b) => a + Math.pow(b.price - mean, 2), 0) / 20);
-        bbUpper = mean + (2 * stdDev);
-        bbLower = mean - (2 * stdDev);
-        zScore = (day.price - mean) / (stdDev || 1);
-    }
+const saveProviderOrder = (order) => {
+  localStorage.setItem(PROVIDER_ORDER_KEY, JSON.stringify(order));
+};
 
-    return { ...day, sma50, sma200, rsi, bbUpper, bbLower, zScore };
-  });
+const loadLocalFiles = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LOCAL_FILES_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
 
-  return dataWithIndicators;
+const saveLocalFiles = (files) => {
+  localStorage.setItem(LOCAL_FILES_KEY, JSON.stringify(files));
 };
 
-const computeScores = (indicatorData, weights, recs) => {
-  const current = indicatorData[indicatorData.length - 1] || {};
-  const hasData = indicatorData.length > 0;
+const loadOffline = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OFFLINE_KEY)) === true;
+  } catch {
+    return false;
+  }
+};
 
-  const trend = !hasData ? 0
-    : (current.price > current.sma200 && current.price > current.sma50) ? 1
-    : (current.price < current.sma200 && current.price < current.sma50) ? -1
-    : 0;
+const saveOffline = (offline) => {
+  localStorage.setItem(OFFLINE_KEY, JSON.stringify(offline));
+};
 
-  let momentum = 0;
-  if (hasData && current.rsi != null) {
-    if (current.rsi > 70) momentum = 1;
-    else if (current.rsi < 30) momentum = -1;
+const loadPriceMode = () => {
+  try {
+    const saved = localStorage.getItem(PRICE_MODE_KEY);
+    return PRICE_MODES[saved] ? saved : DEFAULT_PRICE_MODE;
+  } catch {
+    return DEFAULT_PRICE_MODE;
   }
+};
 
-  let meanRev = 0;
-  if (current.zScore < -2) meanRev = 1;
-  else if (current.zScore > 2) meanRev = -1;
-
-  let sentiment = 0;
-  if (recs) {
-    const { strongBuy = 0, buy = 0, hold = 0, sell = 0, strongSell = 0 } = recs;
-    const total = strongBuy + buy + hold + sell + strongSell;
-    if (total > 0) {
-      const raw = (strongBuy * 2 + buy * 1 + hold * 0 + sell * -1 + strongSell * -2) / total;
-      const normalized = Math.max(-1, Math.min(1, raw));
-      sentiment = normalized > 0.3 ? 1 : normalized < -0.3 ? -1 : 0;
-    } else {
-      sentiment = hasData ? (current.price > current.sma50 ? 1 : -1) : 0;
-    }
-  } else {
-    sentiment = hasData ? (current.price > current.sma50 ? 1 : -1) : 0;
+const savePriceMode = (mode) => {
+  localStorage.setItem(PRICE_MODE_KEY, mode);
+};
+
+// Indicators always run on adjusted bars; the benchmark's bars, when there are
+// any, are adjusted the same way so the relative fields compare like with like.
+// `annotations` are the symbol's drawn levels and trendlines, for Level Cross.
+const analyzeBars = (raw, benchmarkRaw, priceMode, params, annotations) => attachLevels(attachBenchmark(
+  calculateIndicators(adjustBars(raw, priceMode), params),
+  benchmarkRaw ? adjustBars(benchmarkRaw, priceMode) : null
+), annotations);
+
+const ANNOTATIONS_KEY = 'alpha-engine-annotations';
+
+const loadAnnotations = () => {
+  try {
+    return normalizeAnnotations(JSON.parse(localStorage.getItem(ANNOTATIONS_KEY)));
+  } catch {
+    return {};
+  }
+};
+
+const saveAnnotations = (annotations) => {
+  localStorage.setItem(ANNOTATIONS_KEY, JSON.stringify(annotations));
+};
+
+// The levels and trendlines saved for `symbols`, as a string, so a scoring
+// effect can depend on its own symbols' lines: drawing on another ticker, or
+// adding a note, doesn't rescore it.
+const linesKey = (annotations, symbols) => JSON.stringify(Object.fromEntries(symbols.map(sym => [
+  sym, (annotations[sym] || []).filter(a => a.type === 'level' || a.type === 'trendline'),
+])));
+
+const NO_DRAWING = { tool: null, start: null, text: '', error: null };
+
+// A fixed price-axis domain: the drawing layer converts click heights to
+// prices with it. Padded by 5% and rounded out to a step of the axis.
+const priceDomain = (data, keys) => {
+  const values = data.flatMap(d => keys.map(k => d[k])).filter(Number.isFinite);
+  if (values.length === 0) return [0, 1];
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const pad = (max - min) * 0.05 || max * 0.05 || 1;
+  const step = 10 ** Math.floor(Math.log10(((max - min) || max || 1) / 5));
+  return [Math.max(0, Math.floor((min - pad) / step) * step), Math.ceil((max + pad) / step) * step];
+};
+
+const SCREENER_UNIVERSE_KEY = 'alpha-engine-screener-universe';
+
+const loadScreenerUniverse = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SCREENER_UNIVERSE_KEY));
+    return Array.isArray(saved?.members) ? saved : null;
+  } catch {
+    return null;
+  }
+};
+
+const saveScreenerUniverse = (universe) => {
+  localStorage.setItem(SCREENER_UNIVERSE_KEY, JSON.stringify(universe));
+};
+
+// Risk settings were saved on their own before they moved into the profiles;
+// read once to seed them.
+const LEGACY_RISK_SETTINGS_KEY = 'alpha-engine-risk';
+const PROFILES_KEY = 'alpha-engine-profiles';
+
+const loadProfiles = () => {
+  try {
+    const legacyRisk = JSON.parse(localStorage.getItem(LEGACY_RISK_SETTINGS_KEY));
+    return normalizeProfiles(JSON.parse(localStorage.getItem(PROFILES_KEY)), { risk: legacyRisk });
+  } catch {
+    return normalizeProfiles(null);
+  }
+};
+
+const saveProfiles = (profiles) => {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+};
+
+const LEDGER_KEY = 'alpha-engine-ledger';
+
+const loadLedger = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LEDGER_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveLedger = (ledger) => {
+  localStorage.setItem(LEDGER_KEY, JSON.stringify(ledger));
+};
+
+const ALERT_CONFIG_KEY = 'alpha-engine-alerts';
+const ALERT_LOG_KEY = 'alpha-engine-alert-log';
+
+const loadAlertConfig = () => {
+  try {
+    return { ...DEFAULT_ALERT_CONFIG, ...JSON.parse(localStorage.getItem(ALERT_CONFIG_KEY)) };
+  } catch {
+    return DEFAULT_ALERT_CONFIG;
   }
+};
 
-  const total = (trend * weights.trend) + (momentum * weights.momentum) + (meanRev * weights.meanRev) + (sentiment * weights.sentiment);
-  const verdict = total > 0.2 ? 'BUY' : total < -0.2 ? 'SELL' : 'NEUTRAL';
+const saveAlertConfig = (config) => {
+  localStorage.setItem(ALERT_CONFIG_KEY, JSON.stringify(config));
+};
 
-  return { trend, momentum, meanRev, sentiment, total, verdict, price: current.price, rsi: current.rsi };
+const loadAlertLog = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ALERT_LOG_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveAlertLog = (log) => {
+  localStorage.setItem(ALERT_LOG_KEY, JSON.stringify(log));
 };
 
 // --- COMPONENTS ---
@@ -208,250 +368,547 @@ const ScoreCard = ({ title, score, weight, description, icon: Icon, color }) =>
   );
 };
 
-const TIME_RANGES = [
-  { label: '1M', value: '1mo', interval: '1d', fetchRange: '2y', visiblePoints: 22 },
-  { label: '3M', value: '3mo', interval: '1d', fetchRange: '2y', visiblePoints: 65 },
-  { label: '6M', value: '6mo', interval: '1d', fetchRange: '2y', visiblePoints: 130 },
-  { label: '1Y', value: '1y', interval: '1d', fetchRange: '2y', visiblePoints: 252 },
-  { label: '3Y', value: '3y', interval: '1wk', fetchRange: '10y', visiblePoints: 156 },
-  { label: '5Y', value: '5y', interval: '1wk', fetchRange: '10y', visiblePoints: 260 },
-  { label: 'Max', value: 'max', interval: '1mo', fetchRange: 'max', visiblePoints: null },
-];
-
-export default function App() {
-  const apiKey = import.meta.env.VITE_FINNHUB_API_KEY || ''; 
-  
-  const [watchlist, setWatchlist] = useState(loadWatchlist);
-  const [ticker, setTicker] = useState(watchlist[0] || 'VOO');
-  const [timeRange, setTimeRange] = useState('1Y');
+// `providers` replaces the configured data-source chain (tests, embedding).
+export default function App({ providers: providerOverride }) {
+  const [watchlists, setWatchlists] = useState(loadLinkedWatchlists);
+  // The active list's symbols, weights and benchmark drive the whole page.
+  const currentList = activeWatchlist(watchlists);
+  const watchlist = currentList.symbols;
+  const weights = currentList.weights;
+  const benchmark = currentList.benchmark;
+  const [ticker, setTicker] = useState(() => readLink().ticker || watchlist[0] || 'VOO');
+  const [timeRange, setTimeRange] = useState(() => readLink().range || '1Y');
+  const [chartType, setChartType] = useState('line');
+  const [priceMode, setPriceMode] = useState(loadPriceMode);
+  const [showKeltner, setShowKeltner] = useState(false);
+  const [annotations, setAnnotations] = useState(loadAnnotations);
+  const [drawing, setDrawing] = useState(NO_DRAWING);
+  const [hoveredFlip, setHoveredFlip] = useState(null);
+  // Compare mode swaps the price chart for a return overlay of the ticker and
+  // `overlaySymbols`, picked by clicking watchlist chips.
+  const [compareMode, setCompareMode] = useState(false);
+  const [overlaySymbols, setOverlaySymbols] = useState([]);
   const [searchVal, setSearchVal] = useState(ticker);
   const [addingTicker, setAddingTicker] = useState(false);
+  const [dragSymbol, setDragSymbol] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
   const [newTicker, setNewTicker] = useState('');
-  const [data, setData] = useState([]);
-  const [weights, setWeights] = useState({ trend: 0.3, meanRev: 0.3, momentum: 0.2, sentiment: 0.2 });
+  // Raw bars plus how many of them the chart shows; indicators are derived below.
+  // `raw` takes streamed trades; `fetched` is the series as loaded (see settledHistory).
+  const [bars, setBars] = useState({ raw: [], fetched: [], visiblePoints: null });
   const [analyzing, setAnalyzing] = useState(false);
   const [dataSource, setDataSource] = useState('loading'); 
   const [finnhubQuote, setFinnhubQuote] = useState(null);
+  const [liveTrade, setLiveTrade] = useState(null);
+  const [streamStatus, setStreamStatus] = useState(null);
   const [recommendations, setRecommendations] = useState(null);
   const [companyProfile, setCompanyProfile] = useState(null);
+  const [earnings, setEarnings] = useState([]);
   const [watchlistScores, setWatchlistScores] = useState({});
+  // Indicator series behind the scores, for the watchlist correlation and book risk.
+  const [watchlistSeries, setWatchlistSeries] = useState({});
+  const [watchlistEarnings, setWatchlistEarnings] = useState({});
+  const [benchmarkBars, setBenchmarkBars] = useState({ symbol: null, raw: [], fetched: [] });
+  const [screenerUniverse, setScreenerUniverse] = useState(loadScreenerUniverse);
+  const [providerOrder, setProviderOrder] = useState(loadProviderOrder);
+  const [localFiles, setLocalFiles] = useState(loadLocalFiles);
+  const [offline, setOffline] = useState(loadOffline);
+  const [cacheStatus, setCacheStatus] = useState(null);
+  // Bumped when a background refresh stores newer bars, so views re-read the cache.
+  const [cacheTick, setCacheTick] = useState(0);
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const indicatorParams = activeProfile(profiles).indicators;
+  const riskSettings = activeProfile(profiles).risk;
+  const tickerAnnotations = annotations[ticker];
+
+  // Indicators are recomputed from the raw bars when the profile's parameters,
+  // the price mode or the benchmark's bars change, without refetching.
+  const history = useMemo(
+    () => analyzeBars(bars.raw, benchmarkBars.symbol === benchmark ? benchmarkBars.raw : null, priceMode, indicatorParams, tickerAnnotations),
+    [bars, benchmark, benchmarkBars, indicatorParams, priceMode, tickerAnnotations]
+  );
+  const data = useMemo(
+    () => (bars.visiblePoints ? history.slice(-bars.visiblePoints) : history),
+    [history, bars]
+  );
+  // The same analysis on the bars as fetched. Streamed trades replace `history`
+  // every flush; the backtest, optimizer and verdict timeline read this instead,
+  // so they don't recompute (or drop a finished optimizer run) each time.
+  const benchmarkFetched = benchmarkBars.symbol === benchmark ? benchmarkBars.fetched : null;
+  const settledHistory = useMemo(
+    () => analyzeBars(bars.fetched, benchmarkFetched, priceMode, indicatorParams, tickerAnnotations),
+    [bars.fetched, benchmarkFetched, indicatorParams, priceMode, tickerAnnotations]
+  );
+  // Watchlist scores with the event-risk rule applied as of each series' last
+  // bar, so changing the rule doesn't refetch anything.
+  const watchlistSignals = useMemo(() => Object.fromEntries(Object.entries(watchlistScores).map(([sym, s]) => {
+    const series = watchlistSeries[sym];
+    return [sym, s && applyEventRisk(s, watchlistEarnings[sym], series?.[series.length - 1]?.date, riskSettings)];
+  })), [watchlistScores, watchlistSeries, watchlistEarnings, riskSettings]);
+  // The watchlist as one book: correlations, book volatility and the scale-down
+  // to the volatility target, for the sizes each verdict recommends on its own.
+  const book = useMemo(
+    () => assessBook(watchlistSeries, watchlistSignals, riskSettings),
+    [watchlistSeries, watchlistSignals, riskSettings]
+  );
+  const [ledger, setLedger] = useState(loadLedger);
+  const [heldScores, setHeldScores] = useState({});
+  // Holdings get the same event-risk rule as the overview, so a held symbol's
+  // verdict matches its watchlist row.
+  const portfolioMarks = useMemo(() => Object.fromEntries(Object.entries(heldScores).map(([sym, m]) => [sym, {
+    price: m.price,
+    source: m.source,
+    verdict: m.scores ? applyEventRisk(m.scores, m.earnings, m.date, riskSettings).verdict : null,
+  }])), [heldScores, riskSettings]);
+  const [alertConfig, setAlertConfig] = useState(loadAlertConfig);
+  const [alertLog, setAlertLog] = useState(loadAlertLog);
+  const [refreshTick, setRefreshTick] = useState(0);
+
+  // Read by the watchlist refresh so editing rules doesn't trigger a refetch.
+  const alertRulesRef = useRef(alertConfig.rules);
+  const alertLogRef = useRef(alertLog);
+  const riskSettingsRef = useRef(riskSettings);
+  // Streamed trades wait here until the next flush; the watchlist's raw bars
+  // and ratings are kept so those trades can be folded in and re-scored.
+  const streamRef = useRef(null);
+  const pendingTradesRef = useRef([]);
+  const watchlistBarsRef = useRef({});
+  const benchmarkBarsRef = useRef(null);
+  useEffect(() => { alertRulesRef.current = alertConfig.rules; }, [alertConfig]);
+  useEffect(() => { alertLogRef.current = alertLog; }, [alertLog]);
+  useEffect(() => { riskSettingsRef.current = riskSettings; }, [riskSettings]);
+
+  // Offline, Yahoo answers from the bar cache only, and Finnhub and the
+  // simulator are switched off so cached real prices are never replaced by fakes.
+  const availableProviders = useMemo(() => ({
+    local: createLocalProvider({ load: async (sym) => localFiles[sym]?.text ?? null }),
+    yahoo: createCachedProvider(createYahooProvider({ baseUrl: YAHOO_BASE_URL }), {
+      store: barStore,
+      offline,
+      onRevalidate: () => setCacheTick(t => t + 1),
+    }),
+    finnhub: { ...createFinnhubProvider({ apiKey: FINNHUB_API_KEY, baseUrl: FINNHUB_BASE_URL }), ...(offline && { enabled: false }) },
+    simulated: { ...createSimulatedProvider(), ...(offline && { enabled: false }) },
+  }), [localFiles, offline]);
+
+  const providers = useMemo(
+    () => providerOverride || chainFromOrder(providerOrder, availableProviders),
+    [providerOverride, providerOrder, availableProviders]
+  );
 
-  // Fetch & score all watchlist tickers
+  // Re-score the watchlist on the alert polling interval
   useEffect(() => {
+    if (!alertConfig.pollMinutes) return;
+    const id = setInterval(() => setRefreshTick(t => t + 1), alertConfig.pollMinutes * 60000);
+    return () => clearInterval(id);
+  }, [alertConfig.pollMinutes]);
+
+  // Fetch & score all watchlist tickers, then run the alert rules
+  const watchlistLinesKey = linesKey(annotations, watchlist);
+  const watchlistLines = useMemo(() => JSON.parse(watchlistLinesKey), [watchlistLinesKey]);
+
+  // Each fetch effect drops its results once a newer run has started (a
+  // revalidation or settings change can overlap a slow one).
+  useEffect(() => {
+    let cancelled = false;
     const fetchAllScores = async () => {
       const results = {};
+      const snapshots = {};
+      const series = {};
+      const barsBySymbol = {};
+      const earningsBySymbol = {};
+      const benchmarkRaw = await providers.getHistory(benchmark, DEFAULT_RANGE).then(r => r.data, () => null);
       await Promise.allSettled(watchlist.map(async (sym) => {
         try {
-          const rangeConfig = TIME_RANGES[3]; // 1Y for overview
-          const yahooPath = `/v8/finance/chart/${sym}?range=${rangeConfig.fetchRange}&interval=${rangeConfig.interval}`;
-          const yahooProxyUrl = import.meta.env.VITE_YAHOO_PROXY_URL;
-          const url = import.meta.env.DEV
-            ? `/api/yahoo${yahooPath}`
-            : `${yahooProxyUrl}${yahooPath}`;
-          const response = await fetch(url);
-
-          let indicatorData;
-          if (response.ok) {
-            const json = await response.json();
-            const result = json.chart?.result?.[0];
-            if (result?.timestamp) {
-              const rawData = result.timestamp.map((ts, i) => ({
-                date: new Date(ts * 1000).toISOString().split('T')[0],
-                price: result.indicators.quote[0].close[i],
-                volume: result.indicators.quote[0].volume[i]
-              })).filter(d => d.price != null);
-              indicatorData = calculateIndicators(rawData);
-            }
-          }
-          if (!indicatorData) {
-            indicatorData = calculateIndicators(generateStockData(sym));
-          }
+          const { data: rawData } = await providers.getHistory(sym, DEFAULT_RANGE);
+          const indicatorData = analyzeBars(rawData, benchmarkRaw, priceMode, indicatorParams, watchlistLines[sym]);
 
           // Fetch recommendations for sentiment
-          let recs = null;
-          if (apiKey) {
-            try {
-              const recsRes = await fetch(`https://finnhub.io/api/v1/stock/recommendation?symbol=${sym}&token=${apiKey}`);
-              if (recsRes.ok) {
-                const recsData = await recsRes.json();
-                if (Array.isArray(recsData) && recsData.length > 0) recs = recsData[0];
-              }
-            } catch {}
-          }
-
-          results[sym] = computeScores(indicatorData, weights, recs);
+          const { data: recs } = await providers.getRecommendations(sym);
+          const { data: events } = await providers.getEarnings(sym);
+
+          barsBySymbol[sym] = { raw: rawData, recs };
+          series[sym] = indicatorData;
+          earningsBySymbol[sym] = events || [];
+          results[sym] = computeScores(indicatorData, weights, recs, indicatorParams);
+          snapshots[sym] = alertSnapshot(indicatorData, weights, recs, indicatorParams, { earnings: events, risk: riskSettingsRef.current });
         } catch {
           results[sym] = null;
         }
       }));
+      if (cancelled) return;
+      watchlistBarsRef.current = barsBySymbol;
+      benchmarkBarsRef.current = benchmarkRaw;
       setWatchlistScores(results);
+      setWatchlistSeries(series);
+      setWatchlistEarnings(earningsBySymbol);
+
+      const fired = evaluateAlerts(alertRulesRef.current, snapshots, alertLogRef.current);
+      if (fired.length > 0) {
+        const updated = [...fired, ...alertLogRef.current].slice(0, ALERT_LOG_LIMIT);
+        alertLogRef.current = updated;
+        setAlertLog(updated);
+        saveAlertLog(updated);
+        fired.forEach(a => showNotification(`Alpha Engine: ${a.symbol}`, a.message, a.key));
+      }
     };
 
     fetchAllScores();
-  }, [watchlist, weights, apiKey]);
+    return () => { cancelled = true; };
+  }, [watchlist, weights, providers, refreshTick, indicatorParams, cacheTick, priceMode, benchmark, watchlistLines]);
+
+  // Held symbols as a stable key, so ledger edits that don't change holdings
+  // don't refetch marks.
+  const heldSymbols = useMemo(
+    () => computePositions(ledger).positions.filter(p => p.quantity > 0).map(p => p.symbol).sort().join(','),
+    [ledger]
+  );
+  const heldLinesKey = linesKey(annotations, heldSymbols ? heldSymbols.split(',') : []);
+  const heldLines = useMemo(() => JSON.parse(heldLinesKey), [heldLinesKey]);
+
+  // Mark holdings with a Finnhub quote when available, else the last close,
+  // and score each one so the portfolio can compare verdict and position.
+  useEffect(() => {
+    if (!heldSymbols) return;
+    let cancelled = false;
+
+    const fetchMarks = async () => {
+      const results = {};
+      const benchmarkRaw = await providers.getHistory(benchmark, DEFAULT_RANGE).then(r => r.data, () => null);
+      await Promise.allSettled(heldSymbols.split(',').map(async (sym) => {
+        const [quoteRes, historyRes, recsRes, earningsRes] = await Promise.allSettled([
+          providers.getQuote(sym),
+          providers.getHistory(sym, DEFAULT_RANGE),
+          providers.getRecommendations(sym),
+          providers.getEarnings(sym),
+        ]);
+        const quote = quoteRes.status === 'fulfilled' ? quoteRes.value : null;
+        const history = historyRes.status === 'fulfilled' ? historyRes.value : null;
+        const recs = recsRes.status === 'fulfilled' ? recsRes.value.data : null;
+        const earnings = earningsRes.status === 'fulfilled' ? earningsRes.value.data || [] : [];
+        const indicatorData = history ? analyzeBars(history.data, benchmarkRaw, priceMode, indicatorParams, heldLines[sym]) : [];
+        const last = indicatorData[indicatorData.length - 1];
+
+        results[sym] = {
+          price: quote?.data?.c ?? last?.price ?? null,
+          source: quote?.data?.c != null ? quote.source : history?.source ?? null,
+          scores: indicatorData.length ? computeScores(indicatorData, weights, recs, indicatorParams) : null,
+          earnings,
+          date: last?.date ?? null,
+        };
+      }));
+      if (!cancelled) setHeldScores(results);
+    };
+
+    fetchMarks();
+    return () => { cancelled = true; };
+  }, [heldSymbols, weights, providers, indicatorParams, cacheTick, priceMode, benchmark, heldLines]);
 
   useEffect(() => {
     if (!ticker) return;
     setAnalyzing(true);
     setDataSource('loading');
+    let cancelled = false;
 
-    const fetchYahooData = async () => {
+    const fetchHistory = async () => {
+      const rangeConfig = TIME_RANGES.find(r => r.label === timeRange) || DEFAULT_RANGE;
       try {
-        const rangeConfig = TIME_RANGES.find(r => r.label === timeRange) || TIME_RANGES[3];
-        const yahooPath = `/v8/finance/chart/${ticker}?range=${rangeConfig.fetchRange}&interval=${rangeConfig.interval}`;
-        const yahooProxyUrl = import.meta.env.VITE_YAHOO_PROXY_URL;
-        const url = import.meta.env.DEV
-          ? `/api/yahoo${yahooPath}`
-          : `${yahooProxyUrl}${yahooPath}`;
-        const response = await fetch(url);
-
-        if (!response.ok) throw new Error(`Yahoo Finance HTTP ${response.status}`);
-
-        const json = await response.json();
-        const result = json.chart?.result?.[0];
-
-        if (!result || !result.timestamp) throw new Error('No data');
-
-        const timestamps = result.timestamp;
-        const quotes = result.indicators.quote[0];
-
-        const rawData = timestamps.map((ts, i) => ({
-          date: new Date(ts * 1000).toISOString().split('T')[0],
-          price: quotes.close[i],
-          volume: quotes.volume[i]
-        })).filter(d => d.price != null);
-
-        const allData = calculateIndicators(rawData);
-        const visible = rangeConfig.visiblePoints
-          ? allData.slice(-rangeConfig.visiblePoints)
-          : allData;
-        setData(visible);
-        setDataSource('yahoo');
+        const { data: rawData, source } = await providers.getHistory(ticker, rangeConfig);
+        const provider = providers.providers?.find(p => p.id === source);
+        const status = provider?.cacheStatus ? await provider.cacheStatus(ticker, rangeConfig) : null;
+        if (cancelled) return;
+        setBars({
+          raw: rawData,
+          fetched: rawData,
+          visiblePoints: rangeConfig.visiblePoints || (source === 'simulated' ? 200 : null),
+        });
+        setDataSource(source);
+        setCacheStatus(status);
       } catch (error) {
-        console.warn('Yahoo fetch failed, using simulation:', error.message);
-        const rawData = generateStockData(ticker);
-        const allData = calculateIndicators(rawData);
-        const rangeConfig = TIME_RANGES.find(r => r.label === timeRange) || TIME_RANGES[3];
-        const visible = rangeConfig.visiblePoints
-          ? allData.slice(-rangeConfig.visiblePoints)
-          : allData.slice(-200);
-        setData(visible);
-        setDataSource('simulated');
+        if (cancelled) return;
+        console.warn('Price history unavailable:', error.message);
+        setBars({ raw: [], fetched: [], visiblePoints: null });
+        setDataSource('unavailable');
+        setCacheStatus(null);
       } finally {
-        setAnalyzing(false);
+        if (!cancelled) setAnalyzing(false);
       }
     };
 
-    fetchYahooData();
-  }, [ticker, timeRange]);
+    fetchHistory();
+    return () => { cancelled = true; };
+  }, [ticker, timeRange, providers, cacheTick]);
+
+  // The benchmark's bars for the chart's range; without them the relative
+  // fields are simply missing and the Relative Strength factor scores 0.
+  useEffect(() => {
+    const rangeConfig = TIME_RANGES.find(r => r.label === timeRange) || DEFAULT_RANGE;
+    let cancelled = false;
+    providers.getHistory(benchmark, rangeConfig).then(
+      ({ data: raw }) => { if (!cancelled) setBenchmarkBars({ symbol: benchmark, raw, fetched: raw }); },
+      () => { if (!cancelled) setBenchmarkBars({ symbol: benchmark, raw: [], fetched: [] }); }
+    );
+    return () => { cancelled = true; };
+  }, [benchmark, timeRange, providers, cacheTick]);
 
   useEffect(() => {
     setFinnhubQuote(null);
+    setLiveTrade(null);
     setRecommendations(null);
     setCompanyProfile(null);
+    setEarnings([]);
 
-    if (!ticker || !apiKey) return;
-
-    const fetchFinnhubData = async () => {
-      const base = 'https://finnhub.io/api/v1';
-      const [quoteRes, recsRes, profileRes] = await Promise.allSettled([
-        fetch(`${base}/quote?symbol=${ticker}&token=${apiKey}`),
-        fetch(`${base}/stock/recommendation?symbol=${ticker}&token=${apiKey}`),
-        fetch(`${base}/stock/profile2?symbol=${ticker}&token=${apiKey}`),
+    if (!ticker) return;
+    let cancelled = false;
+
+    const fetchMarketData = async () => {
+      const [quoteRes, recsRes, profileRes, earningsRes] = await Promise.all([
+        providers.getQuote(ticker),
+        providers.getRecommendations(ticker),
+        providers.getProfile(ticker),
+        providers.getEarnings(ticker),
       ]);
+      if (cancelled) return;
 
-      if (quoteRes.status === 'fulfilled' && quoteRes.value.ok) {
-        const q = await quoteRes.value.json();
-        if (q.c && q.c > 0) setFinnhubQuote(q);
-      }
+      if (quoteRes.data) setFinnhubQuote(quoteRes.data);
+      if (recsRes.data) setRecommendations(recsRes.data);
+      if (profileRes.data) setCompanyProfile(profileRes.data);
+      if (earningsRes.data) setEarnings(earningsRes.data);
+    };
 
-      if (recsRes.status === 'fulfilled' && recsRes.value.ok) {
-        const recs = await recsRes.value.json();
-        if (Array.isArray(recs) && recs.length > 0) setRecommendations(recs[0]);
+    fetchMarketData().catch(err => console.warn('Market data fetch error:', err.message));
+    return () => { cancelled = true; };
+  }, [ticker, providers]);
+
+  // One trade stream for the session; offline mode closes it.
+  useEffect(() => {
+    const url = finnhubStreamUrl();
+    if (offline || !url || typeof WebSocket === 'undefined') return;
+    const stream = createTradeStream({
+      url,
+      onTrades: (trades) => { pendingTradesRef.current.push(...trades); },
+      onStatus: setStreamStatus,
+    });
+    streamRef.current = stream;
+    return () => {
+      stream.close();
+      streamRef.current = null;
+      pendingTradesRef.current = [];
+    };
+  }, [offline]);
+
+  useEffect(() => {
+    streamRef.current?.setSymbols([...new Set([ticker, benchmark, ...watchlist])]);
+  }, [ticker, benchmark, watchlist, offline]);
+
+  // Fold buffered trades into the chart's last bar and the watchlist scores on
+  // a throttle, so scoring reruns at most once per STREAM_FLUSH_MS.
+  useEffect(() => {
+    const id = setInterval(() => {
+      const trades = pendingTradesRef.current;
+      if (trades.length === 0) return;
+      pendingTradesRef.current = [];
+      const bySymbol = groupTrades(trades);
+
+      const interval = (TIME_RANGES.find(r => r.label === timeRange) || DEFAULT_RANGE).interval;
+      const mine = bySymbol[ticker];
+      if (mine && dataSource !== 'loading' && dataSource !== 'unavailable') {
+        setLiveTrade(mine[mine.length - 1]);
+        setBars(prev => ({ ...prev, raw: applyTrades(prev.raw, mine, interval) }));
+      }
+      const benchmarkTrades = bySymbol[benchmark];
+      if (benchmarkTrades) {
+        setBenchmarkBars(prev => (prev.raw.length ? { ...prev, raw: applyTrades(prev.raw, benchmarkTrades, interval) } : prev));
+        if (benchmarkBarsRef.current) benchmarkBarsRef.current = applyTrades(benchmarkBarsRef.current, benchmarkTrades, DEFAULT_RANGE.interval);
       }
 
-      if (profileRes.status === 'fulfilled' && profileRes.value.ok) {
-        const profile = await profileRes.value.json();
-        if (profile.name) setCompanyProfile(profile);
+      const updates = {};
+      const seriesUpdates = {};
+      for (const [sym, symTrades] of Object.entries(bySymbol)) {
+        const entry = watchlistBarsRef.current[sym];
+        if (!entry) continue;
+        entry.raw = applyTrades(entry.raw, symTrades, DEFAULT_RANGE.interval);
+        seriesUpdates[sym] = analyzeBars(entry.raw, benchmarkBarsRef.current, priceMode, indicatorParams, watchlistLines[sym]);
+        updates[sym] = computeScores(seriesUpdates[sym], weights, entry.recs, indicatorParams);
+      }
+      if (Object.keys(updates).length > 0) {
+        setWatchlistScores(prev => ({ ...prev, ...updates }));
+        setWatchlistSeries(prev => ({ ...prev, ...seriesUpdates }));
+      }
+    }, STREAM_FLUSH_MS);
+    return () => clearInterval(id);
+  }, [ticker, benchmark, timeRange, dataSource, weights, indicatorParams, priceMode, watchlistLines]);
+
+  // --- URL HASH ---
+  // A new ticker pushes a history entry, so back/forward step between tickers;
+  // any other change replaces the current entry.
+  const linkHash = formatAnalysisHash({ ticker, range: timeRange, weights, list: currentList.name, symbols: watchlist, benchmark });
+  useEffect(() => {
+    if (window.location.hash === linkHash && isWrittenEntry()) return;
+    const shown = parseAnalysisHash(window.location.hash);
+    if (shown.ticker && shown.ticker !== ticker) window.history.pushState(LINK_STATE, '', linkHash);
+    else window.history.replaceState(LINK_STATE, '', linkHash);
+  }, [linkHash, ticker]);
+
+  // Back/forward to an entry this page wrote restores its ticker and range but
+  // keeps the current watchlist and weights; a link pasted into the address
+  // bar brings its watchlist too, like opening it fresh.
+  useEffect(() => {
+    const onHashChange = () => {
+      const link = parseAnalysisHash(window.location.hash);
+      if (link.ticker) { setTicker(link.ticker); setSearchVal(link.ticker); }
+      if (link.range) setTimeRange(link.range);
+      if (!isWrittenEntry()) {
+        const linked = openLinkedWatchlist(watchlists, link);
+        if (linked !== watchlists) { setWatchlists(linked); saveWatchlists(linked); }
       }
     };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, [watchlists]);
+
+  const copyLink = async () => {
+    await navigator.clipboard.writeText(window.location.href.split('#')[0] + linkHash);
+    setLinkCopied(true);
+    setTimeout(() => setLinkCopied(false), 2000);
+  };
 
-    fetchFinnhubData().catch(err => console.warn('Finnhub fetch error:', err.message));
-  }, [ticker, apiKey]);
-
+  // Latest streamed trade if any, else the polled Finnhub quote; the change is
+  // against the quote's previous close.
+  const livePrice = liveTrade
+    ? { price: liveTrade.price, time: liveTrade.time, changePct: finnhubQuote?.pc ? (liveTrade.price / finnhubQuote.pc - 1) * 100 : null }
+    : finnhubQuote ? { price: finnhubQuote.c, time: null, changePct: finnhubQuote.dp } : null;
 
   const current = data[data.length - 1] || {};
-  const prev = data[data.length - 2] || {};
-  
-  const hasData = data.length > 0;
-
-  const trendScore = !hasData ? 0
-    : (current.price > current.sma200 && current.price > current.sma50) ? 1
-    : (current.price < current.sma200 && current.price < current.sma50) ? -1
-    : 0;
-
-  const trendDesc = trendScore === 1
-    ? "Price is above both SMA50 and SMA200. Both timeframes confirm an uptrend."
-    : trendScore === -1
-    ? "Price is below both SMA50 and SMA200. Both timeframes confirm a downtrend."
-    : "Price is between SMA50 and SMA200. Mixed signals — no confirmed trend direction.";
-
-  let momentumScore = 0;
-  let momentumDesc = '';
-  if (hasData && current.rsi != null) {
-    if (current.rsi > 70) { momentumScore = 1; momentumDesc = `RSI at ${current.rsi.toFixed(1)} — above 70 indicates strong bullish momentum.`; }
-    else if (current.rsi < 30) { momentumScore = -1; momentumDesc = `RSI at ${current.rsi.toFixed(1)} — below 30 indicates strong bearish momentum.`; }
-    else { momentumScore = 0; momentumDesc = `RSI at ${current.rsi.toFixed(1)} — between 30-70, no clear directional momentum.`; }
-  } else {
-    momentumDesc = 'Insufficient data to calculate RSI momentum.';
-  }
-
-  let revScore = 0;
-  if (current.zScore < -2) revScore = 1;
-  else if (current.zScore > 2) revScore = -1;
-  const revDesc = revScore === 1 
-    ? "Statistical extension to downside (Oversold). Snap-back likely."
-    : revScore === -1 
-        ? "Statistical extension to upside (Overbought). Pullback likely." 
-        : "Price is within normal statistical bands. No edge.";
-
-  let sentimentScore = 0;
-  let sentimentDesc = '';
-  if (recommendations) {
-    const { strongBuy = 0, buy = 0, hold = 0, sell = 0, strongSell = 0 } = recommendations;
-    const totalAnalysts = strongBuy + buy + hold + sell + strongSell;
-    if (totalAnalysts > 0) {
-      const rawScore = (strongBuy * 2 + buy * 1 + hold * 0 + sell * -1 + strongSell * -2) / totalAnalysts;
-      const normalized = Math.max(-1, Math.min(1, rawScore));
-      sentimentScore = normalized > 0.3 ? 1 : normalized < -0.3 ? -1 : 0;
-      sentimentDesc = `${totalAnalysts} analysts: ${strongBuy + buy} Buy, ${hold} Hold, ${sell + strongSell} Sell. Consensus score: ${rawScore.toFixed(2)}.`;
-    } else {
-      sentimentScore = hasData ? (current.price > current.sma50 ? 1 : -1) : 0;
-      sentimentDesc = 'No analyst data. Falling back to price vs SMA50.';
+  const actions = corporateActions(data);
+  const chartRange = TIME_RANGES.find(r => r.label === timeRange) || DEFAULT_RANGE;
+  const compareSymbols = useMemo(() => [ticker, ...overlaySymbols.filter(s => s !== ticker)], [ticker, overlaySymbols]);
+  const toggleOverlay = (sym) => setOverlaySymbols(prev => (prev.includes(sym) ? prev.filter(s => s !== sym) : [...prev, sym]));
+
+  // Earnings reports on the visible bars, and the next one after the last bar,
+  // marked at the right edge since the axis has no future dates.
+  const chartEarnings = useMemo(() => {
+    if (data.length === 0) return { reports: [], upcoming: null };
+    const last = data[data.length - 1].date;
+    const upcoming = earnings.find(e => e.date > last);
+    return {
+      reports: earnings.filter(e => e.date >= data[0].date && e.date <= last).map(e => ({ ...e, x: snapDate(data, e.date) })),
+      upcoming: upcoming ? { ...upcoming, x: last, days: daysBetween(last, upcoming.date) } : null,
+    };
+  }, [earnings, data]);
+
+  // --- ANNOTATIONS ---
+  const yDomain = useMemo(() => priceDomain(data, [
+    ...(chartType === 'candle' ? ['low', 'high'] : ['price']),
+    'sma50', 'sma200',
+    ...(showKeltner ? ['kcUpper', 'kcLower'] : []),
+  ]), [data, chartType, showKeltner]);
+  // Annotations placed on the visible bars: notes and trendline starts snap to
+  // the bar containing their date, and trendlines run on to the last bar.
+  const chartAnnotations = useMemo(() => {
+    if (!tickerAnnotations || data.length === 0) return [];
+    const first = data[0].date;
+    const last = data[data.length - 1].date;
+    return tickerAnnotations.flatMap(a => {
+      if (a.type === 'level') return [{ id: a.id, type: a.type, y: a.price }];
+      if (a.type === 'note') {
+        const x = snapDate(data, a.date);
+        return x ? [{ id: a.id, type: a.type, x, text: a.text }] : [];
+      }
+      const from = a.from.date > first ? a.from.date : first;
+      const x = snapDate(data, from);
+      return x ? [{ id: a.id, type: a.type, segment: [{ x, y: lineValue(a, from) }, { x: last, y: lineValue(a, last) }] }] : [];
+    });
+  }, [tickerAnnotations, data]);
+  const changeAnnotations = (next) => { setAnnotations(next); saveAnnotations(next); };
+  // A click with the active tool: levels and notes are placed at once, a
+  // trendline takes two clicks (the first is kept in `drawing.start`).
+  const placeAnnotation = ({ date, price }) => {
+    const point = { date, price: Math.round(price * 100) / 100 };
+    const start = drawing.start?.ticker === ticker ? drawing.start : null;
+    if (drawing.tool === 'trendline' && !start) {
+      setDrawing({ ...drawing, start: { ...point, ticker }, error: null });
+      return;
     }
-  } else {
-    sentimentScore = hasData ? (current.price > current.sma50 ? 1 : -1) : 0;
-    sentimentDesc = sentimentScore === 1
-      ? "No analyst data available. Price above SMA50 used as proxy."
-      : "No analyst data available. Price below SMA50 used as proxy.";
-  }
-
-  const totalScore = (trendScore * weights.trend) + (momentumScore * weights.momentum) + (revScore * weights.meanRev) + (sentimentScore * weights.sentiment);
+    try {
+      const annotation = drawing.tool === 'level' ? createAnnotation('level', point)
+        : drawing.tool === 'trendline' ? createAnnotation('trendline', { from: start, to: point })
+        : createAnnotation('note', { date, text: drawing.text });
+      changeAnnotations(addAnnotation(annotations, ticker, annotation));
+      setDrawing(NO_DRAWING);
+    } catch (err) {
+      setDrawing({ ...drawing, error: err.message });
+    }
+  };
+  
+  const factors = getFactors();
+  // Factors that can't score this ticker (Level Cross with nothing drawn).
+  const unavailable = factors.filter(f => !availableFactors(history).includes(f)).map(f => f.id);
+  const scores = applyEventRisk(computeScores(data, weights, recommendations, indicatorParams), earnings, current.date, riskSettings);
+  const totalScore = scores.total;
+  // Colours follow the verdict, so a score held at NEUTRAL reads as neutral.
+  const verdictScore = scores.eventRisk?.action === 'neutral' ? 0 : totalScore;
+  // The verdict on every visible bar, for the flip markers and the factor band.
+  const timeline = useMemo(
+    () => verdictTimeline(settledHistory, weights, {
+      recs: recommendations, params: indicatorParams, earnings, risk: riskSettings,
+      from: bars.visiblePoints ? Math.max(0, settledHistory.length - bars.visiblePoints) : 0,
+    }),
+    [settledHistory, bars.visiblePoints, weights, recommendations, indicatorParams, earnings, riskSettings]
+  );
+  const flips = useMemo(() => verdictFlips(timeline), [timeline]);
+  const hoveredRow = flips.find(f => f.date === hoveredFlip);
   
-  const volatility = hasData && prev.price ? (current.price - prev.price) / prev.price : 0;
-  const annualizedVol = Math.abs(volatility * Math.sqrt(252));
-  const targetVol = 0.15; 
-  let positionSize = (targetVol / (annualizedVol || 0.01)) * Math.abs(totalScore); 
-  positionSize = Math.min(positionSize, 2.5) * 10; 
+  // Volatility needs more bars than the visible window, so size off the full history.
+  // With book scaling on, a watchlist ticker takes the book's scale-down too,
+  // and the event-risk rule may cut it ahead of earnings.
+  const standaloneRisk = assessRisk(history, { verdict: scores.verdict, total: totalScore }, riskSettings);
+  const risk = scaleForEventRisk(riskSettings.bookVolTarget && book?.symbols.includes(ticker)
+    ? scalePosition(standaloneRisk, book.scale)
+    : standaloneRisk, scores, riskSettings);
   
-  const getScoreColor = (s) => s > 0.2 ? 'text-green-400' : s < -0.2 ? 'text-red-400' : 'text-yellow-400';
-  const getScoreBg = (s) => s > 0.2 ? 'bg-green-500/20 border-green-500' : s < -0.2 ? 'bg-red-500/20 border-red-500' : 'bg-yellow-500/20 border-yellow-500';
+  const { buyThreshold, sellThreshold } = indicatorParams;
+  const getScoreColor = (s) => s > buyThreshold ? 'text-green-400' : s < -sellThreshold ? 'text-red-400' : 'text-yellow-400';
+  const getScoreBg = (s) => s > buyThreshold ? 'bg-green-500/20 border-green-500' : s < -sellThreshold ? 'bg-red-500/20 border-red-500' : 'bg-yellow-500/20 border-yellow-500';
+
+  // --- REPORTS ---
+  // The current ticker as the page shows it, or every scored watchlist ticker
+  // (1Y daily bars, like the Watchlist Overview), with the book scale-down
+  // where the Risk Management card would apply it.
+  const buildReports = (scope) => {
+    const options = { weights, params: indicatorParams, risk: riskSettings };
+    const bookScale = (sym) => (riskSettings.bookVolTarget && book?.symbols.includes(sym) ? book.scale : 1);
+    if (scope === 'ticker') {
+      if (history.length === 0) return { reports: [], skipped: [ticker] };
+      return {
+        reports: [buildReport(ticker, history, { ...options, recs: recommendations, earnings, scale: bookScale(ticker), name: companyProfile?.name, source: dataSource, visibleBars: data.length })],
+        skipped: [],
+      };
+    }
+    const ready = watchlist.filter(sym => watchlistSeries[sym]?.length > 0);
+    return {
+      reports: ready.map(sym => buildReport(sym, watchlistSeries[sym], { ...options, recs: watchlistBarsRef.current[sym]?.recs ?? null, earnings: watchlistEarnings[sym], scale: bookScale(sym) })),
+      skipped: watchlist.filter(sym => !ready.includes(sym)),
+    };
+  };
 
   const handleSearch = (e) => {
     e.preventDefault();
     if(searchVal.trim()) setTicker(searchVal.toUpperCase());
   };
 
+  const changeWatchlists = (next) => { setWatchlists(next); saveWatchlists(next); };
+  const updateCurrentList = (changes) => changeWatchlists(updateActiveWatchlist(watchlists, changes));
+  const setWeights = (next) => updateCurrentList({ weights: next });
+  // Switching profiles loads the new profile's weights into the active
+  // watchlist; its indicators, thresholds and risk settings apply directly.
+  const changeProfiles = (next) => {
+    setProfiles(next);
+    saveProfiles(next);
+    if (next.active !== profiles.active) setWeights(activeProfile(next).weights);
+  };
+  const setRiskSettings = (settings) => changeProfiles(updateActiveProfile(profiles, { risk: settings }));
+
   return (
     <div className="min-h-screen bg-slate-900 text-slate-200 font-sans p-4 md:p-8">
       {/* Header */}
@@ -480,20 +937,49 @@ export default function App() {
           <button type="submit" className="bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded-lg font-medium transition-colors shadow-lg shadow-blue-600/20">
             Analyze
           </button>
+          <button
+            type="button"
+            onClick={copyLink}
+            className="flex items-center gap-1.5 bg-slate-800 border border-slate-700 hover:border-blue-500 text-slate-300 px-3 py-2 rounded-lg text-sm whitespace-nowrap transition-colors"
+            title="Copy a link to this ticker, range, weights and watchlist"
+          >
+            {linkCopied ? <Check size={16} className="text-green-400" /> : <Link2 size={16} />}
+            {linkCopied ? 'Copied' : 'Copy link'}
+          </button>
+          <ReportMenu ticker={ticker} watchlistName={currentList.name} buildReports={buildReports} />
         </form>
       </header>
 
       {/* Quick Stock Picker */}
       <div className="mb-6 flex flex-wrap items-center gap-2">
         <span className="text-xs text-slate-500 uppercase tracking-wider font-semibold mr-1">Quick Pick</span>
-        {watchlist.map((sym) => (
-          <div key={sym} className="relative group flex items-center">
+        <WatchlistSwitcher watchlists={watchlists} onChange={changeWatchlists} />
+        {watchlist.map((sym, index) => (
+          <div
+            key={sym}
+            draggable
+            onDragStart={(e) => { setDragSymbol(index); e.dataTransfer.effectAllowed = 'move'; }}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (dragSymbol != null) updateCurrentList({ symbols: moveItem(watchlist, dragSymbol, index) });
+              setDragSymbol(null);
+            }}
+            onDragEnd={() => setDragSymbol(null)}
+            className={`relative group flex items-center ${dragSymbol === index ? 'opacity-40' : ''}`}
+          >
             <button
-              onClick={() => { setTicker(sym); setSearchVal(sym); }}
+              onClick={() => {
+                if (compareMode && sym !== ticker) toggleOverlay(sym);
+                else { setTicker(sym); setSearchVal(sym); }
+              }}
+              title={compareMode && sym !== ticker ? (compareSymbols.includes(sym) ? 'Remove from comparison' : 'Add to comparison') : undefined}
               className={`px-3 py-1.5 text-sm font-medium rounded-lg transition-all ${
                 ticker === sym
                   ? 'bg-blue-600 text-white shadow-lg shadow-blue-600/20 pr-7'
-                  : 'bg-slate-800 text-slate-400 border border-slate-700 hover:border-blue-500 hover:text-slate-200 pr-7'
+                  : compareMode && compareSymbols.includes(sym)
+                    ? 'bg-purple-600/20 text-purple-200 border border-purple-500 pr-7'
+                    : 'bg-slate-800 text-slate-400 border border-slate-700 hover:border-blue-500 hover:text-slate-200 pr-7'
               }`}
             >
               {sym}
@@ -503,8 +989,7 @@ export default function App() {
                 onClick={(e) => {
                   e.stopPropagation();
                   const updated = watchlist.filter(s => s !== sym);
-                  setWatchlist(updated);
-                  saveWatchlist(updated);
+                  updateCurrentList({ symbols: updated });
                   if (ticker === sym) { setTicker(updated[0]); setSearchVal(updated[0]); }
                 }}
                 className="absolute right-1 p-0.5 rounded text-slate-500 hover:text-red-400 hover:bg-red-500/10 opacity-0 group-hover:opacity-100 transition-opacity"
@@ -520,11 +1005,7 @@ export default function App() {
             onSubmit={(e) => {
               e.preventDefault();
               const sym = newTicker.trim().toUpperCase();
-              if (sym && !watchlist.includes(sym)) {
-                const updated = [...watchlist, sym];
-                setWatchlist(updated);
-                saveWatchlist(updated);
-              }
+              if (sym && !watchlist.includes(sym)) updateCurrentList({ symbols: [...watchlist, sym] });
               setNewTicker('');
               setAddingTicker(false);
             }}
@@ -551,12 +1032,31 @@ export default function App() {
       </div>
 
       {/* Data Source Banner */}
-      {dataSource === 'yahoo' && (
+      {dataSource === 'yahoo' && offline && (
+        <div className="mb-6 flex items-center gap-3 bg-slate-500/10 border border-slate-500/30 text-slate-300 rounded-lg px-4 py-3 text-sm">
+          <WifiOff size={18} className="shrink-0" />
+          <span>
+            <strong>Offline</strong> — {companyProfile?.name || ticker} cached Yahoo Finance prices
+            {cacheStatus && `, last fetched ${formatAge(cacheStatus.ageMs)}`}. Nothing is fetched until offline mode is turned off.
+          </span>
+        </div>
+      )}
+      {dataSource === 'yahoo' && !offline && (
         <div className="mb-6 flex items-center gap-3 bg-green-500/10 border border-green-500/30 text-green-300 rounded-lg px-4 py-3 text-sm">
           <Activity size={18} className="shrink-0" />
           <span>
-            <strong>Live Data</strong> — {companyProfile?.name || ticker} historical prices via Yahoo Finance.
-            {finnhubQuote && ` Real-time: $${finnhubQuote.c.toFixed(2)}`}
+            <strong>Live Data</strong> — {companyProfile?.name || ticker} historical prices via Yahoo Finance
+            {cacheStatus && ` (cached ${formatAge(cacheStatus.ageMs)}${cacheStatus.revalidating ? ', refreshing…' : cacheStatus.error ? `, refresh failed: ${cacheStatus.error}` : ''})`}.
+            {livePrice && ` Real-time: $${livePrice.price.toFixed(2)}`}
+          </span>
+        </div>
+      )}
+      {dataSource === 'local' && (
+        <div className="mb-6 flex items-center gap-3 bg-blue-500/10 border border-blue-500/30 text-blue-300 rounded-lg px-4 py-3 text-sm">
+          <Database size={18} className="shrink-0" />
+          <span>
+            <strong>Local Data</strong> — {companyProfile?.name || ticker} historical prices from imported file {localFiles[ticker]?.name}.
+            {livePrice && ` Real-time: $${livePrice.price.toFixed(2)}`}
           </span>
         </div>
       )}
@@ -564,7 +1064,17 @@ export default function App() {
         <div className="mb-6 flex items-center gap-3 bg-yellow-500/10 border border-yellow-500/30 text-yellow-300 rounded-lg px-4 py-3 text-sm">
           <AlertCircle size={18} className="shrink-0" />
           <span>
-            Yahoo Finance unavailable. Displaying <strong>simulated data</strong> for {ticker}.
+            No earlier data source returned prices. Displaying <strong>simulated data</strong> for {ticker}.
+          </span>
+        </div>
+      )}
+      {dataSource === 'unavailable' && (
+        <div className="mb-6 flex items-center gap-3 bg-red-500/10 border border-red-500/30 text-red-300 rounded-lg px-4 py-3 text-sm">
+          <AlertCircle size={18} className="shrink-0" />
+          <span>
+            {offline
+              ? <>Offline, and there are no cached prices for <strong>{ticker}</strong>. Turn off offline mode in Data Sources to fetch them.</>
+              : <>No enabled data source has price history for <strong>{ticker}</strong>. Check the Data Sources order.</>}
           </span>
         </div>
       )}
@@ -582,111 +1092,132 @@ export default function App() {
                     <h3 className="font-semibold">Strategy Configuration</h3>
                 </div>
                 <div className="space-y-4">
-                    <div>
-                        <div className="flex justify-between text-xs mb-1">
-                            <span className="text-slate-400">Trend Weight</span>
-                            <span className="text-blue-400">{(weights.trend * 100).toFixed(0)}%</span>
+                    {factors.map((f) => (
+                        <div key={f.id} className={unavailable.includes(f.id) ? 'opacity-50' : ''} title={unavailable.includes(f.id) ? scores.descriptions[f.id] : undefined}>
+                            <div className="flex justify-between text-xs mb-1">
+                                <span className="text-slate-400">{f.shortLabel} Weight{unavailable.includes(f.id) && ' · unused'}</span>
+                                <span className={factorColor(f).text}>{((weights[f.id] || 0) * 100).toFixed(0)}%</span>
+                            </div>
+                            <input
+                                type="range" min="0" max="1" step="0.1"
+                                value={weights[f.id] || 0}
+                                onChange={(e) => setWeights({...weights, [f.id]: parseFloat(e.target.value)})}
+                                className={`w-full ${factorColor(f).accent} h-1.5 bg-slate-700 rounded-lg appearance-none cursor-pointer`}
+                            />
                         </div>
-                        <input 
-                            type="range" min="0" max="1" step="0.1" 
-                            value={weights.trend}
-                            onChange={(e) => setWeights({...weights, trend: parseFloat(e.target.value)})}
-                            className="w-full accent-blue-500 h-1.5 bg-slate-700 rounded-lg appearance-none cursor-pointer"
-                        />
-                    </div>
-                    <div>
-                        <div className="flex justify-between text-xs mb-1">
-                            <span className="text-slate-400">Momentum Weight</span>
-                            <span className="text-cyan-400">{(weights.momentum * 100).toFixed(0)}%</span>
-                        </div>
-                        <input
-                            type="range" min="0" max="1" step="0.1"
-                            value={weights.momentum}
-                            onChange={(e) => setWeights({...weights, momentum: parseFloat(e.target.value)})}
-                            className="w-full accent-cyan-500 h-1.5 bg-slate-700 rounded-lg appearance-none cursor-pointer"
-                        />
-                    </div>
-                    <div>
-                        <div className="flex justify-between text-xs mb-1">
-                            <span className="text-slate-400">Mean Rev Weight</span>
-                            <span className="text-purple-400">{(weights.meanRev * 100).toFixed(0)}%</span>
-                        </div>
-                        <input 
-                            type="range" min="0" max="1" step="0.1" 
-                            value={weights.meanRev}
-                            onChange={(e) => setWeights({...weights, meanRev: parseFloat(e.target.value)})}
-                            className="w-full accent-purple-500 h-1.5 bg-slate-700 rounded-lg appearance-none cursor-pointer"
-                        />
-                    </div>
-                    <div>
-                        <div className="flex justify-between text-xs mb-1">
-                            <span className="text-slate-400">Sentiment Weight</span>
-                            <span className="text-amber-400">{(weights.sentiment * 100).toFixed(0)}%</span>
-                        </div>
-                        <input 
-                            type="range" min="0" max="1" step="0.1" 
-                            value={weights.sentiment}
-                            onChange={(e) => setWeights({...weights, sentiment: parseFloat(e.target.value)})}
-                            className="w-full accent-amber-500 h-1.5 bg-slate-700 rounded-lg appearance-none cursor-pointer"
-                        />
-                    </div>
+                    ))}
                 </div>
             </div>
 
             {/* Score Cards */}
             <div className="space-y-3">
-                <ScoreCard 
-                    title="Trend" 
-                    score={trendScore} 
-                    weight={weights.trend} 
-                    description={trendDesc}
-                    icon={TrendingUp}
-                    color={{bg: 'bg-blue-500', text: 'text-blue-400'}}
-                />
-                <ScoreCard
-                    title="RSI Momentum"
-                    score={momentumScore}
-                    weight={weights.momentum}
-                    description={momentumDesc}
-                    icon={Activity}
-                    color={{bg: 'bg-cyan-500', text: 'text-cyan-400'}}
-                />
-                <ScoreCard
-                    title="Mean Reversion"
-                    score={revScore}
-                    weight={weights.meanRev}
-                    description={revDesc}
-                    icon={RefreshCw}
-                    color={{bg: 'bg-purple-500', text: 'text-purple-400'}}
-                />
-                <ScoreCard 
-                    title="Sentiment" 
-                    score={sentimentScore} 
-                    weight={weights.sentiment} 
-                    description={sentimentDesc}
-                    icon={BarChart2}
-                    color={{bg: 'bg-amber-500', text: 'text-amber-400'}}
-                />
+                {factors.map((f) => (
+                    <ScoreCard
+                        key={f.id}
+                        title={f.label}
+                        score={scores[f.id]}
+                        weight={weights[f.id] || 0}
+                        description={scores.descriptions[f.id]}
+                        icon={factorIcon(f)}
+                        color={factorColor(f)}
+                    />
+                ))}
             </div>
+
+            {/* Indicator Parameters */}
+            <IndicatorSettingsPanel
+                profiles={profiles}
+                weights={weights}
+                onProfilesChange={changeProfiles}
+            />
+
+            {/* Data Sources */}
+            <DataSourcesPanel
+                order={providerOrder}
+                available={availableProviders}
+                onOrderChange={(order) => { setProviderOrder(order); saveProviderOrder(order); }}
+                localFiles={localFiles}
+                onLocalFilesChange={(files) => { saveLocalFiles(files); setLocalFiles(files); }}
+                offline={offline}
+                onOfflineChange={(value) => { saveOffline(value); setOffline(value); }}
+                cacheStore={barStore}
+                cacheVersion={`${cacheTick}:${dataSource}`}
+                onCacheCleared={() => setCacheTick(t => t + 1)}
+            />
         </div>
 
         {/* MIDDLE COLUMN: Charts (6 Cols) */}
         <div className="lg:col-span-6 space-y-6">
             
             {/* Price Chart */}
-            <div className="bg-slate-800 rounded-xl p-5 border border-slate-700 h-[400px]">
+            <div className={`relative bg-slate-800 rounded-xl p-5 border border-slate-700 ${compareMode ? '' : 'h-[400px]'}`}>
                 <div className="flex justify-between items-center mb-4">
                     <h3 className="font-semibold text-slate-100 flex items-center gap-2">
                         {companyProfile?.logo && (
                           <img src={companyProfile.logo} alt="" className="w-6 h-6 rounded" />
                         )}
-                        {companyProfile?.name ? `${companyProfile.name} (${ticker})` : ticker} Price Action
+                        {compareMode ? `${ticker} Return Comparison` : `${companyProfile?.name ? `${companyProfile.name} (${ticker})` : ticker} Price Action`}
                         {analyzing && <RefreshCw className="animate-spin text-blue-500" size={14} />}
                     </h3>
                     <div className="flex flex-col sm:flex-row items-end sm:items-center gap-3">
-                      <div className="flex gap-3 text-xs hidden sm:flex">
-                        <span className="flex items-center gap-1 text-orange-400"><div className="w-2 h-2 rounded-full bg-orange-400"></div> SMA 50</span>
-                        <span className="flex items-center gap-1 text-red-500"><div className="w-2 h-2 rounded-full bg-red-500"></div> SMA 200</span>
+                      <div className={`flex gap-3 text-xs hidden ${compareMode ? '' : 'sm:flex'}`}>
+                        <span className="flex items-center gap-1 text-orange-400"><div className="w-2 h-2 rounded-full bg-orange-400"></div> SMA {indicatorParams.smaFast}</span>
+                        <span className="flex items-center gap-1 text-red-500"><div className="w-2 h-2 rounded-full bg-red-500"></div> SMA {indicatorParams.smaSlow}</span>
+                        {showKeltner && (
+                          <span className="flex items-center gap-1 text-teal-400"><div className="w-2 h-2 rounded-full bg-teal-400"></div> KC {indicatorParams.kcPeriod}/{indicatorParams.kcMultiplier}×ATR</span>
+                        )}
+                      </div>
+                      <div className="flex bg-slate-700/50 rounded-lg p-1 gap-1">
+                        {[{ value: 'line', label: 'Line' }, { value: 'candle', label: 'Candles' }].map((t) => (
+                          <button
+                            key={t.value}
+                            onClick={() => setChartType(t.value)}
+                            className={`px-2 py-1 text-xs font-medium rounded transition-all ${
+                              chartType === t.value
+                                ? 'bg-blue-600 text-white shadow-sm'
+                                : 'text-slate-400 hover:text-slate-200 hover:bg-slate-600/50'
+                            }`}
+                          >
+                            {t.label}
+                          </button>
+                        ))}
+                        <button
+                          onClick={() => setShowKeltner(!showKeltner)}
+                          className={`px-2 py-1 text-xs font-medium rounded transition-all ${
+                            showKeltner
+                              ? 'bg-teal-600 text-white shadow-sm'
+                              : 'text-slate-400 hover:text-slate-200 hover:bg-slate-600/50'
+                          }`}
+                        >
+                          KC
+                        </button>
+                        <button
+                          onClick={() => setCompareMode(!compareMode)}
+                          title="Overlay returns of several symbols"
+                          className={`px-2 py-1 text-xs font-medium rounded transition-all ${
+                            compareMode
+                              ? 'bg-purple-600 text-white shadow-sm'
+                              : 'text-slate-400 hover:text-slate-200 hover:bg-slate-600/50'
+                          }`}
+                        >
+                          Compare
+                        </button>
+                      </div>
+                      <div className="flex bg-slate-700/50 rounded-lg p-1 gap-1">
+                        {Object.entries(PRICE_MODES).map(([mode, label]) => (
+                          <button
+                            key={mode}
+                            onClick={() => { setPriceMode(mode); savePriceMode(mode); }}
+                            title={mode === 'total' ? `${label}: split- and dividend-adjusted` : `${label}: split-adjusted`}
+                            className={`px-2 py-1 text-xs font-medium rounded transition-all ${
+                              priceMode === mode
+                                ? 'bg-blue-600 text-white shadow-sm'
+                                : 'text-slate-400 hover:text-slate-200 hover:bg-slate-600/50'
+                            }`}
+                          >
+                            {mode === 'total' ? 'TR' : 'PR'}
+                          </button>
+                        ))}
                       </div>
                       <div className="flex bg-slate-700/50 rounded-lg p-1 gap-1">
                         {TIME_RANGES.map((r) => (
@@ -706,6 +1237,15 @@ export default function App() {
                     </div>
                 </div>
                 
+                {compareMode ? (
+                  <CompareChart
+                    providers={providers}
+                    symbols={compareSymbols}
+                    rangeConfig={chartRange}
+                    priceMode={priceMode}
+                    onRemove={toggleOverlay}
+                  />
+                ) : (
                 <ResponsiveContainer width="100%" height="90%">
                     <ComposedChart data={data}>
                         <defs>
@@ -730,7 +1270,8 @@ export default function App() {
                         />
 
                         <YAxis 
-                            domain={['auto', 'auto']} 
+                            domain={yDomain}
+                            allowDataOverflow
                             orientation="right" 
                             tick={{fill: '#94a3b8', fontSize: 10}} 
                             axisLine={false}
@@ -740,27 +1281,152 @@ export default function App() {
                             contentStyle={{backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px'}}
                             itemStyle={{color: '#e2e8f0'}}
                             labelFormatter={(label) => new Date(label).toLocaleDateString()}
+                            formatter={(value, name, item) => name === 'ohlc'
+                              ? [`O ${item.payload.open.toFixed(2)}  H ${item.payload.high.toFixed(2)}  L ${item.payload.low.toFixed(2)}  C ${item.payload.price.toFixed(2)}`, 'OHLC']
+                              : [typeof value === 'number' ? value.toFixed(2) : value, name]}
                         />
                         
-                        <Area 
-                            type="monotone" 
-                            dataKey="price" 
-                            stroke="#3b82f6" 
-                            strokeWidth={2}
-                            fillOpacity={1} 
-                            fill="url(#colorPrice)" 
-                        />
-                        <Line type="monotone" dataKey="sma50" stroke="#fb923c" dot={false} strokeWidth={2} />
-                        <Line type="monotone" dataKey="sma200" stroke="#ef4444" dot={false} strokeWidth={2} />
+                        {chartType === 'candle' ? (
+                          <Bar
+                            dataKey={(d) => [d.low, d.high]}
+                            name="ohlc"
+                            shape={<Candlestick />}
+                            isAnimationActive={false}
+                          />
+                        ) : (
+                          <Area 
+                              type="monotone" 
+                              dataKey="price" 
+                              stroke="#3b82f6" 
+                              strokeWidth={2}
+                              fillOpacity={1} 
+                              fill="url(#colorPrice)" 
+                          />
+                        )}
+                        {showKeltner && (
+                          <>
+                            <Line type="monotone" dataKey="kcUpper" stroke="#2dd4bf" dot={false} strokeWidth={1} strokeDasharray="4 2" />
+                            <Line type="monotone" dataKey="kcMiddle" stroke="#2dd4bf" dot={false} strokeWidth={1} strokeOpacity={0.6} />
+                            <Line type="monotone" dataKey="kcLower" stroke="#2dd4bf" dot={false} strokeWidth={1} strokeDasharray="4 2" />
+                          </>
+                        )}
+                        <Line type="monotone" dataKey="sma50" name={`SMA ${indicatorParams.smaFast}`} stroke="#fb923c" dot={false} strokeWidth={2} />
+                        <Line type="monotone" dataKey="sma200" name={`SMA ${indicatorParams.smaSlow}`} stroke="#ef4444" dot={false} strokeWidth={2} />
+                        {actions.map((a) => a.type === 'split' ? (
+                          <ReferenceLine
+                            key={`split-${a.date}`}
+                            x={a.date}
+                            stroke="#c084fc"
+                            strokeDasharray="2 3"
+                            label={{ value: `Split ${a.label}`, position: 'insideTopLeft', fill: '#c084fc', fontSize: 10 }}
+                          />
+                        ) : (
+                          <ReferenceDot
+                            key={`div-${a.date}`}
+                            x={a.date}
+                            y={a.low}
+                            r={3}
+                            fill="#c084fc"
+                            stroke="none"
+                            label={{ value: 'D', position: 'bottom', fill: '#c084fc', fontSize: 9 }}
+                          />
+                        ))}
+                        {chartEarnings.reports.map((e) => (
+                          <ReferenceLine
+                            key={`earnings-${e.date}`}
+                            x={e.x}
+                            stroke="#38bdf8"
+                            strokeDasharray="2 3"
+                            strokeOpacity={0.7}
+                            label={{ value: 'E', position: 'insideBottom', fill: '#38bdf8', fontSize: 10 }}
+                          />
+                        ))}
+                        {chartEarnings.upcoming && (
+                          <ReferenceLine
+                            x={chartEarnings.upcoming.x}
+                            stroke="#38bdf8"
+                            strokeDasharray="2 3"
+                            label={{ value: `Earnings ${chartEarnings.upcoming.date} (${chartEarnings.upcoming.days}d)`, position: 'insideTopRight', fill: '#38bdf8', fontSize: 10 }}
+                          />
+                        )}
+                        {chartAnnotations.map((a) => a.type === 'level' ? (
+                          <ReferenceLine
+                            key={a.id}
+                            y={a.y}
+                            stroke="#facc15"
+                            strokeDasharray="6 3"
+                            ifOverflow="hidden"
+                            label={{ value: a.y.toFixed(2), position: 'insideBottomLeft', fill: '#facc15', fontSize: 10 }}
+                          />
+                        ) : a.type === 'trendline' ? (
+                          <ReferenceLine key={a.id} segment={a.segment} stroke="#facc15" strokeWidth={1.5} ifOverflow="hidden" />
+                        ) : (
+                          <ReferenceLine
+                            key={a.id}
+                            x={a.x}
+                            stroke="#facc15"
+                            strokeOpacity={0.5}
+                            label={{ value: a.text, position: 'insideTopRight', fill: '#facc15', fontSize: 10 }}
+                          />
+                        ))}
+                        {drawing.start?.ticker === ticker && snapDate(data, drawing.start.date) && (
+                          <ReferenceDot x={snapDate(data, drawing.start.date)} y={drawing.start.price} r={4} fill="#facc15" stroke="none" />
+                        )}
+                        {flips.map((f) => (
+                          <ReferenceDot
+                            key={`flip-${f.date}`}
+                            x={f.date}
+                            y={f.price}
+                            ifOverflow="hidden"
+                            shape={({ cx, cy }) => (
+                              <g onMouseEnter={() => setHoveredFlip(f.date)} onMouseLeave={() => setHoveredFlip(null)} style={{ cursor: 'pointer' }}>
+                                {f.verdict === 'BUY' ? (
+                                  <path d={`M${cx},${cy + 6} l5,9 h-10 z`} fill="#22c55e" />
+                                ) : f.verdict === 'SELL' ? (
+                                  <path d={`M${cx},${cy - 6} l5,-9 h-10 z`} fill="#ef4444" />
+                                ) : (
+                                  <circle cx={cx} cy={cy} r={3.5} fill="#0f172a" stroke="#94a3b8" strokeWidth={1.5} />
+                                )}
+                              </g>
+                            )}
+                          />
+                        ))}
+                        {drawing.tool && <DrawingLayer domain={yDomain} onPick={placeAnnotation} />}
                     </ComposedChart>
                 </ResponsiveContainer>
+                )}
+                {hoveredRow && !compareMode && (
+                  <div className="absolute top-14 left-5 z-10 pointer-events-none">
+                    <FactorBreakdown row={hoveredRow} weights={weights} />
+                  </div>
+                )}
             </div>
 
+            {!compareMode && (
+              <VerdictTimeline timeline={timeline} flips={flips} weights={weights} params={indicatorParams} />
+            )}
+
+            {!compareMode && (
+              <AnnotationsPanel
+                ticker={ticker}
+                annotations={annotations}
+                onChange={changeAnnotations}
+                drawing={drawing}
+                onDrawingChange={setDrawing}
+              />
+            )}
+
+            {/* Verdict Backtest */}
+            <BacktestPanel data={settledHistory} weights={weights} ticker={ticker} risk={riskSettings} params={indicatorParams} />
+
+            {/* Walk-Forward Optimizer */}
+            <OptimizerPanel data={settledHistory} weights={weights} risk={riskSettings} params={indicatorParams} onApply={setWeights} />
+
             {/* RSI Chart */}
             <div className="bg-slate-800 rounded-xl p-5 border border-slate-700 h-[200px]">
                 <div className="flex justify-between items-center mb-2">
-                    <h3 className="font-semibold text-slate-100 text-sm">RSI (14) Momentum</h3>
-                    <span className={`text-xs font-mono px-2 py-0.5 rounded ${current.rsi < 30 ? 'bg-green-500 text-white' : current.rsi > 70 ? 'bg-red-500 text-white' : 'bg-slate-700 text-slate-300'}`}>
+                    <h3 className="font-semibold text-slate-100 text-sm">RSI ({indicatorParams.rsiPeriod}{indicatorParams.rsiMethod === 'wilder' ? ', Wilder' : ''}) Momentum</h3>
+                    <span className={`text-xs font-mono px-2 py-0.5 rounded ${current.rsi < indicatorParams.rsiOversold ? 'bg-green-500 text-white' : current.rsi > indicatorParams.rsiOverbought ? 'bg-red-500 text-white' : 'bg-slate-700 text-slate-300'}`}>
                         {current.rsi?.toFixed(1)}
                     </span>
                 </div>
@@ -781,14 +1447,49 @@ export default function App() {
                             tickLine={false}
                         />
                         
-                        <YAxis domain={[0, 100]} orientation="right" tick={{fill: '#94a3b8', fontSize: 10}} axisLine={false} tickLine={false} ticks={[0, 30, 50, 70, 100]} />
-                        <ReferenceLine y={70} stroke="#ef4444" strokeDasharray="3 3" />
-                        <ReferenceLine y={30} stroke="#22c55e" strokeDasharray="3 3" />
+                        <YAxis domain={[0, 100]} orientation="right" tick={{fill: '#94a3b8', fontSize: 10}} axisLine={false} tickLine={false} ticks={[0, indicatorParams.rsiOversold, 50, indicatorParams.rsiOverbought, 100]} />
+                        <ReferenceLine y={indicatorParams.rsiOverbought} stroke="#ef4444" strokeDasharray="3 3" />
+                        <ReferenceLine y={indicatorParams.rsiOversold} stroke="#22c55e" strokeDasharray="3 3" />
                         <Line type="monotone" dataKey="rsi" stroke="#a855f7" dot={false} strokeWidth={2} />
                     </LineChart>
                 </ResponsiveContainer>
             </div>
 
+            {/* ATR Chart */}
+            <div className="bg-slate-800 rounded-xl p-5 border border-slate-700 h-[200px]">
+                <div className="flex justify-between items-center mb-2">
+                    <h3 className="font-semibold text-slate-100 text-sm">ATR ({indicatorParams.atrPeriod}) True Range</h3>
+                    <span className="text-xs font-mono px-2 py-0.5 rounded bg-slate-700 text-slate-300">
+                        {current.atr != null ? `${current.atr.toFixed(2)} (${(current.atr / current.price * 100).toFixed(1)}%)` : '—'}
+                    </span>
+                </div>
+                <ResponsiveContainer width="100%" height="80%">
+                    <LineChart data={data}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#334155" vertical={false} />
+                        <XAxis
+                            dataKey="date"
+                            tickFormatter={(tick) => {
+                                const d = new Date(tick);
+                                return `${d.toLocaleString('default', { month: 'short' })} ${String(d.getFullYear()).slice(-2)}`;
+                            }}
+                            minTickGap={30}
+                            tick={{fill: '#94a3b8', fontSize: 10}}
+                            axisLine={false}
+                            tickLine={false}
+                        />
+                        <YAxis domain={['auto', 'auto']} orientation="right" tick={{fill: '#94a3b8', fontSize: 10}} axisLine={false} tickLine={false} />
+                        <Tooltip
+                            contentStyle={{backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px'}}
+                            itemStyle={{color: '#e2e8f0'}}
+                            labelFormatter={(label) => new Date(label).toLocaleDateString()}
+                            formatter={(value, name) => [value?.toFixed(2), name === 'atr' ? 'ATR' : 'True Range']}
+                        />
+                        <Line type="monotone" dataKey="trueRange" stroke="#475569" dot={false} strokeWidth={1} />
+                        <Line type="monotone" dataKey="atr" stroke="#2dd4bf" dot={false} strokeWidth={2} />
+                    </LineChart>
+                </ResponsiveContainer>
+            </div>
+
             {/* Volume Chart */}
             <div className="bg-slate-800 rounded-xl p-5 border border-slate-700 h-[200px]">
                 <div className="flex justify-between items-center mb-2">
@@ -834,30 +1535,105 @@ export default function App() {
                     </BarChart>
                 </ResponsiveContainer>
             </div>
+
+            {/* Relative Strength Chart */}
+            <div className="bg-slate-800 rounded-xl p-5 border border-slate-700 h-[240px]">
+                <div className="flex justify-between items-center mb-2 gap-2">
+                    <h3 className="font-semibold text-slate-100 text-sm">
+                        Relative Strength <span className="text-slate-500 font-normal">vs {benchmark}</span>
+                    </h3>
+                    <div className="flex gap-1.5 text-xs font-mono">
+                        <span className="px-2 py-0.5 rounded bg-slate-700 text-indigo-300" title={`Beta over ${BENCHMARK_WINDOW} bars`}>
+                            β {current.beta != null ? current.beta.toFixed(2) : '—'}
+                        </span>
+                        <span className="px-2 py-0.5 rounded bg-slate-700 text-emerald-300" title={`Correlation over ${BENCHMARK_WINDOW} bars`}>
+                            ρ {current.correlation != null ? current.correlation.toFixed(2) : '—'}
+                        </span>
+                        <span className={`px-2 py-0.5 rounded bg-slate-700 ${current.alpha > 0 ? 'text-green-400' : current.alpha < 0 ? 'text-red-400' : 'text-slate-300'}`} title={`Annualized alpha over ${BENCHMARK_WINDOW} bars`}>
+                            α {current.alpha != null ? `${current.alpha > 0 ? '+' : ''}${(current.alpha * 100).toFixed(1)}%` : '—'}
+                        </span>
+                    </div>
+                </div>
+                {current.rs == null ? (
+                    <div className="h-[80%] flex items-center justify-center text-xs text-slate-500">
+                        {benchmarkBars.symbol === benchmark ? `No price history for ${benchmark}.` : `Loading ${benchmark}…`}
+                    </div>
+                ) : (
+                    <ResponsiveContainer width="100%" height="80%">
+                        <LineChart data={data}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#334155" vertical={false} />
+                            <XAxis
+                                dataKey="date"
+                                tickFormatter={(tick) => {
+                                    const d = new Date(tick);
+                                    return `${d.toLocaleString('default', { month: 'short' })} ${String(d.getFullYear()).slice(-2)}`;
+                                }}
+                                minTickGap={30}
+                                tick={{fill: '#94a3b8', fontSize: 10}}
+                                axisLine={false}
+                                tickLine={false}
+                            />
+                            <YAxis yAxisId="rs" orientation="right" domain={['auto', 'auto']} tick={{fill: '#94a3b8', fontSize: 10}} axisLine={false} tickLine={false} />
+                            <YAxis yAxisId="stats" orientation="left" domain={[-1, 2]} width={28} tick={{fill: '#64748b', fontSize: 10}} axisLine={false} tickLine={false} />
+                            <ReferenceLine yAxisId="rs" y={100} stroke="#475569" strokeDasharray="3 3" />
+                            <Tooltip
+                                contentStyle={{backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px'}}
+                                itemStyle={{color: '#e2e8f0'}}
+                                labelFormatter={(label) => new Date(label).toLocaleDateString()}
+                                formatter={(value, name) => [value?.toFixed(2), { rs: 'RS', rsSma: `RS ${RS_SMA_PERIOD}-bar avg`, beta: 'Beta', correlation: 'Correlation' }[name] || name]}
+                            />
+                            <Line yAxisId="rs" type="monotone" dataKey="rs" stroke="#818cf8" dot={false} strokeWidth={2} />
+                            <Line yAxisId="rs" type="monotone" dataKey="rsSma" stroke="#94a3b8" dot={false} strokeWidth={1} strokeDasharray="4 4" />
+                            <Line yAxisId="stats" type="monotone" dataKey="beta" stroke="#fbbf24" dot={false} strokeWidth={1} />
+                            <Line yAxisId="stats" type="monotone" dataKey="correlation" stroke="#34d399" dot={false} strokeWidth={1} />
+                        </LineChart>
+                    </ResponsiveContainer>
+                )}
+            </div>
         </div>
 
         {/* RIGHT COLUMN: Output & Sizing (3 Cols) */}
         <div className="lg:col-span-3 space-y-6">
             
             {/* Final Signal */}
-            <div className={`rounded-xl p-6 border-2 ${getScoreBg(totalScore)} transition-all duration-500`}>
+            <div className={`rounded-xl p-6 border-2 ${getScoreBg(verdictScore)} transition-all duration-500`}>
                 <h2 className="text-slate-400 text-sm uppercase tracking-wider font-semibold mb-2">Alpha Verdict</h2>
                 <div className="flex items-baseline gap-2 mb-4">
-                    <span className={`text-4xl font-bold ${getScoreColor(totalScore)}`}>
-                        {totalScore > 0.2 ? "BUY" : totalScore < -0.2 ? "SELL" : "NEUTRAL"}
+                    <span className={`text-4xl font-bold ${getScoreColor(verdictScore)}`}>
+                        {scores.verdict}
                     </span>
                     <span className="text-slate-400 text-sm">Score: {totalScore.toFixed(2)}</span>
                 </div>
+                {scores.eventRisk && scores.eventRisk.verdict !== 'NEUTRAL' && (
+                  <p className="text-xs text-amber-400 -mt-2 mb-4">
+                    Earnings {scores.eventRisk.days === 0 ? 'today' : `in ${scores.eventRisk.days}d`} —{' '}
+                    {scores.eventRisk.action === 'neutral' ? `${scores.eventRisk.verdict} held at NEUTRAL` : 'position size cut'}
+                  </p>
+                )}
                 
                 <div className="space-y-3">
-                    {finnhubQuote && (
+                    {livePrice && (
                       <div className="flex justify-between text-sm border-b border-slate-700/50 pb-2">
-                        <span className="text-slate-400">Live Price</span>
+                        <span className="text-slate-400 flex items-center gap-1.5">
+                          Live Price
+                          {streamStatus && streamStatus.state !== 'closed' && (
+                            <span
+                              className={`w-1.5 h-1.5 rounded-full ${streamStatus.state === 'open' ? 'bg-green-400 animate-pulse' : 'bg-amber-400'}`}
+                              title={streamStatus.state === 'open'
+                                ? `Streaming${livePrice.time ? ` · last trade ${new Date(livePrice.time).toLocaleTimeString()}` : ''}`
+                                : streamStatus.state === 'reconnecting'
+                                ? `Stream dropped (${streamStatus.reason}); retrying in ${Math.ceil(streamStatus.delayMs / 1000)}s`
+                                : 'Connecting to trade stream'}
+                            />
+                          )}
+                        </span>
                         <span className="text-slate-200 flex items-center gap-2">
-                          ${finnhubQuote.c.toFixed(2)}
-                          <span className={`text-xs px-1.5 py-0.5 rounded ${finnhubQuote.dp >= 0 ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'}`}>
-                            {finnhubQuote.dp >= 0 ? '+' : ''}{finnhubQuote.dp.toFixed(2)}%
-                          </span>
+                          ${livePrice.price.toFixed(2)}
+                          {livePrice.changePct != null && (
+                            <span className={`text-xs px-1.5 py-0.5 rounded ${livePrice.changePct >= 0 ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'}`}>
+                              {livePrice.changePct >= 0 ? '+' : ''}{livePrice.changePct.toFixed(2)}%
+                            </span>
+                          )}
                         </span>
                       </div>
                     )}
@@ -867,53 +1643,44 @@ export default function App() {
                     </div>
                     <div className="flex justify-between text-sm border-b border-slate-700/50 pb-2">
                         <span className="text-slate-400">Risk Level</span>
-                        <span className="text-slate-200">{current.zScore < -2 || current.zScore > 2 ? "High (Reversal)" : "Moderate (Trend)"}</span>
+                        <span className="text-slate-200">{Math.abs(current.zScore) > indicatorParams.zThreshold ? "High (Reversal)" : "Moderate (Trend)"}</span>
                     </div>
                 </div>
             </div>
 
-            {/* Position Sizing (Kelly) */}
-            <div className="bg-slate-800 rounded-xl p-5 border border-slate-700 relative overflow-hidden">
-                <div className="absolute top-0 right-0 p-3 opacity-10">
-                    <DollarSign size={64} className="text-green-400" />
-                </div>
-                
-                <h3 className="font-semibold text-slate-100 flex items-center gap-2 mb-4">
-                    <Shield size={16} className="text-green-400" />
-                    Risk Management
-                </h3>
+            {/* Position Sizing */}
+            <RiskPanel
+                risk={risk}
+                settings={riskSettings}
+                onSettingsChange={setRiskSettings}
+                price={current.price}
+                verdict={scores.verdict}
+                atr={current.atr}
+                atrPeriod={indicatorParams.atrPeriod}
+                eventRisk={scores.eventRisk}
+            />
 
-                <div className="space-y-4">
-                    <div>
-                        <p className="text-xs text-slate-400 mb-1">Recommended Position Size</p>
-                        <div className="text-2xl font-mono font-bold text-slate-200">
-                            {totalScore > 0.2 || totalScore < -0.2 ? `${positionSize.toFixed(1)}%` : "0.0%"}
-                        </div>
-                        <p className="text-[10px] text-slate-500">Based on 15% Volatility Target</p>
-                    </div>
+            <EarningsPanel events={earnings} scores={scores} settings={riskSettings} ticker={ticker} />
 
-                    <div className="pt-4 border-t border-slate-700">
-                        <p className="text-xs text-slate-400 mb-2">Stop Loss Level</p>
-                        <div className="flex items-center gap-2">
-                            <span className="text-lg font-mono text-red-400">
-                                ${hasData ? (current.price * 0.92).toFixed(2) : '—'}
-                            </span>
-                            <span className="text-xs text-red-500/80 bg-red-500/10 px-2 py-0.5 rounded">
-                                -8.0%
-                            </span>
-                        </div>
-                    </div>
-                </div>
-            </div>
+            {/* Alerts */}
+            <AlertsPanel
+                config={alertConfig}
+                onConfigChange={(config) => { setAlertConfig(config); saveAlertConfig(config); }}
+                log={alertLog}
+                onClearLog={() => { setAlertLog([]); saveAlertLog([]); }}
+                watchlist={watchlist}
+            />
 
             {/* Disclaimer */}
             <div className="bg-slate-800/50 rounded-lg p-4 border border-slate-700/50">
                 <div className="flex gap-2 text-slate-500">
                     <AlertCircle size={16} className="shrink-0 mt-0.5" />
                     <p className="text-[10px] leading-relaxed">
-                        <strong>{dataSource === 'yahoo' ? 'Live Data:' : 'Simulation Mode:'}</strong>{' '}
+                        <strong>{dataSource === 'yahoo' ? (offline ? 'Cached Data:' : 'Live Data:') : dataSource === 'local' ? 'Local Data:' : 'Simulation Mode:'}</strong>{' '}
                         {dataSource === 'yahoo'
-                          ? 'Historical prices from Yahoo Finance. Real-time quotes and analyst ratings from Finnhub. Not financial advice.'
+                          ? 'Historical prices from Yahoo Finance, cached in this browser. Real-time quotes and analyst ratings from Finnhub. Not financial advice.'
+                          : dataSource === 'local'
+                          ? 'Historical prices from your imported bar files. Real-time quotes and analyst ratings from Finnhub. Not financial advice.'
                           : 'Market data is statistically generated for demonstration. Real-world Alpha Engines use paid feeds (Bloomberg/Refinitiv) and execute via FIX protocol.'}
                     </p>
                 </div>
@@ -928,6 +1695,30 @@ export default function App() {
           <BarChart2 size={18} className="text-blue-400" />
           <h3 className="font-semibold text-slate-100">Watchlist Overview</h3>
           <span className="text-xs text-slate-500 ml-1">({watchlist.length} stocks)</span>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              const sym = e.target.elements.benchmark.value.trim().toUpperCase() || DEFAULT_BENCHMARK;
+              e.target.elements.benchmark.value = sym;
+              if (sym !== benchmark) updateCurrentList({ benchmark: sym });
+            }}
+            className="ml-auto flex items-center gap-2 text-xs text-slate-400"
+          >
+            <label htmlFor="benchmark-input">Benchmark</label>
+            <input
+              id="benchmark-input"
+              name="benchmark"
+              key={`${currentList.id}:${benchmark}`}
+              type="text"
+              list="benchmark-options"
+              defaultValue={benchmark}
+              onBlur={(e) => e.target.form.requestSubmit()}
+              className="bg-slate-900 border border-slate-700 text-slate-200 px-2 py-1 rounded w-20 font-mono uppercase focus:outline-none focus:border-blue-500"
+            />
+            <datalist id="benchmark-options">
+              {[...new Set([DEFAULT_BENCHMARK, 'SPY', 'QQQ', 'IWM', ...watchlist])].map(sym => <option key={sym} value={sym} />)}
+            </datalist>
+          </form>
         </div>
         <div className="overflow-x-auto">
           <table className="w-full text-sm">
@@ -935,21 +1726,21 @@ export default function App() {
               <tr className="text-xs text-slate-400 uppercase tracking-wider border-b border-slate-700">
                 <th className="text-left px-5 py-3 font-medium">Ticker</th>
                 <th className="text-right px-3 py-3 font-medium">Price</th>
-                <th className="text-center px-3 py-3 font-medium">Trend</th>
-                <th className="text-center px-3 py-3 font-medium">RSI Mom.</th>
-                <th className="text-center px-3 py-3 font-medium">Mean Rev.</th>
-                <th className="text-center px-3 py-3 font-medium">Sentiment</th>
+                {factors.map((f) => (
+                  <th key={f.id} className="text-center px-3 py-3 font-medium">{f.shortLabel}</th>
+                ))}
                 <th className="text-right px-3 py-3 font-medium">Score</th>
+                <th className="text-right px-3 py-3 font-medium" title="Calendar days to the next earnings report">Earnings</th>
                 <th className="text-center px-5 py-3 font-medium">Verdict</th>
               </tr>
             </thead>
             <tbody>
               {watchlist.map((sym) => {
-                const s = watchlistScores[sym];
+                const s = watchlistSignals[sym];
                 if (!s) return (
                   <tr key={sym} className="border-b border-slate-700/50 hover:bg-slate-700/20">
                     <td className="px-5 py-3 font-medium text-slate-300">{sym}</td>
-                    <td colSpan={7} className="px-3 py-3 text-center text-slate-500 text-xs">
+                    <td colSpan={factors.length + 4} className="px-3 py-3 text-center text-slate-500 text-xs">
                       <RefreshCw className="inline animate-spin mr-1" size={12} /> Loading...
                     </td>
                   </tr>
@@ -972,13 +1763,18 @@ export default function App() {
                     <td className="text-right px-3 py-3 font-mono text-slate-300">
                       ${s.price?.toFixed(2) ?? '—'}
                     </td>
-                    <td className="text-center px-3 py-3">{scoreBadge(s.trend)}</td>
-                    <td className="text-center px-3 py-3">{scoreBadge(s.momentum)}</td>
-                    <td className="text-center px-3 py-3">{scoreBadge(s.meanRev)}</td>
-                    <td className="text-center px-3 py-3">{scoreBadge(s.sentiment)}</td>
+                    {factors.map((f) => (
+                      <td key={f.id} className="text-center px-3 py-3">{scoreBadge(s[f.id])}</td>
+                    ))}
                     <td className={`text-right px-3 py-3 font-mono font-semibold ${scoreColor(s.total)}`}>
                       {s.total > 0 ? '+' : ''}{s.total.toFixed(2)}
                     </td>
+                    <td
+                      className={`text-right px-3 py-3 font-mono text-xs ${s.eventRisk ? 'text-amber-400' : 'text-slate-400'}`}
+                      title={s.nextEarnings ? `${s.nextEarnings.date}${s.eventRisk ? ' — inside the event-risk window' : ''}` : 'No upcoming report in the calendar'}
+                    >
+                      {s.nextEarnings ? `${s.nextEarnings.days}d` : '—'}
+                    </td>
                     <td className="text-center px-5 py-3">
                       <span className={`px-2 py-1 rounded text-xs font-bold ${
                         s.verdict === 'BUY' ? 'bg-green-500/20 text-green-400' :
@@ -995,6 +1791,43 @@ export default function App() {
           </table>
         </div>
       </div>
+
+      <WatchlistRiskPanel
+        book={book}
+        settings={riskSettings}
+        onSettingsChange={setRiskSettings}
+      />
+
+      <ProfileComparePanel
+        providers={providers}
+        profiles={profiles}
+        ticker={ticker}
+        watchlist={watchlist}
+        priceMode={priceMode}
+        benchmark={benchmark}
+        annotations={annotations}
+        onSelect={(sym) => { setTicker(sym); setSearchVal(sym); }}
+      />
+
+      <ScreenerPanel
+        providers={providers}
+        weights={weights}
+        params={indicatorParams}
+        priceMode={priceMode}
+        benchmark={benchmark}
+        annotations={annotations}
+        watchlist={watchlist}
+        onAddToWatchlist={(sym) => updateCurrentList({ symbols: [...watchlist, sym] })}
+        onSelect={(sym) => { setTicker(sym); setSearchVal(sym); }}
+        uploaded={screenerUniverse}
+        onUploadedChange={(universe) => { setScreenerUniverse(universe); saveScreenerUniverse(universe); }}
+      />
+
+      <PortfolioPanel
+        ledger={ledger}
+        onLedgerChange={(updated) => { setLedger(updated); saveLedger(updated); }}
+        marks={portfolioMarks}
+      />
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { Bell, BellOff, Plus, Trash2 } from 'lucide-react';
+import { ALERT_RULE_TYPES, createRule, describeRule } from '../lib/alerts.js';
+import { notificationPermission, requestNotificationPermission } from './notifications.js';
+
+const POLL_OPTIONS = [
+  { value: 0, label: 'Off' },
+  { value: 1, label: '1m' },
+  { value: 5, label: '5m' },
+  { value: 15, label: '15m' },
+  { value: 60, label: '1h' },
+];
+
+const inputClass = 'bg-slate-900 border border-slate-700 text-slate-200 px-2 py-1 rounded text-xs focus:outline-none focus:border-blue-500';
+
+const formatTime = (ts) => new Date(ts).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+export default function AlertsPanel({ config, onConfigChange, log, onClearLog, watchlist }) {
+  const [draft, setDraft] = useState(() => createRule('verdict'));
+  const [permission, setPermission] = useState(notificationPermission);
+
+  const setRules = (rules) => onConfigChange({ ...config, rules });
+  const set = (key, parse = (v) => v) => (e) => setDraft({ ...draft, [key]: parse(e.target.value) });
+  const number = (v) => (v === '' ? '' : Number(v));
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (draft.level === '' || draft.cooldownMin === '') return;
+    setRules([...config.rules, draft]);
+    setDraft(createRule(draft.type, { symbol: draft.symbol }));
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-5 border border-slate-700">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="font-semibold text-slate-100 flex items-center gap-2">
+          <Bell size={16} className="text-amber-400" />
+          Alerts
+        </h3>
+        <div className="flex items-center gap-2 text-xs">
+          <select
+            value={config.pollMinutes}
+            onChange={(e) => onConfigChange({ ...config, pollMinutes: Number(e.target.value) })}
+            className={inputClass}
+            title="Watchlist refresh interval"
+          >
+            {POLL_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+          {permission === 'granted' ? (
+            <span title="Browser notifications on"><Bell size={14} className="text-green-400" /></span>
+          ) : (
+            <button
+              onClick={async () => setPermission(await requestNotificationPermission())}
+              disabled={permission === 'unsupported' || permission === 'denied'}
+              className="text-slate-500 hover:text-slate-300 disabled:opacity-40 transition-colors"
+              title={permission === 'denied' ? 'Notifications blocked in browser settings' : 'Enable browser notifications'}
+            >
+              <BellOff size={14} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="space-y-1.5 mb-3">
+        {config.rules.length === 0 && <p className="text-xs text-slate-500">No rules yet.</p>}
+        {config.rules.map((rule) => (
+          <div key={rule.id} className="flex items-center gap-2 text-xs group">
+            <input
+              type="checkbox"
+              checked={rule.enabled}
+              onChange={(e) => setRules(config.rules.map(r => r.id === rule.id ? { ...r, enabled: e.target.checked } : r))}
+              className="accent-blue-500"
+            />
+            <span className={`flex-1 ${rule.enabled ? 'text-slate-300' : 'text-slate-500 line-through'}`}>{describeRule(rule)}</span>
+            <span className="text-[10px] text-slate-500 font-mono" title="Cooldown">{rule.cooldownMin}m</span>
+            <button
+              onClick={() => setRules(config.rules.filter(r => r.id !== rule.id))}
+              className="text-slate-600 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+              title="Delete rule"
+            >
+              <Trash2 size={12} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={handleAdd} className="grid grid-cols-2 gap-1.5 pb-4 mb-4 border-b border-slate-700">
+        <select
+          value={draft.type}
+          onChange={(e) => setDraft(createRule(e.target.value, { symbol: draft.symbol, cooldownMin: draft.cooldownMin }))}
+          className={inputClass}
+        >
+          {Object.entries(ALERT_RULE_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+        </select>
+        <select value={draft.symbol} onChange={set('symbol')} className={inputClass}>
+          <option value="*">All watchlist</option>
+          {watchlist.map(sym => <option key={sym} value={sym}>{sym}</option>)}
+        </select>
+
+        {draft.type === 'verdict' ? (
+          <select value={draft.to} onChange={set('to')} className={`${inputClass} col-span-2`}>
+            <option value="ANY">to any verdict</option>
+            <option value="BUY">to BUY</option>
+            <option value="NEUTRAL">to NEUTRAL</option>
+            <option value="SELL">to SELL</option>
+          </select>
+        ) : (
+          <>
+            {draft.type === 'sma' && (
+              <select value={draft.ma} onChange={set('ma')} className={inputClass}>
+                <option value="sma50">Fast SMA</option>
+                <option value="sma200">Slow SMA</option>
+              </select>
+            )}
+            <select value={draft.direction} onChange={set('direction')} className={inputClass}>
+              {draft.type === 'move' ? (
+                <>
+                  <option value="either">up or down</option>
+                  <option value="up">up</option>
+                  <option value="down">down</option>
+                </>
+              ) : (
+                <>
+                  <option value="above">crosses above</option>
+                  <option value="below">crosses below</option>
+                </>
+              )}
+            </select>
+            {draft.type !== 'sma' && (
+              <input
+                type="number"
+                step="any"
+                value={draft.level}
+                onChange={set('level', number)}
+                className={inputClass}
+                title={draft.type === 'move' ? 'Move (%)' : 'Level'}
+              />
+            )}
+          </>
+        )}
+
+        <label className="flex items-center gap-1 text-[11px] text-slate-400">
+          Cooldown
+          <input type="number" min={0} value={draft.cooldownMin} onChange={set('cooldownMin', number)} className={`${inputClass} w-14`} />
+          m
+        </label>
+        <button type="submit" className="flex items-center justify-center gap-1 bg-blue-600 hover:bg-blue-500 text-white px-2 py-1 rounded text-xs font-medium transition-colors">
+          <Plus size={12} /> Add Rule
+        </button>
+      </form>
+
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-xs text-slate-400">Alert Log</p>
+        {log.length > 0 && (
+          <button onClick={onClearLog} className="text-[10px] text-slate-500 hover:text-slate-300">Clear</button>
+        )}
+      </div>
+      <div className="max-h-[200px] overflow-y-auto space-y-1.5">
+        {log.length === 0 && <p className="text-[11px] text-slate-500">Rules are checked each time watchlist scores refresh.</p>}
+        {log.map((alert) => (
+          <div key={alert.id} className="text-[11px] border-l-2 border-amber-500/60 pl-2">
+            <p className="text-slate-200">{alert.message}</p>
+            <p className="text-slate-500 font-mono">{formatTime(alert.firedAt)} · bar {alert.date}</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import React, { useRef, useState } from 'react';
+import { PenLine, Minus, TrendingUp, StickyNote, Trash2, Upload, Download } from 'lucide-react';
+import { updateAnnotation, removeAnnotation, annotationsToJson, parseAnnotations, mergeAnnotations } from '../lib/annotations.js';
+import { downloadText } from './download.js';
+
+const TOOLS = [
+  { value: 'level', label: 'Level', icon: Minus, hint: 'Click the chart at the price for the level.' },
+  { value: 'trendline', label: 'Trendline', icon: TrendingUp, hint: 'Click the first point of the trendline.' },
+  { value: 'note', label: 'Note', icon: StickyNote, hint: 'Type the note, then click the date to pin it to.' },
+];
+
+const inputClass = 'bg-slate-900 border border-slate-700 text-slate-200 px-2 py-1 rounded text-xs focus:outline-none focus:border-blue-500';
+const iconButton = 'p-1 rounded text-slate-500 hover:text-slate-200 hover:bg-slate-700 transition-colors';
+
+const describe = (a) => {
+  if (a.type === 'trendline') return `${a.from.date} ${a.from.price.toFixed(2)} → ${a.to.date} ${a.to.price.toFixed(2)}`;
+  if (a.type === 'note') return `${a.date} · ${a.text}`;
+  return null;
+};
+
+// Drawing tools and the current ticker's annotations: pick a tool, click the
+// price chart to place it, edit level prices or delete from the list. Export
+// and import cover every ticker. `drawing` is { tool, start, text, error },
+// shared with the chart that takes the clicks.
+export default function AnnotationsPanel({ ticker, annotations, onChange, drawing, onDrawingChange }) {
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
+  const list = annotations[ticker] || [];
+  const tool = TOOLS.find(t => t.value === drawing.tool);
+  const total = Object.values(annotations).reduce((n, l) => n + l.length, 0);
+
+  const pickTool = (value) => onDrawingChange({ ...drawing, tool: drawing.tool === value ? null : value, start: null, error: null });
+
+  const editLevel = (id, value) => {
+    try {
+      onChange(updateAnnotation(annotations, ticker, id, { price: value }));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseAnnotations(await file.text());
+      if (Object.keys(imported).length === 0) throw new Error('no annotations found');
+      onChange(mergeAnnotations(annotations, imported));
+      setError(null);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-4 border border-slate-700 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <h3 className="font-semibold text-slate-100 text-sm flex items-center gap-2 mr-2">
+          <PenLine size={16} className="text-yellow-400" /> Annotations
+        </h3>
+        <div className="flex bg-slate-700/50 rounded-lg p-1 gap-1">
+          {TOOLS.map(t => (
+            <button
+              key={t.value}
+              onClick={() => pickTool(t.value)}
+              className={`flex items-center gap-1 px-2 py-1 text-xs font-medium rounded transition-all ${
+                drawing.tool === t.value
+                  ? 'bg-yellow-500 text-slate-900 shadow-sm'
+                  : 'text-slate-400 hover:text-slate-200 hover:bg-slate-600/50'
+              }`}
+            >
+              <t.icon size={12} /> {t.label}
+            </button>
+          ))}
+        </div>
+        {drawing.tool === 'note' && (
+          <input
+            value={drawing.text}
+            onChange={(e) => onDrawingChange({ ...drawing, text: e.target.value, error: null })}
+            placeholder="Note text"
+            className={`${inputClass} flex-1 min-w-[8rem]`}
+          />
+        )}
+        <div className="ml-auto flex items-center gap-1">
+          <button onClick={() => fileInput.current?.click()} className={iconButton} title="Import annotations (JSON)">
+            <Upload size={14} />
+          </button>
+          <button
+            onClick={() => downloadText('annotations.json', annotationsToJson(annotations), 'application/json')}
+            disabled={total === 0}
+            className={`${iconButton} disabled:opacity-40`}
+            title={`Export annotations for every ticker (${total})`}
+          >
+            <Download size={14} />
+          </button>
+          <input ref={fileInput} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+        </div>
+      </div>
+
+      {tool && (
+        <p className="text-[11px] text-yellow-400/80">
+          {drawing.start?.ticker === ticker ? `From ${drawing.start.date} at ${drawing.start.price.toFixed(2)} — click the second point.` : tool.hint}
+        </p>
+      )}
+      {(drawing.error || error) && <p className="text-[11px] text-red-400">{drawing.error || error}</p>}
+
+      {list.length === 0 ? (
+        <p className="text-xs text-slate-500">No annotations for {ticker}. They are saved per ticker and shown on every time range.</p>
+      ) : (
+        <ul className="space-y-1">
+          {list.map(a => (
+            <li key={a.id} className="flex items-center gap-2 text-xs">
+              <span className="w-16 text-slate-400 capitalize">{a.type}</span>
+              {a.type === 'level' ? (
+                <input
+                  key={a.price}
+                  type="number"
+                  step="0.01"
+                  defaultValue={a.price}
+                  onBlur={(e) => { if (Number(e.target.value) !== a.price) editLevel(a.id, e.target.value); }}
+                  className={`${inputClass} w-24 font-mono`}
+                />
+              ) : (
+                <span className="flex-1 truncate font-mono text-slate-300" title={describe(a)}>{describe(a)}</span>
+              )}
+              <button onClick={() => onChange(removeAnnotation(annotations, ticker, a.id))} className={`${iconButton} ml-auto`} title="Delete">
+                <Trash2 size={12} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
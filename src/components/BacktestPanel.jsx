@@ -0,0 +1,177 @@
+import React, { useMemo, useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts';
+import { History } from 'lucide-react';
+import { runBacktest } from '../lib/backtest.js';
+
+const pct = (v, digits = 1) => v == null ? '—' : `${v > 0 ? '+' : ''}${(v * 100).toFixed(digits)}%`;
+const tone = (v) => v > 0 ? 'text-green-400' : v < 0 ? 'text-red-400' : 'text-slate-400';
+
+const COST_OPTIONS = [0, 5, 10, 25];
+
+export default function BacktestPanel({ data, weights, ticker, risk, params }) {
+  const [allowShort, setAllowShort] = useState(true);
+  const [costBps, setCostBps] = useState(5);
+
+  const result = useMemo(
+    () => runBacktest(data, { weights, allowShort, costBps, risk, params }),
+    [data, weights, allowShort, costBps, risk, params]
+  );
+
+  const rows = result ? [
+    { label: 'Total Return', strategy: pct(result.strategy.totalReturn), benchmark: pct(result.benchmark.totalReturn), s: result.strategy.totalReturn, b: result.benchmark.totalReturn },
+    { label: 'CAGR', strategy: pct(result.strategy.cagr), benchmark: pct(result.benchmark.cagr), s: result.strategy.cagr, b: result.benchmark.cagr },
+    { label: 'Max Drawdown', strategy: pct(result.strategy.maxDrawdown), benchmark: pct(result.benchmark.maxDrawdown), s: result.strategy.maxDrawdown, b: result.benchmark.maxDrawdown },
+    { label: 'Sharpe', strategy: result.strategy.sharpe.toFixed(2), benchmark: result.benchmark.sharpe.toFixed(2), s: result.strategy.sharpe, b: result.benchmark.sharpe },
+  ] : [];
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-5 border border-slate-700">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="font-semibold text-slate-100 flex items-center gap-2">
+          <History size={16} className="text-blue-400" />
+          {ticker} Verdict Backtest
+        </h3>
+        <div className="flex items-center gap-3 text-xs">
+          <label className="flex items-center gap-1 text-slate-400 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={allowShort}
+              onChange={(e) => setAllowShort(e.target.checked)}
+              className="accent-blue-500"
+            />
+            Short on SELL
+          </label>
+          <div className="flex bg-slate-700/50 rounded-lg p-1 gap-1">
+            {COST_OPTIONS.map((bps) => (
+              <button
+                key={bps}
+                onClick={() => setCostBps(bps)}
+                className={`px-2 py-1 font-medium rounded transition-all ${
+                  costBps === bps
+                    ? 'bg-blue-600 text-white shadow-sm'
+                    : 'text-slate-400 hover:text-slate-200 hover:bg-slate-600/50'
+                }`}
+              >
+                {bps}bp
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {!result ? (
+        <p className="text-xs text-slate-500">Not enough history to backtest {ticker}.</p>
+      ) : (
+        <>
+          <div className="h-[200px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={result.curve}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" vertical={false} />
+                <XAxis
+                  dataKey="date"
+                  tickFormatter={(tick) => {
+                    const d = new Date(tick);
+                    return `${d.toLocaleString('default', { month: 'short' })} ${String(d.getFullYear()).slice(-2)}`;
+                  }}
+                  minTickGap={30}
+                  tick={{fill: '#94a3b8', fontSize: 10}}
+                  axisLine={false}
+                  tickLine={false}
+                />
+                <YAxis
+                  domain={['auto', 'auto']}
+                  orientation="right"
+                  tickFormatter={(val) => `${((val - 1) * 100).toFixed(0)}%`}
+                  tick={{fill: '#94a3b8', fontSize: 10}}
+                  axisLine={false}
+                  tickLine={false}
+                />
+                <Tooltip
+                  contentStyle={{backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px'}}
+                  itemStyle={{color: '#e2e8f0'}}
+                  labelFormatter={(label) => new Date(label).toLocaleDateString()}
+                  formatter={(value, name) => [pct(value - 1, 2), name === 'strategy' ? 'Strategy' : 'Buy & Hold']}
+                />
+                <ReferenceLine y={1} stroke="#475569" strokeDasharray="3 3" />
+                <Line type="monotone" dataKey="benchmark" stroke="#64748b" dot={false} strokeWidth={1.5} />
+                <Line type="monotone" dataKey="strategy" stroke="#3b82f6" dot={false} strokeWidth={2} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-slate-400 uppercase tracking-wider border-b border-slate-700">
+                  <th className="text-left py-2 font-medium">Metric</th>
+                  <th className="text-right py-2 font-medium text-blue-400">Strategy</th>
+                  <th className="text-right py-2 font-medium">Buy &amp; Hold</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={r.label} className="border-b border-slate-700/50">
+                    <td className="py-1.5 text-slate-400">{r.label}</td>
+                    <td className={`py-1.5 text-right font-mono ${tone(r.s)}`}>{r.strategy}</td>
+                    <td className={`py-1.5 text-right font-mono ${tone(r.b)}`}>{r.benchmark}</td>
+                  </tr>
+                ))}
+                <tr className="border-b border-slate-700/50">
+                  <td className="py-1.5 text-slate-400">Hit Rate</td>
+                  <td className="py-1.5 text-right font-mono text-slate-200">
+                    {result.hitRate == null ? '—' : `${(result.hitRate * 100).toFixed(0)}%`}
+                  </td>
+                  <td className="py-1.5 text-right text-slate-500">—</td>
+                </tr>
+                <tr>
+                  <td className="py-1.5 text-slate-400">Time in Market</td>
+                  <td className="py-1.5 text-right font-mono text-slate-200">{(result.timeInMarket * 100).toFixed(0)}%</td>
+                  <td className="py-1.5 text-right font-mono text-slate-500">100%</td>
+                </tr>
+              </tbody>
+            </table>
+
+            <div className="max-h-[180px] overflow-y-auto">
+              <table className="w-full text-xs">
+                <thead className="sticky top-0 bg-slate-800">
+                  <tr className="text-slate-400 uppercase tracking-wider border-b border-slate-700">
+                    <th className="text-left py-2 font-medium">Side</th>
+                    <th className="text-left py-2 font-medium">Entry</th>
+                    <th className="text-left py-2 font-medium">Exit</th>
+                    <th className="text-right py-2 font-medium">Return</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.trades.length === 0 && (
+                    <tr><td colSpan={4} className="py-3 text-center text-slate-500">No trades — verdict stayed NEUTRAL.</td></tr>
+                  )}
+                  {[...result.trades].reverse().map((t) => (
+                    <tr key={t.entryDate} className="border-b border-slate-700/50">
+                      <td className={`py-1.5 font-semibold ${t.side === 'LONG' ? 'text-green-400' : 'text-red-400'}`}>{t.side}</td>
+                      <td className="py-1.5 text-slate-300 font-mono">{t.entryDate}</td>
+                      <td className="py-1.5 text-slate-300 font-mono">{t.open ? 'open' : t.exitDate}</td>
+                      <td className={`py-1.5 text-right font-mono ${tone(t.return)}`}>{pct(t.return)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <p className="text-[10px] text-slate-500 mt-3">
+            {result.startDate} → {result.endDate}. Trades at the close after each verdict, sized by the Risk Management rule, {costBps}bp per unit turnover. Sentiment uses the fast-SMA proxy since historical analyst ratings are unavailable.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import React from 'react';
+
+// Custom Recharts <Bar> shape. The bar is plotted as a [low, high] range, so
+// its box spans the full wick; open/close are placed inside it by ratio.
+export default function Candlestick({ x, y, width, height, payload }) {
+  if (!payload || payload.high == null || payload.low == null || height == null) return null;
+  const { open, high, low, price: close } = payload;
+
+  const top = Math.min(y, y + height);
+  const span = Math.abs(height);
+  const range = high - low;
+  const ratio = range > 0 ? span / range : 0;
+  const yOf = (v) => top + (high - v) * ratio;
+
+  const up = close >= open;
+  const color = up ? '#22c55e' : '#ef4444';
+  const bodyTop = yOf(Math.max(open, close));
+  const bodyHeight = Math.max(Math.abs(open - close) * ratio, 1);
+  const bodyWidth = Math.max(width * 0.7, 1);
+  const cx = x + width / 2;
+
+  return (
+    <g>
+      <line x1={cx} x2={cx} y1={top} y2={top + span} stroke={color} strokeWidth={1} />
+      <rect x={cx - bodyWidth / 2} y={bodyTop} width={bodyWidth} height={bodyHeight} fill={color} stroke={color} />
+    </g>
+  );
+}
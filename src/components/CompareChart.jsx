@@ -0,0 +1,141 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { X } from 'lucide-react';
+import { adjustBars } from '../lib/adjust.js';
+import { buildComparison } from '../lib/compare.js';
+import { createProviderChain } from '../lib/providers/index.js';
+
+const COLORS = ['#3b82f6', '#f59e0b', '#10b981', '#ec4899', '#8b5cf6', '#06b6d4', '#ef4444', '#84cc16'];
+
+// Fetched bars are keyed by the provider chain they came from, so going
+// offline or reordering providers fetches again instead of reusing them.
+const chainIds = new WeakMap();
+const chainId = (providers) => {
+  if (!chainIds.has(providers)) chainIds.set(providers, chainIds.size + 1);
+  return chainIds.get(providers);
+};
+const fetchKey = (providers, sym, rangeConfig) => `${chainId(providers)}|${sym}|${rangeConfig.label}`;
+
+const pct = (v, digits = 1) => v == null ? '—' : `${v > 0 ? '+' : ''}${(v * 100).toFixed(digits)}%`;
+
+// Percentage-return overlay of `symbols` over the chart's range, with a
+// return/volatility/drawdown table. `symbols[0]` is the analyzed ticker; the
+// others can be removed from the table. Fetched bars are kept per provider
+// chain, symbol and range, so adding a symbol only fetches that one. Like the
+// screener, simulated prices are never compared: a symbol no real provider
+// has is listed with their errors.
+export default function CompareChart({ providers, symbols, rangeConfig, priceMode, onRemove }) {
+  const [fetched, setFetched] = useState({});
+  // Keys being fetched, so re-renders while a request is out don't repeat it.
+  const pending = useRef(new Set());
+  const chain = useMemo(() => (providers.providers
+    ? createProviderChain(providers.providers.filter(p => p.id !== 'simulated'))
+    : providers), [providers]);
+
+  useEffect(() => {
+    const missing = symbols
+      .map(sym => [sym, fetchKey(providers, sym, rangeConfig)])
+      .filter(([, key]) => !(key in fetched) && !pending.current.has(key));
+    for (const [sym, key] of missing) {
+      pending.current.add(key);
+      chain.getHistory(sym, rangeConfig).then(
+        ({ data, source }) => source === 'simulated' ? { error: 'no real price history' } : { raw: data },
+        (err) => ({ error: err.message })
+      ).then((entry) => {
+        pending.current.delete(key);
+        setFetched(prev => ({ ...prev, [key]: entry }));
+      });
+    }
+  }, [symbols, rangeConfig, providers, chain, fetched]);
+
+  const entries = symbols.map(sym => [sym, fetched[fetchKey(providers, sym, rangeConfig)]]);
+  const loading = entries.filter(([, entry]) => !entry).map(([sym]) => sym);
+  const failed = entries.filter(([, entry]) => entry?.error);
+  const barsBySymbol = useMemo(() => Object.fromEntries(symbols.flatMap(sym => {
+    const entry = fetched[fetchKey(providers, sym, rangeConfig)];
+    return entry?.raw ? [[sym, adjustBars(entry.raw, priceMode)]] : [];
+  })), [symbols, fetched, providers, rangeConfig, priceMode]);
+  const { rows, stats } = useMemo(() => buildComparison(barsBySymbol, rangeConfig), [barsBySymbol, rangeConfig]);
+  const colorOf = (sym) => COLORS[symbols.indexOf(sym) % COLORS.length];
+
+  return (
+    <div className="space-y-4">
+      <div className="h-[330px]">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={rows}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#334155" vertical={false} />
+            <XAxis
+              dataKey="date"
+              tickFormatter={(tick) => {
+                const d = new Date(tick);
+                return `${d.toLocaleString('default', { month: 'short' })} ${String(d.getFullYear()).slice(-2)}`;
+              }}
+              minTickGap={30}
+              tick={{ fill: '#94a3b8', fontSize: 10 }}
+              axisLine={false}
+              tickLine={false}
+            />
+            <YAxis
+              orientation="right"
+              tickFormatter={(v) => `${(v * 100).toFixed(0)}%`}
+              tick={{ fill: '#94a3b8', fontSize: 10 }}
+              axisLine={false}
+              tickLine={false}
+            />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+              labelFormatter={(label) => new Date(label).toLocaleDateString()}
+              formatter={(value, name) => [pct(value, 2), name]}
+            />
+            <ReferenceLine y={0} stroke="#64748b" strokeDasharray="3 3" />
+            {stats.map(({ symbol }) => (
+              <Line key={symbol} type="monotone" dataKey={symbol} stroke={colorOf(symbol)} dot={false} strokeWidth={symbol === symbols[0] ? 2 : 1.5} isAnimationActive={false} />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-slate-400 uppercase tracking-wider border-b border-slate-700">
+            <th className="text-left py-2 font-medium">Symbol</th>
+            <th className="text-right py-2 font-medium">Return</th>
+            <th className="text-right py-2 font-medium">Volatility</th>
+            <th className="text-right py-2 font-medium">Max drawdown</th>
+            <th className="text-right py-2 font-medium">From</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {stats.map(s => (
+            <tr key={s.symbol} className="border-b border-slate-700/50">
+              <td className="py-1.5 font-semibold text-slate-200">
+                <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ backgroundColor: colorOf(s.symbol) }} />
+                {s.symbol}
+              </td>
+              <td className={`text-right font-mono ${s.totalReturn >= 0 ? 'text-green-400' : 'text-red-400'}`}>{pct(s.totalReturn)}</td>
+              <td className="text-right font-mono text-slate-300">{s.volatility == null ? '—' : `${(s.volatility * 100).toFixed(1)}%`}</td>
+              <td className="text-right font-mono text-red-400">{pct(s.maxDrawdown)}</td>
+              <td className="text-right font-mono text-slate-500">{s.start}</td>
+              <td className="text-right">
+                {s.symbol !== symbols[0] && (
+                  <button onClick={() => onRemove(s.symbol)} className="p-0.5 rounded text-slate-500 hover:text-red-400" title="Remove from comparison">
+                    <X size={12} />
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {(loading.length > 0 || failed.length > 0 || symbols.length < 2) && (
+        <p className="text-[11px] text-slate-500">
+          {symbols.length < 2 && 'Click watchlist chips to add symbols to the comparison. '}
+          {loading.length > 0 && `Loading ${loading.join(', ')}… `}
+          {failed.map(([sym, e]) => `${sym}: ${e.error}`).join(' · ')}
+        </p>
+      )}
+    </div>
+  );
+}
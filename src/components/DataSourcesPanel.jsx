@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { Database, ChevronUp, ChevronDown, Upload, X, Wifi, WifiOff } from 'lucide-react';
+import { describeProvider } from '../lib/providers/index.js';
+import { parsePriceFile } from '../lib/providers/local.js';
+
+const METHOD_LABELS = { getHistory: 'History', getQuote: 'Quote', getRecommendations: 'Ratings', getProfile: 'Profile', getEarnings: 'Earnings' };
+
+// "aapl_daily.csv" -> "AAPL"
+const symbolFromFilename = (name) => name.replace(/\.[^.]+$/, '').split('_')[0].trim().toUpperCase();
+
+export default function DataSourcesPanel({
+  order, available, onOrderChange, localFiles, onLocalFilesChange,
+  offline, onOfflineChange, cacheStore, cacheVersion, onCacheCleared,
+}) {
+  const [importError, setImportError] = useState(null);
+  const [cachedKeys, setCachedKeys] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    cacheStore.keys()
+      .then(keys => { if (!cancelled) setCachedKeys(keys); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [cacheStore, cacheVersion]);
+
+  const clearCache = async () => {
+    await cacheStore.clear();
+    setCachedKeys([]);
+    onCacheCleared();
+  };
+
+  const move = (index, delta) => {
+    const next = [...order];
+    const [item] = next.splice(index, 1);
+    next.splice(index + delta, 0, item);
+    onOrderChange(next);
+  };
+
+  const toggle = (id) => onOrderChange(order.map(o => o.id === id ? { ...o, enabled: !o.enabled } : o));
+
+  const importFiles = async (fileList) => {
+    setImportError(null);
+    const next = { ...localFiles };
+    const problems = [];
+    for (const file of Array.from(fileList)) {
+      const symbol = symbolFromFilename(file.name);
+      try {
+        const text = await file.text();
+        const bars = parsePriceFile(text);
+        if (bars.length === 0) throw new Error('no usable bars');
+        next[symbol] = {
+          name: file.name,
+          text,
+          bars: bars.length,
+          first: bars[0].date,
+          last: bars[bars.length - 1].date,
+        };
+      } catch (err) {
+        problems.push(`${file.name}: ${err.message}`);
+      }
+    }
+    try {
+      onLocalFilesChange(next);
+    } catch (err) {
+      problems.push(`Could not save files (${err.message})`);
+    }
+    if (problems.length) setImportError(problems.join('; '));
+  };
+
+  const remove = (symbol) => {
+    const next = { ...localFiles };
+    delete next[symbol];
+    onLocalFilesChange(next);
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-5 border border-slate-700">
+      <div className="flex items-center gap-2 mb-4 text-slate-100">
+        <Database size={18} />
+        <h3 className="font-semibold flex-1">Data Sources</h3>
+        <button
+          onClick={() => onOfflineChange(!offline)}
+          className={`flex items-center gap-1 px-2 py-0.5 rounded text-[11px] border transition-colors ${offline ? 'border-amber-500/50 text-amber-300 bg-amber-500/10' : 'border-slate-600 text-slate-400 hover:text-slate-200'}`}
+          title={offline ? 'Offline: only cached prices are used' : 'Switch to cached prices only'}
+        >
+          {offline ? <WifiOff size={12} /> : <Wifi size={12} />}
+          {offline ? 'Offline' : 'Online'}
+        </button>
+      </div>
+
+      <p className="text-[10px] text-slate-500 mb-2">Tried top to bottom; the first source with data wins.</p>
+      <div className="space-y-1.5">
+        {order.map((o, i) => {
+          const provider = available[o.id];
+          if (!provider) return null;
+          const info = describeProvider(provider);
+          return (
+            <div key={o.id} className={`flex items-center gap-2 rounded-lg px-2 py-1.5 border ${o.enabled ? 'border-slate-600 bg-slate-900/40' : 'border-slate-700/50 opacity-50'}`}>
+              <input type="checkbox" checked={o.enabled} onChange={() => toggle(o.id)} className="accent-blue-500" />
+              <div className="flex-1 min-w-0">
+                <p className="text-xs text-slate-200">
+                  {info.label}
+                  {!info.available && <span className="text-slate-500">{offline ? ' (offline)' : ' (not configured)'}</span>}
+                </p>
+                <p className="text-[10px] text-slate-500 truncate">{info.methods.map(m => METHOD_LABELS[m]).join(' · ')}</p>
+              </div>
+              <button disabled={i === 0} onClick={() => move(i, -1)} className="text-slate-500 hover:text-blue-400 disabled:opacity-30">
+                <ChevronUp size={14} />
+              </button>
+              <button disabled={i === order.length - 1} onClick={() => move(i, 1)} className="text-slate-500 hover:text-blue-400 disabled:opacity-30">
+                <ChevronDown size={14} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="mt-4 pt-4 border-t border-slate-700">
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-xs text-slate-400">Local Bar Files</span>
+          <label className="flex items-center gap-1 text-xs text-blue-400 hover:text-blue-300 cursor-pointer">
+            <Upload size={12} /> Import
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              multiple
+              className="hidden"
+              onChange={(e) => { importFiles(e.target.files); e.target.value = ''; }}
+            />
+          </label>
+        </div>
+        {Object.keys(localFiles).length === 0 ? (
+          <p className="text-[10px] text-slate-500">Daily bars as CSV (date, close, volume) or JSON, one file per ticker named like AAPL.csv.</p>
+        ) : (
+          <ul className="space-y-1">
+            {Object.entries(localFiles).map(([symbol, f]) => (
+              <li key={symbol} className="flex items-center justify-between text-[11px]">
+                <span className="text-slate-200 font-semibold">{symbol}</span>
+                <span className="text-slate-500 font-mono">{f.bars} bars · {f.first} → {f.last}</span>
+                <button onClick={() => remove(symbol)} className="text-slate-500 hover:text-red-400">
+                  <X size={12} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {importError && <p className="text-[10px] text-red-400 mt-2">{importError}</p>}
+      </div>
+
+      <div className="mt-4 pt-4 border-t border-slate-700 flex justify-between items-center">
+        <span className="text-xs text-slate-400" title="Yahoo Finance bars kept in this browser and topped up with only the newer bars">
+          Price Cache
+          <span className="text-[10px] text-slate-500 font-mono ml-2">
+            {cachedKeys.length} series · {new Set(cachedKeys.map(k => String(k).split(':')[0])).size} tickers
+          </span>
+        </span>
+        {cachedKeys.length > 0 && (
+          <button onClick={clearCache} className="text-[10px] text-slate-500 hover:text-red-400">Clear</button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import React from 'react';
+import { usePlotArea, useActiveTooltipLabel } from 'recharts';
+
+// Rendered inside the price chart while a drawing tool is active: a
+// transparent rect over the plot area that turns a click into { date, price }.
+// The date is the bar under the tooltip; the price is read off the click's
+// height, so the Y axis must use the fixed `domain` passed here.
+export default function DrawingLayer({ domain, onPick }) {
+  const plot = usePlotArea();
+  const date = useActiveTooltipLabel();
+  if (!plot) return null;
+
+  const handleClick = (e) => {
+    if (!date) return;
+    const fraction = (e.clientY - e.currentTarget.getBoundingClientRect().top) / plot.height;
+    onPick({ date, price: domain[1] - fraction * (domain[1] - domain[0]) });
+  };
+
+  return (
+    <rect
+      x={plot.x}
+      y={plot.y}
+      width={plot.width}
+      height={plot.height}
+      fill="transparent"
+      style={{ cursor: 'crosshair' }}
+      onClick={handleClick}
+    />
+  );
+}
@@ -0,0 +1,85 @@
+import React from 'react';
+import { CalendarClock } from 'lucide-react';
+import { EARNINGS_ACTIONS, EARNINGS_HOURS, epsSurprise } from '../lib/earnings.js';
+
+const LIST_LIMIT = 8;
+
+const eps = (v) => (v == null ? '—' : v.toFixed(2));
+const inDays = (days) => (days === 0 ? 'today' : `in ${days} day${days === 1 ? '' : 's'}`);
+
+// Sidebar card for the ticker's earnings calendar: the next report and
+// whether the event-risk rule is acting on the verdict or size, then the
+// latest reports with EPS estimate, actual and surprise. `scores` is
+// applyEventRisk output for the last bar.
+export default function EarningsPanel({ events, scores, settings, ticker }) {
+  const next = scores.nextEarnings;
+  const eventRisk = scores.eventRisk;
+  const shown = events.slice(-LIST_LIMIT).reverse();
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-5 border border-slate-700">
+      <h3 className="font-semibold text-slate-100 flex items-center gap-2 mb-3">
+        <CalendarClock size={16} className="text-sky-400" />
+        Earnings
+      </h3>
+
+      {events.length === 0 ? (
+        <p className="text-xs text-slate-500">No earnings dates for {ticker}. They come from Finnhub's earnings calendar.</p>
+      ) : (
+        <>
+          <div className="text-sm mb-2">
+            {next ? (
+              <span className="text-slate-200">
+                Next: <span className="font-mono">{next.date}</span>
+                {next.hour && <span className="text-slate-400"> {EARNINGS_HOURS[next.hour]}</span>}
+                <span className="text-slate-400"> · {inDays(next.days)}</span>
+              </span>
+            ) : (
+              <span className="text-slate-500">No upcoming report in the calendar.</span>
+            )}
+          </div>
+          {eventRisk ? (
+            <p className="text-[11px] text-amber-400 bg-amber-500/10 border border-amber-500/30 rounded px-2 py-1 mb-3">
+              {eventRisk.action === 'neutral'
+                ? `Event risk: verdict held at NEUTRAL${eventRisk.verdict !== 'NEUTRAL' ? ` (factors say ${eventRisk.verdict})` : ''}`
+                : `Event risk: position cut to ×${Math.min(1, settings.earningsScale).toFixed(2)}`}
+            </p>
+          ) : (
+            <p className="text-[10px] text-slate-500 mb-3">
+              {settings.earningsAction === 'off'
+                ? 'Event-risk rule off.'
+                : `Event risk (${EARNINGS_ACTIONS[settings.earningsAction].toLowerCase()}) applies ${settings.earningsWindow} days before a report.`}
+            </p>
+          )}
+          <table className="w-full text-[11px]">
+            <thead>
+              <tr className="text-slate-500 border-b border-slate-700">
+                <th className="text-left py-1 font-medium">Date</th>
+                <th className="text-left py-1 font-medium">Qtr</th>
+                <th className="text-right py-1 font-medium">Est.</th>
+                <th className="text-right py-1 font-medium">Actual</th>
+                <th className="text-right py-1 font-medium">Surprise</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(e => {
+                const surprise = epsSurprise(e);
+                return (
+                  <tr key={e.date} className={`border-b border-slate-700/50 ${e.date === next?.date ? 'text-sky-300' : 'text-slate-300'}`}>
+                    <td className="py-1 font-mono" title={e.hour ? EARNINGS_HOURS[e.hour] : undefined}>{e.date}</td>
+                    <td className="py-1 text-slate-400">{e.quarter && e.year ? `Q${e.quarter} ${e.year}` : '—'}</td>
+                    <td className="py-1 text-right font-mono">{eps(e.epsEstimate)}</td>
+                    <td className="py-1 text-right font-mono">{eps(e.epsActual)}</td>
+                    <td className={`py-1 text-right font-mono ${surprise > 0 ? 'text-green-400' : surprise < 0 ? 'text-red-400' : 'text-slate-500'}`}>
+                      {surprise == null ? '—' : `${surprise > 0 ? '+' : ''}${(surprise * 100).toFixed(1)}%`}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import React from 'react';
+import { getFactors } from '../lib/factors/index.js';
+import { factorColor } from './factorStyles.js';
+
+const VERDICT_COLORS = { BUY: 'text-green-400', SELL: 'text-red-400', NEUTRAL: 'text-slate-400' };
+
+const signed = (v, digits) => `${v > 0 ? '+' : ''}${v.toFixed(digits)}`;
+
+// One day of a verdict timeline (see lib/timeline.js): the verdict, and each
+// weighted factor's score, contribution and description. Used by the flip
+// markers on the price chart and the factor band's tooltip.
+export default function FactorBreakdown({ row, weights }) {
+  const factors = getFactors().filter(f => weights[f.id]);
+  return (
+    <div className="bg-slate-800 border border-slate-700 rounded-lg p-3 text-xs shadow-xl w-72 space-y-2">
+      <div className="flex justify-between items-baseline">
+        <span className="text-slate-400">{new Date(row.date).toLocaleDateString()}</span>
+        <span className="font-mono">
+          {row.previous && <span className={VERDICT_COLORS[row.previous]}>{row.previous} → </span>}
+          <span className={`font-bold ${VERDICT_COLORS[row.verdict]}`}>{row.verdict}</span>
+          <span className="text-slate-500 ml-2">{signed(row.total, 2)}</span>
+        </span>
+      </div>
+      {row.eventRisk?.action === 'neutral' && row.eventRisk.verdict !== 'NEUTRAL' && (
+        <p className="text-[10px] text-sky-400">
+          Earnings in {row.eventRisk.days}d ({row.eventRisk.date}) — {row.eventRisk.verdict} held at NEUTRAL
+        </p>
+      )}
+      {factors.map(f => (
+        <div key={f.id}>
+          <div className="flex justify-between">
+            <span className="flex items-center gap-1.5 text-slate-300">
+              <span className="w-2 h-2 rounded-sm" style={{ backgroundColor: factorColor(f).hex }} />
+              {f.label}
+            </span>
+            <span className="font-mono text-slate-400">
+              {signed(row[f.id], 0)} × {(weights[f.id] * 100).toFixed(0)}% = <span className={row[f.id] > 0 ? 'text-green-400' : row[f.id] < 0 ? 'text-red-400' : 'text-slate-400'}>{signed(row[f.id] * weights[f.id], 2)}</span>
+            </span>
+          </div>
+          <p className="text-[10px] text-slate-500 leading-snug">{row.descriptions[f.id]}</p>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, Settings, Trash2, Save } from 'lucide-react';
+import { DEFAULT_INDICATOR_PARAMS, RSI_METHOD_LABELS, normalizeIndicatorParams } from '../lib/indicators.js';
+import { activeProfile, updateActiveProfile, saveProfileAs, deleteProfile } from '../lib/profiles.js';
+
+const inputClass = 'bg-slate-900 border border-slate-700 text-slate-200 px-2 py-1 rounded text-xs focus:outline-none focus:border-blue-500';
+
+const FIELDS = [
+  { key: 'smaFast', label: 'Fast SMA period', step: 1 },
+  { key: 'smaSlow', label: 'Slow SMA period', step: 1 },
+  { key: 'rsiPeriod', label: 'RSI period', step: 1 },
+  { key: 'rsiOverbought', label: 'RSI overbought', step: 1 },
+  { key: 'rsiOversold', label: 'RSI oversold', step: 1 },
+  { key: 'bbWindow', label: 'Bollinger window', step: 1 },
+  { key: 'bbStdDev', label: 'Bollinger width (σ)', step: 0.1 },
+  { key: 'atrPeriod', label: 'ATR period', step: 1 },
+  { key: 'kcPeriod', label: 'Keltner EMA period', step: 1 },
+  { key: 'kcMultiplier', label: 'Keltner width (× ATR)', step: 0.1 },
+  { key: 'macdFast', label: 'MACD fast EMA', step: 1 },
+  { key: 'macdSlow', label: 'MACD slow EMA', step: 1 },
+  { key: 'macdSignalPeriod', label: 'MACD signal period', step: 1 },
+  { key: 'volumePeriod', label: 'Volume average (bars)', step: 1 },
+  { key: 'zThreshold', label: 'Z-score threshold (±)', step: 0.1 },
+  { key: 'buyThreshold', label: 'BUY above score', step: 0.05 },
+  { key: 'sellThreshold', label: 'SELL below score (−)', step: 0.05 },
+];
+
+// Edits a draft and only applies it once it validates, so half-typed periods
+// don't recompute every indicator on each keystroke.
+const ParamsForm = ({ params, onApply }) => {
+  const [draft, setDraft] = useState(params);
+  const [error, setError] = useState(null);
+
+  const apply = (e) => {
+    e.preventDefault();
+    try {
+      onApply(normalizeIndicatorParams(draft));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form onSubmit={apply} className="space-y-2 pt-3 border-t border-slate-700">
+      {FIELDS.map(({ key, label, step }) => (
+        <label key={key} className="flex justify-between items-center gap-2 text-[11px] text-slate-400">
+          {label}
+          <input
+            type="number"
+            step={step}
+            value={draft[key]}
+            onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+            className={`${inputClass} w-20 text-right font-mono`}
+          />
+        </label>
+      ))}
+      <label className="flex justify-between items-center gap-2 text-[11px] text-slate-400">
+        RSI smoothing
+        <select value={draft.rsiMethod} onChange={(e) => setDraft({ ...draft, rsiMethod: e.target.value })} className={inputClass}>
+          {Object.entries(RSI_METHOD_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </label>
+      {error && <p className="text-[11px] text-red-400">{error}</p>}
+      <div className="flex justify-end gap-2 pt-1">
+        <button
+          type="button"
+          onClick={() => onApply({ ...DEFAULT_INDICATOR_PARAMS })}
+          className="px-2 py-1 rounded text-xs text-slate-400 hover:text-slate-200 hover:bg-slate-700 transition-colors"
+        >
+          Reset
+        </button>
+        <button type="submit" className="bg-blue-600 hover:bg-blue-500 text-white px-3 py-1 rounded text-xs font-medium transition-colors">
+          Apply
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// `weights` are the active watchlist's; the profile keeps its own copy, loaded
+// when it is selected and updated with "Save weights".
+export default function IndicatorSettingsPanel({ profiles, weights, onProfilesChange }) {
+  const [editing, setEditing] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState(null);
+  const profile = activeProfile(profiles);
+  const params = profile.indicators;
+  const names = Object.keys(profiles.profiles);
+  const weightsChanged = Object.keys(weights).some(key => (weights[key] || 0) !== (profile.weights[key] || 0));
+
+  const handleSaveAs = (e) => {
+    e.preventDefault();
+    try {
+      onProfilesChange(saveProfileAs(profiles, newName, { weights }));
+      setNewName('');
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-5 border border-slate-700">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-semibold text-slate-100 flex items-center gap-2">
+          <SlidersHorizontal size={16} className="text-blue-400" />
+          Strategy Profile
+        </h3>
+        <button
+          onClick={() => setEditing(!editing)}
+          className={`p-1 rounded transition-colors ${editing ? 'text-blue-400' : 'text-slate-500 hover:text-slate-300'}`}
+          title="Edit parameters"
+        >
+          <Settings size={14} />
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2 mb-2">
+        <select
+          value={profiles.active}
+          onChange={(e) => onProfilesChange({ ...profiles, active: e.target.value })}
+          className={`${inputClass} flex-1`}
+          title="Strategy profile"
+        >
+          {names.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <button
+          onClick={() => onProfilesChange(deleteProfile(profiles, profiles.active))}
+          disabled={names.length < 2}
+          className="text-slate-500 hover:text-red-400 disabled:opacity-30 transition-colors"
+          title="Delete profile"
+        >
+          <Trash2 size={14} />
+        </button>
+      </div>
+
+      <p className="text-[10px] text-slate-500 font-mono mb-3">
+        SMA {params.smaFast}/{params.smaSlow} · RSI {params.rsiPeriod} {params.rsiMethod === 'wilder' ? 'Wilder' : 'simple'} {params.rsiOversold}/{params.rsiOverbought} · BB {params.bbWindow}/{params.bbStdDev}σ · ATR {params.atrPeriod} · KC {params.kcPeriod}/{params.kcMultiplier}× · MACD {params.macdFast}/{params.macdSlow}/{params.macdSignalPeriod} · Vol {params.volumePeriod} · Z ±{params.zThreshold}
+        <br />
+        BUY &gt; {params.buyThreshold} · SELL &lt; −{params.sellThreshold} · σ target {(profile.risk.targetVol * 100).toFixed(0)}%
+      </p>
+
+      {weightsChanged && (
+        <div className="flex items-center justify-between gap-2 mb-3 text-[11px] text-amber-400">
+          Weights differ from this profile.
+          <button
+            onClick={() => onProfilesChange(updateActiveProfile(profiles, { weights }))}
+            className="flex items-center gap-1 px-2 py-0.5 rounded text-slate-300 bg-slate-700 hover:bg-slate-600 transition-colors"
+          >
+            <Save size={12} /> Save weights
+          </button>
+        </div>
+      )}
+
+      {editing && (
+        <>
+          <ParamsForm
+            key={`${profiles.active}:${JSON.stringify(params)}`}
+            params={params}
+            onApply={(next) => onProfilesChange(updateActiveProfile(profiles, { indicators: next }))}
+          />
+          <form onSubmit={handleSaveAs} className="flex gap-2 mt-3 pt-3 border-t border-slate-700">
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New profile name"
+              className={`${inputClass} flex-1`}
+            />
+            <button type="submit" className="px-2 py-1 rounded text-xs text-slate-300 bg-slate-700 hover:bg-slate-600 transition-colors">
+              Save as
+            </button>
+          </form>
+          {error && <p className="text-[11px] text-red-400 mt-1">{error}</p>}
+        </>
+      )}
+    </div>
+  );
+}
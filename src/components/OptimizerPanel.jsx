@@ -0,0 +1,231 @@
+import React, { useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts';
+import { Sliders, RefreshCw, Check } from 'lucide-react';
+import { walkForward } from '../lib/optimizer.js';
+import { findWarmup } from '../lib/backtest.js';
+import { periodsPerYear } from '../lib/bars.js';
+import { getFactors } from '../lib/factors/index.js';
+import { factorColor } from './factorStyles.js';
+
+const pct = (v, digits = 1) => v == null ? '—' : `${v > 0 ? '+' : ''}${(v * 100).toFixed(digits)}%`;
+const tone = (v) => v > 0 ? 'text-green-400' : v < 0 ? 'text-red-400' : 'text-slate-400';
+
+const TRAIN_OPTIONS = [6, 12, 24];
+const TEST_OPTIONS = [1, 3, 6];
+const OBJECTIVES = [
+  { value: 'sharpe', label: 'Sharpe' },
+  { value: 'cagr', label: 'CAGR' },
+  { value: 'totalReturn', label: 'Return' },
+];
+
+const Toggle = ({ options, value, onChange, format = (o) => o }) => (
+  <div className="flex bg-slate-700/50 rounded-lg p-1 gap-1">
+    {options.map((o) => {
+      const key = typeof o === 'object' ? o.value : o;
+      return (
+        <button
+          key={key}
+          onClick={() => onChange(key)}
+          className={`px-2 py-1 font-medium rounded transition-all ${
+            value === key
+              ? 'bg-blue-600 text-white shadow-sm'
+              : 'text-slate-400 hover:text-slate-200 hover:bg-slate-600/50'
+          }`}
+        >
+          {format(o)}
+        </button>
+      );
+    })}
+  </div>
+);
+
+const WeightChips = ({ weights }) => (
+  <span className="font-mono flex gap-1.5">
+    {getFactors().map((f) => (
+      <span key={f.id} className={factorColor(f).text}>{f.abbr}{((weights[f.id] || 0) * 100).toFixed(0)}</span>
+    ))}
+  </span>
+);
+
+export default function OptimizerPanel({ data, weights, risk, params, onApply }) {
+  const [method, setMethod] = useState('grid');
+  const [trainMonths, setTrainMonths] = useState(6);
+  const [testMonths, setTestMonths] = useState(3);
+  const [objective, setObjective] = useState('sharpe');
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [run, setRun] = useState(null);
+
+  // A result only describes the history it was fitted on.
+  const result = run?.data === data ? run.result : null;
+
+  const perYear = periodsPerYear(data);
+  const trainBars = Math.round(perYear * trainMonths / 12);
+  const testBars = Math.max(1, Math.round(perYear * testMonths / 12));
+  const available = data.length - findWarmup(data);
+  const enough = available >= trainBars + testBars;
+
+  const optimize = async () => {
+    setRunning(true);
+    setProgress(null);
+    setError(null);
+    try {
+      const result = await walkForward(data, {
+        trainBars, testBars, method, objective, samples: 300, baseline: weights, risk, params,
+        onProgress: (done, total) => setProgress(done / total),
+      });
+      if (!result) throw new Error('not enough bars for one training and test window');
+      setRun({ data, result });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-5 border border-slate-700">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="font-semibold text-slate-100 flex items-center gap-2">
+          <Sliders size={16} className="text-blue-400" />
+          Walk-Forward Weight Optimizer
+        </h3>
+        <button
+          onClick={optimize}
+          disabled={running || !enough}
+          className="bg-blue-600 hover:bg-blue-500 disabled:bg-slate-700 disabled:text-slate-500 text-white px-3 py-1.5 rounded-lg text-xs font-medium transition-colors flex items-center gap-1"
+        >
+          {running && <RefreshCw className="animate-spin" size={12} />}
+          {running ? `Optimizing${progress ? ` ${Math.round(progress * 100)}%` : '...'}` : 'Run'}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs mb-4">
+        <Toggle options={['grid', 'random']} value={method} onChange={setMethod} format={(o) => o === 'grid' ? 'Grid 0.1' : 'Random 300'} />
+        <Toggle options={TRAIN_OPTIONS} value={trainMonths} onChange={setTrainMonths} format={(m) => `Train ${m}M`} />
+        <Toggle options={TEST_OPTIONS} value={testMonths} onChange={setTestMonths} format={(m) => `Test ${m}M`} />
+        <Toggle options={OBJECTIVES} value={objective} onChange={setObjective} format={(o) => o.label} />
+      </div>
+
+      {error && <p className="text-xs text-red-400 mb-3">Optimizer failed: {error}</p>}
+
+      {!enough && (
+        <p className="text-xs text-slate-500">
+          Need {trainBars + testBars} bars after indicator warm-up, have {Math.max(available, 0)}. Shorten the windows or pick a longer time range.
+        </p>
+      )}
+
+      {enough && !result && !running && (
+        <p className="text-xs text-slate-500">
+          Searches weightings that sum to 100% on each {trainMonths}M training window, then trades the winner on the following {testMonths}M. Factors that score 0 throughout a window stay at 0.
+        </p>
+      )}
+
+      {result && (
+        <>
+          <div className="grid grid-cols-3 gap-3 mb-4 text-xs">
+            {[
+              { label: 'Optimized (OOS)', stats: result.oos, color: 'text-blue-400' },
+              { label: 'Current Weights', stats: result.oosBaseline, color: 'text-slate-300' },
+              { label: 'Buy & Hold', stats: result.oosBenchmark, color: 'text-slate-400' },
+            ].map(({ label, stats, color }) => (
+              <div key={label} className="bg-slate-900/50 rounded-lg p-3 border border-slate-700/50">
+                <p className={`${color} font-semibold mb-1`}>{label}</p>
+                <p className="flex justify-between"><span className="text-slate-500">Return</span><span className={`font-mono ${tone(stats.totalReturn)}`}>{pct(stats.totalReturn)}</span></p>
+                <p className="flex justify-between"><span className="text-slate-500">Max DD</span><span className="font-mono text-red-400">{pct(stats.maxDrawdown)}</span></p>
+                <p className="flex justify-between"><span className="text-slate-500">Sharpe</span><span className="font-mono text-slate-200">{stats.sharpe.toFixed(2)}</span></p>
+              </div>
+            ))}
+          </div>
+
+          <div className="h-[160px] mb-4">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={result.oosCurve}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" vertical={false} />
+                <XAxis
+                  dataKey="date"
+                  tickFormatter={(tick) => {
+                    const d = new Date(tick);
+                    return `${d.toLocaleString('default', { month: 'short' })} ${String(d.getFullYear()).slice(-2)}`;
+                  }}
+                  minTickGap={30}
+                  tick={{fill: '#94a3b8', fontSize: 10}}
+                  axisLine={false}
+                  tickLine={false}
+                />
+                <YAxis
+                  domain={['auto', 'auto']}
+                  orientation="right"
+                  tickFormatter={(val) => `${((val - 1) * 100).toFixed(0)}%`}
+                  tick={{fill: '#94a3b8', fontSize: 10}}
+                  axisLine={false}
+                  tickLine={false}
+                />
+                <Tooltip
+                  contentStyle={{backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px'}}
+                  itemStyle={{color: '#e2e8f0'}}
+                  labelFormatter={(label) => new Date(label).toLocaleDateString()}
+                  formatter={(value, name) => [pct(value - 1, 2), { strategy: 'Optimized', baseline: 'Current', benchmark: 'Buy & Hold' }[name]]}
+                />
+                <ReferenceLine y={1} stroke="#475569" strokeDasharray="3 3" />
+                <Line type="monotone" dataKey="benchmark" stroke="#64748b" dot={false} strokeWidth={1.5} />
+                <Line type="monotone" dataKey="baseline" stroke="#cbd5e1" dot={false} strokeWidth={1.5} strokeDasharray="4 2" />
+                <Line type="monotone" dataKey="strategy" stroke="#3b82f6" dot={false} strokeWidth={2} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-slate-400 uppercase tracking-wider border-b border-slate-700">
+                <th className="text-left py-2 font-medium">Test Window</th>
+                <th className="text-left py-2 font-medium">Chosen Weights</th>
+                <th className="text-right py-2 font-medium">OOS Return</th>
+                <th className="text-right py-2 font-medium">B&amp;H</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.folds.map((f) => (
+                <tr key={f.testStart} className="border-b border-slate-700/50">
+                  <td className="py-1.5 text-slate-300 font-mono">{f.testStart} → {f.testEnd}</td>
+                  <td className="py-1.5"><WeightChips weights={f.weights} /></td>
+                  <td className={`py-1.5 text-right font-mono ${tone(f.test.totalReturn)}`}>{pct(f.test.totalReturn)}</td>
+                  <td className={`py-1.5 text-right font-mono ${tone(f.testBenchmark.totalReturn)}`}>{pct(f.testBenchmark.totalReturn)}</td>
+                  <td className="py-1.5 text-right">
+                    <button onClick={() => onApply(f.weights)} className="text-slate-500 hover:text-blue-400 transition-colors" title="Apply these weights">
+                      <Check size={14} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="mt-4 flex items-center justify-between gap-3">
+            <p className="text-[10px] text-slate-500">
+              {result.folds.length} folds × up to {result.candidates} candidates, ranked by in-sample {OBJECTIVES.find(o => o.value === result.objective).label}. Latest fold:
+              {' '}<WeightChips weights={result.latest} />
+            </p>
+            <button
+              onClick={() => onApply(result.latest)}
+              className="shrink-0 bg-slate-700 hover:bg-blue-600 text-slate-200 hover:text-white px-3 py-1.5 rounded-lg text-xs font-medium transition-colors"
+            >
+              Apply Latest
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
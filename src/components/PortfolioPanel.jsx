@@ -0,0 +1,250 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Briefcase, Plus, Trash2, Upload, Download } from 'lucide-react';
+import {
+  LEDGER_TYPES,
+  normalizeEntry,
+  computePositions,
+  markPositions,
+  compareVerdict,
+  ledgerToCsv,
+  ledgerFromCsv,
+} from '../lib/portfolio.js';
+import { downloadText } from './download.js';
+
+const usd = (v, digits = 2) => v == null ? '—' : `${v < 0 ? '-' : ''}$${Math.abs(v).toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+const tone = (v) => v > 0 ? 'text-green-400' : v < 0 ? 'text-red-400' : 'text-slate-400';
+
+const COMPARISON_STYLES = {
+  Aligned: 'bg-green-500/20 text-green-400',
+  Conflict: 'bg-red-500/20 text-red-400',
+  Hold: 'bg-slate-500/20 text-slate-400',
+  Entry: 'bg-blue-500/20 text-blue-400',
+};
+
+const SOURCE_LABELS = { finnhub: 'live', yahoo: 'close', local: 'file', simulated: 'sim' };
+
+const inputClass = 'bg-slate-900 border border-slate-700 text-slate-200 px-2 py-1 rounded text-xs focus:outline-none focus:border-blue-500';
+
+const EMPTY_FORM = { date: new Date().toISOString().split('T')[0], type: 'BUY', symbol: '', quantity: '', price: '', amount: '', fees: '', note: '' };
+
+const Summary = ({ label, value, colored }) => (
+  <div className="bg-slate-900/50 rounded-lg px-4 py-3 border border-slate-700/50">
+    <p className="text-[10px] text-slate-500 uppercase tracking-wider">{label}</p>
+    <p className={`text-lg font-mono font-bold ${colored ? tone(value) : 'text-slate-200'}`}>{usd(value)}</p>
+  </div>
+);
+
+export default function PortfolioPanel({ ledger, onLedgerChange, marks }) {
+  const [method, setMethod] = useState('fifo');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState([]);
+  const fileInput = useRef(null);
+
+  const { positions, warnings } = useMemo(() => computePositions(ledger), [ledger]);
+  const { rows, totals } = useMemo(() => markPositions(positions, marks, method), [positions, marks, method]);
+  const open = rows.filter(r => r.quantity > 0);
+  const closed = rows.filter(r => r.quantity <= 0 && (r.realized !== 0 || r.income !== 0));
+  const cashEntry = form.type === 'DIVIDEND' || form.type === 'FEE';
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    try {
+      const entry = normalizeEntry(form);
+      onLedgerChange([...ledger, entry]);
+      setForm({ ...EMPTY_FORM, date: form.date, type: form.type });
+      setErrors([]);
+    } catch (err) {
+      setErrors([err.message]);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const { entries, errors: importErrors } = ledgerFromCsv(await file.text());
+    if (entries.length > 0) onLedgerChange([...ledger, ...entries]);
+    setErrors(importErrors.length > 0 ? [`${file.name}: imported ${entries.length}, skipped ${importErrors.length}`, ...importErrors] : []);
+  };
+
+  const set = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  return (
+    <div className="mt-6 bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+      <div className="px-5 py-4 border-b border-slate-700 flex flex-wrap justify-between items-center gap-3">
+        <div className="flex items-center gap-2">
+          <Briefcase size={18} className="text-blue-400" />
+          <h3 className="font-semibold text-slate-100">Portfolio</h3>
+          <span className="text-xs text-slate-500 ml-1">({open.length} holdings, {ledger.length} transactions)</span>
+        </div>
+        <div className="flex items-center gap-2 text-xs">
+          <div className="flex bg-slate-700/50 rounded-lg p-1 gap-1">
+            {[['fifo', 'FIFO'], ['average', 'Average']].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setMethod(value)}
+                className={`px-2 py-1 font-medium rounded transition-all ${
+                  method === value
+                    ? 'bg-blue-600 text-white shadow-sm'
+                    : 'text-slate-400 hover:text-slate-200 hover:bg-slate-600/50'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => fileInput.current?.click()}
+            className="flex items-center gap-1 px-2 py-1.5 rounded text-slate-400 hover:text-slate-200 hover:bg-slate-700 transition-colors"
+            title="Import ledger CSV"
+          >
+            <Upload size={14} /> Import
+          </button>
+          <button
+            onClick={() => downloadText('alpha-engine-ledger.csv', ledgerToCsv(ledger), 'text/csv')}
+            disabled={ledger.length === 0}
+            className="flex items-center gap-1 px-2 py-1.5 rounded text-slate-400 hover:text-slate-200 hover:bg-slate-700 transition-colors disabled:opacity-40"
+            title="Export ledger CSV"
+          >
+            <Download size={14} /> Export
+          </button>
+          <input ref={fileInput} type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+        </div>
+      </div>
+
+      <div className="p-5 space-y-5">
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+          <Summary label="Market Value" value={totals.marketValue} />
+          <Summary label="Cost Basis" value={totals.costBasis} />
+          <Summary label="Unrealized P&L" value={totals.unrealized} colored />
+          <Summary label="Realized P&L" value={totals.realized} colored />
+          <Summary label="Dividends" value={totals.income} colored />
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-slate-400 uppercase tracking-wider border-b border-slate-700">
+                <th className="text-left py-2 font-medium">Symbol</th>
+                <th className="text-right px-3 py-2 font-medium">Qty</th>
+                <th className="text-right px-3 py-2 font-medium">Unit Cost</th>
+                <th className="text-right px-3 py-2 font-medium">Mark</th>
+                <th className="text-right px-3 py-2 font-medium">Value</th>
+                <th className="text-right px-3 py-2 font-medium">Weight</th>
+                <th className="text-right px-3 py-2 font-medium">Unrealized</th>
+                <th className="text-right px-3 py-2 font-medium">Realized</th>
+                <th className="text-center px-3 py-2 font-medium">Verdict vs Position</th>
+              </tr>
+            </thead>
+            <tbody>
+              {open.length === 0 && closed.length === 0 && (
+                <tr><td colSpan={9} className="py-4 text-center text-xs text-slate-500">No holdings yet — add a BUY below or import a ledger CSV.</td></tr>
+              )}
+              {[...open, ...closed].map((r) => {
+                const verdict = marks[r.symbol]?.verdict;
+                const comparison = compareVerdict(r.quantity, verdict);
+                return (
+                  <tr key={r.symbol} className={`border-b border-slate-700/50 ${r.quantity <= 0 ? 'opacity-60' : ''}`}>
+                    <td className="py-2 font-bold text-slate-200">{r.symbol}</td>
+                    <td className="px-3 py-2 text-right font-mono text-slate-300">{r.quantity}</td>
+                    <td className="px-3 py-2 text-right font-mono text-slate-300">{r.quantity > 0 ? usd(r.unitCost) : '—'}</td>
+                    <td className="px-3 py-2 text-right font-mono text-slate-300">
+                      {r.quantity > 0 ? usd(r.mark) : '—'}
+                      {r.quantity > 0 && r.markSource && <span className="ml-1 text-[10px] text-slate-500">{SOURCE_LABELS[r.markSource] || r.markSource}</span>}
+                    </td>
+                    <td className="px-3 py-2 text-right font-mono text-slate-200">{r.quantity > 0 ? usd(r.marketValue) : '—'}</td>
+                    <td className="px-3 py-2 text-right font-mono text-slate-400">{r.weight != null ? `${(r.weight * 100).toFixed(1)}%` : '—'}</td>
+                    <td className={`px-3 py-2 text-right font-mono ${tone(r.unrealized)}`}>{r.quantity > 0 ? usd(r.unrealized) : '—'}</td>
+                    <td className={`px-3 py-2 text-right font-mono ${tone(r.realized)}`}>{usd(r.realized)}</td>
+                    <td className="px-3 py-2 text-center">
+                      {comparison ? (
+                        <span className={`inline-block px-2 py-0.5 rounded text-xs font-bold ${COMPARISON_STYLES[comparison]}`} title={`Model verdict: ${verdict}`}>
+                          {comparison} · {verdict}
+                        </span>
+                      ) : (
+                        <span className="text-slate-600">—</span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-2">
+          <input type="date" value={form.date} onChange={set('date')} className={inputClass} />
+          <select value={form.type} onChange={set('type')} className={inputClass}>
+            {LEDGER_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+          <input placeholder="Symbol" value={form.symbol} onChange={(e) => setForm({ ...form, symbol: e.target.value.toUpperCase() })} className={`${inputClass} w-20`} />
+          {cashEntry ? (
+            <input type="number" step="any" placeholder="Amount" value={form.amount} onChange={set('amount')} className={`${inputClass} w-24`} />
+          ) : (
+            <>
+              <input type="number" step="any" placeholder="Qty" value={form.quantity} onChange={set('quantity')} className={`${inputClass} w-20`} />
+              <input type="number" step="any" placeholder="Price" value={form.price} onChange={set('price')} className={`${inputClass} w-24`} />
+              <input type="number" step="any" placeholder="Fees" value={form.fees} onChange={set('fees')} className={`${inputClass} w-20`} />
+            </>
+          )}
+          <input placeholder="Note" value={form.note} onChange={set('note')} className={`${inputClass} flex-1 min-w-[120px]`} />
+          <button type="submit" className="flex items-center gap-1 bg-blue-600 hover:bg-blue-500 text-white px-3 py-1.5 rounded text-xs font-medium transition-colors">
+            <Plus size={14} /> Add
+          </button>
+        </form>
+
+        {(errors.length > 0 || warnings.length > 0) && (
+          <ul className="text-[11px] space-y-0.5">
+            {errors.map((msg, i) => <li key={`e${i}`} className="text-red-400">{msg}</li>)}
+            {warnings.map((msg, i) => <li key={`w${i}`} className="text-amber-400">{msg}</li>)}
+          </ul>
+        )}
+
+        {ledger.length > 0 && (
+          <div className="max-h-[220px] overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-slate-800">
+                <tr className="text-slate-400 uppercase tracking-wider border-b border-slate-700">
+                  <th className="text-left py-2 font-medium">Date</th>
+                  <th className="text-left py-2 font-medium">Type</th>
+                  <th className="text-left py-2 font-medium">Symbol</th>
+                  <th className="text-right py-2 font-medium">Qty</th>
+                  <th className="text-right py-2 font-medium">Price / Amount</th>
+                  <th className="text-right py-2 font-medium">Fees</th>
+                  <th className="text-left px-3 py-2 font-medium">Note</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...ledger].sort((a, b) => b.date.localeCompare(a.date)).map((e) => (
+                  <tr key={e.id} className="border-b border-slate-700/50 group">
+                    <td className="py-1.5 font-mono text-slate-300">{e.date}</td>
+                    <td className={`py-1.5 font-semibold ${e.type === 'BUY' ? 'text-green-400' : e.type === 'SELL' ? 'text-red-400' : 'text-slate-400'}`}>{e.type}</td>
+                    <td className="py-1.5 text-slate-200">{e.symbol}</td>
+                    <td className="py-1.5 text-right font-mono text-slate-300">{e.type === 'BUY' || e.type === 'SELL' ? e.quantity : ''}</td>
+                    <td className="py-1.5 text-right font-mono text-slate-300">{usd(e.type === 'BUY' || e.type === 'SELL' ? e.price : e.amount)}</td>
+                    <td className="py-1.5 text-right font-mono text-slate-500">{e.fees ? usd(e.fees) : ''}</td>
+                    <td className="px-3 py-1.5 text-slate-500 truncate max-w-[200px]">{e.note}</td>
+                    <td className="py-1.5 text-right">
+                      <button
+                        onClick={() => onLedgerChange(ledger.filter(x => x.id !== e.id))}
+                        className="text-slate-600 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                        title="Delete transaction"
+                      >
+                        <Trash2 size={12} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <p className="text-[10px] text-slate-500">
+          Marks use the live Finnhub quote when available, otherwise the latest close from the data-source chain. Buy fees are added to cost basis; sell fees and FEE entries reduce realized P&L.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { GitCompare } from 'lucide-react';
+import { scoreUnderProfiles, verdictsDisagree } from '../lib/profiles.js';
+import { mapWithConcurrency, SCREEN_CONCURRENCY } from '../lib/screener.js';
+import { DEFAULT_RANGE } from '../lib/ranges.js';
+
+const MAX_COMPARED = 3;
+
+const VERDICT_COLORS = { BUY: 'text-green-400', SELL: 'text-red-400', NEUTRAL: 'text-slate-400' };
+
+// Scores the current ticker and the watchlist under two or three profiles side
+// by side. Bars are fetched once per symbol list; switching or editing
+// profiles only rescores them.
+export default function ProfileComparePanel({ providers, profiles, ticker, watchlist, priceMode, benchmark, annotations, onSelect }) {
+  const names = Object.keys(profiles.profiles);
+  const [selected, setSelected] = useState(() => [profiles.active, ...names.filter(n => n !== profiles.active)].slice(0, MAX_COMPARED));
+  const [onlyDisagreements, setOnlyDisagreements] = useState(false);
+  const [fetched, setFetched] = useState({ key: null, bars: {}, benchmarkRaw: null });
+
+  const chosen = useMemo(() => selected.filter(name => profiles.profiles[name]), [selected, profiles]);
+  const symbols = useMemo(() => [...new Set([ticker, ...watchlist])], [ticker, watchlist]);
+  const fetchKey = `${symbols.join(',')}|${benchmark}`;
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      const benchmarkRaw = await providers.getHistory(benchmark, DEFAULT_RANGE).then(r => r.data, () => null);
+      const results = await mapWithConcurrency(symbols, SCREEN_CONCURRENCY, async (sym) => {
+        const { data: raw } = await providers.getHistory(sym, DEFAULT_RANGE);
+        const { data: recs } = await providers.getRecommendations(sym);
+        return { raw, recs };
+      }, { shouldStop: () => cancelled });
+      if (cancelled) return;
+      const bars = Object.fromEntries(symbols.map((sym, i) => [sym, results[i]?.status === 'fulfilled' ? results[i].value : null]));
+      setFetched({ key: fetchKey, bars, benchmarkRaw });
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [fetchKey, symbols, benchmark, providers]);
+
+  const rows = useMemo(() => symbols.map(sym => {
+    const entry = fetched.bars[sym];
+    if (!entry) return { symbol: sym, results: null };
+    const results = scoreUnderProfiles(entry.raw, chosen, profiles, { benchmarkRaw: fetched.benchmarkRaw, recs: entry.recs, priceMode, annotations: annotations[sym] });
+    return { symbol: sym, results, disagree: verdictsDisagree(results) };
+  }), [symbols, fetched, chosen, profiles, priceMode, annotations]);
+
+  const loading = fetched.key !== fetchKey;
+  const disagreements = rows.filter(r => r.disagree).length;
+  const visible = onlyDisagreements ? rows.filter(r => r.disagree) : rows;
+
+  const toggle = (name) => setSelected(prev => {
+    const current = prev.filter(n => profiles.profiles[n]);
+    if (current.includes(name)) return current.length > 2 ? current.filter(n => n !== name) : current;
+    return current.length < MAX_COMPARED ? [...current, name] : current;
+  });
+
+  return (
+    <div className="mt-6 bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+      <div className="px-5 py-4 border-b border-slate-700 flex flex-wrap items-center gap-3">
+        <div className="flex items-center gap-2">
+          <GitCompare size={18} className="text-blue-400" />
+          <h3 className="font-semibold text-slate-100">Profile Comparison</h3>
+          <span className="text-xs text-slate-500 ml-1">
+            {loading ? 'Loading…' : `${disagreements} of ${rows.length} disagree`}
+          </span>
+        </div>
+        <div className="flex flex-wrap items-center gap-1 text-xs">
+          {names.map(name => (
+            <button
+              key={name}
+              onClick={() => toggle(name)}
+              className={`px-2 py-1 rounded ${chosen.includes(name) ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-400 hover:text-slate-200'}`}
+              title={chosen.includes(name) ? 'Remove from comparison (at least two)' : `Add to comparison (up to ${MAX_COMPARED})`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        <label className="ml-auto flex items-center gap-2 text-xs text-slate-400">
+          <input type="checkbox" checked={onlyDisagreements} onChange={(e) => setOnlyDisagreements(e.target.checked)} className="accent-blue-500" />
+          Only disagreements
+        </label>
+      </div>
+
+      {chosen.length < 2 ? (
+        <p className="px-5 py-4 text-sm text-slate-500">Pick at least two profiles to compare.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-slate-400 uppercase tracking-wider border-b border-slate-700">
+                <th className="text-left px-5 py-3 font-medium">Ticker</th>
+                {chosen.map(name => <th key={name} className="text-center px-3 py-3 font-medium normal-case">{name}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(({ symbol, results, disagree }) => (
+                <tr
+                  key={symbol}
+                  onClick={() => onSelect(symbol)}
+                  className={`border-b border-slate-700/50 cursor-pointer hover:bg-slate-700/30 ${disagree ? 'bg-amber-500/5' : ''}`}
+                >
+                  <td className="px-5 py-2 font-semibold text-slate-200">
+                    {symbol}
+                    {symbol === ticker && <span className="ml-2 text-[10px] text-blue-400 font-normal">current</span>}
+                    {disagree && <span className="ml-2 text-[10px] text-amber-400 font-normal">disagree</span>}
+                  </td>
+                  {chosen.map(name => {
+                    const r = results?.[name];
+                    return (
+                      <td key={name} className="px-3 py-2 text-center font-mono">
+                        {r ? (
+                          <>
+                            <span className={`font-bold ${VERDICT_COLORS[r.verdict]}`}>{r.verdict}</span>
+                            <span className="text-slate-500 text-xs ml-2">{r.total > 0 ? '+' : ''}{r.total.toFixed(2)}</span>
+                          </>
+                        ) : (
+                          <span className="text-slate-600 text-xs">{loading ? '…' : 'no data'}</span>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
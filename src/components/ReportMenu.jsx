@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { FileText, ChevronDown } from 'lucide-react';
+import { reportsToHtml, reportsToMarkdown } from '../lib/report.js';
+import { downloadText, printHtml } from './download.js';
+
+const FORMATS = [
+  { value: 'html', label: 'HTML' },
+  { value: 'md', label: 'Markdown' },
+  { value: 'print', label: 'Print' },
+];
+
+// Report button for the header: the current ticker or the whole watchlist as
+// a self-contained HTML file, Markdown, or the HTML opened for printing.
+// `buildReports(scope)` returns { reports, skipped } for 'ticker' or 'watchlist'.
+export default function ReportMenu({ ticker, watchlistName, buildReports }) {
+  const [open, setOpen] = useState(false);
+  const [scope, setScope] = useState('ticker');
+  const [error, setError] = useState(null);
+
+  const generate = (format) => {
+    try {
+      const { reports, skipped } = buildReports(scope);
+      if (reports.length === 0) throw new Error('No scored data yet — wait for the analysis to load');
+      const title = scope === 'watchlist' ? `${watchlistName} report` : undefined;
+      const stamp = reports[0].date || 'report';
+      const base = scope === 'watchlist' ? `${watchlistName.replace(/[^\w-]+/g, '-')}-${stamp}` : `${ticker}-${stamp}`;
+      if (format === 'md') downloadText(`${base}.md`, reportsToMarkdown(reports, { title, skipped }), 'text/markdown');
+      else if (format === 'html') downloadText(`${base}.html`, reportsToHtml(reports, { title, skipped }), 'text/html');
+      else printHtml(reportsToHtml(reports, { title, skipped }));
+      setError(null);
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => { setOpen(!open); setError(null); }}
+        className="flex items-center gap-1.5 bg-slate-800 border border-slate-700 hover:border-blue-500 text-slate-300 px-3 py-2 rounded-lg text-sm whitespace-nowrap transition-colors"
+        title="Generate a report with the verdict, factor scores, sizing and charts"
+      >
+        <FileText size={16} /> Report <ChevronDown size={14} className="text-slate-500" />
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 top-full mt-1 z-20 w-60 bg-slate-800 border border-slate-700 rounded-lg shadow-xl p-3 space-y-3 text-xs">
+            <div className="space-y-1">
+              {[['ticker', ticker], ['watchlist', `Watchlist: ${watchlistName}`]].map(([value, label]) => (
+                <label key={value} className="flex items-center gap-2 text-slate-300 cursor-pointer">
+                  <input type="radio" name="report-scope" checked={scope === value} onChange={() => setScope(value)} className="accent-blue-500" />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <div className="flex gap-1">
+              {FORMATS.map(f => (
+                <button
+                  key={f.value}
+                  type="button"
+                  onClick={() => generate(f.value)}
+                  className="flex-1 px-2 py-1.5 rounded bg-slate-700 text-slate-200 hover:bg-blue-600 transition-colors"
+                >
+                  {f.label}
+                </button>
+              ))}
+            </div>
+            {error && <p className="text-red-400">{error}</p>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { DollarSign, Shield, Settings } from 'lucide-react';
+import { VOL_METHOD_LABELS } from '../lib/risk.js';
+import { EARNINGS_ACTIONS } from '../lib/earnings.js';
+
+const usd = (v, digits = 0) => v == null ? '—' : `$${v.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+
+const Field = ({ label, children }) => (
+  <label className="flex justify-between items-center gap-2 text-[11px] text-slate-400">
+    {label}
+    {children}
+  </label>
+);
+
+const inputClass = 'bg-slate-900 border border-slate-700 text-slate-200 px-2 py-1 rounded w-24 text-right font-mono focus:outline-none focus:border-blue-500';
+
+// Numeric inputs keep the previous value while the field is mid-edit (empty or "0.").
+const NumberInput = ({ value, onChange, scale = 1, step, min }) => (
+  <input
+    type="number"
+    step={step}
+    min={min}
+    value={+(value * scale).toFixed(4)}
+    onChange={(e) => {
+      const v = parseFloat(e.target.value);
+      if (Number.isFinite(v) && v >= (min ?? -Infinity)) onChange(v / scale);
+    }}
+    className={inputClass}
+  />
+);
+
+// `eventRisk` is the event-risk rule acting on this verdict (lib/earnings.js), if any.
+export default function RiskPanel({ risk, settings, onSettingsChange, price, verdict, atr, atrPeriod, eventRisk = null }) {
+  const [editing, setEditing] = useState(false);
+  const set = (key) => (value) => onSettingsChange({ ...settings, [key]: value });
+  const active = verdict === 'BUY' || verdict === 'SELL';
+  const { stop } = risk;
+  const volLabel = settings.volMethod === 'ewma'
+    ? `EWMA λ${settings.ewmaLambda}`
+    : `${settings.volWindow}-bar close-to-close`;
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-5 border border-slate-700 relative overflow-hidden">
+      <div className="absolute top-0 right-0 p-3 opacity-10">
+        <DollarSign size={64} className="text-green-400" />
+      </div>
+
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="font-semibold text-slate-100 flex items-center gap-2">
+          <Shield size={16} className="text-green-400" />
+          Risk Management
+        </h3>
+        <button
+          onClick={() => setEditing(!editing)}
+          className={`relative p-1 rounded transition-colors ${editing ? 'text-blue-400' : 'text-slate-500 hover:text-slate-300'}`}
+          title="Risk settings"
+        >
+          <Settings size={14} />
+        </button>
+      </div>
+
+      {editing && (
+        <div className="space-y-2 mb-4 pb-4 border-b border-slate-700">
+          <Field label="Account size ($)">
+            <NumberInput value={settings.accountSize} onChange={set('accountSize')} step={1000} min={0} />
+          </Field>
+          <Field label="Volatility target (%)">
+            <NumberInput value={settings.targetVol} onChange={set('targetVol')} scale={100} step={1} min={0} />
+          </Field>
+          <Field label="Max position (%)">
+            <NumberInput value={settings.maxPositionPct} onChange={set('maxPositionPct')} step={1} min={0} />
+          </Field>
+          <Field label="Volatility estimate">
+            <select value={settings.volMethod} onChange={(e) => set('volMethod')(e.target.value)} className={inputClass}>
+              {Object.entries(VOL_METHOD_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </Field>
+          {settings.volMethod === 'ewma' ? (
+            <Field label="EWMA decay λ">
+              <NumberInput value={settings.ewmaLambda} onChange={(v) => set('ewmaLambda')(Math.min(v, 0.999))} step={0.01} min={0.5} />
+            </Field>
+          ) : (
+            <Field label="Window (bars)">
+              <NumberInput value={settings.volWindow} onChange={(v) => set('volWindow')(Math.max(2, Math.round(v)))} step={1} min={2} />
+            </Field>
+          )}
+          <Field label="Stop basis">
+            <select value={settings.stopMethod} onChange={(e) => set('stopMethod')(e.target.value)} className={inputClass}>
+              <option value="atr">ATR ({atrPeriod})</option>
+              <option value="vol">Volatility</option>
+            </select>
+          </Field>
+          <Field label="Stop multiple (×)">
+            <NumberInput value={settings.stopMultiple} onChange={set('stopMultiple')} step={0.5} min={0.1} />
+          </Field>
+          <Field label="Scale watchlist book to target">
+            <input
+              type="checkbox"
+              checked={settings.bookVolTarget}
+              onChange={(e) => set('bookVolTarget')(e.target.checked)}
+              className="accent-blue-500"
+            />
+          </Field>
+          <Field label="Before earnings">
+            <select value={settings.earningsAction} onChange={(e) => set('earningsAction')(e.target.value)} className={inputClass}>
+              {Object.entries(EARNINGS_ACTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </Field>
+          {settings.earningsAction !== 'off' && (
+            <Field label="Earnings window (days)">
+              <NumberInput value={settings.earningsWindow} onChange={(v) => set('earningsWindow')(Math.round(v))} step={1} min={0} />
+            </Field>
+          )}
+          {settings.earningsAction === 'reduce' && (
+            <Field label="Size before earnings (%)">
+              <NumberInput value={settings.earningsScale} onChange={(v) => set('earningsScale')(Math.min(v, 1))} scale={100} step={5} min={0} />
+            </Field>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-4">
+        <div>
+          <p className="text-xs text-slate-400 mb-1">Recommended Position Size</p>
+          <div className="flex items-baseline gap-3">
+            <span className="text-2xl font-mono font-bold text-slate-200">{risk.pct.toFixed(1)}%</span>
+            <span className="text-sm font-mono text-slate-400">{usd(risk.dollars)} · {risk.shares} sh</span>
+          </div>
+          <ul className="mt-2 space-y-0.5 text-[10px] text-slate-500 font-mono">
+            <li>σ ({volLabel}) = {risk.vol != null ? `${(risk.vol * 100).toFixed(1)}%` : 'n/a'} ann.</li>
+            {active ? (
+              <li>
+                {(settings.targetVol * 100).toFixed(0)}% target ÷ σ × {risk.conviction.toFixed(2)} conviction = {risk.rawPct.toFixed(1)}%
+                {risk.capped && ` → capped at ${settings.maxPositionPct}%`}
+              </li>
+            ) : (
+              <li>Verdict NEUTRAL → no position{eventRisk?.action === 'neutral' && eventRisk.verdict !== 'NEUTRAL' && ` (held from ${eventRisk.verdict}, earnings in ${eventRisk.days}d)`}</li>
+            )}
+            {risk.bookScale != null && (
+              <li>× {risk.bookScale.toFixed(2)} book scale → watchlist at {(settings.targetVol * 100).toFixed(0)}% σ</li>
+            )}
+            {risk.eventScale != null && active && (
+              <li>× {risk.eventScale.toFixed(2)} event risk → earnings in {eventRisk.days}d ({eventRisk.date})</li>
+            )}
+            <li>{usd(settings.accountSize)} account × {risk.pct.toFixed(1)}% ÷ {usd(price, 2)} = {risk.shares} shares</li>
+          </ul>
+        </div>
+
+        <div className="pt-4 border-t border-slate-700">
+          <p className="text-xs text-slate-400 mb-2">Stop Loss Level{verdict === 'SELL' ? ' (short)' : ''}</p>
+          <div className="flex items-center gap-2">
+            <span className="text-lg font-mono text-red-400">
+              {stop ? usd(stop.stopPrice, 2) : '—'}
+            </span>
+            {stop && (
+              <span className="text-xs text-red-500/80 bg-red-500/10 px-2 py-0.5 rounded">
+                {verdict === 'SELL' ? '+' : '-'}{(stop.pct * 100).toFixed(1)}%
+              </span>
+            )}
+          </div>
+          {stop && (
+            <ul className="mt-2 space-y-0.5 text-[10px] text-slate-500 font-mono">
+              {stop.basis === 'atr' && <li>{settings.stopMultiple}× ATR({atrPeriod}) {atr?.toFixed(2)} = {stop.distance.toFixed(2)}</li>}
+              {stop.basis === 'vol' && <li>{settings.stopMultiple}× per-bar σ × price = {stop.distance.toFixed(2)}</li>}
+              {stop.basis === 'fixed' && <li>Not enough history for ATR/σ — fixed {(stop.pct * 100).toFixed(0)}%</li>}
+              <li>Risk to stop: {usd(risk.riskDollars)} ({settings.accountSize > 0 ? (risk.riskDollars / settings.accountSize * 100).toFixed(2) : '0.00'}% of account)</li>
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
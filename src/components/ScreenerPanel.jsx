@@ -0,0 +1,247 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Filter, Play, Square, Upload, Plus, Check, ArrowUp, ArrowDown } from 'lucide-react';
+import { BUNDLED_UNIVERSES, UNIVERSE_AS_OF, parseUniverse } from '../lib/universes.js';
+import { screenSymbol, mapWithConcurrency, createRateLimiter, filterRows, sortRows, DEFAULT_SCREEN_FILTERS, SCREEN_CONCURRENCY } from '../lib/screener.js';
+import { getFactors } from '../lib/factors/index.js';
+import { DEFAULT_RANGE } from '../lib/ranges.js';
+
+const inputClass = 'bg-slate-900 border border-slate-700 text-slate-200 px-2 py-1 rounded text-xs focus:outline-none focus:border-blue-500';
+
+const ALIGN = { left: 'text-left', center: 'text-center', right: 'text-right' };
+
+const scoreColor = (v) => v > 0 ? 'text-green-400' : v < 0 ? 'text-red-400' : 'text-slate-500';
+
+// Empty input clears a bound; anything else that isn't a number is ignored.
+const RangeInputs = ({ label, min, max, onChange, step }) => {
+  const parse = (value) => (value === '' ? null : Number.isFinite(parseFloat(value)) ? parseFloat(value) : undefined);
+  return (
+    <label className="flex items-center gap-1 text-slate-400">
+      {label}
+      <input type="number" step={step} value={min ?? ''} placeholder="min" className={`${inputClass} w-16`}
+        onChange={(e) => { const v = parse(e.target.value); if (v !== undefined) onChange(v, max); }} />
+      <input type="number" step={step} value={max ?? ''} placeholder="max" className={`${inputClass} w-16`}
+        onChange={(e) => { const v = parse(e.target.value); if (v !== undefined) onChange(min, v); }} />
+    </label>
+  );
+};
+
+const SortHeader = ({ id, label, align = 'right', sort, onSort }) => (
+  <th className={`px-3 py-2 font-medium ${ALIGN[align]}`}>
+    <button
+      onClick={() => onSort(id)}
+      className={`inline-flex items-center gap-0.5 uppercase tracking-wider hover:text-slate-200 ${sort.key === id ? 'text-blue-400' : ''}`}
+    >
+      {label}
+      {sort.key === id && (sort.direction === 'desc' ? <ArrowDown size={10} /> : <ArrowUp size={10} />)}
+    </button>
+  </th>
+);
+
+export default function ScreenerPanel({ providers, weights, params, priceMode, benchmark, annotations, watchlist, onAddToWatchlist, onSelect, uploaded, onUploadedChange }) {
+  const [universeId, setUniverseId] = useState(uploaded ? 'uploaded' : BUNDLED_UNIVERSES[0].id);
+  const [rows, setRows] = useState([]);
+  const [failed, setFailed] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [filters, setFilters] = useState(DEFAULT_SCREEN_FILTERS);
+  const [sort, setSort] = useState({ key: 'total', direction: 'desc' });
+  const [uploadError, setUploadError] = useState(null);
+  // Bumped to start or stop a run; workers from an older run see a different id and stop.
+  const runRef = useRef(0);
+  const fileInput = useRef(null);
+
+  // Abandon a run in progress when the panel goes away.
+  useEffect(() => () => { runRef.current++; }, []);
+
+  const universes = uploaded ? [...BUNDLED_UNIVERSES, uploaded] : BUNDLED_UNIVERSES;
+  const universe = universes.find(u => u.id === universeId) || universes[0];
+  const sectors = useMemo(() => [...new Set(rows.map(r => r.sector).filter(Boolean))].sort(), [rows]);
+  const visible = useMemo(() => sortRows(filterRows(rows, filters), sort.key, sort.direction), [rows, filters, sort]);
+  const factors = getFactors().filter(f => weights[f.id]);
+
+  const run = async () => {
+    const id = ++runRef.current;
+    const stale = () => runRef.current !== id;
+    setRunning(true);
+    setRows([]);
+    setFailed([]);
+    setProgress({ done: 0, total: universe.members.length });
+    const benchmarkBars = await providers.getHistory(benchmark, DEFAULT_RANGE).then(r => r.data, () => null);
+    const limiter = createRateLimiter();
+    await mapWithConcurrency(universe.members, SCREEN_CONCURRENCY, async (member) => {
+      try {
+        const row = await screenSymbol(member, providers, { weights, params, priceMode, benchmarkBars, annotations, limiter });
+        if (!stale()) setRows(prev => [...prev, row]);
+      } catch (err) {
+        if (!stale()) setFailed(prev => [...prev, `${member.symbol}: ${err.message}`]);
+      }
+    }, {
+      onProgress: (done, total) => { if (!stale()) setProgress({ done, total }); },
+      shouldStop: stale,
+    });
+    if (!stale()) setRunning(false);
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const members = parseUniverse(await file.text());
+      if (members.length === 0) throw new Error('no symbols found');
+      onUploadedChange({ id: 'uploaded', label: file.name, members });
+      setUniverseId('uploaded');
+      setUploadError(null);
+    } catch (err) {
+      setUploadError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const setFilter = (patch) => setFilters(prev => ({ ...prev, ...patch }));
+  const toggleSort = (key) => setSort(prev => ({ key, direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc' }));
+  const header = { sort, onSort: toggleSort };
+
+  return (
+    <div className="mt-6 bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+      <div className="px-5 py-4 border-b border-slate-700 flex flex-wrap justify-between items-center gap-3">
+        <div className="flex items-center gap-2">
+          <Filter size={18} className="text-blue-400" />
+          <h3 className="font-semibold text-slate-100">Screener</h3>
+          <span className="text-xs text-slate-500 ml-1">
+            ({universe.members.length} symbols{universe.id !== 'uploaded' && `, as of ${UNIVERSE_AS_OF}`})
+          </span>
+        </div>
+        <div className="flex items-center gap-2 text-xs">
+          <select value={universe.id} onChange={(e) => setUniverseId(e.target.value)} disabled={running} className={inputClass}>
+            {universes.map(u => <option key={u.id} value={u.id}>{u.label}</option>)}
+          </select>
+          <button
+            onClick={() => fileInput.current?.click()}
+            disabled={running}
+            className="flex items-center gap-1 px-2 py-1 rounded bg-slate-700 text-slate-300 hover:bg-slate-600 disabled:opacity-50"
+            title="Upload a symbol list (one per line, CSV with a Symbol column, or JSON)"
+          >
+            <Upload size={12} /> Upload
+          </button>
+          <input ref={fileInput} type="file" accept=".csv,.txt,.json" className="hidden" onChange={handleUpload} />
+          {running ? (
+            <button onClick={() => { runRef.current++; setRunning(false); }} className="flex items-center gap-1 px-3 py-1 rounded bg-red-600/80 text-white hover:bg-red-500">
+              <Square size={12} /> Stop
+            </button>
+          ) : (
+            <button onClick={run} className="flex items-center gap-1 px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-500">
+              <Play size={12} /> Run
+            </button>
+          )}
+        </div>
+      </div>
+
+      {uploadError && <p className="px-5 pt-3 text-xs text-red-400">{uploadError}</p>}
+
+      {progress && (
+        <div className="px-5 pt-3">
+          <div className="h-1.5 bg-slate-700 rounded overflow-hidden">
+            <div className="h-full bg-blue-500 transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+          </div>
+          <p className="mt-1 text-[11px] text-slate-500">
+            {progress.done}/{progress.total} screened · {rows.length} scored
+            {failed.length > 0 && <span className="text-amber-400" title={failed.slice(0, 20).join('\n')}> · {failed.length} failed</span>}
+            {!running && progress.done < progress.total && ' · stopped'}
+          </p>
+        </div>
+      )}
+
+      <div className="px-5 py-3 flex flex-wrap items-center gap-3 text-xs">
+        <select value={filters.verdict} onChange={(e) => setFilter({ verdict: e.target.value })} className={inputClass}>
+          {['ALL', 'BUY', 'NEUTRAL', 'SELL'].map(v => <option key={v} value={v}>{v === 'ALL' ? 'Any verdict' : v}</option>)}
+        </select>
+        <select value={filters.trend} onChange={(e) => setFilter({ trend: e.target.value })} className={inputClass}>
+          <option value="ALL">Any trend</option>
+          <option value="up">Uptrend</option>
+          <option value="mixed">Mixed</option>
+          <option value="down">Downtrend</option>
+        </select>
+        <select value={filters.sector} onChange={(e) => setFilter({ sector: e.target.value })} className={inputClass}>
+          <option value="ALL">Any sector</option>
+          {sectors.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <RangeInputs label="Score" step={0.1} min={filters.minScore} max={filters.maxScore} onChange={(minScore, maxScore) => setFilter({ minScore, maxScore })} />
+        <RangeInputs label="RSI" step={1} min={filters.minRsi} max={filters.maxRsi} onChange={(minRsi, maxRsi) => setFilter({ minRsi, maxRsi })} />
+        <RangeInputs label="Z" step={0.1} min={filters.minZ} max={filters.maxZ} onChange={(minZ, maxZ) => setFilter({ minZ, maxZ })} />
+        {filters !== DEFAULT_SCREEN_FILTERS && (
+          <button onClick={() => setFilters(DEFAULT_SCREEN_FILTERS)} className="text-slate-500 hover:text-slate-300">Reset</button>
+        )}
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="px-5 pb-5 text-xs text-slate-500">
+          {running ? 'Screening…' : `Run scores every ${universe.label} symbol with the current weights and indicator settings.`}
+        </p>
+      ) : (
+        <div className="overflow-x-auto max-h-[480px] overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead className="sticky top-0 bg-slate-800">
+              <tr className="text-xs text-slate-400 border-b border-slate-700">
+                <SortHeader {...header} id="symbol" label="Ticker" align="left" />
+                <SortHeader {...header} id="sector" label="Sector" align="left" />
+                <SortHeader {...header} id="price" label="Price" />
+                {factors.map(f => <SortHeader {...header} key={f.id} id={f.id} label={f.shortLabel} align="center" />)}
+                <SortHeader {...header} id="rsi" label="RSI" />
+                <SortHeader {...header} id="zScore" label="Z" />
+                <SortHeader {...header} id="trend" label="Trend" align="center" />
+                <SortHeader {...header} id="total" label="Score" />
+                <SortHeader {...header} id="verdict" label="Verdict" align="center" />
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(r => {
+                const listed = watchlist.includes(r.symbol);
+                return (
+                  <tr key={r.symbol} onClick={() => onSelect(r.symbol)} className="border-b border-slate-700/50 hover:bg-slate-700/20 cursor-pointer">
+                    <td className="px-3 py-2 font-semibold text-slate-200">
+                      {r.symbol}
+                    </td>
+                    <td className="px-3 py-2 text-xs text-slate-400 truncate max-w-[160px]">{r.sector ?? '—'}</td>
+                    <td className="px-3 py-2 text-right font-mono text-slate-300">${r.price.toFixed(2)}</td>
+                    {factors.map(f => (
+                      <td key={f.id} className={`px-3 py-2 text-center font-mono text-xs ${scoreColor(r.scores[f.id])}`}>
+                        {r.scores[f.id] > 0 ? '+1' : r.scores[f.id] < 0 ? '-1' : '0'}
+                      </td>
+                    ))}
+                    <td className="px-3 py-2 text-right font-mono text-slate-300">{r.rsi?.toFixed(0) ?? '—'}</td>
+                    <td className="px-3 py-2 text-right font-mono text-slate-300">{r.zScore?.toFixed(2) ?? '—'}</td>
+                    <td className="px-3 py-2 text-center text-xs text-slate-400">{r.trend ?? '—'}</td>
+                    <td className={`px-3 py-2 text-right font-mono font-semibold ${scoreColor(r.total)}`}>
+                      {r.total > 0 ? '+' : ''}{r.total.toFixed(2)}
+                    </td>
+                    <td className="px-3 py-2 text-center">
+                      <span className={`px-2 py-0.5 rounded text-xs font-bold ${
+                        r.verdict === 'BUY' ? 'bg-green-500/20 text-green-400' :
+                        r.verdict === 'SELL' ? 'bg-red-500/20 text-red-400' :
+                        'bg-yellow-500/20 text-yellow-400'
+                      }`}>
+                        {r.verdict}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <button
+                        onClick={(e) => { e.stopPropagation(); if (!listed) onAddToWatchlist(r.symbol); }}
+                        disabled={listed}
+                        title={listed ? 'In watchlist' : 'Add to watchlist'}
+                        className={`p-1 rounded ${listed ? 'text-green-400' : 'text-slate-500 hover:text-blue-400 hover:bg-blue-500/10'}`}
+                      >
+                        {listed ? <Check size={14} /> : <Plus size={14} />}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {visible.length === 0 && <p className="px-5 py-4 text-xs text-slate-500">No rows match the filters.</p>}
+        </div>
+      )}
+    </div>
+  );
+}
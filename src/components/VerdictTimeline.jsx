@@ -0,0 +1,68 @@
+import React, { useMemo } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { History } from 'lucide-react';
+import { getFactors } from '../lib/factors/index.js';
+import { factorColor } from './factorStyles.js';
+import FactorBreakdown from './FactorBreakdown.jsx';
+
+const VERDICT_COLORS = { BUY: 'text-green-400', SELL: 'text-red-400', NEUTRAL: 'text-slate-400' };
+
+// The verdict over the visible range: each weighted factor's contribution
+// stacked per bar (above zero for bullish, below for bearish), the total as a
+// line against the BUY/SELL thresholds, and when the verdict last changed.
+export default function VerdictTimeline({ timeline, flips, weights, params }) {
+  const factors = useMemo(() => getFactors().filter(f => weights[f.id]), [weights]);
+  const rows = useMemo(() => timeline.map(row => ({
+    date: row.date,
+    total: row.total,
+    row,
+    ...Object.fromEntries(factors.map(f => [f.id, row[f.id] * weights[f.id]])),
+  })), [timeline, factors, weights]);
+  const lastFlip = flips[flips.length - 1];
+  const barsSince = lastFlip ? timeline.length - 1 - timeline.findIndex(r => r.date === lastFlip.date) : null;
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-5 border border-slate-700 h-[240px]">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-slate-100 text-sm flex items-center gap-2">
+          <History size={16} className="text-blue-400" /> Verdict History
+        </h3>
+        <span className="text-xs text-slate-400">
+          {lastFlip ? (
+            <>
+              Last flip <span className={VERDICT_COLORS[lastFlip.previous]}>{lastFlip.previous}</span> → <span className={`font-semibold ${VERDICT_COLORS[lastFlip.verdict]}`}>{lastFlip.verdict}</span>
+              {' '}on {new Date(lastFlip.date).toLocaleDateString()} ({barsSince} bars ago) · {flips.length} in range
+            </>
+          ) : timeline.length > 0 ? `${timeline[timeline.length - 1].verdict} throughout the range` : 'No data'}
+        </span>
+      </div>
+      <ResponsiveContainer width="100%" height="80%">
+        <ComposedChart data={rows} stackOffset="sign" barCategoryGap={0}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#334155" vertical={false} />
+          <XAxis
+            dataKey="date"
+            tickFormatter={(tick) => {
+              const d = new Date(tick);
+              return `${d.toLocaleString('default', { month: 'short' })} ${String(d.getFullYear()).slice(-2)}`;
+            }}
+            minTickGap={30}
+            tick={{ fill: '#94a3b8', fontSize: 10 }}
+            axisLine={false}
+            tickLine={false}
+          />
+          <YAxis orientation="right" tick={{ fill: '#94a3b8', fontSize: 10 }} axisLine={false} tickLine={false} tickFormatter={(v) => v.toFixed(1)} />
+          <Tooltip
+            content={({ active, payload }) => (active && payload?.length ? <FactorBreakdown row={payload[0].payload.row} weights={weights} /> : null)}
+            cursor={{ fill: '#334155', opacity: 0.4 }}
+          />
+          <ReferenceLine y={params.buyThreshold} stroke="#22c55e" strokeDasharray="3 3" />
+          <ReferenceLine y={-params.sellThreshold} stroke="#ef4444" strokeDasharray="3 3" />
+          {factors.map(f => (
+            <Bar key={f.id} dataKey={f.id} name={f.label} stackId="factors" fill={factorColor(f).hex} isAnimationActive={false} />
+          ))}
+          <Line type="stepAfter" dataKey="total" name="Total" stroke="#e2e8f0" dot={false} strokeWidth={1.5} isAnimationActive={false} />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
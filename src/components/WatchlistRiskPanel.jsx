@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { Grid3x3 } from 'lucide-react';
+
+const pct = (v, digits = 1) => v == null ? '—' : `${(v * 100).toFixed(digits)}%`;
+
+// Red for positive co-movement (concentration), blue for negative (hedges).
+const cellStyle = (v, max) => {
+  if (v == null || !(max > 0)) return undefined;
+  const alpha = Math.min(Math.abs(v) / max, 1) * 0.6;
+  return { backgroundColor: v >= 0 ? `rgba(239, 68, 68, ${alpha})` : `rgba(59, 130, 246, ${alpha})` };
+};
+
+const Summary = ({ label, value, note }) => (
+  <div className="bg-slate-900/50 rounded-lg px-4 py-3 border border-slate-700/50">
+    <p className="text-[10px] text-slate-500 uppercase tracking-wider">{label}</p>
+    <p className="text-lg font-mono font-bold text-slate-200">{value}</p>
+    {note && <p className="text-[10px] text-slate-500">{note}</p>}
+  </div>
+);
+
+export default function WatchlistRiskPanel({ book, settings, onSettingsChange }) {
+  const [matrix, setMatrix] = useState('corr');
+
+  if (!book) {
+    return (
+      <div className="mt-6 bg-slate-800 rounded-xl border border-slate-700 px-5 py-4 flex items-center gap-2 text-sm text-slate-500">
+        <Grid3x3 size={18} className="text-blue-400" />
+        <h3 className="font-semibold text-slate-100">Watchlist Risk</h3>
+        <span className="text-xs ml-1">Needs at least two watchlist tickers with overlapping daily history.</span>
+      </div>
+    );
+  }
+
+  const values = matrix === 'corr' ? book.corr : book.cov;
+  const max = matrix === 'corr' ? 1 : Math.max(...book.cov.flat().map(v => Math.abs(v ?? 0)));
+  const scaling = settings.bookVolTarget && book.scale < 1;
+
+  return (
+    <div className="mt-6 bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+      <div className="px-5 py-4 border-b border-slate-700 flex flex-wrap justify-between items-center gap-3">
+        <div className="flex items-center gap-2">
+          <Grid3x3 size={18} className="text-blue-400" />
+          <h3 className="font-semibold text-slate-100">Watchlist Risk</h3>
+          <span className="text-xs text-slate-500 ml-1">({book.observations} shared daily returns)</span>
+        </div>
+        <label className="flex items-center gap-2 text-xs text-slate-400">
+          <input
+            type="checkbox"
+            checked={settings.bookVolTarget}
+            onChange={(e) => onSettingsChange({ ...settings, bookVolTarget: e.target.checked })}
+            className="accent-blue-500"
+          />
+          Scale positions to {pct(settings.targetVol, 0)} book volatility
+        </label>
+      </div>
+
+      <div className="p-5 grid grid-cols-2 md:grid-cols-4 gap-3">
+        <Summary label="Book volatility" value={pct(book.vol)} note={`target ${pct(settings.targetVol, 0)}`} />
+        <Summary label="Gross exposure" value={pct(book.gross, 0)} note="of account" />
+        <Summary label="Diversification" value={book.diversification != null ? `${book.diversification.toFixed(2)}×` : '—'} note="standalone σ ÷ book σ" />
+        <Summary
+          label="Book scale"
+          value={`${book.scale.toFixed(2)}×`}
+          note={book.scale < 1 ? (scaling ? `sizes scaled → ${pct(book.vol * book.scale)} σ` : 'off — sizes unscaled') : 'within target'}
+        />
+      </div>
+
+      <div className="px-5 pb-5 grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="overflow-x-auto">
+          <div className="flex items-center gap-1 mb-2 text-xs">
+            {[['corr', 'Correlation'], ['cov', 'Covariance']].map(([id, label]) => (
+              <button
+                key={id}
+                onClick={() => setMatrix(id)}
+                className={`px-2 py-1 rounded ${matrix === id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-400 hover:text-slate-200'}`}
+              >
+                {label}
+              </button>
+            ))}
+            <span className="text-slate-500 ml-2">{matrix === 'cov' ? 'annualized, ×10⁻²' : 'daily log returns'}</span>
+          </div>
+          <table className="text-xs font-mono">
+            <thead>
+              <tr>
+                <th />
+                {book.symbols.map(sym => <th key={sym} className="px-2 py-1 text-slate-400 font-medium">{sym}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {book.symbols.map((row, i) => (
+                <tr key={row}>
+                  <th className="px-2 py-1 text-left text-slate-400 font-medium">{row}</th>
+                  {values[i].map((v, j) => (
+                    <td key={j} className="px-2 py-1 text-center text-slate-200 border border-slate-800" style={cellStyle(v, max)}>
+                      {v == null ? '—' : matrix === 'corr' ? v.toFixed(2) : (v * 100).toFixed(2)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <table className="w-full text-xs self-start">
+          <thead>
+            <tr className="text-slate-400 uppercase tracking-wider border-b border-slate-700">
+              <th className="text-left py-2 font-medium">Ticker</th>
+              <th className="text-right py-2 font-medium">σ</th>
+              <th className="text-right py-2 font-medium">Size</th>
+              {scaling && <th className="text-right py-2 font-medium">Scaled</th>}
+              <th className="text-left py-2 pl-4 font-medium">Risk contribution</th>
+            </tr>
+          </thead>
+          <tbody>
+            {book.positions.map(p => (
+              <tr key={p.symbol} className="border-b border-slate-700/50">
+                <td className="py-2 font-semibold text-slate-200">
+                  {p.symbol} <span className={`text-[10px] ${p.verdict === 'BUY' ? 'text-green-400' : p.verdict === 'SELL' ? 'text-red-400' : 'text-slate-500'}`}>{p.verdict}</span>
+                </td>
+                <td className="text-right py-2 font-mono text-slate-400">{pct(p.vol)}</td>
+                <td className="text-right py-2 font-mono text-slate-300">{p.weight < 0 ? '-' : ''}{p.pct.toFixed(1)}%</td>
+                {scaling && <td className="text-right py-2 font-mono text-slate-300">{p.weight < 0 ? '-' : ''}{(p.pct * book.scale).toFixed(1)}%</td>}
+                <td className="py-2 pl-4">
+                  <div className="flex items-center gap-2">
+                    <div className="h-1.5 w-24 bg-slate-700 rounded overflow-hidden">
+                      <div className={`h-full ${p.share < 0 ? 'bg-blue-500' : 'bg-red-500'}`} style={{ width: `${Math.min(Math.abs(p.share) * 100, 100)}%` }} />
+                    </div>
+                    <span className="font-mono text-slate-400">{(p.share * 100).toFixed(0)}%</span>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useRef, useState } from 'react';
+import { ChevronDown, GripVertical, Pencil, Trash2, Plus, Upload, Download, Check } from 'lucide-react';
+import {
+  activeWatchlist, addWatchlist, renameWatchlist, deleteWatchlist, moveWatchlist,
+  watchlistsToJson, watchlistsToCsv, parseWatchlists, importWatchlists,
+} from '../lib/watchlists.js';
+import { downloadText } from './download.js';
+
+const inputClass = 'bg-slate-900 border border-slate-700 text-slate-200 px-2 py-1 rounded text-xs focus:outline-none focus:border-blue-500';
+const iconButton = 'p-1 rounded text-slate-500 hover:text-slate-200 hover:bg-slate-700 transition-colors';
+
+// Dropdown for the Quick Pick bar: switch, add, rename, delete and drag to
+// reorder watchlists, plus JSON/CSV import and export of all of them.
+export default function WatchlistSwitcher({ watchlists, onChange }) {
+  const [open, setOpen] = useState(false);
+  const [renaming, setRenaming] = useState(null);   // { id, name }
+  const [newName, setNewName] = useState(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
+  const active = activeWatchlist(watchlists);
+
+  // Name validation errors from lib/watchlists.js are shown under the list.
+  const apply = (update) => {
+    try {
+      onChange(update());
+      setError(null);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const close = () => {
+    setOpen(false);
+    setRenaming(null);
+    setNewName(null);
+    setError(null);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseWatchlists(await file.text(), file.name.replace(/\.[^.]+$/, ''));
+      if (imported.length === 0) throw new Error('no lists found');
+      onChange(importWatchlists(watchlists, imported));
+      setError(null);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => (open ? close() : setOpen(true))}
+        className="flex items-center gap-1 px-2 py-1.5 text-sm font-medium rounded-lg bg-slate-800 border border-slate-700 text-slate-200 hover:border-blue-500 transition-colors"
+        title="Switch watchlist"
+      >
+        {active.name}
+        <ChevronDown size={14} className="text-slate-500" />
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={close} />
+          <div className="absolute left-0 top-full mt-1 z-20 w-72 bg-slate-800 border border-slate-700 rounded-lg shadow-xl p-2 space-y-1">
+            {watchlists.lists.map((list, index) => (
+              <div
+                key={list.id}
+                draggable={!renaming}
+                onDragStart={(e) => { setDragIndex(index); e.dataTransfer.effectAllowed = 'move'; }}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  if (dragIndex != null) onChange(moveWatchlist(watchlists, dragIndex, index));
+                  setDragIndex(null);
+                }}
+                onDragEnd={() => setDragIndex(null)}
+                className={`flex items-center gap-1 rounded px-1 py-1 ${
+                  list.id === active.id ? 'bg-blue-600/20' : 'hover:bg-slate-700/50'
+                } ${dragIndex === index ? 'opacity-40' : ''}`}
+              >
+                <GripVertical size={14} className="text-slate-600 cursor-grab shrink-0" />
+                {renaming?.id === list.id ? (
+                  <form
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      if (apply(() => renameWatchlist(watchlists, list.id, renaming.name))) setRenaming(null);
+                    }}
+                    className="flex-1 flex items-center gap-1"
+                  >
+                    <input autoFocus value={renaming.name} onChange={(e) => setRenaming({ ...renaming, name: e.target.value })} className={`${inputClass} flex-1 min-w-0`} />
+                    <button type="submit" className={iconButton} title="Save name"><Check size={12} /></button>
+                  </form>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => { onChange({ ...watchlists, active: list.id }); close(); }}
+                      className={`flex-1 text-left text-sm truncate ${list.id === active.id ? 'text-blue-300' : 'text-slate-300'}`}
+                    >
+                      {list.name} <span className="text-[10px] text-slate-500">{list.symbols.length}</span>
+                    </button>
+                    <button onClick={() => setRenaming({ id: list.id, name: list.name })} className={iconButton} title="Rename">
+                      <Pencil size={12} />
+                    </button>
+                    {watchlists.lists.length > 1 && (
+                      <button
+                        onClick={() => onChange(deleteWatchlist(watchlists, list.id))}
+                        className={`${iconButton} hover:text-red-400`}
+                        title="Delete"
+                      >
+                        <Trash2 size={12} />
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
+            ))}
+
+            {newName != null ? (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  if (apply(() => addWatchlist(watchlists, newName))) close();
+                }}
+                className="flex items-center gap-1 px-1 pt-1"
+              >
+                <input autoFocus value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="List name" className={`${inputClass} flex-1 min-w-0`} />
+                <button type="submit" className={iconButton} title="Create list"><Check size={12} /></button>
+              </form>
+            ) : (
+              <button onClick={() => setNewName('')} className="w-full flex items-center gap-1 px-2 py-1 text-xs text-slate-400 hover:text-slate-200 rounded hover:bg-slate-700/50">
+                <Plus size={12} /> New list
+              </button>
+            )}
+
+            {error && <p className="px-2 text-[11px] text-red-400">{error}</p>}
+
+            <div className="flex items-center gap-1 border-t border-slate-700 pt-2 text-xs">
+              <button onClick={() => fileInput.current?.click()} className="flex items-center gap-1 px-2 py-1 rounded text-slate-400 hover:text-slate-200 hover:bg-slate-700" title="Import lists from JSON or CSV">
+                <Upload size={12} /> Import
+              </button>
+              <button
+                onClick={() => downloadText('alpha-engine-watchlists.json', watchlistsToJson(watchlists.lists), 'application/json')}
+                className="flex items-center gap-1 px-2 py-1 rounded text-slate-400 hover:text-slate-200 hover:bg-slate-700"
+                title="Export lists with weights and benchmarks"
+              >
+                <Download size={12} /> JSON
+              </button>
+              <button
+                onClick={() => downloadText('alpha-engine-watchlists.csv', watchlistsToCsv(watchlists.lists), 'text/csv')}
+                className="flex items-center gap-1 px-2 py-1 rounded text-slate-400 hover:text-slate-200 hover:bg-slate-700"
+                title="Export list names and symbols"
+              >
+                <Download size={12} /> CSV
+              </button>
+              <input ref={fileInput} type="file" accept=".json,.csv,.txt" onChange={handleImport} className="hidden" />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import { createMemoryBarStore } from '../lib/barCache.js';
+
+// Browser-only: the bar store from lib/barCache.js backed by IndexedDB, so
+// cached price history survives reloads. Falls back to memory where IndexedDB
+// is missing (SSR, some private modes).
+const DB_NAME = 'alpha-engine';
+const STORE_NAME = 'bars';
+
+export const createIndexedDbBarStore = () => {
+  if (typeof indexedDB === 'undefined') return createMemoryBarStore();
+
+  let dbPromise = null;
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE_NAME);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, action) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const req = action(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+
+  return {
+    get: async (key) => (await run('readonly', s => s.get(key))) ?? null,
+    put: async (key, entry) => { await run('readwrite', s => s.put(entry, key)); },
+    delete: async (key) => { await run('readwrite', s => s.delete(key)); },
+    keys: () => run('readonly', s => s.getAllKeys()),
+    clear: async () => { await run('readwrite', s => s.clear()); },
+  };
+};
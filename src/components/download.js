@@ -0,0 +1,20 @@
+// Browser-only: saves a string as a file via a temporary object URL.
+export const downloadText = (filename, text, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// Browser-only: opens an HTML document in a new window and prints it.
+export const printHtml = (html) => {
+  const win = window.open('', '_blank');
+  if (!win) throw new Error('The print window was blocked by the browser');
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  // Reports have no external resources, so the next tick is laid out.
+  setTimeout(() => win.print(), 0);
+};
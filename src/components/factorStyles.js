@@ -0,0 +1,22 @@
+import { Activity, TrendingUp, RefreshCw, BarChart2, BarChart3, GitCompareArrows, Scale, Crosshair } from 'lucide-react';
+
+// Factor definitions name their icon and color; these map the names to the
+// lucide components and literal Tailwind classes (so the purge keeps them);
+// `hex` is for charts.
+const FACTOR_ICONS = { Activity, TrendingUp, RefreshCw, BarChart2, BarChart3, GitCompareArrows, Scale, Crosshair };
+
+const FACTOR_COLORS = {
+  blue: { bg: 'bg-blue-500', text: 'text-blue-400', accent: 'accent-blue-500', hex: '#3b82f6' },
+  cyan: { bg: 'bg-cyan-500', text: 'text-cyan-400', accent: 'accent-cyan-500', hex: '#06b6d4' },
+  purple: { bg: 'bg-purple-500', text: 'text-purple-400', accent: 'accent-purple-500', hex: '#a855f7' },
+  amber: { bg: 'bg-amber-500', text: 'text-amber-400', accent: 'accent-amber-500', hex: '#f59e0b' },
+  emerald: { bg: 'bg-emerald-500', text: 'text-emerald-400', accent: 'accent-emerald-500', hex: '#10b981' },
+  indigo: { bg: 'bg-indigo-500', text: 'text-indigo-400', accent: 'accent-indigo-500', hex: '#6366f1' },
+  rose: { bg: 'bg-rose-500', text: 'text-rose-400', accent: 'accent-rose-500', hex: '#f43f5e' },
+  yellow: { bg: 'bg-yellow-500', text: 'text-yellow-400', accent: 'accent-yellow-500', hex: '#eab308' },
+  slate: { bg: 'bg-slate-500', text: 'text-slate-300', accent: 'accent-slate-400', hex: '#64748b' },
+};
+
+export const factorIcon = (factor) => FACTOR_ICONS[factor.icon] || Activity;
+
+export const factorColor = (factor) => FACTOR_COLORS[factor.color] || FACTOR_COLORS.slate;
@@ -0,0 +1,16 @@
+// Browser-only wrappers around the Notification API.
+export const notificationPermission = () =>
+  typeof window !== 'undefined' && 'Notification' in window ? Notification.permission : 'unsupported';
+
+export const requestNotificationPermission = async () =>
+  notificationPermission() === 'unsupported' ? 'unsupported' : Notification.requestPermission();
+
+export const showNotification = (title, body, tag) => {
+  if (notificationPermission() !== 'granted') return;
+  try {
+    new Notification(title, { body, tag });
+  } catch (err) {
+    // Some mobile browsers only allow notifications from a service worker.
+    console.warn('Notification failed:', err.message);
+  }
+};
@@ -0,0 +1,104 @@
+// Corporate actions ride on the bar of their ex-date: `dividend` (cash per
+// share, in that bar's price units) and `split` ({ numerator, denominator },
+// 4:1 → 4/1). `adjClose`, when the source has one, is its split- and
+// dividend-adjusted close (Yahoo's `adjclose`).
+
+export const PRICE_MODES = {
+  price: 'Price return',
+  total: 'Total return',
+};
+
+export const DEFAULT_PRICE_MODE = 'price';
+
+// "4:1", "4/1", 4 or { numerator, denominator } → { numerator, denominator }, or null.
+export const parseSplit = (value) => {
+  if (value == null || value === '') return null;
+  if (typeof value === 'object') {
+    const numerator = Number(value.numerator);
+    const denominator = Number(value.denominator);
+    return numerator > 0 && denominator > 0 && numerator !== denominator ? { numerator, denominator } : null;
+  }
+  const match = String(value).match(/^\s*([\d.]+)\s*[:/]\s*([\d.]+)\s*$/);
+  if (match) return parseSplit({ numerator: match[1], denominator: match[2] });
+  const ratio = Number(value);
+  return ratio > 0 && ratio !== 1 ? { numerator: ratio, denominator: 1 } : null;
+};
+
+const splitRatio = (split) => split.numerator / split.denominator;
+
+// Raw closes jump by about the split ratio on the ex-date; series the vendor
+// already back-adjusted don't. Only the raw kind gets adjusted here, so the
+// same code handles Yahoo (usually adjusted) and raw local files.
+const looksUnadjusted = (before, after, ratio) => {
+  if (!(before > 0) || !(after > 0)) return false;
+  const jump = Math.log(before / after);
+  return Math.abs(jump - Math.log(ratio)) < Math.abs(jump);
+};
+
+// Returns bars on a split-adjusted basis ('price') or split- and
+// dividend-adjusted basis ('total'), newest prices unchanged. Indicators and
+// scoring should only ever see this output. Adjusted bars keep the quoted close
+// as `rawPrice`. Total return uses `adjClose` when present, else compounds the
+// `dividend` events against the previous close.
+export const adjustBars = (bars, mode = DEFAULT_PRICE_MODE) => {
+  const total = mode === 'total';
+  if (!bars.some(b => b.split || (total && (b.dividend || b.adjClose != null)))) return bars;
+
+  // Split scale per bar: product of the ratios of later, unadjusted splits.
+  const scales = new Array(bars.length);
+  let scale = 1;
+  for (let i = bars.length - 1; i >= 0; i--) {
+    scales[i] = scale;
+    const split = bars[i].split;
+    if (split && i > 0 && looksUnadjusted(bars[i - 1].price, bars[i].price, splitRatio(split))) {
+      scale *= splitRatio(split);
+    }
+  }
+
+  const factors = new Array(bars.length).fill(1);
+  if (total) {
+    let factor = 1;
+    if (bars.some(b => b.adjClose != null)) {
+      for (let i = bars.length - 1; i >= 0; i--) {
+        const b = bars[i];
+        if (b.adjClose != null && b.price > 0) factor = b.adjClose / (b.price / scales[i]);
+        factors[i] = factor;
+      }
+    } else {
+      for (let i = bars.length - 1; i >= 0; i--) {
+        factors[i] = factor;
+        const b = bars[i];
+        if (b.dividend > 0 && i > 0) {
+          const prevClose = bars[i - 1].price / scales[i - 1];
+          const amount = b.dividend / scales[i];
+          if (prevClose > amount) factor *= 1 - amount / prevClose;
+        }
+      }
+    }
+  }
+
+  return bars.map((b, i) => {
+    const k = factors[i] / scales[i];
+    if (k === 1) return b;
+    return {
+      ...b,
+      open: b.open != null ? b.open * k : b.open,
+      high: b.high != null ? b.high * k : b.high,
+      low: b.low != null ? b.low * k : b.low,
+      price: b.price * k,
+      volume: b.volume != null ? b.volume * scales[i] : b.volume,
+      rawPrice: b.price,
+    };
+  });
+};
+
+// Split and dividend events as chart markers: [{ date, type, label }];
+// dividends also carry the bar's `low` to sit under it.
+export const corporateActions = (bars) => {
+  const actions = [];
+  for (const b of bars) {
+    if (b.split) actions.push({ date: b.date, type: 'split', label: `${b.split.numerator}:${b.split.denominator}` });
+    if (b.dividend > 0) actions.push({ date: b.date, type: 'dividend', label: `$${b.dividend.toFixed(2)}`, low: b.low ?? b.price });
+  }
+  return actions;
+};
@@ -0,0 +1,149 @@
+import { computeScores } from './scoring.js';
+import { applyEventRisk } from './earnings.js';
+
+// Each rule compares the last bar with the one before it, so crosses and
+// verdict flips are detected per bar and don't depend on when polling ran.
+export const ALERT_RULE_TYPES = {
+  verdict: { label: 'Verdict change', defaults: { to: 'BUY' } },
+  score: { label: 'Score threshold', defaults: { direction: 'above', level: 0.5 } },
+  rsi: { label: 'RSI cross', defaults: { direction: 'below', level: 30 } },
+  zScore: { label: 'Z-score cross', defaults: { direction: 'below', level: -2 } },
+  sma: { label: 'Price vs SMA', defaults: { ma: 'sma200', direction: 'above' } },
+  move: { label: 'Percent move', defaults: { direction: 'either', level: 5 } },
+};
+
+export const DEFAULT_ALERT_CONFIG = {
+  pollMinutes: 5,
+  rules: [],
+};
+
+export const ALERT_LOG_LIMIT = 200;
+
+export const createRule = (type, overrides = {}) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  type,
+  symbol: '*',
+  enabled: true,
+  cooldownMin: 60,
+  ...ALERT_RULE_TYPES[type].defaults,
+  ...overrides,
+});
+
+const MA_LABELS = { sma50: 'fast SMA', sma200: 'slow SMA' };
+
+export const describeRule = (rule) => {
+  const who = rule.symbol === '*' ? 'Any ticker' : rule.symbol;
+  switch (rule.type) {
+    case 'verdict': return `${who}: verdict changes${rule.to === 'ANY' ? '' : ` to ${rule.to}`}`;
+    case 'score': return `${who}: score crosses ${rule.direction} ${rule.level}`;
+    case 'rsi': return `${who}: RSI crosses ${rule.direction} ${rule.level}`;
+    case 'zScore': return `${who}: Z-score crosses ${rule.direction} ${rule.level}`;
+    case 'sma': return `${who}: price crosses ${rule.direction} ${MA_LABELS[rule.ma]}`;
+    case 'move': return `${who}: moves ${rule.direction === 'either' ? '±' : rule.direction === 'up' ? '+' : '-'}${rule.level}% in a bar`;
+    default: return `${who}: unknown rule "${rule.type}"`;
+  }
+};
+
+// --- SNAPSHOTS ---
+
+const point = (bar, scores) => ({
+  date: bar.date,
+  price: bar.price,
+  rsi: bar.rsi,
+  zScore: bar.zScore,
+  sma50: bar.sma50,
+  sma200: bar.sma200,
+  total: scores.total,
+  verdict: scores.verdict,
+});
+
+// The last two bars of an indicator series, each with its own verdict. The
+// current analyst snapshot is used for both since ratings have no history.
+// `earnings` and `risk` apply the event-risk rule, so a verdict forced to
+// NEUTRAL ahead of a report counts as a verdict change.
+export const alertSnapshot = (indicatorData, weights, recs, params, { earnings = null, risk } = {}) => {
+  if (indicatorData.length < 2) return null;
+  const scoreAt = (bars) => applyEventRisk(computeScores(bars, weights, recs, params), earnings, bars[bars.length - 1].date, risk);
+  return {
+    previous: point(indicatorData[indicatorData.length - 2], scoreAt(indicatorData.slice(0, -1))),
+    current: point(indicatorData[indicatorData.length - 1], scoreAt(indicatorData)),
+  };
+};
+
+// --- EVALUATION ---
+
+const crossed = (prev, cur, level, direction) => {
+  if (prev == null || cur == null) return false;
+  return direction === 'above' ? prev <= level && cur > level : prev >= level && cur < level;
+};
+
+// Returns the alert message when the rule fires for this snapshot, else null.
+export const checkRule = (rule, symbol, { previous: prev, current: cur }) => {
+  switch (rule.type) {
+    case 'verdict':
+      return prev.verdict !== cur.verdict && (rule.to === 'ANY' || cur.verdict === rule.to)
+        ? `${symbol} verdict ${prev.verdict} → ${cur.verdict} (score ${cur.total.toFixed(2)})`
+        : null;
+    case 'score':
+      return crossed(prev.total, cur.total, rule.level, rule.direction)
+        ? `${symbol} score crossed ${rule.direction} ${rule.level} (${cur.total.toFixed(2)})`
+        : null;
+    case 'rsi':
+      return crossed(prev.rsi, cur.rsi, rule.level, rule.direction)
+        ? `${symbol} RSI crossed ${rule.direction} ${rule.level} (${cur.rsi.toFixed(1)})`
+        : null;
+    case 'zScore':
+      return crossed(prev.zScore, cur.zScore, rule.level, rule.direction)
+        ? `${symbol} Z-score crossed ${rule.direction} ${rule.level} (${cur.zScore.toFixed(2)})`
+        : null;
+    case 'sma': {
+      if (prev[rule.ma] == null || cur[rule.ma] == null) return null;
+      return crossed(prev.price - prev[rule.ma], cur.price - cur[rule.ma], 0, rule.direction)
+        ? `${symbol} crossed ${rule.direction} ${MA_LABELS[rule.ma]} ($${cur.price.toFixed(2)} vs $${cur[rule.ma].toFixed(2)})`
+        : null;
+    }
+    case 'move': {
+      if (!(prev.price > 0)) return null;
+      const change = cur.price / prev.price - 1;
+      const threshold = rule.level / 100;
+      const hit = rule.direction === 'up' ? change >= threshold
+        : rule.direction === 'down' ? change <= -threshold
+        : Math.abs(change) >= threshold;
+      return hit ? `${symbol} moved ${change > 0 ? '+' : ''}${(change * 100).toFixed(1)}% to $${cur.price.toFixed(2)}` : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Runs enabled rules against `snapshots` ({ [symbol]: alertSnapshot }) and
+// returns the new alerts, newest first. `log` is the existing alert log
+// (newest first): a rule fires at most once per symbol and bar date, and not
+// again for the same symbol until `cooldownMin` has passed.
+export const evaluateAlerts = (rules, snapshots, log, now = Date.now()) => {
+  const fired = [];
+  const seen = [...log];
+
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const symbols = rule.symbol === '*' ? Object.keys(snapshots) : [rule.symbol];
+
+    for (const symbol of symbols) {
+      const snap = snapshots[symbol];
+      if (!snap) continue;
+      const message = checkRule(rule, symbol, snap);
+      if (!message) continue;
+
+      const key = `${rule.id}:${symbol}:${snap.current.date}`;
+      if (seen.some(a => a.key === key)) continue;
+      const last = seen.find(a => a.ruleId === rule.id && a.symbol === symbol);
+      if (last && now - last.firedAt < rule.cooldownMin * 60000) continue;
+
+      const alert = { id: `${key}:${now}`, key, ruleId: rule.id, symbol, date: snap.current.date, message, firedAt: now };
+      fired.unshift(alert);
+      seen.unshift(alert);
+    }
+  }
+
+  return fired;
+};
@@ -0,0 +1,168 @@
+// Chart annotations, stored per ticker as { [ticker]: [annotation] }:
+//   { id, type: 'level', price }                  horizontal price level
+//   { id, type: 'trendline', from, to }           from/to are { date, price }
+//   { id, type: 'note', date, text }              text pinned to a date
+// Dates are 'YYYY-MM-DD' and prices are in the chart's price mode, so they
+// stay put across time ranges and bar intervals.
+export const ANNOTATION_TYPES = ['level', 'trendline', 'note'];
+
+// Bars after a cross during which the Level Cross factor still counts it.
+export const LEVEL_CROSS_LOOKBACK = 5;
+
+let nextId = 0;
+const makeId = () => `an-${Date.now().toString(36)}-${(nextId++).toString(36)}`;
+
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const cleanPoint = (point) => {
+  const price = Number(point?.price);
+  if (!isDate(point?.date) || !Number.isFinite(price) || price <= 0) throw new Error('A point needs a date and a positive price');
+  return { date: point.date, price };
+};
+
+// Validates and copies the fields for `type`; throws on anything unusable.
+export const createAnnotation = (type, fields = {}) => {
+  const id = typeof fields.id === 'string' ? fields.id : makeId();
+  if (type === 'level') {
+    const price = Number(fields.price);
+    if (!Number.isFinite(price) || price <= 0) throw new Error('A level needs a positive price');
+    return { id, type, price };
+  }
+  if (type === 'trendline') {
+    const [from, to] = [cleanPoint(fields.from), cleanPoint(fields.to)].sort((a, b) => a.date.localeCompare(b.date));
+    if (from.date === to.date) throw new Error('A trendline needs two different dates');
+    return { id, type, from, to };
+  }
+  if (type === 'note') {
+    if (!isDate(fields.date)) throw new Error('A note needs a date');
+    const text = String(fields.text ?? '').trim();
+    if (!text) throw new Error('A note needs text');
+    return { id, type, date: fields.date, text };
+  }
+  throw new Error(`Unknown annotation type "${type}"`);
+};
+
+// Repairs saved state: tickers are uppercased and invalid annotations dropped.
+export const normalizeAnnotations = (saved) => {
+  const state = {};
+  if (!saved || typeof saved !== 'object' || Array.isArray(saved)) return state;
+  for (const [ticker, list] of Object.entries(saved)) {
+    if (!Array.isArray(list)) continue;
+    const clean = list.flatMap(a => {
+      try {
+        return [createAnnotation(a?.type, a)];
+      } catch {
+        return [];
+      }
+    });
+    const key = ticker.trim().toUpperCase();
+    if (clean.length > 0) state[key] = [...(state[key] || []), ...clean];
+  }
+  return state;
+};
+
+export const addAnnotation = (state, ticker, annotation) => ({
+  ...state,
+  [ticker]: [...(state[ticker] || []), annotation],
+});
+
+export const updateAnnotation = (state, ticker, id, changes) => ({
+  ...state,
+  [ticker]: (state[ticker] || []).map(a => (a.id === id ? createAnnotation(a.type, { ...a, ...changes }) : a)),
+});
+
+export const removeAnnotation = (state, ticker, id) => {
+  const { [ticker]: list = [], ...rest } = state;
+  const remaining = list.filter(a => a.id !== id);
+  return remaining.length > 0 ? { ...rest, [ticker]: remaining } : rest;
+};
+
+// --- GEOMETRY ---
+
+const dayNumber = (date) => Date.parse(`${date}T00:00:00Z`) / 86400000;
+
+// The price of a level or trendline on `date`; null for notes and for dates
+// before a trendline starts. Trendlines are linear in calendar time and
+// extend past their second point.
+export const lineValue = (annotation, date) => {
+  if (annotation.type === 'level') return annotation.price;
+  if (annotation.type !== 'trendline' || date < annotation.from.date) return null;
+  const { from, to } = annotation;
+  const slope = (to.price - from.price) / (dayNumber(to.date) - dayNumber(from.date));
+  return from.price + slope * (dayNumber(date) - dayNumber(from.date));
+};
+
+// The date of the bar that contains `date`: the last bar on or before it.
+// Null when `date` is outside the bars, so off-screen annotations are skipped.
+export const snapDate = (data, date) => {
+  if (data.length === 0 || date < data[0].date || date > data[data.length - 1].date) return null;
+  let lo = 0;
+  let hi = data.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (data[mid].date <= date) lo = mid;
+    else hi = mid - 1;
+  }
+  return data[lo].date;
+};
+
+const describe = (annotation) => (annotation.type === 'level' ? `level ${annotation.price.toFixed(2)}` : 'trendline');
+
+// Marks crossings of the ticker's levels and trendlines on every bar:
+//   levelCross       +1 / -1 while the close is above / below the line it most
+//                    recently crossed up / down through, for `lookback` bars
+//                    after the cross; 0 otherwise
+//   levelCrossLine   what was crossed ('level 180.00' or 'trendline')
+//   levelCrossDate   the bar the cross happened on
+// Without levels or trendlines the bars are returned unchanged, so the fields
+// stay missing rather than reading as "no cross".
+export const attachLevels = (data, annotations, lookback = LEVEL_CROSS_LOOKBACK) => {
+  const lines = (annotations || []).filter(a => a.type === 'level' || a.type === 'trendline');
+  if (lines.length === 0 || data.length === 0) return data;
+
+  let last = null;
+  return data.map((bar, i) => {
+    const values = lines.map(line => lineValue(line, bar.date));
+    if (i > 0) {
+      const prev = data[i - 1];
+      lines.forEach((line, j) => {
+        const before = lineValue(line, prev.date);
+        if (before == null || values[j] == null) return;
+        if (prev.price <= before && bar.price > values[j]) last = { index: i, direction: 1, line: j };
+        else if (prev.price >= before && bar.price < values[j]) last = { index: i, direction: -1, line: j };
+      });
+    }
+    const held = last && i - last.index < lookback &&
+      (last.direction > 0 ? bar.price > values[last.line] : bar.price < values[last.line]);
+    return {
+      ...bar,
+      levelCross: held ? last.direction : 0,
+      levelCrossLine: held ? describe(lines[last.line]) : null,
+      levelCrossDate: held ? data[last.index].date : null,
+    };
+  });
+};
+
+// --- IMPORT / EXPORT ---
+
+export const annotationsToJson = (state) => JSON.stringify({ annotations: state }, null, 2) + '\n';
+
+// Reads an export ({ annotations: { [ticker]: [...] } }, or the bare map).
+export const parseAnnotations = (text) => {
+  const parsed = JSON.parse(text);
+  const map = parsed && typeof parsed.annotations === 'object' ? parsed.annotations : parsed;
+  if (!map || typeof map !== 'object' || Array.isArray(map)) throw new Error('Expected { annotations: { TICKER: [...] } }');
+  return normalizeAnnotations(map);
+};
+
+// Adds imported annotations; ones whose id is already saved are skipped, so
+// importing the same file twice changes nothing.
+export const mergeAnnotations = (state, imported) => {
+  const next = { ...state };
+  for (const [ticker, list] of Object.entries(imported)) {
+    const ids = new Set((next[ticker] || []).map(a => a.id));
+    const added = list.filter(a => !ids.has(a.id));
+    if (added.length > 0) next[ticker] = [...(next[ticker] || []), ...added];
+  }
+  return next;
+};
@@ -0,0 +1,141 @@
+import { computeScores, getVerdict } from './scoring.js';
+import { factorKeys } from './factors/index.js';
+import { periodsPerYear } from './bars.js';
+import { DEFAULT_RISK_SETTINGS, volatilitySeries, sizePosition } from './risk.js';
+import { DEFAULT_INDICATOR_PARAMS } from './indicators.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- PERFORMANCE STATS ---
+
+export const summarizeEquity = (curve, key, perYear) => {
+  if (curve.length < 2) return null;
+  const first = curve[0];
+  const last = curve[curve.length - 1];
+
+  const returns = [];
+  let peak = first[key];
+  let maxDrawdown = 0;
+  for (let i = 1; i < curve.length; i++) {
+    returns.push(curve[i][key] / curve[i - 1][key] - 1);
+    peak = Math.max(peak, curve[i][key]);
+    maxDrawdown = Math.min(maxDrawdown, curve[i][key] / peak - 1);
+  }
+
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const stdDev = Math.sqrt(returns.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / returns.length);
+  const years = (new Date(last.date) - new Date(first.date)) / DAY_MS / 365.25;
+  const growth = last[key] / first[key];
+
+  return {
+    totalReturn: growth - 1,
+    cagr: years > 0 && growth > 0 ? Math.pow(growth, 1 / years) - 1 : 0,
+    maxDrawdown,
+    volatility: stdDev * Math.sqrt(perYear),
+    sharpe: stdDev > 0 ? (mean / stdDev) * Math.sqrt(perYear) : 0,
+  };
+};
+
+// --- BACKTEST ENGINE ---
+
+// First bar where every indicator the verdict depends on is populated.
+export const findWarmup = (data) => {
+  const full = data.findIndex(d => d.sma200 != null);
+  if (full !== -1) return full;
+  const partial = data.findIndex(d => d.sma50 != null);
+  return partial !== -1 ? partial : 0;
+};
+
+const sign = (x) => x > 0 ? 1 : x < 0 ? -1 : 0;
+
+// Factor scores for every bar, as computeScores would see them on that day.
+// They don't depend on the weights, so callers that try many weightings
+// (the optimizer) compute them once and pass them back in as `bars`.
+export const scoreBars = (data, params = DEFAULT_INDICATOR_PARAMS) => data.map((_, i) => computeScores(data.slice(0, i + 1), {}, null, params));
+
+export const combineFactors = (factors, weights) =>
+  factorKeys().reduce((sum, k) => sum + (factors[k] || 0) * (weights[k] || 0), 0);
+
+// Replays calculateIndicators output bar by bar. The verdict and position size
+// computed at a bar's close set the exposure held over the next bar, so there
+// is no look-ahead. Analyst recommendations are a present-day snapshot, so
+// sentiment always uses its price-vs-fast-SMA fallback here. `bars` and `vols`
+// accept precomputed scoreBars/volatilitySeries output for repeated runs.
+export const runBacktest = (data, { weights, allowShort = true, costBps = 5, start, end, bars, vols, risk = DEFAULT_RISK_SETTINGS, params = DEFAULT_INDICATOR_PARAMS } = {}) => {
+  const from = start ?? findWarmup(data);
+  const to = Math.min(end ?? data.length, data.length);
+  if (to - from < 2) return null;
+  const factorBars = bars ?? scoreBars(data.slice(0, to), params);
+  const perYear = periodsPerYear(data.slice(from, to));
+  const volBars = vols ?? volatilitySeries(data.slice(0, to), risk, perYear);
+
+  const base = data[from].price;
+  const curve = [];
+  const trades = [];
+  let equity = 1;
+  let exposure = 0;
+  let barsInMarket = 0;
+  let openTrade = null;
+
+  const closeTrade = (day) => {
+    openTrade.exitDate = day.date;
+    openTrade.exitPrice = day.price;
+    openTrade.return = openTrade.side === 'LONG'
+      ? day.price / openTrade.entryPrice - 1
+      : 1 - day.price / openTrade.entryPrice;
+    trades.push(openTrade);
+    openTrade = null;
+  };
+
+  for (let i = from; i < to; i++) {
+    const day = data[i];
+    if (i > from) {
+      equity *= 1 + exposure * (day.price / data[i - 1].price - 1);
+      if (exposure !== 0) barsInMarket++;
+      if (openTrade) openTrade.bars++;
+    }
+
+    const total = combineFactors(factorBars[i], weights);
+    const verdict = getVerdict(total, params);
+    const size = sizePosition({ verdict, total, price: day.price, vol: volBars[i], atr: day.atr, perYear, settings: risk }).pct / 100;
+    const target = verdict === 'BUY' ? size
+      : verdict === 'SELL' && allowShort ? -size
+      : 0;
+
+    equity *= 1 - Math.abs(target - exposure) * (costBps / 10000);
+
+    if (sign(target) !== sign(exposure)) {
+      if (openTrade) closeTrade(day);
+      if (target !== 0) {
+        openTrade = { side: target > 0 ? 'LONG' : 'SHORT', entryDate: day.date, entryPrice: day.price, bars: 0 };
+      }
+    }
+    exposure = target;
+
+    curve.push({
+      date: day.date,
+      strategy: equity,
+      benchmark: day.price / base,
+      exposure,
+      verdict,
+    });
+  }
+
+  if (openTrade) {
+    closeTrade(data[to - 1]);
+    trades[trades.length - 1].open = true;
+  }
+
+  const closed = trades.filter(t => !t.open);
+
+  return {
+    curve,
+    trades,
+    startDate: data[from].date,
+    endDate: data[to - 1].date,
+    strategy: summarizeEquity(curve, 'strategy', perYear),
+    benchmark: summarizeEquity(curve, 'benchmark', perYear),
+    hitRate: closed.length > 0 ? closed.filter(t => t.return > 0).length / closed.length : null,
+    timeInMarket: barsInMarket / (curve.length - 1),
+  };
+};
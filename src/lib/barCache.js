@@ -0,0 +1,151 @@
+import { trimToRange } from './bars.js';
+
+// How long fetched bars count as fresh, per bar interval. Older entries are
+// still served, then refreshed in the background (stale-while-revalidate).
+export const BAR_CACHE_MAX_AGE = {
+  '1d': 15 * 60 * 1000,
+  '1wk': 6 * 60 * 60 * 1000,
+  '1mo': 6 * 60 * 60 * 1000,
+};
+
+const DEFAULT_MAX_AGE = 15 * 60 * 1000;
+
+// Bumped when the stored bar shape changes; older entries are refetched.
+export const BAR_CACHE_VERSION = 2;
+
+export const barCacheKey = (symbol, interval) => `${symbol.toUpperCase()}:${interval}`;
+
+// Fresh bars replace cached ones with the same date (the last cached bar may
+// have been an unfinished day or week), newer ones are appended.
+export const mergeBars = (cached, fresh) => {
+  const byDate = new Map(cached.map(b => [b.date, b]));
+  for (const bar of fresh) byDate.set(bar.date, bar);
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+export const formatAge = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+// A bar store is any object with async get(key) → entry | null, put(key, entry),
+// delete(key), keys() and clear(). Entries are
+// { version, symbol, interval, fetchRange, bars, fetchedAt }. The browser uses
+// IndexedDB (components/barStore.js); this one is for Node and tests.
+export const createMemoryBarStore = () => {
+  const entries = new Map();
+  return {
+    get: async (key) => entries.get(key) ?? null,
+    put: async (key, entry) => { entries.set(key, entry); },
+    delete: async (key) => { entries.delete(key); },
+    keys: async () => [...entries.keys()],
+    clear: async () => { entries.clear(); },
+  };
+};
+
+const sameBars = (a, b) => a.length === b.length && JSON.stringify(a) === JSON.stringify(b);
+
+// Wraps a history provider with a persistent bar store. A cached series is
+// returned straight away; once it is older than `maxAge` it is topped up in the
+// background by asking the provider only for bars since the last cached date
+// (`getHistory(symbol, rangeConfig, { since })`), and `onRevalidate(symbol,
+// rangeConfig)` is called only if that changed the stored bars (a refresh that
+// brings nothing new just renews `fetchedAt`). If the refresh fails the cached
+// bars keep being served. With `offline` the provider is never called and only
+// cached series are returned.
+export const createCachedProvider = (provider, {
+  store,
+  offline = false,
+  maxAge = BAR_CACHE_MAX_AGE,
+  now = () => Date.now(),
+  onRevalidate,
+}) => {
+  const inflight = new Map(); // key → refresh promise
+  const failures = new Map(); // key → { at, message } of the last failed refresh
+  const ttl = (interval) => maxAge[interval] ?? DEFAULT_MAX_AGE;
+
+  const readEntry = async (key, rangeConfig) => {
+    try {
+      const entry = await store.get(key);
+      return entry && entry.version === BAR_CACHE_VERSION && entry.fetchRange === rangeConfig.fetchRange && entry.bars?.length
+        ? entry
+        : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const fetchAndStore = async (symbol, rangeConfig, entry) => {
+    const since = entry ? entry.bars[entry.bars.length - 1].date : null;
+    let fresh = await provider.getHistory(symbol, rangeConfig, since ? { since } : undefined);
+    // A new dividend or split rewrites every earlier adjusted close, so the
+    // cached series can't just be topped up.
+    const known = new Set(entry ? entry.bars.filter(b => b.dividend || b.split).map(b => b.date) : []);
+    if (entry && fresh?.some(b => (b.dividend || b.split) && !known.has(b.date))) {
+      entry = null;
+      fresh = await provider.getHistory(symbol, rangeConfig);
+    }
+    if (!fresh?.length && !entry) return null;
+    const bars = entry ? trimToRange(mergeBars(entry.bars, fresh || []), rangeConfig.fetchRange) : fresh;
+    const next = {
+      version: BAR_CACHE_VERSION,
+      symbol: symbol.toUpperCase(),
+      interval: rangeConfig.interval,
+      fetchRange: rangeConfig.fetchRange,
+      bars,
+      fetchedAt: now(),
+    };
+    await store.put(barCacheKey(symbol, rangeConfig.interval), next).catch(() => {});
+    return next;
+  };
+
+  const revalidate = (symbol, rangeConfig, entry) => {
+    const key = barCacheKey(symbol, rangeConfig.interval);
+    const failed = failures.get(key);
+    if (inflight.has(key) || (failed && now() - failed.at < ttl(rangeConfig.interval))) return;
+
+    const refresh = fetchAndStore(symbol, rangeConfig, entry)
+      .then((next) => {
+        failures.delete(key);
+        if (next && !sameBars(entry.bars, next.bars)) onRevalidate?.(symbol, rangeConfig);
+      })
+      .catch((err) => { failures.set(key, { at: now(), message: err.message }); })
+      .finally(() => { inflight.delete(key); });
+    inflight.set(key, refresh);
+  };
+
+  return {
+    ...provider,
+    enabled: offline || provider.enabled !== false,
+    getHistory: async (symbol, rangeConfig) => {
+      const key = barCacheKey(symbol, rangeConfig.interval);
+      const entry = await readEntry(key, rangeConfig);
+      if (offline) return entry ? entry.bars : null;
+
+      if (entry) {
+        if (now() - entry.fetchedAt >= ttl(rangeConfig.interval)) revalidate(symbol, rangeConfig, entry);
+        return entry.bars;
+      }
+      const next = await fetchAndStore(symbol, rangeConfig, null);
+      return next ? next.bars : null;
+    },
+    // { fetchedAt, ageMs, stale, revalidating, error } for the cached series, or null.
+    cacheStatus: async (symbol, rangeConfig) => {
+      const key = barCacheKey(symbol, rangeConfig.interval);
+      const entry = await readEntry(key, rangeConfig);
+      if (!entry) return null;
+      const ageMs = now() - entry.fetchedAt;
+      return {
+        fetchedAt: entry.fetchedAt,
+        ageMs,
+        stale: ageMs >= ttl(rangeConfig.interval),
+        revalidating: inflight.has(key),
+        error: failures.get(key)?.message ?? null,
+      };
+    },
+  };
+};
@@ -0,0 +1,68 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGE_YEARS = { '1y': 1, '2y': 2, '5y': 5, '10y': 10 };
+
+// Keep only bars inside a Yahoo-style fetch range ('2y', '10y', 'max').
+export const trimToRange = (bars, fetchRange) => {
+  const years = RANGE_YEARS[fetchRange];
+  if (!years || bars.length === 0) return bars;
+  const cutoff = new Date(bars[bars.length - 1].date);
+  cutoff.setFullYear(cutoff.getFullYear() - years);
+  const from = cutoff.toISOString().split('T')[0];
+  return bars.filter(d => d.date >= from);
+};
+
+export const periodKey = (date, interval) => {
+  if (interval === '1mo') return date.slice(0, 7);
+  if (interval === '1wk') {
+    // Monday of the bar's week, so Mon–Fri land in one bucket.
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    return d.toISOString().split('T')[0];
+  }
+  return date;
+};
+
+const combineSplits = (a, b) => (a && b
+  ? { numerator: a.numerator * b.numerator, denominator: a.denominator * b.denominator }
+  : a || b);
+
+// Daily bars to weekly/monthly: first open, highest high, lowest low, last
+// close (and adjusted close), summed volume and dividends, dated by the
+// period's first bar like Yahoo does.
+export const resampleBars = (bars, interval) => {
+  if (!interval || interval === '1d') return bars;
+  const out = [];
+  let key = null;
+  for (const bar of bars) {
+    const k = periodKey(bar.date, interval);
+    if (k !== key) {
+      out.push({ ...bar, volume: bar.volume || 0 });
+      key = k;
+    } else {
+      const last = out[out.length - 1];
+      out[out.length - 1] = {
+        ...bar,
+        date: last.date,
+        open: last.open,
+        high: last.high != null || bar.high != null ? Math.max(last.high ?? -Infinity, bar.high ?? -Infinity) : undefined,
+        low: last.low != null || bar.low != null ? Math.min(last.low ?? Infinity, bar.low ?? Infinity) : undefined,
+        volume: last.volume + (bar.volume || 0),
+        ...(last.dividend || bar.dividend ? { dividend: (last.dividend || 0) + (bar.dividend || 0) } : {}),
+        ...(last.split || bar.split ? { split: combineSplits(last.split, bar.split) } : {}),
+      };
+    }
+  }
+  return out;
+};
+
+export const fitToRange = (bars, rangeConfig) =>
+  resampleBars(trimToRange(bars, rangeConfig.fetchRange), rangeConfig.interval);
+
+// Bars per year inferred from the calendar span, so daily, weekly and monthly
+// series all annualize correctly without being told their interval.
+export const periodsPerYear = (data) => {
+  if (data.length < 2) return 252;
+  const spanDays = (new Date(data[data.length - 1].date) - new Date(data[0].date)) / DAY_MS;
+  return spanDays > 0 ? (365.25 * (data.length - 1)) / spanDays : 252;
+};
@@ -0,0 +1,73 @@
+import { periodsPerYear } from './bars.js';
+
+export const DEFAULT_BENCHMARK = 'VOO';
+
+// Bars in the moving average of the relative-strength line, and in the rolling
+// beta/correlation/alpha window.
+export const RS_SMA_PERIOD = 50;
+export const BENCHMARK_WINDOW = 60;
+
+// Benchmark close for each bar's date, carrying the last one forward over
+// dates the benchmark has no bar for (different holidays, a gap in a local file).
+const alignCloses = (data, benchmarkBars) => {
+  const sorted = [...benchmarkBars].sort((a, b) => a.date.localeCompare(b.date));
+  const closes = new Array(data.length).fill(null);
+  let j = 0;
+  let last = null;
+  for (let i = 0; i < data.length; i++) {
+    while (j < sorted.length && sorted[j].date <= data[i].date) last = sorted[j++].price;
+    closes[i] = last;
+  }
+  return closes;
+};
+
+// Adds benchmark-relative fields to calculateIndicators output:
+//   benchPrice   benchmark close on the bar's date
+//   rs           price / benchmark, rebased to 100 at the first shared bar
+//   rsSma        RS_SMA_PERIOD-bar average of rs
+//   beta, correlation, alpha   over the last `window` bar returns; alpha is
+//                annualized (mean excess return over beta × benchmark)
+// Both series should be on the same price basis (see adjustBars). Without
+// benchmark bars the data comes back unchanged and the fields stay missing.
+export const attachBenchmark = (data, benchmarkBars, { window = BENCHMARK_WINDOW, smaPeriod = RS_SMA_PERIOD } = {}) => {
+  if (!benchmarkBars?.length || data.length === 0) return data;
+  const closes = alignCloses(data, benchmarkBars);
+  const base = closes.findIndex((c, i) => c > 0 && data[i].price > 0);
+  if (base === -1) return data;
+  const perYear = periodsPerYear(data);
+
+  const rs = data.map((b, i) => (i >= base && closes[i] > 0 ? 100 * (b.price / data[base].price) / (closes[i] / closes[base]) : null));
+  const stockReturns = data.map((b, i) => (i > base && rs[i] != null && rs[i - 1] != null ? b.price / data[i - 1].price - 1 : null));
+  const benchReturns = data.map((_, i) => (stockReturns[i] != null ? closes[i] / closes[i - 1] - 1 : null));
+
+  return data.map((b, i) => {
+    const out = { ...b, benchPrice: closes[i], rs: rs[i], rsSma: null, beta: null, correlation: null, alpha: null };
+
+    if (i - base + 1 >= smaPeriod) {
+      let sum = 0;
+      for (let k = i - smaPeriod + 1; k <= i; k++) sum += rs[k];
+      out.rsSma = sum / smaPeriod;
+    }
+
+    if (i - base >= window) {
+      let ms = 0, mb = 0;
+      for (let k = i - window + 1; k <= i; k++) { ms += stockReturns[k]; mb += benchReturns[k]; }
+      ms /= window;
+      mb /= window;
+      let cov = 0, vs = 0, vb = 0;
+      for (let k = i - window + 1; k <= i; k++) {
+        const ds = stockReturns[k] - ms;
+        const db = benchReturns[k] - mb;
+        cov += ds * db;
+        vs += ds * ds;
+        vb += db * db;
+      }
+      if (vb > 0) {
+        out.beta = cov / vb;
+        out.alpha = (ms - out.beta * mb) * perYear;
+      }
+      if (vs > 0 && vb > 0) out.correlation = cov / Math.sqrt(vs * vb);
+    }
+    return out;
+  });
+};
@@ -0,0 +1,60 @@
+import { periodKey, periodsPerYear } from './bars.js';
+import { summarizeEquity } from './backtest.js';
+
+// First date of a TIME_RANGES window ending on `endDate` ('3mo' → three months
+// earlier); null for 'max', which keeps everything.
+export const windowStart = (endDate, rangeConfig) => {
+  const match = /^(\d+)(mo|y)$/.exec(rangeConfig.value);
+  if (!match) return null;
+  const d = new Date(`${endDate}T00:00:00Z`);
+  if (match[2] === 'mo') d.setUTCMonth(d.getUTCMonth() - Number(match[1]));
+  else d.setUTCFullYear(d.getUTCFullYear() - Number(match[1]));
+  return d.toISOString().split('T')[0];
+};
+
+// Overlays several bar series as return from a shared start. Bars are matched
+// on their period (the date for daily bars, the week or month otherwise), so
+// exchanges with different holidays line up; a symbol with no bar in a period
+// carries its last close forward. The window ends at the latest bar and starts
+// at the first period in which every symbol has traded.
+// Returns { rows: [{ date, [symbol]: return }], stats: [{ symbol, start, end, ...summarizeEquity }] }.
+export const buildComparison = (barsBySymbol, rangeConfig) => {
+  const symbols = Object.keys(barsBySymbol).filter(sym => barsBySymbol[sym]?.length > 0);
+  if (symbols.length === 0) return { rows: [], stats: [] };
+  const end = symbols.map(sym => barsBySymbol[sym][barsBySymbol[sym].length - 1].date).sort().pop();
+  const from = windowStart(end, rangeConfig);
+  const inWindow = Object.fromEntries(symbols.map(sym => [sym, barsBySymbol[sym].filter(b => !from || b.date >= from)]));
+
+  const closes = {};
+  const keys = new Set();
+  for (const sym of symbols) {
+    closes[sym] = new Map();
+    for (const bar of inWindow[sym]) {
+      const key = periodKey(bar.date, rangeConfig.interval);
+      closes[sym].set(key, bar.price);
+      keys.add(key);
+    }
+  }
+
+  const last = {};
+  const base = {};
+  const rows = [];
+  for (const key of [...keys].sort()) {
+    for (const sym of symbols) {
+      if (closes[sym].has(key)) last[sym] = closes[sym].get(key);
+    }
+    if (!symbols.every(sym => last[sym] != null)) continue;
+    if (rows.length === 0) symbols.forEach(sym => { base[sym] = last[sym]; });
+    rows.push({ date: key, ...Object.fromEntries(symbols.map(sym => [sym, last[sym] / base[sym] - 1])) });
+  }
+  if (rows.length === 0) return { rows, stats: [] };
+
+  // Stats use each symbol's own bars over the shared window, not the
+  // forward-filled rows, so holidays don't show up as flat days.
+  const startKey = rows[0].date;
+  const stats = symbols.map(sym => {
+    const own = inWindow[sym].filter(b => periodKey(b.date, rangeConfig.interval) >= startKey);
+    return { symbol: sym, start: own[0]?.date, end: own[own.length - 1]?.date, ...summarizeEquity(own, 'price', periodsPerYear(own)) };
+  });
+  return { rows, stats };
+};
@@ -0,0 +1,74 @@
+import { parseSplit } from './adjust.js';
+
+// Minimal RFC 4180 handling: quoted fields may contain commas and doubled quotes.
+export const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { fields.push(field); field = ''; }
+    else field += ch;
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+};
+
+export const parseCsv = (text) => {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== '');
+  if (lines.length === 0) return [];
+  const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+  return lines.slice(1).map(line => {
+    const fields = splitCsvLine(line);
+    return Object.fromEntries(header.map((h, i) => [h, fields[i] ?? '']));
+  });
+};
+
+const pickColumn = (row, names) => {
+  const key = names.find(n => row[n] !== undefined && row[n] !== '');
+  return key ? row[key] : undefined;
+};
+
+// Daily bar files in the common vendor layouts (Yahoo download, Stooq, plain
+// date/close) become the `{ date, open, high, low, price, volume }` rows
+// calculateIndicators expects. Missing open/high/low columns stay undefined.
+// An adjusted close next to the close, and dividend / split columns (yfinance's
+// "Dividends" and "Stock Splits"), are kept for lib/adjust.js.
+export const parsePriceCsv = (text) =>
+  parseCsv(text)
+    .map(row => {
+      const date = pickColumn(row, ['date', 'timestamp', 'time']);
+      const close = pickColumn(row, ['close', 'adj close', 'adj_close', 'price']);
+      const adjClose = row.close ? parseFloat(pickColumn(row, ['adj close', 'adj_close', 'adjclose'])) : NaN;
+      const dividend = parseFloat(pickColumn(row, ['dividends', 'dividend']));
+      const split = parseSplit(pickColumn(row, ['stock splits', 'split', 'splits']));
+      const volume = pickColumn(row, ['volume', 'vol']);
+      const [open, high, low] = ['open', 'high', 'low'].map(k => row[k] ? parseFloat(row[k]) : undefined);
+      return {
+        date: date && !isNaN(new Date(date)) ? new Date(date).toISOString().split('T')[0] : null,
+        open: Number.isFinite(open) ? open : undefined,
+        high: Number.isFinite(high) ? high : undefined,
+        low: Number.isFinite(low) ? low : undefined,
+        price: close !== undefined ? parseFloat(close) : NaN,
+        volume: volume !== undefined ? parseFloat(volume) : 0,
+        ...(Number.isFinite(adjClose) && { adjClose }),
+        ...(dividend > 0 && { dividend }),
+        ...(split && { split }),
+      };
+    })
+    .filter(d => d.date && Number.isFinite(d.price))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+const escapeCsv = (value) => {
+  if (value == null) return '';
+  const s = String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCsv = (rows, columns) =>
+  [columns.join(','), ...rows.map(r => columns.map(c => escapeCsv(r[c])).join(','))].join('\n') + '\n';
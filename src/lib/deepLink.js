@@ -0,0 +1,44 @@
+import { TIME_RANGES } from './ranges.js';
+
+// The analysis state as a URL hash: #/NVDA?range=3Y&w=trend:0.3,...&list=Tech&wl=AAPL,MSFT&b=QQQ
+// Hash routing needs nothing from the server, so links work under any base
+// path (GitHub Pages serves the app from /AlphaSentinel/).
+
+const encodeList = (items) => items.map(encodeURIComponent).join(',');
+const decodeList = (value) => value.split(',').map(s => s.trim()).filter(Boolean);
+
+export const formatAnalysisHash = ({ ticker, range, weights, list, symbols, benchmark }) => {
+  const params = [];
+  if (range) params.push(`range=${encodeURIComponent(range)}`);
+  if (weights) params.push(`w=${Object.entries(weights).map(([key, value]) => `${encodeURIComponent(key)}:${Number(value.toFixed(4))}`).join(',')}`);
+  if (list) params.push(`list=${encodeURIComponent(list)}`);
+  if (symbols) params.push(`wl=${encodeList(symbols)}`);
+  if (benchmark) params.push(`b=${encodeURIComponent(benchmark)}`);
+  return `#/${encodeURIComponent(ticker)}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+};
+
+// Returns only the fields present and valid in the hash: an unknown range or
+// a malformed weight is dropped rather than failing the whole link.
+export const parseAnalysisHash = (hash) => {
+  const match = /^#\/([^?]*)(?:\?(.*))?$/.exec(hash || '');
+  if (!match) return {};
+  const link = {};
+  const ticker = decodeURIComponent(match[1]).trim().toUpperCase();
+  if (ticker) link.ticker = ticker;
+
+  const params = new URLSearchParams(match[2] || '');
+  const range = TIME_RANGES.find(r => r.label.toLowerCase() === params.get('range')?.toLowerCase());
+  if (range) link.range = range.label;
+  if (params.has('w')) {
+    const weights = {};
+    for (const pair of decodeList(params.get('w'))) {
+      const [key, value] = pair.split(':');
+      if (key && value !== '' && Number.isFinite(Number(value))) weights[key] = Number(value);
+    }
+    if (Object.keys(weights).length > 0) link.weights = weights;
+  }
+  if (params.get('list')?.trim()) link.list = params.get('list').trim();
+  if (params.has('wl')) link.symbols = decodeList(params.get('wl')).map(s => s.toUpperCase());
+  if (params.get('b')?.trim()) link.benchmark = params.get('b').trim().toUpperCase();
+  return link;
+};
@@ -0,0 +1,74 @@
+import { DEFAULT_RISK_SETTINGS, scalePosition } from './risk.js';
+
+// Earnings reports from Finnhub's earnings calendar, and the event-risk rule:
+// within `earningsWindow` calendar days before a report the position is cut
+// to `earningsScale` of its size, or the verdict is forced to NEUTRAL.
+
+export const EARNINGS_ACTIONS = { off: 'Ignore', reduce: 'Cut size', neutral: 'Force NEUTRAL' };
+export const EARNINGS_HOURS = { bmo: 'before open', amc: 'after close', dmh: 'during market' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const num = (v) => (v == null || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+
+// Finnhub's { earningsCalendar: [...] } (or the bare rows) as events sorted by
+// date, one per date. Rows for other symbols are dropped when `symbol` is given.
+export const parseEarningsCalendar = (payload, symbol = null) => {
+  const rows = Array.isArray(payload) ? payload : payload?.earningsCalendar;
+  if (!Array.isArray(rows)) return [];
+  const byDate = new Map();
+  for (const r of rows) {
+    if (!r || !/^\d{4}-\d{2}-\d{2}$/.test(r.date)) continue;
+    if (symbol && r.symbol && String(r.symbol).toUpperCase() !== symbol.toUpperCase()) continue;
+    byDate.set(r.date, {
+      date: r.date,
+      hour: EARNINGS_HOURS[r.hour] ? r.hour : null,
+      quarter: num(r.quarter),
+      year: num(r.year),
+      epsEstimate: num(r.epsEstimate),
+      epsActual: num(r.epsActual),
+      revenueEstimate: num(r.revenueEstimate),
+      revenueActual: num(r.revenueActual),
+    });
+  }
+  return [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : 1));
+};
+
+// Calendar days from one date to another (YYYY-MM-DD; anything after is ignored).
+export const daysBetween = (from, to) =>
+  Math.round((Date.parse(to.slice(0, 10)) - Date.parse(from.slice(0, 10))) / DAY_MS);
+
+// The first report on or after `asOf`; a report dated `asOf` is still ahead.
+export const nextEarnings = (events, asOf) => events?.find(e => e.date >= asOf.slice(0, 10)) ?? null;
+
+// EPS surprise as a fraction of the estimate, once the actual is in.
+export const epsSurprise = (event) =>
+  event.epsActual != null && event.epsEstimate ? (event.epsActual - event.epsEstimate) / Math.abs(event.epsEstimate) : null;
+
+// --- EVENT RISK ---
+
+// computeScores output as of the bar dated `asOf`, with `nextEarnings` (the
+// next report plus `days` until it) and `eventRisk` ({ date, days, action,
+// verdict } while the rule applies, else null). 'neutral' replaces the
+// verdict; the one the factors gave is kept in `eventRisk.verdict`.
+export const applyEventRisk = (scores, events, asOf, settings = DEFAULT_RISK_SETTINGS) => {
+  const next = asOf ? nextEarnings(events, asOf) : null;
+  if (!next) return { ...scores, nextEarnings: null, eventRisk: null };
+  const days = daysBetween(asOf, next.date);
+  const active = settings.earningsAction !== 'off' && days <= settings.earningsWindow;
+  const eventRisk = active ? { date: next.date, days, action: settings.earningsAction, verdict: scores.verdict } : null;
+  return {
+    ...scores,
+    verdict: eventRisk?.action === 'neutral' ? 'NEUTRAL' : scores.verdict,
+    nextEarnings: { ...next, days },
+    eventRisk,
+  };
+};
+
+// The position cut to `earningsScale` while a 'reduce' rule applies, with the
+// cut as `eventScale`. Any book scale already applied is kept.
+export const scaleForEventRisk = (position, scores, settings = DEFAULT_RISK_SETTINGS) => {
+  if (scores.eventRisk?.action !== 'reduce') return position;
+  const scale = Math.min(1, Math.max(0, settings.earningsScale));
+  return { ...scalePosition(position, scale), bookScale: position.bookScale, eventScale: scale };
+};
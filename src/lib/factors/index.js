@@ -0,0 +1,62 @@
+import { trendFactor } from './trend.js';
+import { momentumFactor } from './momentum.js';
+import { meanReversionFactor } from './meanReversion.js';
+import { sentimentFactor } from './sentiment.js';
+import { macdFactor } from './macd.js';
+import { volumeSurgeFactor } from './volumeSurge.js';
+import { relativeStrengthFactor } from './relativeStrength.js';
+import { levelCrossFactor } from './levelCross.js';
+
+export { trendFactor, momentumFactor, meanReversionFactor, sentimentFactor, macdFactor, volumeSurgeFactor, relativeStrengthFactor, levelCrossFactor };
+
+// A factor is a plain object:
+//   id            key in weights and score objects
+//   label         score card title; `shortLabel` for table columns, `abbr` for chips
+//   icon, color   lucide-react icon name and Tailwind color name, resolved by the UI
+//   defaultWeight starting slider value
+//   requires      indicator fields that must be non-null on the last bar, else score 0
+//   compute(data, { recs, params }) → { score: -1 | 0 | 1, description } for the
+//                 last bar; `params` are the indicator parameters in use
+//   available     optional (data) → false when the factor can't score this
+//                 ticker at all (Level Cross without drawings); the optimizer
+//                 leaves it out and its slider is dimmed
+// Only the original four (trend, momentum, mean reversion, sentiment) carry a
+// default weight. Every factor added since starts at 0, so adding one leaves
+// the default verdict, saved weights and backtests unchanged until a user
+// weights it in.
+export const BUILTIN_FACTORS = [trendFactor, momentumFactor, meanReversionFactor, sentimentFactor, macdFactor, volumeSurgeFactor, relativeStrengthFactor, levelCrossFactor];
+
+const FACTOR_FIELDS = ['id', 'label', 'compute'];
+
+const registry = [...BUILTIN_FACTORS];
+
+// Adds a factor, or replaces the one with the same id. Register before the
+// first render/score so every consumer sees the same list.
+export const registerFactor = (factor) => {
+  const missing = FACTOR_FIELDS.filter(f => factor[f] == null);
+  if (missing.length > 0) throw new Error(`Factor is missing ${missing.join(', ')}`);
+  const definition = {
+    shortLabel: factor.label,
+    abbr: factor.label[0].toUpperCase(),
+    icon: 'Activity',
+    color: 'slate',
+    defaultWeight: 0,
+    requires: [],
+    ...factor,
+  };
+  const index = registry.findIndex(f => f.id === factor.id);
+  if (index === -1) registry.push(definition);
+  else registry[index] = definition;
+  return definition;
+};
+
+export const getFactors = () => registry;
+
+export const getFactor = (id) => registry.find(f => f.id === id) || null;
+
+export const factorKeys = () => registry.map(f => f.id);
+
+// Factors that can score `data` (see `available` above).
+export const availableFactors = (data) => registry.filter(f => !f.available || f.available(data));
+
+export const defaultWeights = () => Object.fromEntries(registry.map(f => [f.id, f.defaultWeight]));
@@ -0,0 +1,23 @@
+import { LEVEL_CROSS_LOOKBACK } from '../annotations.js';
+
+// A close through one of the ticker's saved levels or trendlines, held since
+// (see attachLevels in lib/annotations.js). Scores 0 when nothing is drawn,
+// so it only counts as available once attachLevels has added its fields.
+export const levelCrossFactor = {
+  id: 'levelCross',
+  label: 'Level Cross',
+  shortLabel: 'Level',
+  abbr: 'L',
+  icon: 'Crosshair',
+  color: 'yellow',
+  defaultWeight: 0,
+  requires: [],
+  available: (data) => data.some(bar => bar.levelCross != null),
+  compute: (data) => {
+    const { levelCross, levelCrossLine, levelCrossDate } = data[data.length - 1];
+    if (levelCross == null) return { score: 0, description: 'No saved levels or trendlines for this ticker.' };
+    if (levelCross > 0) return { score: 1, description: `Closed above the ${levelCrossLine} on ${levelCrossDate} and held — breakout.` };
+    if (levelCross < 0) return { score: -1, description: `Closed below the ${levelCrossLine} on ${levelCrossDate} and held — breakdown.` };
+    return { score: 0, description: `No level or trendline crossed and held in the last ${LEVEL_CROSS_LOOKBACK} bars.` };
+  },
+};
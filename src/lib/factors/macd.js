@@ -0,0 +1,18 @@
+// MACD (macdFast/macdSlow EMAs, 12/26 by default) against its signal line.
+export const macdFactor = {
+  id: 'macd',
+  label: 'MACD',
+  shortLabel: 'MACD',
+  abbr: 'D',
+  icon: 'GitCompareArrows',
+  color: 'emerald',
+  defaultWeight: 0,
+  requires: ['macd', 'macdSignal'],
+  compute: (data) => {
+    const { macd, macdSignal, macdHist } = data[data.length - 1];
+    const values = `MACD ${macd.toFixed(2)} vs signal ${macdSignal.toFixed(2)}`;
+    if (macdHist > 0) return { score: 1, description: `${values} — MACD above its signal line, momentum turning up.` };
+    if (macdHist < 0) return { score: -1, description: `${values} — MACD below its signal line, momentum turning down.` };
+    return { score: 0, description: `${values} — lines converged, no signal.` };
+  },
+};
@@ -0,0 +1,16 @@
+export const meanReversionFactor = {
+  id: 'meanRev',
+  label: 'Mean Reversion',
+  shortLabel: 'Mean Rev.',
+  abbr: 'R',
+  icon: 'RefreshCw',
+  color: 'purple',
+  defaultWeight: 0.3,
+  requires: ['zScore'],
+  compute: (data, { params }) => {
+    const { zScore } = data[data.length - 1];
+    if (zScore < -params.zThreshold) return { score: 1, description: 'Statistical extension to downside (Oversold). Snap-back likely.' };
+    if (zScore > params.zThreshold) return { score: -1, description: 'Statistical extension to upside (Overbought). Pullback likely.' };
+    return { score: 0, description: 'Price is within normal statistical bands. No edge.' };
+  },
+};
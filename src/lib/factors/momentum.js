@@ -0,0 +1,17 @@
+export const momentumFactor = {
+  id: 'momentum',
+  label: 'RSI Momentum',
+  shortLabel: 'RSI Mom.',
+  abbr: 'M',
+  icon: 'Activity',
+  color: 'cyan',
+  defaultWeight: 0.2,
+  requires: ['rsi'],
+  compute: (data, { params }) => {
+    const { rsi } = data[data.length - 1];
+    const { rsiOverbought: high, rsiOversold: low } = params;
+    if (rsi > high) return { score: 1, description: `RSI at ${rsi.toFixed(1)} — above ${high} indicates strong bullish momentum.` };
+    if (rsi < low) return { score: -1, description: `RSI at ${rsi.toFixed(1)} — below ${low} indicates strong bearish momentum.` };
+    return { score: 0, description: `RSI at ${rsi.toFixed(1)} — between ${low}-${high}, no clear directional momentum.` };
+  },
+};
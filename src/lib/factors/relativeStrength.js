@@ -0,0 +1,25 @@
+import { RS_SMA_PERIOD } from '../benchmark.js';
+
+export const RS_BAND = 0.01;
+
+// The ticker's price relative to the benchmark against that ratio's own
+// moving average: above it the stock has been outperforming lately. Scores 0
+// without benchmark bars (see lib/benchmark.js).
+export const relativeStrengthFactor = {
+  id: 'relStrength',
+  label: 'Relative Strength',
+  shortLabel: 'RS',
+  abbr: 'B',
+  icon: 'Scale',
+  color: 'indigo',
+  defaultWeight: 0,
+  requires: ['rs', 'rsSma'],
+  compute: (data) => {
+    const { rs, rsSma } = data[data.length - 1];
+    const gap = rs / rsSma - 1;
+    const values = `RS ${rs.toFixed(1)} is ${Math.abs(gap * 100).toFixed(1)}% ${gap >= 0 ? 'above' : 'below'} its ${RS_SMA_PERIOD}-bar average`;
+    if (gap > RS_BAND) return { score: 1, description: `${values} — outperforming the benchmark.` };
+    if (gap < -RS_BAND) return { score: -1, description: `${values} — underperforming the benchmark.` };
+    return { score: 0, description: `${values} — moving with the benchmark.` };
+  },
+};
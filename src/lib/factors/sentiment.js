@@ -0,0 +1,36 @@
+// Analyst consensus when recommendations are available, otherwise price vs
+// the fast SMA as a proxy (always the case in backtests, which have no rating history).
+export const sentimentFactor = {
+  id: 'sentiment',
+  label: 'Sentiment',
+  shortLabel: 'Sentiment',
+  abbr: 'S',
+  icon: 'BarChart2',
+  color: 'amber',
+  defaultWeight: 0.2,
+  requires: [],
+  compute: (data, { recs, params }) => {
+    const current = data[data.length - 1];
+    const fast = `SMA${params.smaFast}`;
+    const proxy = current.price > current.sma50 ? 1 : -1;
+
+    if (recs) {
+      const { strongBuy = 0, buy = 0, hold = 0, sell = 0, strongSell = 0 } = recs;
+      const total = strongBuy + buy + hold + sell + strongSell;
+      if (total === 0) return { score: proxy, description: `No analyst data. Falling back to price vs ${fast}.` };
+      const raw = (strongBuy * 2 + buy * 1 + hold * 0 + sell * -1 + strongSell * -2) / total;
+      const normalized = Math.max(-1, Math.min(1, raw));
+      return {
+        score: normalized > 0.3 ? 1 : normalized < -0.3 ? -1 : 0,
+        description: `${total} analysts: ${strongBuy + buy} Buy, ${hold} Hold, ${sell + strongSell} Sell. Consensus score: ${raw.toFixed(2)}.`,
+      };
+    }
+
+    return {
+      score: proxy,
+      description: proxy === 1
+        ? `No analyst data available. Price above ${fast} used as proxy.`
+        : `No analyst data available. Price below ${fast} used as proxy.`,
+    };
+  },
+};
@@ -0,0 +1,22 @@
+export const trendFactor = {
+  id: 'trend',
+  label: 'Trend',
+  shortLabel: 'Trend',
+  abbr: 'T',
+  icon: 'TrendingUp',
+  color: 'blue',
+  defaultWeight: 0.3,
+  requires: ['sma50', 'sma200'],
+  compute: (data, { params }) => {
+    const current = data[data.length - 1];
+    const fast = `SMA${params.smaFast}`;
+    const slow = `SMA${params.smaSlow}`;
+    if (current.price > current.sma200 && current.price > current.sma50) {
+      return { score: 1, description: `Price is above both ${fast} and ${slow}. Both timeframes confirm an uptrend.` };
+    }
+    if (current.price < current.sma200 && current.price < current.sma50) {
+      return { score: -1, description: `Price is below both ${fast} and ${slow}. Both timeframes confirm a downtrend.` };
+    }
+    return { score: 0, description: `Price is between ${fast} and ${slow}. Mixed signals — no confirmed trend direction.` };
+  },
+};
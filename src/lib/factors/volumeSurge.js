@@ -0,0 +1,26 @@
+export const VOLUME_SURGE_RATIO = 2;
+
+// Unusually heavy volume confirms the direction of that bar's move; normal
+// volume says nothing.
+export const volumeSurgeFactor = {
+  id: 'volumeSurge',
+  label: 'Volume Surge',
+  shortLabel: 'Volume',
+  abbr: 'V',
+  icon: 'BarChart3',
+  color: 'rose',
+  defaultWeight: 0,
+  requires: ['volumeRatio'],
+  compute: (data, { params }) => {
+    const current = data[data.length - 1];
+    const prev = data[data.length - 2];
+    const ratio = current.volumeRatio;
+    if (ratio < VOLUME_SURGE_RATIO || !prev) {
+      return { score: 0, description: `Volume at ${ratio.toFixed(1)}× its ${params.volumePeriod}-bar average — no surge.` };
+    }
+    const change = current.price - prev.price;
+    if (change > 0) return { score: 1, description: `Volume at ${ratio.toFixed(1)}× average on an up bar — accumulation.` };
+    if (change < 0) return { score: -1, description: `Volume at ${ratio.toFixed(1)}× average on a down bar — distribution.` };
+    return { score: 0, description: `Volume at ${ratio.toFixed(1)}× average on an unchanged bar — no direction.` };
+  },
+};
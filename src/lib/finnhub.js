@@ -0,0 +1,44 @@
+export const FINNHUB_API_URL = 'https://finnhub.io/api/v1';
+
+// Without `apiKey` the request goes out unsigned, for a `baseUrl` that adds
+// the key itself (the gateway's /finnhub route or the Vite dev proxy).
+// `query` adds parameters after the symbol.
+const finnhubGet = async (path, symbol, { apiKey, baseUrl = FINNHUB_API_URL, fetchImpl = fetch }, query = {}) => {
+  const params = new URLSearchParams({ symbol, ...query });
+  if (apiKey) params.set('token', apiKey);
+  const response = await fetchImpl(`${baseUrl}${path}?${params}`);
+  if (!response.ok) throw new Error(`Finnhub HTTP ${response.status}`);
+  return response.json();
+};
+
+// Each helper resolves to null when Finnhub has nothing useful for the symbol,
+// so callers can fall back without inspecting the payload shape.
+export const fetchQuote = async (symbol, options) => {
+  const q = await finnhubGet('/quote', symbol, options);
+  return q.c && q.c > 0 ? q : null;
+};
+
+export const fetchRecommendations = async (symbol, options) => {
+  const recs = await finnhubGet('/stock/recommendation', symbol, options);
+  return Array.isArray(recs) && recs.length > 0 ? recs[0] : null;
+};
+
+export const fetchProfile = async (symbol, options) => {
+  const profile = await finnhubGet('/stock/profile2', symbol, options);
+  return profile.name ? profile : null;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// Earnings calendar rows ({ date, hour, epsEstimate, epsActual, ... }) from a
+// year back to six months ahead unless `from`/`to` (YYYY-MM-DD) say otherwise.
+export const fetchEarnings = async (symbol, options, { from, to } = {}) => {
+  const now = Date.now();
+  const calendar = await finnhubGet('/calendar/earnings', symbol, options, {
+    from: from || isoDay(now - 365 * DAY_MS),
+    to: to || isoDay(now + 182 * DAY_MS),
+  });
+  const rows = calendar?.earningsCalendar;
+  return Array.isArray(rows) && rows.length > 0 ? rows : null;
+};
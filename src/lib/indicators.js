@@ -0,0 +1,219 @@
+export const seededRandom = (seed) => {
+  let x = Math.sin(seed++) * 10000;
+  return x - Math.floor(x);
+};
+
+export const generateStockData = (ticker) => {
+  let seed = ticker.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
+  const data = [];
+  let price = 100 + (seededRandom(seed) * 50); 
+  let trend = (seededRandom(seed + 1) - 0.5) * 0.2; 
+  const now = new Date();
+  const totalPoints = 400; 
+  
+  for (let i = 0; i < totalPoints; i++) {
+    const date = new Date(now);
+    date.setDate(date.getDate() - (totalPoints - i));
+    const volatility = price * 0.02; 
+    const change = (seededRandom(seed + i) - 0.5) * volatility + trend;
+    const prevClose = price;
+    price += change;
+    price = Math.max(price, 5);
+
+    // Intraday range drawn from separate seed offsets so the close path is unchanged.
+    const open = Math.max(prevClose + (seededRandom(seed + i + 2000) - 0.5) * volatility * 0.3, 1);
+    const high = Math.max(open, price) + seededRandom(seed + i + 3000) * volatility * 0.5;
+    const low = Math.max(Math.min(open, price) - seededRandom(seed + i + 4000) * volatility * 0.5, 0.5);
+
+    data.push({
+      date: date.toISOString().split('T')[0],
+      open,
+      high,
+      low,
+      price: price,
+      volume: Math.floor(seededRandom(seed + i + 1000) * 1000000)
+    });
+  }
+  return data;
+};
+
+// --- INDICATOR PARAMETERS ---
+
+// The `sma50`/`sma200` bar fields hold the fast/slow SMA whatever their
+// periods are set to, so saved alert rules and CLI output keep their keys.
+export const DEFAULT_INDICATOR_PARAMS = {
+  smaFast: 50,
+  smaSlow: 200,
+  rsiPeriod: 14,
+  rsiMethod: 'simple',    // 'simple' (rolling window) | 'wilder'
+  bbWindow: 20,
+  bbStdDev: 2,
+  atrPeriod: 14,
+  kcPeriod: 20,           // Keltner Channel EMA, ± kcMultiplier × ATR
+  kcMultiplier: 2,
+  macdFast: 12,
+  macdSlow: 26,
+  macdSignalPeriod: 9,
+  volumePeriod: 20,       // bars in the volumeRatio average
+  rsiOverbought: 70,
+  rsiOversold: 30,
+  zThreshold: 2,
+  buyThreshold: 0.2,      // verdict is BUY above +buyThreshold, SELL below -sellThreshold
+  sellThreshold: 0.2,
+};
+
+export const RSI_METHOD_LABELS = { simple: 'Simple window', wilder: "Wilder's smoothing" };
+
+const INTEGER_PARAMS = ['smaFast', 'smaSlow', 'rsiPeriod', 'bbWindow', 'atrPeriod', 'kcPeriod', 'macdFast', 'macdSlow', 'macdSignalPeriod', 'volumePeriod'];
+
+// Fills gaps from the defaults and rejects values the math can't use.
+export const normalizeIndicatorParams = (raw = {}) => {
+  const params = { ...DEFAULT_INDICATOR_PARAMS };
+  for (const [key, fallback] of Object.entries(DEFAULT_INDICATOR_PARAMS)) {
+    if (raw[key] == null) continue;
+    if (typeof fallback === 'string') {
+      params[key] = String(raw[key]);
+      continue;
+    }
+    const value = Number(raw[key]);
+    if (!Number.isFinite(value) || value <= 0) throw new Error(`Indicator parameter "${key}" must be a positive number`);
+    if (INTEGER_PARAMS.includes(key) && (!Number.isInteger(value) || value < 2)) {
+      throw new Error(`Indicator parameter "${key}" must be a whole number of at least 2`);
+    }
+    params[key] = value;
+  }
+  if (!RSI_METHOD_LABELS[params.rsiMethod]) throw new Error(`Unknown RSI method "${params.rsiMethod}"`);
+  if (params.rsiOversold >= params.rsiOverbought) throw new Error('RSI oversold level must be below overbought');
+  if (params.macdFast >= params.macdSlow) throw new Error('MACD fast period must be below the slow period');
+  return params;
+};
+
+// --- INDICATORS ---
+
+export const calculateIndicators = (data, params = DEFAULT_INDICATOR_PARAMS) => {
+  const {
+    smaFast, smaSlow, rsiPeriod, rsiMethod, bbWindow, bbStdDev,
+    atrPeriod, kcPeriod, kcMultiplier, macdFast, macdSlow, macdSignalPeriod, volumePeriod,
+  } = { ...DEFAULT_INDICATOR_PARAMS, ...params };
+  let gains = 0;
+  let losses = 0;
+  let avgGain = null;
+  let avgLoss = null;
+  let trSum = 0;
+  let atr = null;
+  let ema = null;
+  let emaFast = null;
+  let emaSlow = null;
+  let macdSignal = null;
+  const macdValues = [];
+
+  // EMA seeded with the simple average of its first `period` values.
+  const stepEma = (prev, value, period, index, seedValues) => {
+    if (index < period - 1) return null;
+    if (index === period - 1) return seedValues().reduce((a, b) => a + b, 0) / period;
+    return value * (2 / (period + 1)) + prev * (1 - 2 / (period + 1));
+  };
+
+  const dataWithIndicators = data.map((day, index) => {
+    // Close-only sources (some CSVs) have no range; fall back to the close.
+    const open = day.open ?? day.price;
+    const high = day.high ?? Math.max(open, day.price);
+    const low = day.low ?? Math.min(open, day.price);
+
+    const prevClose = index > 0 ? data[index - 1].price : null;
+    const trueRange = prevClose == null
+      ? high - low
+      : Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+    // ATR with Wilder's smoothing, seeded by a simple average.
+    if (index < atrPeriod) {
+      trSum += trueRange;
+      if (index === atrPeriod - 1) atr = trSum / atrPeriod;
+    } else {
+      atr = (atr * (atrPeriod - 1) + trueRange) / atrPeriod;
+    }
+
+    if (index === kcPeriod - 1) {
+      ema = data.slice(0, kcPeriod).reduce((sum, d) => sum + d.price, 0) / kcPeriod;
+    } else if (index >= kcPeriod) {
+      ema = day.price * (2 / (kcPeriod + 1)) + ema * (1 - 2 / (kcPeriod + 1));
+    }
+    const kcMiddle = ema;
+    const kcUpper = ema != null && atr != null ? ema + kcMultiplier * atr : null;
+    const kcLower = ema != null && atr != null ? ema - kcMultiplier * atr : null;
+
+    emaFast = stepEma(emaFast, day.price, macdFast, index, () => data.slice(0, macdFast).map(d => d.price));
+    emaSlow = stepEma(emaSlow, day.price, macdSlow, index, () => data.slice(0, macdSlow).map(d => d.price));
+    const macd = emaSlow != null ? emaFast - emaSlow : null;
+    if (macd != null) {
+      macdValues.push(macd);
+      macdSignal = stepEma(macdSignal, macd, macdSignalPeriod, macdValues.length - 1, () => macdValues.slice(0, macdSignalPeriod));
+    }
+    const macdHist = macdSignal != null ? macd - macdSignal : null;
+
+    // Volume against the average of the preceding bars (today excluded).
+    let volumeRatio = null;
+    if (index >= volumePeriod) {
+      const avg = data.slice(index - volumePeriod, index).reduce((sum, d) => sum + (d.volume || 0), 0) / volumePeriod;
+      volumeRatio = avg > 0 ? (day.volume || 0) / avg : null;
+    }
+
+    let sma50 = null;
+    if (index >= smaFast - 1) {
+      const slice = data.slice(index - smaFast + 1, index + 1);
+      sma50 = slice.reduce((sum, d) => sum + d.price, 0) / smaFast;
+    }
+
+    let sma200 = null;
+    if (index >= smaSlow - 1) {
+      const slice = data.slice(index - smaSlow + 1, index + 1);
+      sma200 = slice.reduce((sum, d) => sum + d.price, 0) / smaSlow;
+    }
+
+    let rsi = 50;
+    if (index > 0) {
+      const change = day.price - data[index - 1].price;
+      if (index <= rsiPeriod) {
+        if (change > 0) gains += change;
+        else losses -= change;
+        if (index === rsiPeriod) {
+          avgGain = gains / rsiPeriod;
+          avgLoss = losses / rsiPeriod;
+          rsi = 100 - (100 / (1 + (avgGain / (avgLoss || 1))));
+        }
+      } else if (rsiMethod === 'wilder') {
+        avgGain = (avgGain * (rsiPeriod - 1) + Math.max(change, 0)) / rsiPeriod;
+        avgLoss = (avgLoss * (rsiPeriod - 1) + Math.max(-change, 0)) / rsiPeriod;
+        rsi = 100 - (100 / (1 + (avgGain / (avgLoss || 1))));
+      } else {
+        const slice = data.slice(index - rsiPeriod + 1, index + 1);
+        let g = 0, l = 0;
+        for (let k = 1; k < slice.length; k++) {
+            const d = slice[k].price - slice[k-1].price;
+            if (d > 0) g += d; else l -= d;
+        }
+        rsi = 100 - (100 / (1 + ((g/rsiPeriod) / ((l/rsiPeriod) || 1))));
+      }
+    }
+
+    let bbUpper = null;
+    let bbLower = null;
+    let zScore = 0;
+    if (index >= bbWindow) {
+        const slice = data.slice(index - bbWindow + 1, index + 1);
+        const mean = slice.reduce((a, b) => a + b.price, 0) / bbWindow;
+        const stdDev = Math.sqrt(slice.reduce((a, b) => a + Math.pow(b.price - mean, 2), 0) / bbWindow);
+        bbUpper = mean + (bbStdDev * stdDev);
+        bbLower = mean - (bbStdDev * stdDev);
+        zScore = (day.price - mean) / (stdDev || 1);
+    }
+
+    return {
+      ...day, open, high, low,
+      sma50, sma200, rsi, bbUpper, bbLower, zScore,
+      trueRange, atr, kcMiddle, kcUpper, kcLower,
+      macd, macdSignal, macdHist, volumeRatio
+    };
+  });
+
+  return dataWithIndicators;
+};
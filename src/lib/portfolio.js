@@ -0,0 +1,166 @@
+import { parseCsv, toCsv } from './csv.js';
+
+export const LEDGER_TYPES = ['BUY', 'SELL', 'DIVIDEND', 'FEE'];
+export const LEDGER_COLUMNS = ['date', 'type', 'symbol', 'quantity', 'price', 'amount', 'fees', 'note'];
+
+export const newEntryId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// BUY/SELL use quantity × price (+ fees); DIVIDEND and FEE use `amount` only.
+export const normalizeEntry = (raw) => {
+  const type = String(raw.type || '').trim().toUpperCase();
+  if (!LEDGER_TYPES.includes(type)) throw new Error(`Unknown type "${raw.type}"`);
+  const symbol = String(raw.symbol || '').trim().toUpperCase();
+  if (!symbol) throw new Error('Missing symbol');
+  const date = raw.date && !isNaN(new Date(raw.date)) ? new Date(raw.date).toISOString().split('T')[0] : null;
+  if (!date) throw new Error(`Invalid date "${raw.date}"`);
+
+  const num = (v) => (v === '' || v == null ? 0 : Number(v));
+  const entry = {
+    id: raw.id || newEntryId(),
+    date,
+    type,
+    symbol,
+    quantity: num(raw.quantity),
+    price: num(raw.price),
+    amount: num(raw.amount),
+    fees: num(raw.fees),
+    note: raw.note ? String(raw.note) : '',
+  };
+  if ([entry.quantity, entry.price, entry.amount, entry.fees].some(v => !Number.isFinite(v))) {
+    throw new Error('Non-numeric quantity, price, amount or fees');
+  }
+  if ((type === 'BUY' || type === 'SELL') && (entry.quantity <= 0 || entry.price <= 0)) {
+    throw new Error(`${type} needs a positive quantity and price`);
+  }
+  return entry;
+};
+
+const byDate = (a, b) => a.date.localeCompare(b.date);
+
+// --- POSITIONS ---
+
+// Replays the ledger per symbol. Buy fees are folded into the lot cost; sell
+// fees reduce realized P&L. Both FIFO and average-cost figures are produced so
+// the UI can switch between them without replaying again. Sells beyond the
+// held quantity are clipped and reported in `warnings`.
+export const computePositions = (ledger) => {
+  const bySymbol = {};
+  const warnings = [];
+
+  for (const e of [...ledger].sort(byDate)) {
+    if (!bySymbol[e.symbol]) bySymbol[e.symbol] = {
+      symbol: e.symbol,
+      quantity: 0,
+      lots: [],
+      avgCost: 0,
+      fifo: { costBasis: 0, realized: 0 },
+      average: { costBasis: 0, realized: 0 },
+      income: 0,
+      fees: 0,
+    };
+    const p = bySymbol[e.symbol];
+
+    if (e.type === 'BUY') {
+      const unitCost = (e.quantity * e.price + e.fees) / e.quantity;
+      p.lots.push({ date: e.date, quantity: e.quantity, unitCost });
+      p.average.costBasis += e.quantity * unitCost;
+      p.quantity += e.quantity;
+      p.fees += e.fees;
+    } else if (e.type === 'SELL') {
+      const qty = Math.min(e.quantity, p.quantity);
+      if (qty < e.quantity) warnings.push(`${e.date} ${e.symbol}: sold ${e.quantity} but held ${p.quantity}`);
+      if (qty <= 0) continue;
+
+      let remaining = qty;
+      while (remaining > 1e-9 && p.lots.length) {
+        const lot = p.lots[0];
+        const take = Math.min(lot.quantity, remaining);
+        p.fifo.realized += take * (e.price - lot.unitCost);
+        lot.quantity -= take;
+        remaining -= take;
+        if (lot.quantity <= 1e-9) p.lots.shift();
+      }
+      p.fifo.realized -= e.fees;
+
+      const avg = p.average.costBasis / p.quantity;
+      p.average.realized += qty * (e.price - avg) - e.fees;
+      p.average.costBasis -= qty * avg;
+      p.quantity -= qty;
+      p.fees += e.fees;
+    } else if (e.type === 'DIVIDEND') {
+      p.income += e.amount;
+    } else if (e.type === 'FEE') {
+      p.fees += e.amount;
+      p.fifo.realized -= e.amount;
+      p.average.realized -= e.amount;
+    }
+
+    p.fifo.costBasis = p.lots.reduce((sum, lot) => sum + lot.quantity * lot.unitCost, 0);
+    p.avgCost = p.quantity > 0 ? p.average.costBasis / p.quantity : 0;
+  }
+
+  return { positions: Object.values(bySymbol), warnings };
+};
+
+// Adds market value, unrealized P&L and portfolio weight. `marks` maps symbol to
+// { price, source }; positions without a mark keep null market figures.
+export const markPositions = (positions, marks, method = 'fifo') => {
+  const rows = positions.map(p => {
+    const basis = p[method];
+    const mark = marks[p.symbol];
+    const marketValue = mark?.price != null ? p.quantity * mark.price : null;
+    return {
+      symbol: p.symbol,
+      quantity: p.quantity,
+      costBasis: basis.costBasis,
+      unitCost: p.quantity > 0 ? basis.costBasis / p.quantity : 0,
+      realized: basis.realized,
+      income: p.income,
+      fees: p.fees,
+      mark: mark?.price ?? null,
+      markSource: mark?.source ?? null,
+      marketValue,
+      unrealized: marketValue != null ? marketValue - basis.costBasis : null,
+    };
+  });
+
+  const totalValue = rows.reduce((sum, r) => sum + (r.marketValue ?? 0), 0);
+  rows.forEach(r => { r.weight = totalValue > 0 && r.marketValue != null ? r.marketValue / totalValue : null; });
+
+  const sum = (key) => rows.reduce((acc, r) => acc + (r[key] ?? 0), 0);
+  return {
+    rows,
+    totals: {
+      marketValue: totalValue,
+      costBasis: rows.filter(r => r.quantity > 0).reduce((acc, r) => acc + r.costBasis, 0),
+      unrealized: sum('unrealized'),
+      realized: sum('realized'),
+      income: sum('income'),
+    },
+  };
+};
+
+// How the model's current verdict lines up with what we hold.
+export const compareVerdict = (quantity, verdict) => {
+  if (!verdict || quantity <= 0) return verdict === 'BUY' ? 'Entry' : null;
+  if (verdict === 'BUY') return 'Aligned';
+  if (verdict === 'SELL') return 'Conflict';
+  return 'Hold';
+};
+
+// --- CSV ---
+
+export const ledgerToCsv = (ledger) => toCsv([...ledger].sort(byDate), LEDGER_COLUMNS);
+
+export const ledgerFromCsv = (text) => {
+  const entries = [];
+  const errors = [];
+  parseCsv(text).forEach((row, i) => {
+    try {
+      entries.push(normalizeEntry({ ...row, id: undefined }));
+    } catch (err) {
+      errors.push(`Row ${i + 2}: ${err.message}`);
+    }
+  });
+  return { entries, errors };
+};
@@ -0,0 +1,99 @@
+import { DEFAULT_INDICATOR_PARAMS, normalizeIndicatorParams, calculateIndicators } from './indicators.js';
+import { DEFAULT_RISK_SETTINGS } from './risk.js';
+import { defaultWeights } from './factors/index.js';
+import { computeScores } from './scoring.js';
+import { adjustBars, DEFAULT_PRICE_MODE } from './adjust.js';
+import { attachBenchmark } from './benchmark.js';
+import { attachLevels } from './annotations.js';
+
+// A strategy profile groups the settings behind one trading style: indicator
+// parameters and verdict thresholds (`indicators`), factor weights and risk
+// settings. Profiles are stored as { active, profiles: { [name]: profile } }.
+export const DEFAULT_PROFILE_NAME = 'Default';
+
+export const createProfile = (overrides = {}) => ({
+  indicators: { ...DEFAULT_INDICATOR_PARAMS, ...overrides.indicators },
+  weights: { ...defaultWeights(), ...overrides.weights },
+  risk: { ...DEFAULT_RISK_SETTINGS, ...overrides.risk },
+});
+
+const ZERO_WEIGHTS = Object.fromEntries(Object.keys(defaultWeights()).map(key => [key, 0]));
+
+// Starting points for comparison; they only differ in weights.
+export const DEFAULT_PROFILES = {
+  active: DEFAULT_PROFILE_NAME,
+  profiles: {
+    [DEFAULT_PROFILE_NAME]: createProfile(),
+    'Trend Follower': createProfile({ weights: { ...ZERO_WEIGHTS, trend: 0.4, momentum: 0.2, macd: 0.2, relStrength: 0.2 } }),
+    Contrarian: createProfile({ weights: { ...ZERO_WEIGHTS, meanRev: 0.7, sentiment: 0.3 } }),
+  },
+};
+
+const updateAllProfiles = (state, changes) => ({
+  ...state,
+  profiles: Object.fromEntries(Object.entries(state.profiles).map(([name, profile]) => [name, createProfile({ ...profile, ...changes })])),
+});
+
+// Repairs saved state: invalid parameters fall back to the defaults and the
+// active profile always exists. Profiles saved before weights and risk
+// settings were part of them get the default weights and `legacy.risk` (the
+// risk settings that used to be saved on their own).
+export const normalizeProfiles = (saved, legacy = {}) => {
+  if (!saved || typeof saved.profiles !== 'object' || saved.profiles === null) {
+    return legacy.risk ? updateAllProfiles(DEFAULT_PROFILES, { risk: legacy.risk }) : DEFAULT_PROFILES;
+  }
+  const profiles = {};
+  for (const [name, profile] of Object.entries(saved.profiles)) {
+    let indicators;
+    try {
+      indicators = normalizeIndicatorParams(profile?.indicators);
+    } catch {
+      indicators = { ...DEFAULT_INDICATOR_PARAMS };
+    }
+    profiles[name] = createProfile({ ...profile, indicators, risk: profile?.risk || legacy.risk });
+  }
+  if (Object.keys(profiles).length === 0) return DEFAULT_PROFILES;
+  const active = profiles[saved.active] ? saved.active : Object.keys(profiles)[0];
+  return { active, profiles };
+};
+
+export const activeProfile = (state) => state.profiles[state.active];
+
+export const updateActiveProfile = (state, changes) => ({
+  ...state,
+  profiles: { ...state.profiles, [state.active]: { ...activeProfile(state), ...changes } },
+});
+
+// Copies the active profile, with `changes` applied, under a new name and
+// switches to it.
+export const saveProfileAs = (state, name, changes = {}) => {
+  const trimmed = name.trim();
+  if (!trimmed) throw new Error('Profile name is required');
+  if (state.profiles[trimmed]) throw new Error(`Profile "${trimmed}" already exists`);
+  return { active: trimmed, profiles: { ...state.profiles, [trimmed]: { ...structuredClone(activeProfile(state)), ...changes } } };
+};
+
+export const deleteProfile = (state, name) => {
+  const { [name]: _removed, ...rest } = state.profiles;
+  if (Object.keys(rest).length === 0) return state;
+  return { active: state.active === name ? Object.keys(rest)[0] : state.active, profiles: rest };
+};
+
+// --- COMPARISON ---
+
+// Scores one symbol's raw bars under each named profile: indicators are
+// recomputed with the profile's parameters, then weighted with its weights and
+// judged by its thresholds. `annotations` are the symbol's drawn levels and
+// trendlines. Returns { [name]: computeScores result }.
+export const scoreUnderProfiles = (raw, names, state, { benchmarkRaw = null, recs = null, priceMode = DEFAULT_PRICE_MODE, annotations = null } = {}) => {
+  const bars = adjustBars(raw, priceMode);
+  const benchmarkBars = benchmarkRaw ? adjustBars(benchmarkRaw, priceMode) : null;
+  return Object.fromEntries(names.map(name => {
+    const { indicators, weights } = state.profiles[name];
+    const data = attachLevels(attachBenchmark(calculateIndicators(bars, indicators), benchmarkBars), annotations);
+    return [name, computeScores(data, weights, recs, indicators)];
+  }));
+};
+
+// True when the profiles don't all reach the same verdict.
+export const verdictsDisagree = (results) => new Set(Object.values(results).map(r => r.verdict)).size > 1;
@@ -0,0 +1,15 @@
+import { fetchQuote, fetchRecommendations, fetchProfile, fetchEarnings, FINNHUB_API_URL } from '../finnhub.js';
+import { parseEarningsCalendar } from '../earnings.js';
+
+export const createFinnhubProvider = ({ apiKey, baseUrl = FINNHUB_API_URL, fetchImpl } = {}) => {
+  const options = { apiKey, baseUrl, fetchImpl };
+  return {
+    id: 'finnhub',
+    label: 'Finnhub',
+    enabled: Boolean(apiKey) || baseUrl !== FINNHUB_API_URL,
+    getQuote: (symbol) => fetchQuote(symbol, options),
+    getRecommendations: (symbol) => fetchRecommendations(symbol, options),
+    getProfile: (symbol) => fetchProfile(symbol, options),
+    getEarnings: async (symbol) => parseEarningsCalendar(await fetchEarnings(symbol, options), symbol),
+  };
+};
@@ -0,0 +1,61 @@
+import { createYahooProvider } from './yahoo.js';
+import { createFinnhubProvider } from './finnhub.js';
+import { createSimulatedProvider } from './simulated.js';
+import { createLocalProvider } from './local.js';
+
+export { createYahooProvider, createFinnhubProvider, createSimulatedProvider, createLocalProvider };
+
+// A provider is a plain object: { id, label, enabled } plus any of these methods.
+// Methods resolve to data, or null when the source has nothing for the symbol.
+// `getHistory(symbol, rangeConfig, { since })` may honour `since` (a bar date)
+// and return only bars from then on; lib/barCache.js relies on that.
+// `getEarnings` resolves to lib/earnings.js events.
+export const PROVIDER_METHODS = ['getHistory', 'getQuote', 'getRecommendations', 'getProfile', 'getEarnings'];
+
+export const DEFAULT_PROVIDER_ORDER = [
+  { id: 'local', enabled: true },
+  { id: 'yahoo', enabled: true },
+  { id: 'finnhub', enabled: true },
+  { id: 'simulated', enabled: true },
+];
+
+export const describeProvider = (provider) => ({
+  id: provider.id,
+  label: provider.label,
+  available: provider.enabled !== false,
+  methods: PROVIDER_METHODS.filter(m => typeof provider[m] === 'function'),
+});
+
+// Tries each provider that implements `method` in order. The first non-null
+// answer wins and is returned with the id of the provider that gave it.
+const tryInOrder = async (providers, method, args) => {
+  const errors = [];
+  for (const provider of providers) {
+    if (provider.enabled === false || typeof provider[method] !== 'function') continue;
+    try {
+      const data = await provider[method](...args);
+      if (data != null && !(Array.isArray(data) && data.length === 0)) return { data, source: provider.id };
+    } catch (err) {
+      errors.push(`${provider.id}: ${err.message}`);
+    }
+  }
+  return { data: null, source: null, errors };
+};
+
+export const createProviderChain = (providers) => ({
+  providers,
+  getHistory: async (symbol, rangeConfig) => {
+    const result = await tryInOrder(providers, 'getHistory', [symbol, rangeConfig]);
+    if (!result.data) throw new Error(`No price history for ${symbol}${result.errors.length ? ` (${result.errors.join('; ')})` : ''}`);
+    return result;
+  },
+  getQuote: (symbol) => tryInOrder(providers, 'getQuote', [symbol]),
+  getRecommendations: (symbol) => tryInOrder(providers, 'getRecommendations', [symbol]),
+  getProfile: (symbol) => tryInOrder(providers, 'getProfile', [symbol]),
+  getEarnings: (symbol) => tryInOrder(providers, 'getEarnings', [symbol]),
+});
+
+// Builds the chain from a user-editable order ([{ id, enabled }]) and a map of
+// constructed providers; ids missing from the map are ignored.
+export const chainFromOrder = (order, available) =>
+  createProviderChain(order.filter(o => o.enabled && available[o.id]).map(o => available[o.id]));
@@ -0,0 +1,51 @@
+import { parsePriceCsv } from '../csv.js';
+import { parseYahooChart } from '../yahoo.js';
+import { fitToRange } from '../bars.js';
+import { parseSplit } from '../adjust.js';
+
+// JSON files may be a saved Yahoo chart response or an array of bar objects,
+// optionally with `adjClose`, `dividend` and `split` ("4:1") fields.
+export const parsePriceJson = (text) => {
+  const json = JSON.parse(text);
+  if (json?.chart) return parseYahooChart(json);
+  if (!Array.isArray(json)) throw new Error('Expected an array of bars or a Yahoo chart response');
+  return json
+    .map(d => {
+      const split = parseSplit(d.split);
+      const hasClose = d.price != null || d.close != null;
+      return {
+        date: d.date ? new Date(d.date).toISOString().split('T')[0] : null,
+        open: d.open != null ? Number(d.open) : undefined,
+        high: d.high != null ? Number(d.high) : undefined,
+        low: d.low != null ? Number(d.low) : undefined,
+        price: Number(d.price ?? d.close ?? d.adjClose),
+        volume: Number(d.volume ?? 0),
+        ...(hasClose && d.adjClose != null && { adjClose: Number(d.adjClose) }),
+        ...(Number(d.dividend) > 0 && { dividend: Number(d.dividend) }),
+        ...(split && { split }),
+      };
+    })
+    .filter(d => d.date && Number.isFinite(d.price))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+export const parsePriceFile = (text) =>
+  text.trimStart().startsWith('[') || text.trimStart().startsWith('{')
+    ? parsePriceJson(text)
+    : parsePriceCsv(text);
+
+// Daily bar files from any source. `load(symbol)` resolves to the file text, or
+// null when there is no file for that symbol; the browser reads uploads from
+// localStorage and the CLI reads a directory.
+export const createLocalProvider = ({ load, id = 'local', label = 'Local Files' }) => ({
+  id,
+  label,
+  enabled: true,
+  getHistory: async (symbol, rangeConfig) => {
+    const text = await load(symbol);
+    if (text == null) throw new Error(`No local file for ${symbol}`);
+    const bars = parsePriceFile(text);
+    if (bars.length === 0) throw new Error(`Local file for ${symbol} has no usable bars`);
+    return rangeConfig ? fitToRange(bars, rangeConfig) : bars;
+  },
+});
@@ -0,0 +1,8 @@
+import { generateStockData } from '../indicators.js';
+
+export const createSimulatedProvider = () => ({
+  id: 'simulated',
+  label: 'Simulated',
+  enabled: true,
+  getHistory: async (symbol) => generateStockData(symbol),
+});
@@ -0,0 +1,8 @@
+import { fetchYahooHistory, YAHOO_API_URL } from '../yahoo.js';
+
+export const createYahooProvider = ({ baseUrl = YAHOO_API_URL, fetchImpl, headers } = {}) => ({
+  id: 'yahoo',
+  label: 'Yahoo Finance',
+  enabled: Boolean(baseUrl),
+  getHistory: (symbol, rangeConfig, { since } = {}) => fetchYahooHistory(symbol, rangeConfig, { baseUrl, fetchImpl, headers, since }),
+});
@@ -0,0 +1,14 @@
+export const TIME_RANGES = [
+  { label: '1M', value: '1mo', interval: '1d', fetchRange: '2y', visiblePoints: 22 },
+  { label: '3M', value: '3mo', interval: '1d', fetchRange: '2y', visiblePoints: 65 },
+  { label: '6M', value: '6mo', interval: '1d', fetchRange: '2y', visiblePoints: 130 },
+  { label: '1Y', value: '1y', interval: '1d', fetchRange: '2y', visiblePoints: 252 },
+  { label: '3Y', value: '3y', interval: '1wk', fetchRange: '10y', visiblePoints: 156 },
+  { label: '5Y', value: '5y', interval: '1wk', fetchRange: '10y', visiblePoints: 260 },
+  { label: 'Max', value: 'max', interval: '1mo', fetchRange: 'max', visiblePoints: null },
+];
+
+export const DEFAULT_RANGE = TIME_RANGES[3];
+
+export const findRange = (label) =>
+  TIME_RANGES.find(r => r.label.toLowerCase() === String(label).toLowerCase()) || DEFAULT_RANGE;
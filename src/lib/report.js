@@ -0,0 +1,232 @@
+import { computeScores } from './scoring.js';
+import { getFactors } from './factors/index.js';
+import { DEFAULT_INDICATOR_PARAMS } from './indicators.js';
+import { DEFAULT_RISK_SETTINGS, assessRisk, scalePosition } from './risk.js';
+import { priceChartSvg, rsiChartSvg, volumeChartSvg } from './reportCharts.js';
+import { applyEventRisk, scaleForEventRisk, EARNINGS_HOURS } from './earnings.js';
+
+// Trade-idea reports: what the Alpha Verdict, score and Risk Management cards
+// show for a ticker, rendered as self-contained HTML (which is also the print
+// layout) or Markdown. One report per ticker; several make a batch document.
+
+// Everything a report shows for the last bar of `data` (calculateIndicators
+// output). Position sizing uses the full series like the Risk Management card;
+// `scale` is the book scale-down when it applies, `visibleBars` limits the
+// charts to the chart's window, and `earnings` (lib/earnings.js events) adds
+// the next report and the event-risk rule.
+export const buildReport = (symbol, data, {
+  weights, recs = null, params = DEFAULT_INDICATOR_PARAMS, risk = DEFAULT_RISK_SETTINGS, scale = 1,
+  name = null, source = null, visibleBars = null, earnings = null, generatedAt = new Date(),
+} = {}) => {
+  const last = data[data.length - 1] || {};
+  const scores = applyEventRisk(computeScores(data, weights, recs, params), earnings, last.date, risk);
+  const position = scaleForEventRisk(scalePosition(assessRisk(data, scores, risk), scale), scores, risk);
+  const visible = visibleBars ? data.slice(-visibleBars) : data;
+  return {
+    symbol,
+    name,
+    source,
+    date: last.date ?? null,
+    price: last.price ?? null,
+    verdict: scores.verdict,
+    total: scores.total,
+    thresholds: { buy: params.buyThreshold, sell: params.sellThreshold },
+    factors: getFactors().map(f => ({
+      id: f.id,
+      label: f.label,
+      score: scores[f.id],
+      weight: weights[f.id] || 0,
+      contribution: scores[f.id] * (weights[f.id] || 0),
+      description: scores.descriptions[f.id],
+    })),
+    position: {
+      pct: position.pct,
+      dollars: position.dollars,
+      shares: position.shares,
+      vol: position.vol,
+      stop: position.stop,
+      bookScale: position.bookScale ?? null,
+      eventScale: position.eventScale ?? null,
+    },
+    nextEarnings: scores.nextEarnings,
+    eventRisk: scores.eventRisk,
+    accountSize: risk.accountSize,
+    stopMultiple: risk.stopMultiple,
+    atrPeriod: params.atrPeriod,
+    generatedAt: generatedAt.toISOString(),
+    charts: {
+      price: priceChartSvg(visible, params, earnings),
+      rsi: rsiChartSvg(visible, params),
+      volume: volumeChartSvg(visible),
+    },
+  };
+};
+
+// --- FORMATTING ---
+
+const signed = (v, digits) => `${v > 0 ? '+' : ''}${v.toFixed(digits)}`;
+const money = (v) => `$${Math.round(v).toLocaleString('en-US')}`;
+const pct = (v, digits = 1) => (v == null ? 'n/a' : `${(v * 100).toFixed(digits)}%`);
+const STOP_BASIS = { atr: (r) => `× ATR(${r.atrPeriod})`, vol: () => '× per-bar σ' };
+
+const verdictLine = (r) =>
+  `${r.verdict} (score ${signed(r.total, 2)}; BUY above ${signed(r.thresholds.buy, 2)}, SELL below ${signed(-r.thresholds.sell, 2)})`;
+
+const sizeLine = (r) => `${r.position.pct.toFixed(1)}% of ${money(r.accountSize)} (${money(r.position.dollars)}, ${r.position.shares} shares)` +
+  (r.position.bookScale ? `, scaled ×${r.position.bookScale.toFixed(2)} to the book volatility target` : '') +
+  (r.position.eventScale != null ? `, cut ×${r.position.eventScale.toFixed(2)} ahead of earnings` : '');
+
+const earningsLine = (r) => {
+  const next = r.nextEarnings;
+  if (!next) return 'none scheduled';
+  const when = `${next.date}${next.hour ? ` ${EARNINGS_HOURS[next.hour]}` : ''} (${next.days === 0 ? 'today' : `in ${next.days} day${next.days === 1 ? '' : 's'}`})`;
+  if (!r.eventRisk) return when;
+  if (r.eventRisk.verdict === 'NEUTRAL') return `${when} — inside the event-risk window`;
+  return r.eventRisk.action === 'neutral'
+    ? `${when} — verdict forced NEUTRAL (factors say ${r.eventRisk.verdict})`
+    : `${when} — position cut ahead of the report`;
+};
+
+const stopLine = (r) => {
+  const { stop } = r.position;
+  if (!stop) return 'n/a';
+  const side = r.verdict === 'SELL' ? '+' : '−';
+  return `${stop.stopPrice.toFixed(2)} (${side}${pct(stop.pct)}, ${stop.basis === 'fixed' ? 'fixed' : `${r.stopMultiple}${STOP_BASIS[stop.basis](r)}`})`;
+};
+
+const titleOf = (reports, title) => title || (reports.length === 1 ? `${reports[0].symbol} trade idea` : `Watchlist report (${reports.length} tickers)`);
+
+const svgDataUri = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+const mdCell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+const reportMarkdown = (r) => [
+  `## ${r.symbol}${r.name ? ` — ${r.name}` : ''}`,
+  '',
+  `**Verdict: ${verdictLine(r)}**`,
+  '',
+  `Close ${r.price?.toFixed(2) ?? 'n/a'} on ${r.date ?? 'n/a'}${r.source ? ` · data: ${r.source}` : ''}`,
+  '',
+  '### Factors',
+  '',
+  '| Factor | Score | Weight | Contribution | Reading |',
+  '|---|---:|---:|---:|---|',
+  ...r.factors.map(f => `| ${f.label} | ${signed(f.score, 0)} | ${(f.weight * 100).toFixed(0)}% | ${signed(f.contribution, 2)} | ${mdCell(f.description)} |`),
+  '',
+  '### Position',
+  '',
+  `- Size: ${sizeLine(r)}`,
+  `- Volatility: ${pct(r.position.vol)} annualized`,
+  `- Stop: ${stopLine(r)}`,
+  `- Next earnings: ${earningsLine(r)}`,
+  '',
+  '### Charts',
+  '',
+  `![${r.symbol} price](${svgDataUri(r.charts.price)})`,
+  '',
+  `![${r.symbol} RSI](${svgDataUri(r.charts.rsi)})`,
+  '',
+  `![${r.symbol} volume](${svgDataUri(r.charts.volume)})`,
+  '',
+].join('\n');
+
+const summaryRows = (reports) => reports.map(r => ({
+  symbol: r.symbol,
+  verdict: r.verdict,
+  score: signed(r.total, 2),
+  size: `${r.position.pct.toFixed(1)}%`,
+  stop: r.position.stop ? r.position.stop.stopPrice.toFixed(2) : '—',
+}));
+
+// Charts are embedded as SVG data URIs, so the file stands alone; some
+// renderers (GitHub among them) don't display data-URI images.
+export const reportsToMarkdown = (reports, { title, skipped = [] } = {}) => [
+  `# ${titleOf(reports, title)}`,
+  '',
+  `Generated ${reports[0]?.generatedAt ?? new Date().toISOString()} by Alpha Engine.`,
+  '',
+  ...(reports.length > 1 ? [
+    '| Ticker | Verdict | Score | Size | Stop |',
+    '|---|---|---:|---:|---:|',
+    ...summaryRows(reports).map(s => `| ${s.symbol} | ${s.verdict} | ${s.score} | ${s.size} | ${s.stop} |`),
+    '',
+  ] : []),
+  ...(skipped.length > 0 ? [`No data for ${skipped.join(', ')}.`, ''] : []),
+  ...reports.map(reportMarkdown),
+].join('\n');
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const VERDICT_CLASS = { BUY: 'buy', SELL: 'sell', NEUTRAL: 'neutral' };
+
+const STYLE = `
+body { font-family: Helvetica, Arial, sans-serif; color: #0f172a; max-width: 720px; margin: 2rem auto; padding: 0 1rem; font-size: 14px; }
+h1 { font-size: 22px; margin-bottom: 0.2rem; }
+h2 { font-size: 18px; border-bottom: 2px solid #e2e8f0; padding-bottom: 0.3rem; margin-top: 2rem; }
+h3 { font-size: 14px; text-transform: uppercase; letter-spacing: 0.05em; color: #475569; margin: 1.2rem 0 0.4rem; }
+.meta { color: #64748b; font-size: 12px; }
+.verdict { font-size: 20px; font-weight: bold; }
+.buy { color: #15803d; } .sell { color: #b91c1c; } .neutral { color: #475569; }
+table { border-collapse: collapse; width: 100%; font-size: 12px; }
+th, td { border-bottom: 1px solid #e2e8f0; padding: 4px 6px; text-align: left; vertical-align: top; }
+td.num, th.num { text-align: right; font-variant-numeric: tabular-nums; white-space: nowrap; }
+.reading { color: #475569; }
+ul { padding-left: 1.2rem; }
+svg { display: block; max-width: 100%; height: auto; margin: 0.4rem 0; }
+@page { margin: 15mm; }
+@media print {
+  body { margin: 0; max-width: none; font-size: 11px; }
+  .ticker { break-before: page; }
+  .ticker:first-of-type { break-before: auto; }
+  .charts, tr { break-inside: avoid; }
+}
+`;
+
+const reportHtml = (r) => `
+<section class="ticker">
+  <h2>${escapeHtml(r.symbol)}${r.name ? ` — ${escapeHtml(r.name)}` : ''}</h2>
+  <p class="verdict ${VERDICT_CLASS[r.verdict]}">${escapeHtml(verdictLine(r))}</p>
+  <p class="meta">Close ${r.price?.toFixed(2) ?? 'n/a'} on ${escapeHtml(r.date ?? 'n/a')}${r.source ? ` · data: ${escapeHtml(r.source)}` : ''}</p>
+  <h3>Factors</h3>
+  <table>
+    <tr><th>Factor</th><th class="num">Score</th><th class="num">Weight</th><th class="num">Contribution</th><th>Reading</th></tr>
+    ${r.factors.map(f => `<tr><td>${escapeHtml(f.label)}</td><td class="num">${signed(f.score, 0)}</td><td class="num">${(f.weight * 100).toFixed(0)}%</td><td class="num">${signed(f.contribution, 2)}</td><td class="reading">${escapeHtml(f.description)}</td></tr>`).join('\n    ')}
+  </table>
+  <h3>Position</h3>
+  <ul>
+    <li>Size: ${escapeHtml(sizeLine(r))}</li>
+    <li>Volatility: ${pct(r.position.vol)} annualized</li>
+    <li>Stop: ${escapeHtml(stopLine(r))}</li>
+    <li>Next earnings: ${escapeHtml(earningsLine(r))}</li>
+  </ul>
+  <div class="charts">
+    <h3>Price</h3>
+    ${r.charts.price}
+    <h3>RSI</h3>
+    ${r.charts.rsi}
+    <h3>Volume</h3>
+    ${r.charts.volume}
+  </div>
+</section>`;
+
+// A complete HTML document with the charts inlined as SVG and print styles
+// (one ticker per page), so it can be saved, mailed or printed as is.
+export const reportsToHtml = (reports, { title, skipped = [] } = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(titleOf(reports, title))}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(titleOf(reports, title))}</h1>
+<p class="meta">Generated ${escapeHtml(reports[0]?.generatedAt ?? new Date().toISOString())} by Alpha Engine.</p>
+${reports.length > 1 ? `<table>
+  <tr><th>Ticker</th><th>Verdict</th><th class="num">Score</th><th class="num">Size</th><th class="num">Stop</th></tr>
+  ${summaryRows(reports).map(s => `<tr><td>${escapeHtml(s.symbol)}</td><td class="${VERDICT_CLASS[s.verdict]}">${s.verdict}</td><td class="num">${s.score}</td><td class="num">${s.size}</td><td class="num">${s.stop}</td></tr>`).join('\n  ')}
+</table>` : ''}
+${skipped.length > 0 ? `<p class="meta">No data for ${escapeHtml(skipped.join(', '))}.</p>` : ''}
+${reports.map(reportHtml).join('\n')}
+</body>
+</html>
+`;
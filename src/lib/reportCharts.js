@@ -0,0 +1,96 @@
+import { DEFAULT_INDICATOR_PARAMS } from './indicators.js';
+
+// Static SVG versions of the price, RSI and volume charts for reports. Plain
+// strings with no fonts or scripts to load, so they work inlined in HTML, as
+// data URIs in Markdown, and from the CLI. Light theme, for print.
+const WIDTH = 640;
+const PAD = { top: 10, right: 48, bottom: 20, left: 8 };
+
+const fmt = (v) => (v >= 1e9 ? `${(v / 1e9).toFixed(1)}B`
+  : v >= 1e6 ? `${(v / 1e6).toFixed(1)}M`
+  : Math.abs(v) >= 1000 ? v.toFixed(0)
+  : v.toFixed(2));
+
+const frame = (height, data, min, max, body) => {
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = height - PAD.top - PAD.bottom;
+  const y = (v) => PAD.top + (1 - (v - min) / (max - min || 1)) * plotH;
+  const first = data[0]?.date ?? '';
+  const last = data[data.length - 1]?.date ?? '';
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}" font-family="Helvetica, Arial, sans-serif" font-size="10">` +
+    `<rect width="${WIDTH}" height="${height}" fill="#ffffff"/>` +
+    `<rect x="${PAD.left}" y="${PAD.top}" width="${plotW}" height="${plotH}" fill="none" stroke="#e2e8f0"/>` +
+    body({ x: (i) => PAD.left + (data.length > 1 ? (i / (data.length - 1)) * plotW : plotW / 2), y, plotW, plotH }) +
+    `<text x="${WIDTH - PAD.right + 4}" y="${PAD.top + 8}" fill="#64748b">${fmt(max)}</text>` +
+    `<text x="${WIDTH - PAD.right + 4}" y="${PAD.top + plotH}" fill="#64748b">${fmt(min)}</text>` +
+    `<text x="${PAD.left}" y="${height - 6}" fill="#64748b">${first}</text>` +
+    `<text x="${WIDTH - PAD.right}" y="${height - 6}" fill="#64748b" text-anchor="end">${last}</text>` +
+    '</svg>';
+};
+
+// A polyline through the non-null values; gaps start a new segment.
+const path = (values, x, y) => {
+  let d = '';
+  let pen = false;
+  values.forEach((v, i) => {
+    if (v == null || !Number.isFinite(v)) { pen = false; return; }
+    d += `${pen ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)}`;
+    pen = true;
+  });
+  return d;
+};
+
+const line = (values, x, y, color, width) =>
+  `<path d="${path(values, x, y)}" fill="none" stroke="${color}" stroke-width="${width}"/>`;
+
+const range = (values) => {
+  const finite = values.filter(Number.isFinite);
+  if (finite.length === 0) return [0, 1];
+  const min = Math.min(...finite);
+  const max = Math.max(...finite);
+  const pad = (max - min) * 0.05 || max * 0.05 || 1;
+  return [min - pad, max + pad];
+};
+
+// Close with the fast and slow SMAs, and an "E" line on the bar of each
+// earnings report (lib/earnings.js events) inside the window.
+export const priceChartSvg = (data, params = DEFAULT_INDICATOR_PARAMS, earnings = []) => {
+  const [min, max] = range(data.flatMap(d => [d.price, d.sma50, d.sma200]));
+  const last = data[data.length - 1]?.date;
+  const reportBars = (earnings || [])
+    .filter(e => data.length > 0 && e.date >= data[0].date && e.date <= last)
+    .map(e => data.findLastIndex(d => d.date <= e.date));
+  return frame(220, data, min, max, ({ x, y, plotH }) =>
+    reportBars.map(i =>
+      `<line x1="${x(i).toFixed(1)}" x2="${x(i).toFixed(1)}" y1="${PAD.top}" y2="${PAD.top + plotH}" stroke="#a855f7" stroke-dasharray="2 3"/>` +
+      `<text x="${x(i).toFixed(1)}" y="${PAD.top + plotH - 3}" fill="#a855f7" text-anchor="middle">E</text>`
+    ).join('') +
+    line(data.map(d => d.price), x, y, '#2563eb', 1.5) +
+    line(data.map(d => d.sma50), x, y, '#f97316', 1) +
+    line(data.map(d => d.sma200), x, y, '#dc2626', 1) +
+    `<text x="${PAD.left + 4}" y="${PAD.top + 12}" fill="#f97316">SMA ${params.smaFast}</text>` +
+    `<text x="${PAD.left + 56}" y="${PAD.top + 12}" fill="#dc2626">SMA ${params.smaSlow}</text>`
+  );
+};
+
+// RSI on 0–100 with the overbought/oversold lines.
+export const rsiChartSvg = (data, params = DEFAULT_INDICATOR_PARAMS) => frame(120, data, 0, 100, ({ x, y, plotW }) =>
+  [params.rsiOverbought, params.rsiOversold].map(level =>
+    `<line x1="${PAD.left}" x2="${PAD.left + plotW}" y1="${y(level).toFixed(1)}" y2="${y(level).toFixed(1)}" stroke="#94a3b8" stroke-dasharray="3 3"/>`
+  ).join('') +
+  line(data.map(d => d.rsi), x, y, '#7c3aed', 1.5)
+);
+
+// Volume bars, green on up bars and red on down bars.
+export const volumeChartSvg = (data) => {
+  const max = Math.max(0, ...data.map(d => d.volume || 0)) || 1;
+  return frame(100, data, 0, max, ({ x, y, plotW }) => {
+    const barW = Math.max(1, plotW / Math.max(data.length, 1) - 1);
+    return data.map((d, i) => {
+      if (!d.volume) return '';
+      const up = i === 0 || d.price >= data[i - 1].price;
+      const top = y(d.volume);
+      return `<rect x="${(x(i) - barW / 2).toFixed(1)}" y="${top.toFixed(1)}" width="${barW.toFixed(1)}" height="${(y(0) - top).toFixed(1)}" fill="${up ? '#16a34a' : '#dc2626'}" fill-opacity="0.7"/>`;
+    }).join('');
+  });
+};
@@ -0,0 +1,205 @@
+import { periodsPerYear } from './bars.js';
+
+export const DEFAULT_RISK_SETTINGS = {
+  accountSize: 100000,
+  targetVol: 0.15,
+  volMethod: 'ewma',      // 'close' (rolling close-to-close) | 'ewma'
+  volWindow: 20,
+  ewmaLambda: 0.94,
+  stopMethod: 'atr',      // 'atr' | 'vol'
+  stopMultiple: 2,
+  maxPositionPct: 25,
+  bookVolTarget: false,   // scale watchlist positions down so the whole book carries targetVol
+  earningsAction: 'reduce', // 'off' | 'reduce' | 'neutral' — see lib/earnings.js
+  earningsWindow: 3,      // calendar days before a report
+  earningsScale: 0.5,     // position multiplier for 'reduce'
+};
+
+// Used when neither ATR nor volatility is available yet (very short histories).
+export const FALLBACK_STOP_PCT = 0.08;
+
+export const VOL_METHOD_LABELS = { close: 'Close-to-close', ewma: 'EWMA' };
+
+// --- VOLATILITY ---
+
+// Annualized volatility for every bar, from log returns up to and including
+// that bar (null until `volWindow` returns exist). Close-to-close is the sample
+// standard deviation over the window; EWMA is RiskMetrics-style, seeded with
+// the mean squared return of the first window.
+export const volatilitySeries = (data, settings = DEFAULT_RISK_SETTINGS, perYear = periodsPerYear(data)) => {
+  const { volMethod, volWindow, ewmaLambda } = settings;
+  const returns = data.map((d, i) => (i > 0 && data[i - 1].price > 0 && d.price > 0 ? Math.log(d.price / data[i - 1].price) : null));
+  const annualize = Math.sqrt(perYear);
+  let variance = null;
+
+  return returns.map((r, i) => {
+    if (i < volWindow) return null;
+    if (volMethod === 'ewma') {
+      if (variance == null) {
+        const seed = returns.slice(1, volWindow + 1);
+        variance = seed.reduce((a, b) => a + b * b, 0) / seed.length;
+      } else {
+        variance = ewmaLambda * variance + (1 - ewmaLambda) * r * r;
+      }
+      return Math.sqrt(variance) * annualize;
+    }
+    const window = returns.slice(i - volWindow + 1, i + 1);
+    const mean = window.reduce((a, b) => a + b, 0) / volWindow;
+    const sampleVar = window.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / (volWindow - 1);
+    return Math.sqrt(sampleVar) * annualize;
+  });
+};
+
+// --- STOPS & SIZING ---
+
+// Longs stop below the price, shorts above. ATR stops need `atr` from
+// calculateIndicators; vol stops scale the per-bar volatility.
+export const computeStop = ({ price, side = 'LONG', vol, atr, perYear = 252, settings = DEFAULT_RISK_SETTINGS }) => {
+  if (price == null) return null;
+  let basis = settings.stopMethod;
+  let distance;
+  if (basis === 'atr' && atr != null) {
+    distance = settings.stopMultiple * atr;
+  } else if (vol != null) {
+    basis = 'vol';
+    distance = settings.stopMultiple * price * (vol / Math.sqrt(perYear));
+  } else {
+    basis = 'fixed';
+    distance = price * FALLBACK_STOP_PCT;
+  }
+  const stopPrice = side === 'SHORT' ? price + distance : Math.max(price - distance, 0);
+  return { stopPrice, distance, pct: distance / price, basis };
+};
+
+// Volatility-targeted sizing: a full-conviction position carries the target
+// volatility, scaled by |score| and capped at `maxPositionPct` of the account.
+export const sizePosition = ({ verdict, total, price, vol, atr, perYear = 252, settings = DEFAULT_RISK_SETTINGS }) => {
+  const conviction = Math.abs(total || 0);
+  const rawPct = vol > 0 ? (settings.targetVol / vol) * conviction * 100 : 0;
+  const active = verdict === 'BUY' || verdict === 'SELL';
+  const pct = active ? Math.min(rawPct, settings.maxPositionPct) : 0;
+  const dollars = settings.accountSize * pct / 100;
+  const shares = price > 0 ? Math.floor(dollars / price) : 0;
+  const stop = computeStop({ price, side: verdict === 'SELL' ? 'SHORT' : 'LONG', vol, atr, perYear, settings });
+
+  return {
+    vol,
+    conviction,
+    rawPct,
+    capped: active && rawPct > settings.maxPositionPct,
+    pct,
+    dollars,
+    shares,
+    stop,
+    riskDollars: stop ? shares * stop.distance : 0,
+  };
+};
+
+// Sizing for the last bar of an indicator series.
+export const assessRisk = (indicatorData, { verdict, total }, settings = DEFAULT_RISK_SETTINGS) => {
+  const current = indicatorData[indicatorData.length - 1] || {};
+  const perYear = periodsPerYear(indicatorData);
+  const vols = volatilitySeries(indicatorData, settings, perYear);
+  return {
+    ...sizePosition({ verdict, total, price: current.price, vol: vols[vols.length - 1], atr: current.atr, perYear, settings }),
+    perYear,
+  };
+};
+
+// --- PORTFOLIO ---
+
+// Daily returns behind the watchlist correlation matrix.
+export const CORRELATION_WINDOW = 120;
+
+// Log returns on the dates every series has a bar for, the last `window` of
+// them, as one row per symbol. Series with fewer than two bars are left out.
+export const alignReturns = (seriesBySymbol, window = CORRELATION_WINDOW) => {
+  const symbols = Object.keys(seriesBySymbol).filter(s => seriesBySymbol[s]?.length > 1);
+  if (symbols.length === 0) return { symbols, dates: [], returns: [] };
+  const closes = symbols.map(s => new Map(seriesBySymbol[s].map(b => [b.date, b.price])));
+  const shared = seriesBySymbol[symbols[0]].map(b => b.date).filter(d => closes.every(m => m.get(d) > 0));
+  const recent = shared.slice(-(window + 1));
+  return {
+    symbols,
+    dates: recent.slice(1),
+    returns: closes.map(m => recent.slice(1).map((d, i) => Math.log(m.get(d) / m.get(recent[i])))),
+  };
+};
+
+// Annualized sample covariance of each pair of return rows.
+export const covarianceMatrix = (returns, perYear = 252) => {
+  const n = returns[0]?.length ?? 0;
+  if (n < 2) return returns.map(() => returns.map(() => null));
+  const means = returns.map(r => r.reduce((a, b) => a + b, 0) / n);
+  return returns.map((a, i) => returns.map((b, j) => {
+    let sum = 0;
+    for (let k = 0; k < n; k++) sum += (a[k] - means[i]) * (b[k] - means[j]);
+    return (sum / (n - 1)) * perYear;
+  }));
+};
+
+export const correlationMatrix = (cov) => cov.map((row, i) => row.map((c, j) => {
+  const denom = Math.sqrt(cov[i][i] * cov[j][j]);
+  return c != null && denom > 0 ? c / denom : null;
+}));
+
+// Volatility of a book with `weights` (signed fractions of the account) and
+// each position's share of it: weight × (cov · weights) / vol, which sums to vol.
+export const portfolioRisk = (weights, cov) => {
+  const marginal = cov.map(row => row.reduce((sum, c, j) => sum + (c ?? 0) * weights[j], 0));
+  const variance = weights.reduce((sum, w, i) => sum + w * marginal[i], 0);
+  const vol = Math.sqrt(Math.max(variance, 0));
+  return {
+    vol,
+    contributions: weights.map((w, i) => (vol > 0 ? (w * marginal[i]) / vol : 0)),
+  };
+};
+
+// Every watchlist position sized as assessRisk would size it on its own, then
+// looked at together: correlations, book volatility, each position's risk
+// contribution, and the factor (≤ 1) that brings the book down to `targetVol`.
+// `signals` maps symbol → { verdict, total }; symbols without both a series
+// and a signal are skipped. Returns null until two symbols share enough bars.
+export const assessBook = (seriesBySymbol, signals, settings = DEFAULT_RISK_SETTINGS, window = CORRELATION_WINDOW) => {
+  const usable = Object.fromEntries(Object.entries(seriesBySymbol).filter(([s, d]) => d?.length > 1 && signals[s]));
+  const { symbols, dates, returns } = alignReturns(usable, window);
+  if (symbols.length < 2 || dates.length < settings.volWindow) return null;
+
+  const cov = covarianceMatrix(returns, periodsPerYear(usable[symbols[0]]));
+  const positions = symbols.map((symbol) => {
+    const { verdict, total } = signals[symbol];
+    const sized = assessRisk(usable[symbol], { verdict, total }, settings);
+    return { symbol, verdict, pct: sized.pct, weight: (verdict === 'SELL' ? -1 : 1) * sized.pct / 100, vol: sized.vol };
+  });
+  const weights = positions.map(p => p.weight);
+  const { vol, contributions } = portfolioRisk(weights, cov);
+  const standalone = positions.reduce((sum, p, i) => sum + Math.abs(p.weight) * Math.sqrt(cov[i][i]), 0);
+  const scale = vol > settings.targetVol ? settings.targetVol / vol : 1;
+
+  return {
+    symbols,
+    observations: dates.length,
+    cov,
+    corr: correlationMatrix(cov),
+    positions: positions.map((p, i) => ({ ...p, contribution: contributions[i], share: vol > 0 ? contributions[i] / vol : 0 })),
+    vol,
+    gross: weights.reduce((sum, w) => sum + Math.abs(w), 0),
+    // Sum of standalone vols over the book vol: 1 means one bet, higher means diversified.
+    diversification: vol > 0 ? standalone / vol : null,
+    scale,
+  };
+};
+
+// A sizePosition/assessRisk result scaled down by `scale` (from assessBook).
+export const scalePosition = (position, scale) => {
+  if (!(scale < 1)) return position;
+  const shares = Math.floor(position.shares * scale);
+  return {
+    ...position,
+    pct: position.pct * scale,
+    dollars: position.dollars * scale,
+    shares,
+    riskDollars: position.stop ? shares * position.stop.distance : 0,
+    bookScale: scale,
+  };
+};
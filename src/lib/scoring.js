@@ -0,0 +1,59 @@
+import { assessRisk, DEFAULT_RISK_SETTINGS } from './risk.js';
+import { getFactors } from './factors/index.js';
+import { DEFAULT_INDICATOR_PARAMS } from './indicators.js';
+import { applyEventRisk, scaleForEventRisk } from './earnings.js';
+
+export const getVerdict = (total, params = DEFAULT_INDICATOR_PARAMS) =>
+  total > params.buyThreshold ? 'BUY' : total < -params.sellThreshold ? 'SELL' : 'NEUTRAL';
+
+// A factor scores 0 until the indicators it needs exist on the last bar; a
+// factor that throws also scores 0 so one bad plugin can't break the verdict.
+export const scoreFactor = (factor, indicatorData, context) => {
+  const current = indicatorData[indicatorData.length - 1];
+  if (!current) return { score: 0, description: 'Insufficient data.' };
+  const missing = factor.requires.filter(k => current[k] == null);
+  if (missing.length > 0) return { score: 0, description: `Insufficient data for ${missing.join(', ')}.` };
+  try {
+    return factor.compute(indicatorData, context);
+  } catch (err) {
+    return { score: 0, description: `${factor.label} failed: ${err.message}` };
+  }
+};
+
+// Scores every registered factor on the last bar and weights them into the
+// total. Weights missing from `weights` count as zero; `params` must be the
+// ones calculateIndicators ran with, for the thresholds and descriptions
+// (including buyThreshold/sellThreshold for the verdict).
+export const computeScores = (indicatorData, weights, recs, params = DEFAULT_INDICATOR_PARAMS) => {
+  const current = indicatorData[indicatorData.length - 1] || {};
+  const scores = {};
+  const descriptions = {};
+  let total = 0;
+
+  for (const factor of getFactors()) {
+    const { score, description } = scoreFactor(factor, indicatorData, { recs, params });
+    scores[factor.id] = score;
+    descriptions[factor.id] = description;
+    total += score * (weights[factor.id] || 0);
+  }
+
+  return { ...scores, total, verdict: getVerdict(total, params), price: current.price, rsi: current.rsi, descriptions };
+};
+
+// Everything the Alpha Verdict and Risk Management cards show for the last bar,
+// in one flat object (what the CLI prints per ticker). `earnings` are
+// lib/earnings.js events for the event-risk rule.
+export const buildSignal = (indicatorData, weights, recs, riskSettings = DEFAULT_RISK_SETTINGS, params = DEFAULT_INDICATOR_PARAMS, earnings = null) => {
+  const current = indicatorData[indicatorData.length - 1] || {};
+  const scores = applyEventRisk(computeScores(indicatorData, weights, recs, params), earnings, current.date, riskSettings);
+  const risk = scaleForEventRisk(assessRisk(indicatorData, scores, riskSettings), scores, riskSettings);
+  return {
+    ...scores,
+    date: current.date,
+    daysToEarnings: scores.nextEarnings?.days ?? null,
+    vol: risk.vol,
+    positionSize: risk.pct,
+    shares: risk.shares,
+    stopLoss: risk.stop?.stopPrice ?? null,
+  };
+};
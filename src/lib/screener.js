@@ -0,0 +1,158 @@
+import { calculateIndicators, DEFAULT_INDICATOR_PARAMS } from './indicators.js';
+import { adjustBars, DEFAULT_PRICE_MODE } from './adjust.js';
+import { computeScores } from './scoring.js';
+import { attachBenchmark } from './benchmark.js';
+import { DEFAULT_RANGE } from './ranges.js';
+import { attachLevels } from './annotations.js';
+import { createProviderChain } from './providers/index.js';
+
+// Parallel history requests.
+export const SCREEN_CONCURRENCY = 4;
+
+// Uncached history requests per minute. The gateway allows 60 per client
+// (worker/yahoo-proxy.js), and the chart and watchlist need some of those.
+export const SCREEN_RATE_LIMIT = { requests: 50, windowMs: 60 * 1000 };
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// `acquire()` resolves once fewer than `requests` calls have resolved in the
+// last `windowMs`, so a run spreads itself over the window instead of hitting
+// the gateway's 429s.
+export const createRateLimiter = ({ requests, windowMs } = SCREEN_RATE_LIMIT, { now = () => Date.now(), sleep = wait } = {}) => {
+  const starts = [];
+  return {
+    acquire: async () => {
+      for (;;) {
+        const t = now();
+        while (starts.length > 0 && t - starts[0] >= windowMs) starts.shift();
+        if (starts.length < requests) {
+          starts.push(t);
+          return;
+        }
+        await sleep(starts[0] + windowMs - t);
+      }
+    },
+  };
+};
+
+// True when some provider in the chain holds fresh cached bars for the
+// symbol, so fetching it costs no gateway request.
+const cachedFresh = async (providers, symbol, rangeConfig) => {
+  for (const provider of providers.providers || []) {
+    if (provider.enabled === false || typeof provider.cacheStatus !== 'function') continue;
+    const status = await provider.cacheStatus(symbol, rangeConfig).catch(() => null);
+    if (status && !status.stale) return true;
+  }
+  return false;
+};
+
+// Runs `fn(item, index)` over `items` with at most `limit` in flight, calling
+// `onProgress(done, total)` after each. Items not yet started are skipped once
+// `shouldStop()` returns true. Resolves to Promise.allSettled-style results in
+// input order (skipped items are undefined).
+export const mapWithConcurrency = async (items, limit, fn, { onProgress, shouldStop = () => false } = {}) => {
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+  const worker = async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+      done++;
+      onProgress?.(done, items.length);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// 'up' / 'down' when price is above / below both moving averages, else 'mixed'.
+export const trendState = (bar) => {
+  if (bar.sma50 == null || bar.sma200 == null) return null;
+  if (bar.price > bar.sma50 && bar.price > bar.sma200) return 'up';
+  if (bar.price < bar.sma50 && bar.price < bar.sma200) return 'down';
+  return 'mixed';
+};
+
+// One screener row: the last bar's scores plus the fields the filters use.
+// No analyst ratings are fetched (hundreds of symbols would exhaust Finnhub's
+// quota), so sentiment uses its price proxy. Pass the benchmark's raw bars as
+// `benchmarkBars` for the Relative Strength factor, and the saved annotations
+// ({ [ticker]: [...] }) for Level Cross. Simulated prices are never scored:
+// a symbol no real provider has rejects with their errors. With a `limiter`,
+// a request the price cache can't answer waits for `acquire()` first.
+export const screenSymbol = async ({ symbol, sector }, providers, {
+  weights,
+  params = DEFAULT_INDICATOR_PARAMS,
+  priceMode = DEFAULT_PRICE_MODE,
+  rangeConfig = DEFAULT_RANGE,
+  benchmarkBars = null,
+  annotations = null,
+  limiter = null,
+} = {}) => {
+  const chain = providers.providers
+    ? createProviderChain(providers.providers.filter(p => p.id !== 'simulated'))
+    : providers;
+  if (limiter && !(await cachedFresh(chain, symbol, rangeConfig))) await limiter.acquire();
+  const { data: raw, source } = await chain.getHistory(symbol, rangeConfig);
+  if (source === 'simulated') throw new Error(`No real price history for ${symbol}`);
+  const data = attachLevels(attachBenchmark(
+    calculateIndicators(adjustBars(raw, priceMode), params),
+    benchmarkBars ? adjustBars(benchmarkBars, priceMode) : null
+  ), annotations?.[symbol]);
+  const current = data[data.length - 1];
+  const scores = computeScores(data, weights, null, params);
+  return {
+    symbol,
+    sector,
+    date: current.date,
+    price: current.price,
+    rsi: current.rsi,
+    zScore: current.zScore,
+    trend: trendState(current),
+    scores,
+    total: scores.total,
+    verdict: scores.verdict,
+    source,
+  };
+};
+
+export const DEFAULT_SCREEN_FILTERS = {
+  verdict: 'ALL',     // 'ALL' | 'BUY' | 'SELL' | 'NEUTRAL'
+  minScore: null,
+  maxScore: null,
+  minRsi: null,
+  maxRsi: null,
+  minZ: null,
+  maxZ: null,
+  trend: 'ALL',       // 'ALL' | 'up' | 'down' | 'mixed'
+  sector: 'ALL',
+};
+
+const within = (value, min, max) =>
+  (min == null || (value != null && value >= min)) && (max == null || (value != null && value <= max));
+
+export const filterRows = (rows, filters) => rows.filter(r =>
+  (filters.verdict === 'ALL' || r.verdict === filters.verdict) &&
+  (filters.trend === 'ALL' || r.trend === filters.trend) &&
+  (filters.sector === 'ALL' || r.sector === filters.sector) &&
+  within(r.total, filters.minScore, filters.maxScore) &&
+  within(r.rsi, filters.minRsi, filters.maxRsi) &&
+  within(r.zScore, filters.minZ, filters.maxZ));
+
+// Sorts on a row field, or a factor score when `key` is a factor id. Missing
+// values sort last either way.
+export const sortRows = (rows, key, direction = 'desc') => {
+  const value = (r) => (key in r ? r[key] : r.scores?.[key]);
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    if (va == null || vb == null) return (va == null) - (vb == null);
+    return (typeof va === 'string' ? va.localeCompare(vb) : va - vb) * sign;
+  });
+};
@@ -0,0 +1,161 @@
+import { periodKey } from './bars.js';
+
+export const FINNHUB_WS_URL = 'wss://ws.finnhub.io';
+
+// Trades are buffered and folded into bars/scores at most this often, so a busy
+// tape doesn't recompute every indicator on each print.
+export const STREAM_FLUSH_MS = 2000;
+
+export const STREAM_BACKOFF = { initialMs: 1000, maxMs: 30000, factor: 2 };
+
+// Bars are dated by the exchange's calendar day, so a 19:30 ET print (00:30Z
+// the next day) still belongs to that day's bar.
+export const EXCHANGE_TIME_ZONE = 'America/New_York';
+
+const exchangeDay = new Intl.DateTimeFormat('en-US', { timeZone: EXCHANGE_TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' });
+
+// YYYY-MM-DD of an epoch-ms time in EXCHANGE_TIME_ZONE.
+export const exchangeDate = (time) => {
+  const parts = Object.fromEntries(exchangeDay.formatToParts(new Date(time)).map(p => [p.type, p.value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// Finnhub trade message → [{ symbol, price, volume, time }]. Pings and
+// anything unparseable give an empty list.
+export const parseTradeMessage = (text) => {
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch {
+    return [];
+  }
+  if (msg?.type !== 'trade' || !Array.isArray(msg.data)) return [];
+  return msg.data
+    .filter(t => t && t.s && Number.isFinite(t.p))
+    .map(t => ({ symbol: t.s, price: t.p, volume: t.v || 0, time: t.t }));
+};
+
+// Exponential backoff with jitter (50–100% of the step) so clients dropped
+// together don't reconnect together.
+export const reconnectDelay = (attempt, { initialMs, maxMs, factor } = STREAM_BACKOFF, random = Math.random) =>
+  Math.round(Math.min(maxMs, initialMs * factor ** attempt) * (0.5 + random() / 2));
+
+// Folds trades (oldest first) into the last bar, or opens a new bar when a
+// trade falls in a later exchange day/week/month than the last bar. A vendor
+// `adjClose` on the last bar moves with its close, so total-return mode
+// (lib/adjust.js) sees the trade too.
+export const applyTrades = (bars, trades, interval = '1d') => {
+  if (bars.length === 0 || trades.length === 0) return bars;
+  const out = [...bars];
+  for (const trade of trades) {
+    const date = exchangeDate(trade.time);
+    const last = out[out.length - 1];
+    const key = periodKey(date, interval);
+    const lastKey = periodKey(last.date, interval);
+    if (key < lastKey) continue;
+    if (key === lastKey) {
+      out[out.length - 1] = {
+        ...last,
+        high: Math.max(last.high ?? last.price, trade.price),
+        low: Math.min(last.low ?? last.price, trade.price),
+        price: trade.price,
+        volume: (last.volume || 0) + trade.volume,
+        ...(last.adjClose != null && last.price > 0 && { adjClose: last.adjClose * (trade.price / last.price) }),
+      };
+    } else {
+      out.push({ date, open: trade.price, high: trade.price, low: trade.price, price: trade.price, volume: trade.volume });
+    }
+  }
+  return out;
+};
+
+// Groups trades by symbol, keeping arrival order.
+export const groupTrades = (trades) => {
+  const bySymbol = {};
+  for (const trade of trades) {
+    if (!bySymbol[trade.symbol]) bySymbol[trade.symbol] = [];
+    bySymbol[trade.symbol].push(trade);
+  }
+  return bySymbol;
+};
+
+// Keeps one WebSocket to a Finnhub-style trade feed subscribed to `symbols`,
+// reconnecting with backoff whenever it drops. `onStatus` gets
+// { state: 'connecting' | 'open' | 'reconnecting' | 'closed', attempt, delayMs, reason }.
+// `WebSocketImpl` defaults to the browser's; Node callers pass their own.
+export const createTradeStream = ({
+  url,
+  onTrades,
+  onStatus,
+  WebSocketImpl = globalThis.WebSocket,
+  backoff = STREAM_BACKOFF,
+  timers = { setTimeout: (fn, ms) => setTimeout(fn, ms), clearTimeout: (id) => clearTimeout(id) },
+}) => {
+  let socket = null;
+  let symbols = new Set();
+  let attempt = 0;
+  let timer = null;
+  let closed = false;
+
+  const status = (state, extra = {}) => onStatus?.({ state, attempt, ...extra });
+  const send = (type, symbol) => {
+    if (socket?.readyState === 1) socket.send(JSON.stringify({ type, symbol }));
+  };
+
+  const scheduleReconnect = (reason) => {
+    const delayMs = reconnectDelay(attempt, backoff);
+    attempt++;
+    status('reconnecting', { delayMs, reason });
+    timer = timers.setTimeout(connect, delayMs);
+  };
+
+  const connect = () => {
+    timer = null;
+    status('connecting');
+    let ws;
+    try {
+      ws = new WebSocketImpl(url);
+    } catch (err) {
+      scheduleReconnect(err.message);
+      return;
+    }
+    socket = ws;
+    ws.onopen = () => {
+      attempt = 0;
+      symbols.forEach(s => send('subscribe', s));
+      status('open');
+    };
+    ws.onmessage = (event) => {
+      const trades = parseTradeMessage(event.data);
+      if (trades.length > 0) onTrades(trades);
+    };
+    // Browsers always follow an error with close, which does the reconnecting.
+    ws.onerror = () => {};
+    ws.onclose = (event) => {
+      if (socket !== ws) return;
+      socket = null;
+      if (!closed) scheduleReconnect(event.reason || `code ${event.code}`);
+    };
+  };
+
+  connect();
+
+  return {
+    setSymbols: (list) => {
+      const next = new Set(list);
+      for (const s of symbols) if (!next.has(s)) send('unsubscribe', s);
+      for (const s of next) if (!symbols.has(s)) send('subscribe', s);
+      symbols = next;
+    },
+    close: () => {
+      closed = true;
+      if (timer) timers.clearTimeout(timer);
+      if (socket) {
+        const ws = socket;
+        socket = null;
+        ws.close();
+      }
+      status('closed');
+    },
+  };
+};
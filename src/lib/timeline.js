@@ -0,0 +1,25 @@
+import { computeScores } from './scoring.js';
+import { DEFAULT_INDICATOR_PARAMS } from './indicators.js';
+import { DEFAULT_RISK_SETTINGS } from './risk.js';
+import { applyEventRisk } from './earnings.js';
+
+// computeScores for every bar from `from` on, as it read at that bar's close.
+// Analyst ratings are a present-day snapshot, so only the last bar gets
+// `recs` (matching the verdict card); earlier bars use Sentiment's price
+// proxy, as backtests do. With `earnings` each bar also gets the event-risk
+// rule as it stood that day. Returns [{ date, ...computeScores result }].
+export const verdictTimeline = (data, weights, {
+  recs = null, params = DEFAULT_INDICATOR_PARAMS, from = 0, earnings = null, risk = DEFAULT_RISK_SETTINGS,
+} = {}) => {
+  const rows = [];
+  for (let i = Math.max(0, from); i < data.length; i++) {
+    const scores = computeScores(data.slice(0, i + 1), weights, i === data.length - 1 ? recs : null, params);
+    rows.push({ ...applyEventRisk(scores, earnings, data[i].date, risk), date: data[i].date });
+  }
+  return rows;
+};
+
+// Rows whose verdict differs from the row before, with that verdict as `previous`.
+export const verdictFlips = (timeline) => timeline.flatMap((row, i) =>
+  i > 0 && row.verdict !== timeline[i - 1].verdict ? [{ ...row, previous: timeline[i - 1].verdict }] : []
+);
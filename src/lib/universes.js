@@ -0,0 +1,138 @@
+import { parseCsv } from './csv.js';
+
+// Bundled screener universes. Index membership changes every quarter, so these
+// are snapshots (UNIVERSE_AS_OF); upload a list for anything current. Symbols
+// are in Yahoo form (BRK-B, not BRK.B).
+export const UNIVERSE_AS_OF = '2025-09';
+
+// S&P 500 by GICS sector.
+const SP500_BY_SECTOR = {
+  'Information Technology': [
+    'AAPL', 'MSFT', 'NVDA', 'AVGO', 'ORCL', 'CRM', 'CSCO', 'ACN', 'ADBE', 'AMD', 'IBM', 'NOW', 'INTU', 'TXN', 'QCOM',
+    'AMAT', 'PANW', 'ANET', 'ADI', 'MU', 'LRCX', 'KLAC', 'INTC', 'APH', 'CRWD', 'SNPS', 'CDNS', 'MSI', 'ADSK', 'ROP',
+    'FTNT', 'NXPI', 'WDAY', 'TEL', 'FICO', 'IT', 'MPWR', 'GLW', 'CTSH', 'HPQ', 'DELL', 'MCHP', 'KEYS', 'HPE', 'ON',
+    'CDW', 'TYL', 'NTAP', 'PTC', 'FSLR', 'STX', 'WDC', 'TDY', 'ZBRA', 'GDDY', 'TER', 'SMCI', 'JBL', 'FFIV', 'TRMB',
+    'GEN', 'AKAM', 'EPAM', 'SWKS', 'ENPH', 'VRSN', 'PLTR', 'DDOG', 'APP',
+  ],
+  'Health Care': [
+    'LLY', 'UNH', 'JNJ', 'ABBV', 'MRK', 'TMO', 'ABT', 'ISRG', 'DHR', 'AMGN', 'PFE', 'BSX', 'SYK', 'VRTX', 'GILD',
+    'BMY', 'MDT', 'CI', 'ELV', 'REGN', 'ZTS', 'MCK', 'CVS', 'HCA', 'BDX', 'COR', 'EW', 'IDXX', 'A', 'IQV',
+    'GEHC', 'RMD', 'HUM', 'CNC', 'DXCM', 'MTD', 'CAH', 'BIIB', 'WST', 'STE', 'ZBH', 'LH', 'WAT', 'MOH', 'COO',
+    'HOLX', 'DGX', 'PODD', 'BAX', 'ALGN', 'VTRS', 'INCY', 'RVTY', 'TECH', 'CRL', 'UHS', 'HSIC', 'SOLV', 'DVA', 'MRNA',
+  ],
+  Financials: [
+    'BRK-B', 'JPM', 'V', 'MA', 'BAC', 'WFC', 'GS', 'MS', 'SPGI', 'AXP', 'BLK', 'C', 'SCHW', 'PGR', 'CB',
+    'MMC', 'BX', 'KKR', 'ICE', 'CME', 'AON', 'PNC', 'USB', 'MCO', 'AJG', 'TRV', 'COF', 'AFL', 'APO', 'AIG',
+    'MET', 'PYPL', 'ALL', 'TFC', 'BK', 'MSCI', 'AMP', 'PRU', 'FIS', 'HIG', 'ACGL', 'NDAQ', 'MTB', 'FITB', 'RJF',
+    'STT', 'WTW', 'BRO', 'GPN', 'TROW', 'HBAN', 'SYF', 'RF', 'CINF', 'CBOE', 'NTRS', 'CFG', 'KEY', 'WRB', 'L',
+    'PFG', 'FDS', 'EG', 'JKHY', 'BEN', 'IVZ', 'GL', 'AIZ', 'ERIE', 'MKTX', 'COIN', 'XYZ', 'HOOD', 'IBKR',
+  ],
+  'Consumer Discretionary': [
+    'AMZN', 'TSLA', 'HD', 'MCD', 'BKNG', 'LOW', 'TJX', 'SBUX', 'NKE', 'ORLY', 'CMG', 'MAR', 'ABNB', 'AZO', 'HLT',
+    'GM', 'ROST', 'F', 'DHI', 'RCL', 'LEN', 'YUM', 'DASH', 'TSCO', 'EBAY', 'GRMN', 'LULU', 'NVR', 'PHM', 'CCL',
+    'DECK', 'EXPE', 'ULTA', 'GPC', 'DRI', 'LVS', 'BBY', 'POOL', 'LKQ', 'KMX', 'TPR', 'RL', 'HAS', 'MGM', 'WYNN',
+    'CZR', 'NCLH', 'APTV', 'MHK',
+  ],
+  'Communication Services': [
+    'GOOGL', 'GOOG', 'META', 'NFLX', 'TMUS', 'DIS', 'CMCSA', 'VZ', 'T', 'CHTR', 'EA', 'TTWO', 'WBD', 'OMC', 'LYV',
+    'IPG', 'FOXA', 'FOX', 'NWSA', 'NWS', 'MTCH', 'PSKY', 'TKO',
+  ],
+  Industrials: [
+    'GE', 'CAT', 'RTX', 'UNP', 'HON', 'ETN', 'UBER', 'BA', 'LMT', 'DE', 'ADP', 'UPS', 'GEV', 'WM', 'TT',
+    'PH', 'CTAS', 'ITW', 'TDG', 'MMM', 'GD', 'NOC', 'EMR', 'FDX', 'CSX', 'NSC', 'CARR', 'PCAR', 'JCI', 'CPRT',
+    'URI', 'GWW', 'RSG', 'PAYX', 'LHX', 'CMI', 'FAST', 'AME', 'OTIS', 'VRSK', 'ODFL', 'PWR', 'HWM', 'AXON', 'IR',
+    'EFX', 'XYL', 'DAL', 'ROK', 'WAB', 'DOV', 'BR', 'VLTO', 'HUBB', 'LDOS', 'BLDR', 'UAL', 'LUV', 'EXPD', 'J',
+    'TXT', 'SNA', 'MAS', 'PNR', 'IEX', 'JBHT', 'CHRW', 'NDSN', 'ALLE', 'SWK', 'HII', 'GNRC', 'AOS', 'DAY', 'PAYC',
+    'ROL', 'LII',
+  ],
+  'Consumer Staples': [
+    'WMT', 'COST', 'PG', 'KO', 'PEP', 'PM', 'MO', 'MDLZ', 'CL', 'TGT', 'KMB', 'KDP', 'KHC', 'MNST', 'STZ',
+    'GIS', 'SYY', 'KR', 'ADM', 'HSY', 'KVUE', 'CHD', 'EL', 'MKC', 'CLX', 'K', 'TSN', 'HRL', 'CAG', 'SJM',
+    'CPB', 'LW', 'BG', 'TAP', 'DG', 'DLTR',
+  ],
+  Energy: [
+    'XOM', 'CVX', 'COP', 'EOG', 'WMB', 'SLB', 'OKE', 'MPC', 'PSX', 'KMI', 'VLO', 'OXY', 'BKR', 'FANG', 'TRGP',
+    'EQT', 'DVN', 'CTRA', 'HAL', 'TPL', 'APA', 'EXE',
+  ],
+  Utilities: [
+    'NEE', 'SO', 'DUK', 'CEG', 'AEP', 'SRE', 'D', 'EXC', 'PCG', 'XEL', 'VST', 'PEG', 'ED', 'ETR', 'WEC',
+    'EIX', 'DTE', 'AEE', 'PPL', 'ES', 'FE', 'CNP', 'ATO', 'CMS', 'NRG', 'NI', 'LNT', 'EVRG', 'AES', 'PNW', 'AWK',
+  ],
+  'Real Estate': [
+    'PLD', 'AMT', 'WELL', 'EQIX', 'SPG', 'PSA', 'O', 'DLR', 'CCI', 'CBRE', 'VICI', 'EXR', 'AVB', 'CSGP', 'IRM',
+    'EQR', 'VTR', 'SBAC', 'WY', 'INVH', 'ESS', 'MAA', 'ARE', 'KIM', 'DOC', 'UDR', 'CPT', 'HST', 'REG', 'BXP', 'FRT',
+  ],
+  Materials: [
+    'LIN', 'SHW', 'APD', 'ECL', 'FCX', 'NEM', 'CTVA', 'DOW', 'NUE', 'DD', 'PPG', 'VMC', 'MLM', 'IFF', 'LYB',
+    'SW', 'PKG', 'STLD', 'IP', 'BALL', 'AVY', 'AMCR', 'CF', 'MOS', 'ALB', 'EMN',
+  ],
+};
+
+// Nasdaq-100 members outside the S&P 500, with their sectors.
+const NDX_ONLY = {
+  ASML: 'Information Technology', ARM: 'Information Technology', SHOP: 'Information Technology',
+  TEAM: 'Information Technology', ZS: 'Information Technology', GFS: 'Information Technology',
+  MSTR: 'Information Technology', AZN: 'Health Care', PDD: 'Consumer Discretionary',
+  MELI: 'Consumer Discretionary', CCEP: 'Consumer Staples', TRI: 'Industrials',
+  MRVL: 'Information Technology',
+};
+
+const NASDAQ_100 = [
+  'AAPL', 'MSFT', 'NVDA', 'AMZN', 'META', 'AVGO', 'GOOGL', 'GOOG', 'TSLA', 'COST', 'NFLX', 'PLTR', 'AMD', 'TMUS', 'CSCO',
+  'ASML', 'AZN', 'LIN', 'INTU', 'PEP', 'ISRG', 'TXN', 'BKNG', 'QCOM', 'AMGN', 'ADBE', 'AMAT', 'ARM', 'HON', 'GILD',
+  'PDD', 'CMCSA', 'PANW', 'MU', 'LRCX', 'ADP', 'KLAC', 'APP', 'ADI', 'MELI', 'VRTX', 'CRWD', 'SBUX', 'INTC', 'CEG',
+  'MSTR', 'CDNS', 'DASH', 'SNPS', 'ORLY', 'ABNB', 'CTAS', 'MAR', 'MDLZ', 'FTNT', 'PYPL', 'CSX', 'REGN', 'ADSK', 'MRVL',
+  'WDAY', 'ROP', 'AXON', 'CHTR', 'NXPI', 'PCAR', 'MNST', 'FAST', 'AEP', 'CPRT', 'PAYX', 'TTWO', 'ROST', 'KDP', 'EXC',
+  'BKR', 'XEL', 'FANG', 'DDOG', 'VRSK', 'CCEP', 'ZS', 'EA', 'CTSH', 'TEAM', 'IDXX', 'CSGP', 'LULU', 'KHC', 'GEHC',
+  'ODFL', 'DXCM', 'WBD', 'ON', 'CDW', 'BIIB', 'GFS', 'MCHP', 'SHOP', 'TRI',
+];
+
+const SECTOR_BY_SYMBOL = {
+  ...Object.fromEntries(Object.entries(SP500_BY_SECTOR).flatMap(([sector, symbols]) => symbols.map(s => [s, sector]))),
+  ...NDX_ONLY,
+};
+
+export const sectorOf = (symbol) => SECTOR_BY_SYMBOL[symbol] ?? null;
+
+// A universe is { id, label, members: [{ symbol, sector }] }.
+export const BUNDLED_UNIVERSES = [
+  {
+    id: 'sp500',
+    label: 'S&P 500',
+    members: Object.entries(SP500_BY_SECTOR).flatMap(([sector, symbols]) => symbols.map(symbol => ({ symbol, sector }))),
+  },
+  {
+    id: 'ndx',
+    label: 'Nasdaq-100',
+    members: NASDAQ_100.map(symbol => ({ symbol, sector: sectorOf(symbol) })),
+  },
+];
+
+const cleanSymbol = (value) => String(value ?? '').trim().toUpperCase();
+
+// An uploaded list: a JSON array (of symbols or { symbol, sector }), a CSV with
+// a Symbol/Ticker column and optional Sector column, or one symbol per line.
+// Sectors missing from the file come from the bundled lists when known.
+export const parseUniverse = (text) => {
+  const trimmed = text.trim();
+  let members;
+  if (trimmed.startsWith('[')) {
+    members = JSON.parse(trimmed).map(m => (typeof m === 'string' ? { symbol: m } : { symbol: m.symbol ?? m.ticker, sector: m.sector }));
+  } else {
+    const firstLine = trimmed.split(/\r?\n/, 1)[0].toLowerCase();
+    if (/\b(symbol|ticker)\b/.test(firstLine)) {
+      members = parseCsv(trimmed).map(row => ({
+        symbol: row.symbol ?? row.ticker,
+        sector: row.sector ?? row['gics sector'],
+      }));
+    } else {
+      members = trimmed.split(/\r?\n/).map(l => ({ symbol: l.split(/[,#\s]/)[0] }));
+    }
+  }
+
+  const seen = new Set();
+  return members
+    .map(m => ({ symbol: cleanSymbol(m.symbol), sector: (m.sector && String(m.sector).trim()) || null }))
+    .filter(m => /^[A-Z0-9.^=-]{1,20}$/.test(m.symbol) && !seen.has(m.symbol) && seen.add(m.symbol))
+    .map(m => ({ ...m, sector: m.sector ?? sectorOf(m.symbol) }));
+};
@@ -0,0 +1,195 @@
+import { defaultWeights } from './factors/index.js';
+import { DEFAULT_BENCHMARK } from './benchmark.js';
+import { parseCsv, toCsv } from './csv.js';
+
+// Named watchlists, stored as { active, lists: [{ id, name, symbols, weights,
+// benchmark }] } in display order. Each list keeps its own factor weights and
+// benchmark, so switching lists switches both.
+export const DEFAULT_SYMBOLS = ['VOO', 'MSFT', 'GOOGL', 'AAPL', 'NVDA', 'NFLX'];
+export const DEFAULT_LIST_NAME = 'Watchlist';
+
+let nextId = 0;
+const makeId = () => `wl-${Date.now().toString(36)}-${(nextId++).toString(36)}`;
+
+const cleanSymbols = (symbols) => {
+  if (!Array.isArray(symbols)) return [];
+  const seen = new Set();
+  return symbols
+    .map(s => String(s ?? '').trim().toUpperCase())
+    .filter(s => /^[A-Z0-9.^=-]{1,20}$/.test(s) && !seen.has(s) && seen.add(s));
+};
+
+// Defaults for every registered factor, overridden by any finite saved weight
+// (including ones for factors registered later).
+const cleanWeights = (weights) => {
+  const merged = defaultWeights();
+  if (weights && typeof weights === 'object') {
+    for (const [key, value] of Object.entries(weights)) {
+      if (Number.isFinite(Number(value))) merged[key] = Number(value);
+    }
+  }
+  return merged;
+};
+
+export const createWatchlist = (name, { symbols = [], weights, benchmark } = {}) => ({
+  id: makeId(),
+  name,
+  symbols: cleanSymbols(symbols),
+  weights: cleanWeights(weights),
+  benchmark: String(benchmark || DEFAULT_BENCHMARK).trim().toUpperCase(),
+});
+
+// Repairs saved state: bad entries are dropped, every list gets an id, weights
+// and a benchmark, and the active list always exists. `legacy` is the single
+// list from before named lists ({ symbols, benchmark }), used when nothing is saved.
+export const normalizeWatchlists = (saved, legacy = {}) => {
+  const lists = Array.isArray(saved?.lists)
+    ? saved.lists
+      .filter(l => l && typeof l.name === 'string' && l.name.trim())
+      .map(l => ({ ...createWatchlist(l.name.trim(), l), ...(typeof l.id === 'string' && { id: l.id }) }))
+    : [];
+  if (lists.length === 0) {
+    const symbols = cleanSymbols(legacy.symbols);
+    lists.push(createWatchlist(DEFAULT_LIST_NAME, { symbols: symbols.length > 0 ? symbols : DEFAULT_SYMBOLS, benchmark: legacy.benchmark }));
+  }
+  const active = lists.some(l => l.id === saved?.active) ? saved.active : lists[0].id;
+  return { active, lists };
+};
+
+export const activeWatchlist = (state) => state.lists.find(l => l.id === state.active) || state.lists[0];
+
+export const updateWatchlist = (state, id, changes) => ({
+  ...state,
+  lists: state.lists.map(l => (l.id === id ? { ...l, ...changes } : l)),
+});
+
+export const updateActiveWatchlist = (state, changes) => updateWatchlist(state, activeWatchlist(state).id, changes);
+
+const checkName = (state, name, exceptId) => {
+  const trimmed = name.trim();
+  if (!trimmed) throw new Error('List name is required');
+  if (state.lists.some(l => l.id !== exceptId && l.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A list named "${trimmed}" already exists`);
+  }
+  return trimmed;
+};
+
+// Adds a list after the others and switches to it.
+export const addWatchlist = (state, name, options) => {
+  const list = createWatchlist(checkName(state, name), options);
+  return { active: list.id, lists: [...state.lists, list] };
+};
+
+export const renameWatchlist = (state, id, name) => updateWatchlist(state, id, { name: checkName(state, name, id) });
+
+export const deleteWatchlist = (state, id) => {
+  const lists = state.lists.filter(l => l.id !== id);
+  if (lists.length === 0) return state;
+  return { active: state.active === id ? lists[0].id : state.active, lists };
+};
+
+// Moves the item at `from` to `to`, shifting the ones in between.
+export const moveItem = (items, from, to) => {
+  if (from === to || from < 0 || from >= items.length) return items;
+  const next = [...items];
+  const [item] = next.splice(from, 1);
+  next.splice(Math.max(0, Math.min(to, next.length)), 0, item);
+  return next;
+};
+
+export const moveWatchlist = (state, from, to) => ({ ...state, lists: moveItem(state.lists, from, to) });
+
+// `name`, then `name (2)`, `name (3)`... whichever is free.
+const freeName = (state, name) => {
+  const taken = new Set(state.lists.map(l => l.name.toLowerCase()));
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${name} (${n})`;
+  return candidate;
+};
+
+const sameList = (list, { symbols, weights, benchmark }) =>
+  list.symbols.join() === symbols.join() &&
+  list.benchmark === benchmark &&
+  // Links carry weights to 4 decimals.
+  Object.keys(weights).every(key => Math.abs((list.weights[key] ?? 0) - weights[key]) < 1e-4);
+
+// 'Tech (2)' and 'Tech' are the same name as far as links go (see freeName).
+const baseName = (name) => name.replace(/ \(\d+\)$/, '').toLowerCase();
+
+// Makes the watchlist in a shared link ({ list, symbols, weights, benchmark },
+// any of them missing) the active one. Missing fields come from the active
+// list. An existing list with the same contents (and name, or a numbered copy
+// of it) is switched to, so reopening a link changes nothing the second time;
+// anything else is added as a new list rather than overwriting one with the
+// same name.
+export const openLinkedWatchlist = (state, link) => {
+  const current = activeWatchlist(state);
+  const target = {
+    name: link.list || current.name,
+    symbols: link.symbols ? cleanSymbols(link.symbols) : current.symbols,
+    weights: link.weights ? cleanWeights(link.weights) : current.weights,
+    benchmark: link.benchmark || current.benchmark,
+  };
+  const named = state.lists.find(l => l.name.toLowerCase() === target.name.toLowerCase());
+  if (named && sameList(named, target)) return named.id === state.active ? state : { ...state, active: named.id };
+  const match = state.lists.find(l => sameList(l, target) && (!link.list || baseName(l.name) === baseName(target.name)));
+  if (match) return match.id === state.active ? state : { ...state, active: match.id };
+  return addWatchlist(state, freeName(state, target.name), target);
+};
+
+// --- IMPORT / EXPORT ---
+
+// JSON keeps names, symbols, weights and benchmarks; CSV only names and symbols
+// (one `list,symbol` row per symbol).
+export const watchlistsToJson = (lists) =>
+  JSON.stringify({ lists: lists.map(({ name, symbols, weights, benchmark }) => ({ name, symbols, weights, benchmark })) }, null, 2) + '\n';
+
+export const watchlistsToCsv = (lists) =>
+  toCsv(lists.flatMap(l => l.symbols.map(symbol => ({ list: l.name, symbol }))), ['list', 'symbol']);
+
+// Reads an export from either format, a JSON array of lists, or a CSV/JSON
+// array of bare symbols (which becomes one list named `fallbackName`).
+// Returns [{ name, symbols, weights?, benchmark? }].
+export const parseWatchlists = (text, fallbackName = 'Imported') => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const parsed = JSON.parse(trimmed);
+    const lists = Array.isArray(parsed) && parsed.every(s => typeof s === 'string')
+      ? [{ name: fallbackName, symbols: parsed }]
+      : Array.isArray(parsed) ? parsed : parsed.lists;
+    if (!Array.isArray(lists)) throw new Error('Expected { lists: [...] }');
+    return lists
+      .filter(l => l && Array.isArray(l.symbols))
+      .map(l => ({ ...l, name: String(l.name || fallbackName).trim(), symbols: cleanSymbols(l.symbols) }));
+  }
+
+  const rows = parseCsv(trimmed);
+  if (rows.length === 0 || !rows.some(r => r.symbol || r.ticker)) throw new Error('Expected a CSV with list and symbol columns');
+  const byName = new Map();
+  for (const row of rows) {
+    const name = (row.list || row.watchlist || fallbackName).trim();
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(row.symbol || row.ticker);
+  }
+  return [...byName].map(([name, symbols]) => ({ name, symbols: cleanSymbols(symbols) }));
+};
+
+// Imported lists replace same-named lists (keeping their id and position) and
+// are appended otherwise. Fields an import doesn't carry keep their current value.
+export const importWatchlists = (state, imported) => {
+  let lists = state.lists;
+  for (const entry of imported) {
+    const existing = lists.find(l => l.name.toLowerCase() === entry.name.toLowerCase());
+    if (existing) {
+      lists = lists.map(l => (l === existing ? {
+        ...l,
+        symbols: cleanSymbols(entry.symbols),
+        ...(entry.weights && { weights: cleanWeights(entry.weights) }),
+        ...(entry.benchmark && { benchmark: String(entry.benchmark).trim().toUpperCase() }),
+      } : l));
+    } else {
+      lists = [...lists, createWatchlist(entry.name, entry)];
+    }
+  }
+  return { ...state, lists };
+};
@@ -0,0 +1,63 @@
+import { parseSplit } from './adjust.js';
+
+export const YAHOO_API_URL = 'https://query1.finance.yahoo.com';
+
+const toUnix = (date) => Math.floor(Date.parse(`${date}T00:00:00Z`) / 1000);
+
+// With `since` (a YYYY-MM-DD bar date) only bars from that date on are
+// requested, for topping up a cached series.
+export const buildYahooPath = (symbol, rangeConfig, since) => {
+  const span = since
+    ? `period1=${toUnix(since)}&period2=${Math.floor(Date.now() / 1000)}`
+    : `range=${rangeConfig.fetchRange}`;
+  return `/v8/finance/chart/${encodeURIComponent(symbol)}?${span}&interval=${rangeConfig.interval}&events=div,splits&includeAdjustedClose=true`;
+};
+
+const toDate = (ts) => new Date(ts * 1000).toISOString().split('T')[0];
+
+// Puts each dividend/split event on the last bar dated on or before it, which
+// for weekly and monthly bars is the bar whose period contains it.
+const attachEvents = (bars, events = {}) => {
+  const onBar = (ts) => {
+    const date = toDate(ts);
+    for (let i = bars.length - 1; i >= 0; i--) if (bars[i].date <= date) return bars[i];
+    return null;
+  };
+  for (const d of Object.values(events.dividends || {})) {
+    const bar = onBar(d.date);
+    if (bar && d.amount > 0) bar.dividend = (bar.dividend || 0) + d.amount;
+  }
+  for (const s of Object.values(events.splits || {})) {
+    const bar = onBar(s.date);
+    const split = parseSplit({ numerator: s.numerator, denominator: s.denominator });
+    if (bar && split) bar.split = split;
+  }
+  return bars;
+};
+
+// Turns a v8 chart response into the `{ date, open, high, low, price, volume }` rows
+// calculateIndicators expects, plus `adjClose` and any `dividend`/`split` on its
+// ex-date bar (see lib/adjust.js). Bars without a close (halts, partial days) are dropped.
+export const parseYahooChart = (json) => {
+  const result = json?.chart?.result?.[0];
+  if (!result || !result.timestamp) throw new Error('No data');
+
+  const quotes = result.indicators.quote[0];
+  const adjclose = result.indicators.adjclose?.[0]?.adjclose;
+  const bars = result.timestamp.map((ts, i) => ({
+    date: toDate(ts),
+    open: quotes.open?.[i] ?? quotes.close[i],
+    high: quotes.high?.[i] ?? quotes.close[i],
+    low: quotes.low?.[i] ?? quotes.close[i],
+    price: quotes.close[i],
+    volume: quotes.volume[i],
+    ...(adjclose?.[i] != null && { adjClose: adjclose[i] }),
+  })).filter(d => d.price != null);
+  return attachEvents(bars, result.events);
+};
+
+export const fetchYahooHistory = async (symbol, rangeConfig, { baseUrl = YAHOO_API_URL, fetchImpl = fetch, headers, since } = {}) => {
+  const response = await fetchImpl(`${baseUrl}${buildYahooPath(symbol, rangeConfig, since)}`, headers ? { headers } : undefined);
+  if (!response.ok) throw new Error(`Yahoo Finance HTTP ${response.status}`);
+  return parseYahooChart(await response.json());
+};
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { adjustBars, parseSplit, corporateActions } from '../src/lib/adjust.js';
+import { applyTrades } from '../src/lib/stream.js';
+
+const close = (bars) => bars.map(b => +b.price.toFixed(4));
+
+test('parseSplit reads ratios in the usual spellings', () => {
+  assert.deepEqual(parseSplit('4:1'), { numerator: 4, denominator: 1 });
+  assert.deepEqual(parseSplit('1/10'), { numerator: 1, denominator: 10 });
+  assert.deepEqual(parseSplit(2), { numerator: 2, denominator: 1 });
+  assert.equal(parseSplit('1:1'), null);
+  assert.equal(parseSplit(''), null);
+});
+
+test('a raw split is back-adjusted; newest prices stay as quoted', () => {
+  const bars = [
+    { date: '2024-01-02', price: 400, volume: 10 },
+    { date: '2024-01-03', price: 101, volume: 40, split: { numerator: 4, denominator: 1 } },
+    { date: '2024-01-04', price: 102, volume: 40 },
+  ];
+  const adjusted = adjustBars(bars);
+  assert.deepEqual(close(adjusted), [100, 101, 102]);
+  assert.equal(adjusted[0].volume, 40);
+  assert.equal(adjusted[0].rawPrice, 400);
+  assert.equal(adjusted[2], bars[2]);
+});
+
+test('a series the vendor already adjusted is left alone', () => {
+  const bars = [
+    { date: '2024-01-02', price: 100 },
+    { date: '2024-01-03', price: 101, split: { numerator: 4, denominator: 1 } },
+  ];
+  assert.deepEqual(close(adjustBars(bars)), [100, 101]);
+});
+
+test('total return compounds dividends without adjClose', () => {
+  const bars = [
+    { date: '2024-01-02', price: 100 },
+    { date: '2024-01-03', price: 98, dividend: 2 },
+    { date: '2024-01-04', price: 99 },
+  ];
+  assert.deepEqual(close(adjustBars(bars, 'price')), [100, 98, 99]);
+  assert.deepEqual(close(adjustBars(bars, 'total')), [98, 98, 99]);
+});
+
+test('total return follows the vendor adjClose', () => {
+  const bars = [
+    { date: '2024-01-02', price: 100, adjClose: 95 },
+    { date: '2024-01-03', price: 102, adjClose: 102 },
+  ];
+  assert.deepEqual(close(adjustBars(bars, 'total')), [95, 102]);
+  assert.deepEqual(corporateActions([{ date: '2024-01-03', price: 98, low: 97, dividend: 2 }]), [{ date: '2024-01-03', type: 'dividend', label: '$2.00', low: 97 }]);
+});
+
+test('a streamed trade moves the adjusted close in total-return mode', () => {
+  const bars = [
+    { date: '2024-01-02', price: 100, adjClose: 95 },
+    { date: '2024-01-03', open: 101, high: 103, low: 100, price: 102, adjClose: 102, volume: 10 },
+  ];
+  const traded = applyTrades(bars, [{ price: 110, volume: 1, time: Date.parse('2024-01-03T15:00:00Z') }]);
+  assert.equal(adjustBars(traded, 'price').at(-1).price, 110);
+  assert.equal(adjustBars(traded, 'total').at(-1).price, 110);
+  assert.deepEqual(close(adjustBars(traded, 'total')), [95, 110]);
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createCachedProvider, createMemoryBarStore, mergeBars, BAR_CACHE_MAX_AGE } from '../src/lib/barCache.js';
+
+const RANGE = { label: '1Y', fetchRange: '1y', interval: '1d' };
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const setup = (series) => {
+  let clock = Date.parse('2024-03-06T15:00:00Z');
+  const calls = [];
+  const revalidated = [];
+  const provider = {
+    id: 'yahoo',
+    getHistory: async (symbol, rangeConfig, options) => {
+      calls.push(options?.since ?? null);
+      const bars = series();
+      return options?.since ? bars.filter(b => b.date >= options.since) : bars;
+    },
+  };
+  const cached = createCachedProvider(provider, {
+    store: createMemoryBarStore(),
+    now: () => clock,
+    onRevalidate: (symbol) => revalidated.push(symbol),
+  });
+  return { cached, calls, revalidated, advance: (ms) => { clock += ms; } };
+};
+
+const bars = [
+  { date: '2024-03-04', price: 100 },
+  { date: '2024-03-05', price: 101 },
+];
+
+test('mergeBars replaces the overlapping bar and appends newer ones', () => {
+  assert.deepEqual(mergeBars(bars, [{ date: '2024-03-05', price: 102 }, { date: '2024-03-06', price: 103 }]).map(b => b.price), [100, 102, 103]);
+});
+
+test('a background refresh that brings nothing new does not fire onRevalidate', async () => {
+  const { cached, calls, revalidated, advance } = setup(() => bars);
+  assert.deepEqual(await cached.getHistory('AAPL', RANGE), bars);
+  advance(BAR_CACHE_MAX_AGE['1d']);
+
+  assert.deepEqual(await cached.getHistory('AAPL', RANGE), bars, 'stale bars are served');
+  await settle();
+  assert.deepEqual(calls, [null, '2024-03-05']);
+  assert.deepEqual(revalidated, []);
+  assert.equal((await cached.cacheStatus('AAPL', RANGE)).stale, false, 'the entry age is renewed');
+});
+
+test('a background refresh with new bars fires onRevalidate once', async () => {
+  let current = bars;
+  const { cached, revalidated, advance } = setup(() => current);
+  await cached.getHistory('AAPL', RANGE);
+  current = [...bars, { date: '2024-03-06', price: 104 }];
+  advance(BAR_CACHE_MAX_AGE['1d']);
+
+  await cached.getHistory('AAPL', RANGE);
+  await settle();
+  assert.deepEqual(revalidated, ['AAPL']);
+  assert.equal((await cached.getHistory('AAPL', RANGE)).at(-1).price, 104);
+});
+
+test('a failed refresh keeps the cached bars and is not retried until the entry ages again', async () => {
+  let fail = false;
+  const { cached, calls, revalidated, advance } = setup(() => { if (fail) throw new Error('offline'); return bars; });
+  await cached.getHistory('AAPL', RANGE);
+  fail = true;
+  advance(BAR_CACHE_MAX_AGE['1d']);
+
+  assert.deepEqual(await cached.getHistory('AAPL', RANGE), bars);
+  await settle();
+  assert.equal((await cached.cacheStatus('AAPL', RANGE)).error, 'offline');
+  await cached.getHistory('AAPL', RANGE);
+  await settle();
+  assert.equal(calls.length, 2);
+  assert.deepEqual(revalidated, []);
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseEarningsCalendar, nextEarnings, daysBetween, epsSurprise, applyEventRisk, scaleForEventRisk } from '../src/lib/earnings.js';
+import { DEFAULT_RISK_SETTINGS } from '../src/lib/risk.js';
+import { buildSignal } from '../src/lib/scoring.js';
+import { calculateIndicators, generateStockData } from '../src/lib/indicators.js';
+import { defaultWeights } from '../src/lib/factors/index.js';
+
+const fixture = JSON.parse(readFileSync(new URL('../worker/fixtures/earnings-calendar.json', import.meta.url), 'utf8'));
+const msft = parseEarningsCalendar(fixture, 'MSFT');
+
+test('parseEarningsCalendar keeps one sorted event per date for the symbol', () => {
+  assert.equal(msft.length, 5);
+  assert.deepEqual(msft.map(e => e.date), ['2025-10-29', '2026-01-28', '2026-04-29', '2026-07-29', '2026-10-21']);
+  assert.deepEqual(msft[4], {
+    date: '2026-10-21', hour: 'amc', quarter: 1, year: 2027,
+    epsEstimate: 4.2, epsActual: null, revenueEstimate: 88900000000, revenueActual: null,
+  });
+});
+
+test('parseEarningsCalendar drops malformed rows and accepts bare arrays', () => {
+  const events = parseEarningsCalendar([
+    { date: '2026-02-01', hour: 'xyz', epsEstimate: '' },
+    { date: 'soon' },
+    null,
+    { date: '2026-01-01', symbol: 'OTHER' },
+  ], 'AAPL');
+  assert.deepEqual(events.map(e => [e.date, e.hour, e.epsEstimate]), [['2026-02-01', null, null]]);
+  assert.deepEqual(parseEarningsCalendar({ nothing: true }), []);
+});
+
+test('nextEarnings counts a report on the as-of date as ahead', () => {
+  assert.equal(nextEarnings(msft, '2026-10-21').date, '2026-10-21');
+  assert.equal(nextEarnings(msft, '2026-10-22'), null);
+  assert.equal(daysBetween('2026-10-18', '2026-10-21'), 3);
+  assert.ok(Math.abs(epsSurprise(msft[3]) - (4.26 - 4.11) / 4.11) < 1e-12);
+  assert.equal(epsSurprise(msft[4]), null);
+});
+
+const buy = { verdict: 'BUY', total: 0.6 };
+
+test('applyEventRisk leaves the verdict alone outside the window', () => {
+  const scores = applyEventRisk(buy, msft, '2026-10-17', DEFAULT_RISK_SETTINGS);
+  assert.equal(scores.verdict, 'BUY');
+  assert.equal(scores.eventRisk, null);
+  assert.equal(scores.nextEarnings.days, 4);
+});
+
+test('the neutral rule holds the verdict and remembers the original', () => {
+  const settings = { ...DEFAULT_RISK_SETTINGS, earningsAction: 'neutral' };
+  const scores = applyEventRisk(buy, msft, '2026-10-18', settings);
+  assert.equal(scores.verdict, 'NEUTRAL');
+  assert.deepEqual(scores.eventRisk, { date: '2026-10-21', days: 3, action: 'neutral', verdict: 'BUY' });
+});
+
+test('the reduce rule scales the position and keeps the book scale', () => {
+  const scores = applyEventRisk(buy, msft, '2026-10-21', DEFAULT_RISK_SETTINGS);
+  assert.equal(scores.verdict, 'BUY');
+  const position = { pct: 10, dollars: 10000, shares: 101, stop: { distance: 2 }, bookScale: 0.8 };
+  const cut = scaleForEventRisk(position, scores, DEFAULT_RISK_SETTINGS);
+  assert.deepEqual(cut, { pct: 5, dollars: 5000, shares: 50, stop: { distance: 2 }, riskDollars: 100, bookScale: 0.8, eventScale: 0.5 });
+  assert.equal(scaleForEventRisk(position, { ...scores, eventRisk: null }, DEFAULT_RISK_SETTINGS), position);
+});
+
+test('the off rule and a missing calendar change nothing', () => {
+  const off = applyEventRisk(buy, msft, '2026-10-20', { ...DEFAULT_RISK_SETTINGS, earningsAction: 'off' });
+  assert.equal(off.eventRisk, null);
+  assert.equal(off.nextEarnings.days, 1);
+  assert.deepEqual(applyEventRisk(buy, null, '2026-10-20'), { ...buy, nextEarnings: null, eventRisk: null });
+});
+
+test('buildSignal sizes with the event-risk rule as of the last bar', () => {
+  const data = calculateIndicators(generateStockData('TEST'));
+  const last = data[data.length - 1].date;
+  const events = [{ date: last, hour: 'amc' }];
+  const plain = buildSignal(data, defaultWeights(), null);
+  const held = buildSignal(data, defaultWeights(), null, { ...DEFAULT_RISK_SETTINGS, earningsAction: 'neutral' }, undefined, events);
+  assert.equal(held.daysToEarnings, 0);
+  assert.equal(held.verdict, 'NEUTRAL');
+  assert.equal(held.positionSize, 0);
+  assert.equal(plain.daysToEarnings, null);
+});
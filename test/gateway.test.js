@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createGateway, cacheTtl } from '../worker/yahoo-proxy.js';
+
+// A gateway over a recording stand-in upstream and a hand-driven clock.
+const setup = (options = {}) => {
+  const calls = [];
+  let clock = 1_000_000;
+  const gateway = createGateway({
+    fetchImpl: async (url) => {
+      calls.push(url);
+      return new Response(JSON.stringify({ ok: true, n: calls.length }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    },
+    now: () => clock,
+    ...options,
+  });
+  const get = (path, headers = {}) => gateway.fetch(new Request(`http://gateway${path}`, { headers: { 'CF-Connecting-IP': '1.1.1.1', ...headers } }));
+  return { gateway, calls, get, advance: (ms) => { clock += ms; } };
+};
+
+const CHART = '/v8/finance/chart/AAPL?range=1y&interval=1d';
+// Distinct uncached requests, for the rate limiter.
+const chart = (sym) => `/v8/finance/chart/${sym}?range=1y&interval=1d`;
+
+test('only allowlisted paths are forwarded', async () => {
+  const { get, calls } = setup();
+  assert.equal((await get('/v8/finance/chart/AAPL')).status, 200);
+  assert.equal((await get('/v7/finance/quote')).status, 404);
+  assert.equal((await get('/v8/finance/chart/AAPL/extra')).status, 404);
+  assert.equal((await get('/v8/finance/chart/%E0%A4%A')).status, 404);
+  assert.equal(calls.length, 1);
+});
+
+test('encoded and raw index symbols hit the same route and cache entry', async () => {
+  const { get, calls } = setup();
+  for (const sym of ['%5EGSPC', '^GSPC', 'BRK-B', 'BRK.B', 'EURUSD%3DX']) {
+    assert.equal((await get(`/v8/finance/chart/${sym}?interval=1d`)).status, 200, sym);
+  }
+  assert.deepEqual(calls.map(u => new URL(u).pathname), ['/v8/finance/chart/%5EGSPC', '/v8/finance/chart/BRK-B', '/v8/finance/chart/BRK.B', '/v8/finance/chart/EURUSD%3DX']);
+  assert.equal((await get('/v8/finance/chart/%5EGSPC?interval=1d')).headers.get('X-Cache'), 'HIT');
+});
+
+test('unlisted query parameters are dropped before the upstream and cache key', async () => {
+  const { get, calls } = setup();
+  await get(`${CHART}&token=stolen&callback=x`);
+  assert.equal(calls[0], 'https://query1.finance.yahoo.com/v8/finance/chart/AAPL?range=1y&interval=1d');
+  assert.equal((await get(`/v8/finance/chart/AAPL?interval=1d&range=1y`)).headers.get('X-Cache'), 'HIT');
+});
+
+test('responses are cached for the route\'s TTL', async () => {
+  const { get, calls, advance } = setup();
+  const first = await get(CHART);
+  assert.equal(first.headers.get('X-Cache'), 'MISS');
+  assert.equal(first.headers.get('Cache-Control'), 'public, max-age=900');
+  advance(60 * 1000);
+  const hit = await get(CHART);
+  assert.equal(hit.headers.get('X-Cache'), 'HIT');
+  assert.equal(hit.headers.get('Cache-Control'), 'public, max-age=840');
+  advance(15 * 60 * 1000);
+  assert.equal((await get(CHART)).headers.get('X-Cache'), 'MISS');
+  assert.equal(calls.length, 2);
+});
+
+test('cacheTtl depends on the interval and the Finnhub endpoint', () => {
+  const p = (q) => new URLSearchParams(q);
+  assert.equal(cacheTtl('/v8/finance/chart/AAPL', p('interval=5m')), 60);
+  assert.equal(cacheTtl('/v8/finance/chart/AAPL', p('interval=1d&range=1mo')), 300);
+  assert.equal(cacheTtl('/v8/finance/chart/AAPL', p('interval=1wk')), 6 * 3600);
+  assert.equal(cacheTtl('/finnhub/quote', p('')), 30);
+  assert.equal(cacheTtl('/finnhub/calendar/earnings', p('')), 6 * 3600);
+});
+
+test('clients over the rate limit get 429 with Retry-After until the window ends', async () => {
+  const { get, advance } = setup({ rateLimit: 2 });
+  assert.equal((await get(chart('A'))).status, 200);
+  assert.equal((await get(chart('B'))).status, 200);
+  advance(45 * 1000);
+  const limited = await get(chart('C'));
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('Retry-After'), '15');
+  assert.equal((await get(chart('C'), { 'CF-Connecting-IP': '2.2.2.2' })).status, 200, 'other clients have their own bucket');
+  advance(15 * 1000);
+  assert.equal((await get(chart('D'))).status, 200);
+});
+
+test('cache hits are served without charging the rate limit', async () => {
+  const { get, calls } = setup({ rateLimit: 60 });
+  const statuses = [];
+  for (let i = 0; i < 70; i++) statuses.push((await get(CHART)).status);
+  assert.ok(statuses.every(s => s === 200), 'repeated cached requests never get 429');
+  assert.equal(calls.length, 1);
+  for (let i = 0; i < 59; i++) assert.equal((await get(chart(`S${i}`))).status, 200);
+  assert.equal((await get(chart('OVER'))).status, 429, 'the one upstream fetch counted, the hits did not');
+  assert.equal((await get(CHART)).status, 200, 'a limited client still gets cached responses');
+});
+
+test('without CF-Connecting-IP, clients are told apart by X-Forwarded-For', async () => {
+  const { gateway } = setup({ rateLimit: 1 });
+  const get = (ip, sym) => gateway.fetch(new Request(`http://gateway${chart(sym)}`, { headers: { 'X-Forwarded-For': `${ip}, 10.0.0.1` } }));
+  assert.equal((await get('3.3.3.3', 'A')).status, 200);
+  assert.equal((await get('4.4.4.4', 'B')).status, 200);
+  assert.equal((await get('3.3.3.3', 'C')).status, 429);
+});
+
+test('origins outside ALLOWED_ORIGINS are refused', async () => {
+  const { get } = setup({ allowedOrigins: ['https://app.example'] });
+  const ok = await get(CHART, { Origin: 'https://app.example' });
+  assert.equal(ok.headers.get('Access-Control-Allow-Origin'), 'https://app.example');
+  assert.equal((await get(CHART, { Origin: 'https://evil.example' })).status, 403);
+  assert.equal((await get(CHART)).status, 200, 'requests without an Origin are not CORS');
+});
+
+test('with a Finnhub key and no ALLOWED_ORIGINS, browsers are refused', async () => {
+  const { get } = setup({ finnhubApiKey: 'secret' });
+  const refused = await get('/finnhub/quote?symbol=AAPL', { Origin: 'https://evil.example' });
+  assert.equal(refused.status, 403);
+  assert.match((await refused.json()).error, /ALLOWED_ORIGINS/);
+  const open = setup();
+  assert.equal((await open.get(CHART, { Origin: 'https://any.example' })).headers.get('Access-Control-Allow-Origin'), '*');
+});
+
+test('Finnhub requests get the server key in place of the client\'s', async () => {
+  const { get, calls } = setup({ finnhubApiKey: 'secret', allowedOrigins: ['https://app.example'] });
+  assert.equal((await get('/finnhub/calendar/earnings?symbol=MSFT&from=2026-01-01&to=2026-12-31&token=mine')).status, 200);
+  assert.equal(calls[0], 'https://finnhub.io/api/v1/calendar/earnings?symbol=MSFT&from=2026-01-01&to=2026-12-31&token=secret');
+  const unconfigured = setup();
+  assert.equal((await unconfigured.get('/finnhub/quote?symbol=AAPL')).status, 503);
+});
+
+test('preflight and non-GET methods', async () => {
+  const { gateway } = setup();
+  assert.equal((await gateway.fetch(new Request(`http://gateway${CHART}`, { method: 'OPTIONS' }))).status, 204);
+  assert.equal((await gateway.fetch(new Request(`http://gateway${CHART}`, { method: 'POST' }))).status, 405);
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateIndicators, normalizeIndicatorParams, generateStockData, DEFAULT_INDICATOR_PARAMS } from '../src/lib/indicators.js';
+import { buildReport, reportsToMarkdown } from '../src/lib/report.js';
+import { defaultWeights } from '../src/lib/factors/index.js';
+import { DEFAULT_RISK_SETTINGS } from '../src/lib/risk.js';
+
+const bars = generateStockData('AAPL').slice(-300);
+const firstIndex = (data, key) => data.findIndex(d => d[key] != null);
+
+test('ATR, Keltner, MACD and volume periods come from the params', () => {
+  const defaults = calculateIndicators(bars);
+  assert.equal(firstIndex(defaults, 'atr'), 13);
+  assert.equal(firstIndex(defaults, 'kcUpper'), 19);
+  assert.equal(firstIndex(defaults, 'macd'), 25);
+  assert.equal(firstIndex(defaults, 'macdSignal'), 33);
+  assert.equal(firstIndex(defaults, 'volumeRatio'), 20);
+
+  const params = normalizeIndicatorParams({ atrPeriod: 10, kcPeriod: 30, kcMultiplier: 1.5, macdFast: 5, macdSlow: 35, macdSignalPeriod: 5, volumePeriod: 50 });
+  const custom = calculateIndicators(bars, params);
+  assert.equal(firstIndex(custom, 'atr'), 9);
+  assert.equal(firstIndex(custom, 'kcUpper'), 29);
+  assert.equal(firstIndex(custom, 'macd'), 34);
+  assert.equal(firstIndex(custom, 'macdSignal'), 38);
+  assert.equal(firstIndex(custom, 'volumeRatio'), 50);
+  const last = custom.at(-1);
+  assert.ok(Math.abs(last.kcUpper - last.kcMiddle - 1.5 * last.atr) < 1e-9);
+});
+
+test('params saved before these keys existed still compute the defaults', () => {
+  const { atrPeriod, kcPeriod, kcMultiplier, macdFast, macdSlow, macdSignalPeriod, volumePeriod, ...old } = DEFAULT_INDICATOR_PARAMS;
+  assert.deepEqual(calculateIndicators(bars, old).at(-1), calculateIndicators(bars).at(-1));
+  assert.deepEqual(normalizeIndicatorParams(old), DEFAULT_INDICATOR_PARAMS);
+  assert.equal([atrPeriod, kcPeriod, kcMultiplier, macdFast, macdSlow, macdSignalPeriod, volumePeriod].join(), '14,20,2,12,26,9,20');
+});
+
+test('normalizeIndicatorParams rejects unusable periods', () => {
+  assert.throws(() => normalizeIndicatorParams({ atrPeriod: 1 }), /"atrPeriod" must be a whole number/);
+  assert.throws(() => normalizeIndicatorParams({ volumePeriod: 7.5 }), /"volumePeriod" must be a whole number/);
+  assert.throws(() => normalizeIndicatorParams({ macdFast: 30 }), /MACD fast period must be below the slow period/);
+});
+
+test('the report names the ATR period in use', () => {
+  const params = normalizeIndicatorParams({ atrPeriod: 10 });
+  const risk = { ...DEFAULT_RISK_SETTINGS, stopMethod: 'atr' };
+  const report = buildReport('AAPL', calculateIndicators(bars, params), { weights: { ...defaultWeights(), trend: 1 }, params, risk });
+  assert.equal(report.atrPeriod, 10);
+  assert.equal(report.position.stop.basis, 'atr');
+  assert.match(reportsToMarkdown([report]), /× ATR\(10\)/);
+});
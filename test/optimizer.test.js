@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { weightGrid, randomWeights, activeFactors, walkForward } from '../src/lib/optimizer.js';
+import { generateStockData, calculateIndicators } from '../src/lib/indicators.js';
+import { factorKeys, availableFactors } from '../src/lib/factors/index.js';
+import { attachLevels } from '../src/lib/annotations.js';
+
+const sum = (w) => +Object.values(w).reduce((a, b) => a + b, 0).toFixed(4);
+
+test('the grid size is C(1/step + k - 1, k - 1)', () => {
+  assert.equal(weightGrid(0.1, ['a', 'b', 'c', 'd', 'e', 'f']).length, 3003);
+  assert.equal(weightGrid(0.5, ['a', 'b']).length, 3);
+  assert.deepEqual(weightGrid(0.5, ['a', 'b']), [{ a: 0, b: 1 }, { a: 0.5, b: 0.5 }, { a: 1, b: 0 }]);
+  for (const w of randomWeights(20, 3, ['a', 'b', 'c'])) assert.equal(sum(w), 1);
+});
+
+test('activeFactors keeps only factors that score in the window', () => {
+  const bars = [{ trend: 1, levelCross: 0 }, { trend: 0, momentum: -1, levelCross: 0 }, { macd: 1 }];
+  assert.deepEqual(activeFactors(bars, 0, 2, ['trend', 'momentum', 'macd', 'levelCross']), ['trend', 'momentum']);
+  assert.deepEqual(activeFactors(bars, 0, 3, ['trend', 'momentum', 'macd', 'levelCross']), ['trend', 'momentum', 'macd']);
+});
+
+test('walkForward skips factors with no scores, fills them with 0 and yields', async () => {
+  const data = calculateIndicators(generateStockData('AAPL')).slice(-320);
+  let yields = 0;
+  const timer = setInterval(() => yields++, 0);
+  const progress = [];
+  const result = await walkForward(data, {
+    trainBars: 126, testBars: 63, step: 0.25, sliceMs: 1,
+    onProgress: (done, total) => progress.push(`${done}/${total}`),
+  });
+  clearInterval(timer);
+
+  assert.ok(result.folds.length >= 1);
+  assert.equal(progress.at(-1), `${result.folds.length}/${result.folds.length}`);
+  assert.ok(yields > 0, 'the search hands the thread back');
+  assert.ok(factorKeys().includes('relStrength') && factorKeys().includes('levelCross'));
+  for (const fold of result.folds) {
+    assert.ok(!fold.factors.includes('levelCross'), 'no drawings, so Level Cross is not searched');
+    assert.ok(!fold.factors.includes('relStrength'), 'no benchmark, so Relative Strength is not searched');
+    assert.deepEqual(Object.keys(fold.weights).sort(), factorKeys().sort());
+    assert.equal(fold.weights.levelCross, 0);
+    assert.equal(sum(fold.weights), 1);
+    assert.ok(fold.candidates < weightGrid(0.25, factorKeys()).length);
+  }
+});
+
+test('Level Cross is only searched when the ticker has drawings', async () => {
+  const data = calculateIndicators(generateStockData('AAPL')).slice(-320);
+  const opts = { trainBars: 126, testBars: 63, step: 0.25, method: 'random', samples: 20 };
+  assert.ok(!availableFactors(data).some(f => f.id === 'levelCross'));
+
+  // A level through the middle of the range gets crossed in every window.
+  const prices = data.map(b => b.price).sort((a, b) => a - b);
+  const drawn = attachLevels(data, [{ id: 'a', type: 'level', price: prices[Math.floor(prices.length / 2)] }]);
+  assert.ok(availableFactors(drawn).some(f => f.id === 'levelCross'));
+  const result = await walkForward(drawn, opts);
+  assert.ok(result.folds.some(f => f.factors.includes('levelCross')));
+});
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createProviderChain, chainFromOrder, describeProvider } from '../src/lib/providers/index.js';
+import { createLocalProvider } from '../src/lib/providers/local.js';
+import { createFinnhubProvider } from '../src/lib/providers/finnhub.js';
+import { DEFAULT_RANGE } from '../src/lib/ranges.js';
+
+const bars = [{ date: '2024-01-02', price: 10 }, { date: '2024-01-03', price: 11 }];
+const stub = (id, methods, enabled = true) => ({ id, label: id, enabled, ...methods });
+
+test('the first provider with data answers', async () => {
+  const chain = createProviderChain([
+    stub('empty', { getHistory: async () => [] }),
+    stub('none', { getHistory: async () => null }),
+    stub('real', { getHistory: async () => bars }),
+    stub('late', { getHistory: async () => { throw new Error('should not be asked'); } }),
+  ]);
+  const result = await chain.getHistory('AAPL', DEFAULT_RANGE);
+  assert.equal(result.source, 'real');
+  assert.deepEqual(result.data, bars);
+});
+
+test('disabled providers and providers without the method are skipped', async () => {
+  const chain = createProviderChain([
+    stub('off', { getQuote: async () => ({ c: 1 }) }, false),
+    stub('history-only', { getHistory: async () => bars }),
+    stub('quote', { getQuote: async () => ({ c: 2 }) }),
+  ]);
+  assert.deepEqual(await chain.getQuote('AAPL'), { data: { c: 2 }, source: 'quote' });
+});
+
+test('errors fall through to the next provider and are collected', async () => {
+  const chain = createProviderChain([
+    stub('broken', { getRecommendations: async () => { throw new Error('HTTP 500'); } }),
+  ]);
+  const result = await chain.getRecommendations('AAPL');
+  assert.equal(result.data, null);
+  assert.deepEqual(result.errors, ['broken: HTTP 500']);
+});
+
+test('getHistory throws with every provider error when nobody has bars', async () => {
+  const chain = createProviderChain([
+    stub('a', { getHistory: async () => { throw new Error('offline'); } }),
+    stub('b', { getHistory: async () => null }),
+  ]);
+  await assert.rejects(chain.getHistory('ZZZ', DEFAULT_RANGE), /No price history for ZZZ \(a: offline\)/);
+});
+
+test('chainFromOrder follows the saved order and on/off state', async () => {
+  const available = {
+    one: stub('one', { getHistory: async () => bars }),
+    two: stub('two', { getHistory: async () => bars.slice(0, 1) }),
+  };
+  const chain = chainFromOrder([{ id: 'missing', enabled: true }, { id: 'one', enabled: false }, { id: 'two', enabled: true }], available);
+  assert.deepEqual(chain.providers.map(p => p.id), ['two']);
+  assert.equal((await chain.getHistory('AAPL', DEFAULT_RANGE)).source, 'two');
+});
+
+test('describeProvider lists the methods a provider implements', () => {
+  const finnhub = createFinnhubProvider({ apiKey: 'k', fetchImpl: async () => null });
+  assert.deepEqual(describeProvider(finnhub).methods, ['getQuote', 'getRecommendations', 'getProfile', 'getEarnings']);
+});
+
+test('the local provider parses files and rejects symbols without one', async () => {
+  const files = { AAPL: 'date,close\n2024-01-02,10\n2024-01-03,11\n' };
+  const local = createLocalProvider({ load: async (sym) => files[sym] ?? null });
+  const chain = createProviderChain([local]);
+  const { data, source } = await chain.getHistory('AAPL', DEFAULT_RANGE);
+  assert.equal(source, 'local');
+  assert.deepEqual(data.map(b => b.price), [10, 11]);
+  await assert.rejects(chain.getHistory('MSFT', DEFAULT_RANGE), /local: No local file for MSFT/);
+});
+
+test('Finnhub requests carry the symbol and key, and empty answers are null', async () => {
+  const urls = [];
+  const finnhub = createFinnhubProvider({
+    apiKey: 'secret',
+    baseUrl: 'http://stand-in',
+    fetchImpl: async (url) => {
+      urls.push(url);
+      return new Response(JSON.stringify(url.includes('/quote') ? { c: 0 } : []), { status: 200 });
+    },
+  });
+  assert.equal(await finnhub.getQuote('BRK.B'), null);
+  assert.equal(await finnhub.getRecommendations('BRK.B'), null);
+  assert.deepEqual(urls, ['http://stand-in/quote?symbol=BRK.B&token=secret', 'http://stand-in/stock/recommendation?symbol=BRK.B&token=secret']);
+});
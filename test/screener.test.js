@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { screenSymbol, createRateLimiter, mapWithConcurrency } from '../src/lib/screener.js';
+import { createProviderChain, createSimulatedProvider } from '../src/lib/providers/index.js';
+import { generateStockData } from '../src/lib/indicators.js';
+import { defaultWeights } from '../src/lib/factors/index.js';
+
+const weights = { ...defaultWeights(), levelCross: 0.5 };
+const real = (id, fail = () => null) => ({
+  id,
+  getHistory: async (symbol) => {
+    const error = fail(symbol);
+    if (error) throw new Error(error);
+    return generateStockData(symbol);
+  },
+});
+
+test('the rate limiter lets `requests` through per window and waits out the rest', async () => {
+  let clock = 0;
+  const slept = [];
+  const limiter = createRateLimiter({ requests: 2, windowMs: 1000 }, {
+    now: () => clock,
+    sleep: async (ms) => { slept.push(ms); clock += ms; },
+  });
+  await limiter.acquire();
+  clock = 400;
+  await limiter.acquire();
+  await limiter.acquire();
+  assert.deepEqual(slept, [600]);
+  assert.equal(clock, 1000);
+  await limiter.acquire();
+  assert.deepEqual(slept, [600, 400]);
+});
+
+test('a symbol only the simulated provider has fails with the real providers\' errors', async () => {
+  const chain = createProviderChain([real('yahoo', () => 'Yahoo Finance HTTP 429'), createSimulatedProvider()]);
+  await assert.rejects(screenSymbol({ symbol: 'AAPL' }, chain, { weights }), /No price history for AAPL \(yahoo: Yahoo Finance HTTP 429\)/);
+});
+
+test('rows come from real providers; failures are reported, not scored', async () => {
+  const chain = createProviderChain([real('yahoo', (sym) => (sym === 'MSFT' ? 'Yahoo Finance HTTP 429' : null)), createSimulatedProvider()]);
+  const rows = [];
+  const failed = [];
+  await mapWithConcurrency([{ symbol: 'AAPL' }, { symbol: 'MSFT' }, { symbol: 'NVDA' }], 2, async (member) => {
+    try {
+      rows.push(await screenSymbol(member, chain, { weights }));
+    } catch {
+      failed.push(member.symbol);
+    }
+  });
+  assert.deepEqual(rows.map(r => r.symbol).sort(), ['AAPL', 'NVDA']);
+  assert.ok(rows.every(r => r.source === 'yahoo'));
+  assert.deepEqual(failed, ['MSFT']);
+});
+
+test('saved levels reach the Level Cross factor', async () => {
+  const chain = createProviderChain([real('yahoo')]);
+  const plain = await screenSymbol({ symbol: 'AAPL' }, chain, { weights });
+  // A level between the last two closes, so the last bar crosses it.
+  const [prev, last] = generateStockData('AAPL').slice(-2).map(b => b.price);
+  const annotations = { AAPL: [{ id: 'l1', type: 'level', price: (prev + last) / 2 }] };
+  const drawn = await screenSymbol({ symbol: 'AAPL' }, chain, { weights, annotations });
+  assert.equal(plain.scores.levelCross, 0);
+  assert.equal(drawn.scores.levelCross, Math.sign(last - prev));
+});
+
+test('only requests the cache can\'t answer wait for the limiter', async () => {
+  let acquired = 0;
+  const limiter = { acquire: async () => { acquired++; } };
+  const cached = { ...real('yahoo'), cacheStatus: async (symbol) => (symbol === 'AAPL' ? { stale: false } : null) };
+  const chain = createProviderChain([cached]);
+  await screenSymbol({ symbol: 'AAPL' }, chain, { weights, limiter });
+  assert.equal(acquired, 0);
+  await screenSymbol({ symbol: 'MSFT' }, chain, { weights, limiter });
+  assert.equal(acquired, 1);
+});
@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyTrades, groupTrades, parseTradeMessage, reconnectDelay, createTradeStream, exchangeDate } from '../src/lib/stream.js';
+
+const at = (date, hour = 15) => Date.parse(`${date}T${String(hour).padStart(2, '0')}:00:00Z`);
+const bars = [
+  { date: '2024-03-04', open: 99, high: 101, low: 98, price: 100, volume: 1000 },
+  { date: '2024-03-05', open: 100, high: 102, low: 99, price: 101, volume: 1000 },
+];
+
+test('trades in the last bar\'s day update its close, range and volume', () => {
+  const out = applyTrades(bars, [
+    { price: 104, volume: 10, time: at('2024-03-05') },
+    { price: 97, volume: 5, time: at('2024-03-05', 16) },
+  ]);
+  assert.deepEqual(out[1], { date: '2024-03-05', open: 100, high: 104, low: 97, price: 97, volume: 1015 });
+  assert.equal(out.length, 2);
+  assert.equal(bars[1].price, 101, 'input bars are not mutated');
+});
+
+test('trades are dated by the exchange day, not UTC', () => {
+  // 19:30 ET on 03-05 is 00:30Z on 03-06; 20:00 ET on 03-06 in summer time is 00:00Z on 03-07.
+  assert.equal(exchangeDate(Date.parse('2024-03-06T00:30:00Z')), '2024-03-05');
+  assert.equal(exchangeDate(Date.parse('2024-07-09T00:00:00Z')), '2024-07-08');
+  assert.equal(exchangeDate(Date.parse('2024-03-05T14:30:00Z')), '2024-03-05');
+
+  const out = applyTrades(bars, [{ price: 103, volume: 3, time: Date.parse('2024-03-06T00:30:00Z') }]);
+  assert.equal(out.length, 2, 'no phantom 03-06 bar');
+  assert.equal(out[1].date, '2024-03-05');
+  assert.equal(out[1].price, 103);
+});
+
+test('a trade on a later day opens a new bar; older trades are ignored', () => {
+  const out = applyTrades(bars, [
+    { price: 90, volume: 1, time: at('2024-03-04') },
+    { price: 105, volume: 7, time: at('2024-03-06') },
+  ]);
+  assert.equal(out.length, 3);
+  assert.deepEqual(out[2], { date: '2024-03-06', open: 105, high: 105, low: 105, price: 105, volume: 7 });
+  assert.equal(out[0].price, 100);
+});
+
+test('weekly bars take trades from any day of the same week', () => {
+  const weekly = [{ date: '2024-03-04', open: 99, high: 101, low: 98, price: 100, volume: 1000 }];
+  const out = applyTrades(weekly, [{ price: 103, volume: 1, time: at('2024-03-08') }], '1wk');
+  assert.equal(out.length, 1);
+  assert.equal(out[0].price, 103);
+});
+
+test('groupTrades keeps arrival order per symbol', () => {
+  const trades = [{ symbol: 'A', price: 1 }, { symbol: 'B', price: 2 }, { symbol: 'A', price: 3 }];
+  assert.deepEqual(groupTrades(trades), { A: [trades[0], trades[2]], B: [trades[1]] });
+});
+
+test('parseTradeMessage reads trade batches and ignores pings and garbage', () => {
+  assert.deepEqual(parseTradeMessage('{"type":"trade","data":[{"s":"AAPL","p":190.5,"v":3,"t":1}]}'), [{ symbol: 'AAPL', price: 190.5, volume: 3, time: 1 }]);
+  assert.deepEqual(parseTradeMessage('{"type":"ping"}'), []);
+  assert.deepEqual(parseTradeMessage('not json'), []);
+});
+
+test('reconnectDelay backs off exponentially within the jitter band and caps', () => {
+  const backoff = { initialMs: 1000, maxMs: 30000, factor: 2 };
+  assert.equal(reconnectDelay(0, backoff, () => 0), 500);
+  assert.equal(reconnectDelay(3, backoff, () => 1), 8000);
+  assert.equal(reconnectDelay(10, backoff, () => 1), 30000);
+});
+
+// A scripted stand-in for the browser WebSocket.
+const fakeSockets = () => {
+  const sockets = [];
+  class FakeSocket {
+    constructor(url) { this.url = url; this.sent = []; this.readyState = 0; sockets.push(this); }
+    send(text) { this.sent.push(JSON.parse(text)); }
+    close() { this.readyState = 3; }
+    open() { this.readyState = 1; this.onopen(); }
+    drop(reason) { this.readyState = 3; this.onclose({ code: 1006, reason }); }
+  }
+  return { sockets, FakeSocket };
+};
+
+test('the stream subscribes on open and resubscribes after a drop', () => {
+  const { sockets, FakeSocket } = fakeSockets();
+  const pending = [];
+  const statuses = [];
+  const received = [];
+  const stream = createTradeStream({
+    url: 'ws://stand-in',
+    onTrades: (trades) => received.push(...trades),
+    onStatus: (s) => statuses.push(s.state),
+    WebSocketImpl: FakeSocket,
+    timers: { setTimeout: (fn, ms) => pending.push({ fn, ms }), clearTimeout: () => {} },
+  });
+  stream.setSymbols(['AAPL', 'MSFT']);
+  sockets[0].open();
+  assert.deepEqual(sockets[0].sent, [{ type: 'subscribe', symbol: 'AAPL' }, { type: 'subscribe', symbol: 'MSFT' }]);
+
+  sockets[0].onmessage({ data: '{"type":"trade","data":[{"s":"AAPL","p":1,"v":1,"t":1}]}' });
+  assert.equal(received.length, 1);
+
+  sockets[0].drop('network');
+  assert.equal(pending.length, 1);
+  pending[0].fn();
+  sockets[1].open();
+  assert.deepEqual(sockets[1].sent.map(m => m.symbol), ['AAPL', 'MSFT']);
+
+  stream.setSymbols(['MSFT']);
+  assert.deepEqual(sockets[1].sent.at(-1), { type: 'unsubscribe', symbol: 'AAPL' });
+  stream.close();
+  assert.deepEqual(statuses, ['connecting', 'open', 'reconnecting', 'connecting', 'open', 'closed']);
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeWatchlists, activeWatchlist, updateActiveWatchlist, openLinkedWatchlist } from '../src/lib/watchlists.js';
+import { defaultWeights } from '../src/lib/factors/index.js';
+
+const start = () => normalizeWatchlists({ lists: [{ id: 'a', name: 'Watchlist', symbols: ['AAPL', 'MSFT'] }] });
+const names = (state) => state.lists.map(l => l.name);
+
+test('a link to the active list changes nothing', () => {
+  const state = start();
+  const { symbols, weights, benchmark } = activeWatchlist(state);
+  assert.equal(openLinkedWatchlist(state, { list: 'Watchlist', symbols, weights, benchmark }), state);
+  assert.equal(openLinkedWatchlist(state, { ticker: 'NVDA' }), state);
+});
+
+test('a link whose contents differ is added under a free name', () => {
+  const state = start();
+  const opened = openLinkedWatchlist(state, { list: 'Watchlist', symbols: ['NVDA'] });
+  assert.deepEqual(names(opened), ['Watchlist', 'Watchlist (2)']);
+  assert.deepEqual(activeWatchlist(opened).symbols, ['NVDA']);
+  assert.deepEqual(names(state), ['Watchlist'], 'input state is not mutated');
+});
+
+test('reopening an old link switches to the copy it made instead of adding another', () => {
+  // An entry written before the weights were edited, revisited after a reload.
+  const oldWeights = defaultWeights();
+  const state = updateActiveWatchlist(start(), { weights: { ...oldWeights, trend: 0.9 } });
+  const link = { list: 'Watchlist', symbols: ['AAPL', 'MSFT'], weights: oldWeights };
+
+  const once = openLinkedWatchlist(state, link);
+  assert.deepEqual(names(once), ['Watchlist', 'Watchlist (2)']);
+  const back = { ...once, active: 'a' };
+  const twice = openLinkedWatchlist(back, link);
+  assert.deepEqual(names(twice), ['Watchlist', 'Watchlist (2)']);
+  assert.equal(activeWatchlist(twice).name, 'Watchlist (2)');
+});
+
+test('a list with the same contents under another name is not reused for a named link', () => {
+  const state = normalizeWatchlists({ lists: [
+    { id: 'a', name: 'Watchlist', symbols: ['AAPL'] },
+    { id: 'b', name: 'Tech', symbols: ['NVDA'] },
+  ] });
+  const opened = openLinkedWatchlist(state, { list: 'Chips', symbols: ['NVDA'] });
+  assert.deepEqual(names(opened), ['Watchlist', 'Tech', 'Chips']);
+  assert.equal(activeWatchlist(openLinkedWatchlist(state, { symbols: ['NVDA'] })).name, 'Tech');
+});
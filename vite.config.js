@@ -1,17 +1,39 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
-export default defineConfig({
-  base: process.env.GITHUB_ACTIONS ? '/AlphaSentinel/' : '/',
-  plugins: [react()],
-  server: {
-    proxy: {
-      '/api/yahoo': {
-        target: 'https://query1.finance.yahoo.com',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api\/yahoo/, ''),
+export default defineConfig(({ mode }) => {
+  // FINNHUB_API_KEY (no VITE_ prefix) stays on the dev server: the proxy adds
+  // it to /api/finnhub requests, mirroring the gateway worker's /finnhub route.
+  const finnhubKey = loadEnv(mode, process.cwd(), '').FINNHUB_API_KEY
+
+  return {
+    base: process.env.GITHUB_ACTIONS ? '/AlphaSentinel/' : '/',
+    plugins: [react()],
+    define: {
+      'import.meta.env.VITE_FINNHUB_PROXY': JSON.stringify(finnhubKey ? '/api/finnhub' : ''),
+    },
+    server: {
+      proxy: {
+        '/api/yahoo': {
+          target: 'https://query1.finance.yahoo.com',
+          changeOrigin: true,
+          rewrite: (path) => path.replace(/^\/api\/yahoo/, ''),
+        },
+        ...(finnhubKey && {
+          '/api/finnhub-ws': {
+            target: 'wss://ws.finnhub.io',
+            ws: true,
+            changeOrigin: true,
+            rewrite: () => `/?token=${finnhubKey}`,
+          },
+          '/api/finnhub': {
+            target: 'https://finnhub.io',
+            changeOrigin: true,
+            rewrite: (path) => `/api/v1${path.replace(/^\/api\/finnhub/, '')}&token=${finnhubKey}`,
+          },
+        }),
       },
     },
-  },
+  }
 })
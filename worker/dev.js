@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// Runs the gateway under Node against a stand-in upstream, so caching, rate
+// limiting and the allowlists can be exercised without Yahoo, Finnhub or a
+// Cloudflare account:
+//   npm run worker:dev                  gateway on :8787, stand-in upstream on :8788
+//   npm run worker:dev -- --live        gateway in front of the real APIs (.env FINNHUB_API_KEY)
+// Point the app at it with VITE_YAHOO_PROXY_URL=http://localhost:8787.
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import 'dotenv/config';
+import { createGateway, YAHOO_UPSTREAM, FINNHUB_UPSTREAM } from './yahoo-proxy.js';
+import { generateStockData } from '../src/lib/indicators.js';
+
+const STAND_IN_KEY = 'stand-in-key';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    'upstream-port': { type: 'string', default: '8788' },
+    // The stand-in has a Finnhub key, so browsers need an allowed origin: Vite's dev server.
+    origins: { type: 'string', default: 'http://localhost:5173,http://127.0.0.1:5173' },
+    'rate-limit': { type: 'string', default: '60' },
+    live: { type: 'boolean', default: false },
+  },
+});
+
+// --- STAND-IN UPSTREAM ---
+
+const chartPayload = (symbol) => {
+  const bars = generateStockData(symbol);
+  return {
+    chart: {
+      result: [{
+        meta: { symbol, currency: 'USD' },
+        timestamp: bars.map(b => Date.parse(b.date) / 1000),
+        indicators: {
+          quote: [{
+            open: bars.map(b => b.open),
+            high: bars.map(b => b.high),
+            low: bars.map(b => b.low),
+            close: bars.map(b => b.price),
+            volume: bars.map(b => b.volume),
+          }],
+          adjclose: [{ adjclose: bars.map(b => b.price) }],
+        },
+      }],
+      error: null,
+    },
+  };
+};
+
+// The earnings calendar comes from fixtures/earnings-calendar.json, moved so
+// its `asOf` date is today: the same reports stay just behind and ahead.
+const earningsFixture = JSON.parse(readFileSync(new URL('./fixtures/earnings-calendar.json', import.meta.url), 'utf8'));
+
+const shiftDate = (date, days) => new Date(Date.parse(date) + days * 86400000).toISOString().slice(0, 10);
+
+const earningsPayload = (symbol, from, to) => {
+  const shift = Math.round((Date.parse(new Date().toISOString().slice(0, 10)) - Date.parse(earningsFixture.asOf)) / 86400000);
+  return {
+    earningsCalendar: earningsFixture.earningsCalendar
+      .filter(r => r.symbol === symbol)
+      .map(r => ({ ...r, date: shiftDate(r.date, shift) }))
+      .filter(r => (!from || r.date >= from) && (!to || r.date <= to)),
+  };
+};
+
+const finnhubPayload = (path, symbol, params) => {
+  switch (path) {
+    case '/quote': return { c: 101.5, d: 1.5, dp: 1.5, h: 102, l: 99.8, o: 100.2, pc: 100, t: Math.floor(Date.now() / 1000) };
+    case '/stock/recommendation': return [{ symbol, period: new Date().toISOString().slice(0, 8) + '01', strongBuy: 8, buy: 12, hold: 6, sell: 1, strongSell: 0 }];
+    case '/stock/profile2': return { name: `${symbol} Stand-in Inc.`, ticker: symbol, exchange: 'NASDAQ', finnhubIndustry: 'Technology', currency: 'USD' };
+    case '/calendar/earnings': return earningsPayload(symbol, params.get('from'), params.get('to'));
+    default: return null;
+  }
+};
+
+// Counts hits so cache behaviour is visible in the log.
+let upstreamHits = 0;
+
+const standInUpstream = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://stand-in');
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  upstreamHits++;
+  console.log(`  upstream #${upstreamHits} ${req.url}`);
+
+  const chart = url.pathname.match(/^\/yahoo\/v8\/finance\/chart\/(.+)$/);
+  if (chart) return send(200, chartPayload(decodeURIComponent(chart[1]).toUpperCase()));
+  if (url.pathname === '/yahoo/v1/finance/search') return send(200, { quotes: [{ symbol: (url.searchParams.get('q') || '').toUpperCase(), shortname: 'Stand-in' }] });
+
+  if (url.pathname.startsWith('/finnhub/')) {
+    if (url.searchParams.get('token') !== STAND_IN_KEY) return send(401, { error: 'Invalid API key' });
+    const body = finnhubPayload(url.pathname.slice('/finnhub'.length), url.searchParams.get('symbol') || '', url.searchParams);
+    return body ? send(200, body) : send(404, { error: 'Not found' });
+  }
+  send(404, { error: 'Not found' });
+});
+
+// --- GATEWAY ---
+
+const upstreamBase = `http://127.0.0.1:${values['upstream-port']}`;
+const gateway = createGateway({
+  allowedOrigins: values.origins.split(',').map(s => s.trim()).filter(Boolean),
+  rateLimit: Number(values['rate-limit']) || 60,
+  ...(values.live
+    ? { yahooUpstream: YAHOO_UPSTREAM, finnhubUpstream: FINNHUB_UPSTREAM, finnhubApiKey: process.env.FINNHUB_API_KEY || '' }
+    : { yahooUpstream: `${upstreamBase}/yahoo`, finnhubUpstream: `${upstreamBase}/finnhub`, finnhubApiKey: STAND_IN_KEY }),
+});
+
+// Adapts Node's request/response to the fetch-style handler the Worker runtime calls.
+const gatewayServer = http.createServer(async (req, res) => {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (value != null) headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+  }
+  if (!headers.has('CF-Connecting-IP')) headers.set('CF-Connecting-IP', req.socket.remoteAddress || 'local');
+
+  try {
+    const response = await gateway.fetch(new Request(`http://${req.headers.host || 'localhost'}${req.url}`, { method: req.method, headers }));
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+    console.log(`${req.method} ${req.url} → ${response.status} ${response.headers.get('X-Cache') || ''}`);
+  } catch (err) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: err.message }));
+    console.error(`${req.method} ${req.url} → 500 ${err.message}`);
+  }
+});
+
+if (!values.live) {
+  standInUpstream.listen(Number(values['upstream-port']), '127.0.0.1', () => {
+    console.log(`Stand-in upstream on ${upstreamBase}`);
+  });
+}
+gatewayServer.listen(Number(values.port), () => {
+  console.log(`Gateway on http://localhost:${values.port} (${values.live ? 'live upstreams' : 'stand-in upstream'})`);
+});
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+// Stand-in for Finnhub's trade WebSocket (wss://ws.finnhub.io), so streaming
+// can be exercised offline:
+//   npm run ws:mock                              ws://localhost:8789
+//   npm run ws:mock -- --drop-every 20           drop every connection every 20s
+// Point the app at it with VITE_FINNHUB_WS_URL=ws://localhost:8789.
+// Speaks the same JSON as Finnhub: clients send { type: 'subscribe' |
+// 'unsubscribe', symbol }, and get { type: 'trade', data: [{ s, p, v, t }] }
+// batches plus periodic { type: 'ping' }. Prices random-walk from the last
+// generated close, so they line up with the simulated data source.
+// Only the parts of RFC 6455 a browser client needs are implemented.
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { parseArgs } from 'node:util';
+import { generateStockData, seededRandom } from '../src/lib/indicators.js';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8789' },
+    'tick-ms': { type: 'string', default: '1000' },
+    'drop-every': { type: 'string', default: '0' },
+  },
+});
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OP_TEXT = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+// --- FRAMING ---
+
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  const len = payload.length;
+  const header = len < 126 ? Buffer.alloc(2) : len < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+  header[0] = 0x80 | opcode;
+  if (len < 126) {
+    header[1] = len;
+  } else if (len < 65536) {
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+// Pulls complete client frames (always masked) off the front of `buffer`.
+const decodeFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let len = buffer[offset + 1] & 0x7f;
+    let pos = offset + 2;
+    if (len === 126) {
+      if (buffer.length < pos + 2) break;
+      len = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buffer.length < pos + 8) break;
+      len = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    const maskLen = masked ? 4 : 0;
+    if (buffer.length < pos + maskLen + len) break;
+    const mask = masked ? buffer.subarray(pos, pos + 4) : null;
+    const payload = Buffer.from(buffer.subarray(pos + maskLen, pos + maskLen + len));
+    if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    frames.push({ opcode, payload });
+    offset = pos + maskLen + len;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+// --- MARKET ---
+
+const prices = new Map();
+let tick = 0;
+
+const nextTrade = (symbol) => {
+  if (!prices.has(symbol)) {
+    const bars = generateStockData(symbol);
+    prices.set(symbol, bars[bars.length - 1].price);
+  }
+  tick++;
+  const seed = symbol.split('').reduce((acc, c) => acc + c.charCodeAt(0), 0) + tick;
+  const price = Math.max(prices.get(symbol) * (1 + (seededRandom(seed) - 0.5) * 0.004), 0.5);
+  prices.set(symbol, price);
+  return { s: symbol, p: Number(price.toFixed(2)), v: Math.ceil(seededRandom(seed + 7) * 500), t: Date.now() };
+};
+
+// --- SERVER ---
+
+const clients = new Set();
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('Expected a WebSocket upgrade\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'));
+
+  const client = { socket, symbols: new Set() };
+  const send = (msg) => socket.write(encodeFrame(OP_TEXT, Buffer.from(JSON.stringify(msg))));
+  client.send = send;
+  clients.add(client);
+  console.log(`+ client (${clients.size} connected) ${req.url}`);
+
+  let pending = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+    for (const { opcode, payload } of frames) {
+      if (opcode === OP_CLOSE) {
+        socket.end(encodeFrame(OP_CLOSE, payload.subarray(0, 2)));
+        return;
+      }
+      if (opcode === OP_PING) socket.write(encodeFrame(OP_PONG, payload));
+      if (opcode !== OP_TEXT) continue;
+      try {
+        const msg = JSON.parse(payload.toString('utf8'));
+        const symbol = String(msg.symbol || '').toUpperCase();
+        if (!symbol) continue;
+        if (msg.type === 'subscribe') client.symbols.add(symbol);
+        if (msg.type === 'unsubscribe') client.symbols.delete(symbol);
+        console.log(`  ${msg.type} ${symbol} → [${[...client.symbols].join(', ')}]`);
+      } catch {
+        send({ type: 'error', msg: 'Invalid JSON' });
+      }
+    }
+  });
+  const drop = () => {
+    if (clients.delete(client)) console.log(`- client (${clients.size} connected)`);
+  };
+  socket.on('close', drop);
+  socket.on('error', drop);
+});
+
+setInterval(() => {
+  for (const client of clients) {
+    const data = [...client.symbols].map(nextTrade);
+    if (data.length > 0) client.send({ type: 'trade', data });
+  }
+}, Number(values['tick-ms']) || 1000);
+
+setInterval(() => {
+  for (const client of clients) client.send({ type: 'ping' });
+}, 15000);
+
+const dropEvery = Number(values['drop-every']);
+if (dropEvery > 0) {
+  setInterval(() => {
+    console.log(`dropping ${clients.size} connection(s)`);
+    for (const client of clients) client.socket.destroy();
+  }, dropEvery * 1000);
+}
+
+server.listen(Number(values.port), () => {
+  console.log(`Mock Finnhub trade feed on ws://localhost:${values.port}`);
+});
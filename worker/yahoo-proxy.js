@@ -1,25 +1,221 @@
-export default {
-  async fetch(request) {
-    const url = new URL(request.url);
-
-    if (request.method === 'OPTIONS') {
-      return new Response(null, {
-        headers: {
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, OPTIONS',
-          'Access-Control-Allow-Headers': '*',
-          'Access-Control-Max-Age': '86400',
-        },
-      });
+// API gateway for the deployed app (Cloudflare Worker, module syntax).
+//   /v8/finance/chart/<SYM>, /v1/finance/search  → Yahoo Finance
+//   /finnhub/<path>                               → Finnhub, key added here
+//   /finnhub/ws                                   → Finnhub trade WebSocket, key added here
+// Responses are cached in memory with a TTL that depends on the range/interval,
+// each client is rate limited on the requests that reach an upstream (cache hits
+// are free), and only allowlisted paths, query parameters and origins get through. Configured from the Worker env:
+//   ALLOWED_ORIGINS   comma-separated origins; required once FINNHUB_API_KEY is
+//                     set (browsers are refused without it), else unset allows any
+//   FINNHUB_API_KEY   secret (`wrangler secret put FINNHUB_API_KEY`)
+//   RATE_LIMIT        requests per client per minute (default 60)
+//   YAHOO_UPSTREAM, FINNHUB_UPSTREAM, FINNHUB_WS_UPSTREAM   override the upstream base URLs
+// `createGateway` takes the same settings directly so it can run against a
+// stand-in upstream (see worker/dev.js).
+
+export const YAHOO_UPSTREAM = 'https://query1.finance.yahoo.com';
+export const FINNHUB_UPSTREAM = 'https://finnhub.io/api/v1';
+// Workers open outgoing WebSockets with an https URL plus `Upgrade: websocket`.
+export const FINNHUB_WS_UPSTREAM = 'https://ws.finnhub.io';
+
+const STREAM_PATH = '/finnhub/ws';
+
+const ROUTES = [
+  { upstream: 'yahoo', pattern: /^\/v8\/finance\/chart\/[A-Za-z0-9.^=-]{1,20}$/, params: ['range', 'interval', 'period1', 'period2', 'events', 'includeAdjustedClose'] },
+  { upstream: 'yahoo', pattern: /^\/v1\/finance\/search$/, params: ['q', 'quotesCount', 'newsCount'] },
+  { upstream: 'finnhub', pattern: /^\/finnhub\/quote$/, params: ['symbol'] },
+  { upstream: 'finnhub', pattern: /^\/finnhub\/stock\/recommendation$/, params: ['symbol'] },
+  { upstream: 'finnhub', pattern: /^\/finnhub\/stock\/profile2$/, params: ['symbol'] },
+  { upstream: 'finnhub', pattern: /^\/finnhub\/calendar\/earnings$/, params: ['symbol', 'from', 'to'] },
+];
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+
+// Seconds a successful response stays fresh. Intraday bars move constantly,
+// daily bars once per session, weekly/monthly bars and company data rarely.
+export const cacheTtl = (path, params) => {
+  if (path.startsWith('/v8/finance/chart/')) {
+    const interval = params.get('interval') || '1d';
+    if (/^\d+[mh]$/.test(interval)) return MINUTE;
+    if (interval === '1d') return ['1d', '5d', '1mo'].includes(params.get('range')) ? 5 * MINUTE : 15 * MINUTE;
+    return 6 * HOUR;
+  }
+  if (path === '/v1/finance/search') return HOUR;
+  if (path === '/finnhub/quote') return 30;
+  if (path === '/finnhub/stock/recommendation') return 6 * HOUR;
+  if (path === '/finnhub/stock/profile2') return 24 * HOUR;
+  if (path === '/finnhub/calendar/earnings') return 6 * HOUR;
+  return 0;
+};
+
+const MAX_CACHE_ENTRIES = 500;
+
+// Clients percent-encode the chart symbol (^GSPC → %5EGSPC). Routes and cache
+// keys use the decoded path, and upstream requests re-encode each segment, so
+// both spellings reach the same route and cache entry. Malformed escapes give null.
+const decodePath = (pathname) => {
+  try {
+    return decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+};
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+export const createGateway = ({
+  allowedOrigins = [],
+  finnhubApiKey = '',
+  rateLimit = 60,
+  rateWindowMs = 60 * 1000,
+  yahooUpstream = YAHOO_UPSTREAM,
+  finnhubUpstream = FINNHUB_UPSTREAM,
+  finnhubWsUpstream = FINNHUB_WS_UPSTREAM,
+  fetchImpl = (...args) => fetch(...args),
+  now = () => Date.now(),
+} = {}) => {
+  const cache = new Map();   // key → { body, status, contentType, expires }
+  const clients = new Map(); // client → { windowStart, count }
+  // With the Finnhub key on board, an empty allowlist would make this an open,
+  // key-bearing proxy for any website, so it means "no browser origins" instead.
+  const anyOrigin = allowedOrigins.length === 0 && !finnhubApiKey;
+
+  const corsHeaders = (origin) => {
+    const allow = anyOrigin ? '*' : origin;
+    return {
+      ...(allow && { 'Access-Control-Allow-Origin': allow }),
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Max-Age': '86400',
+      Vary: 'Origin',
+    };
+  };
+
+  const json = (status, body, headers) =>
+    new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+  // Fixed one-minute window per client; stale windows are dropped as we go.
+  const takeToken = (client) => {
+    const t = now();
+    const entry = clients.get(client);
+    if (!entry || t - entry.windowStart >= rateWindowMs) {
+      if (clients.size > 10000) clients.clear();
+      clients.set(client, { windowStart: t, count: 1 });
+      return 0;
     }
+    entry.count++;
+    return entry.count > rateLimit ? Math.ceil((entry.windowStart + rateWindowMs - t) / 1000) : 0;
+  };
+
+  const remember = (key, value) => {
+    if (cache.size >= MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+    cache.set(key, value);
+  };
+
+  return {
+    async fetch(request) {
+      const url = new URL(request.url);
+      const origin = request.headers.get('Origin');
 
-    const yahooUrl = `https://query1.finance.yahoo.com${url.pathname}${url.search}`;
-    const response = await fetch(yahooUrl, {
-      headers: { 'User-Agent': 'Mozilla/5.0' },
-    });
+      // Requests without an Origin (server-side callers, curl) aren't CORS and pass.
+      if (origin && !anyOrigin && !allowedOrigins.includes(origin)) {
+        return json(403, { error: allowedOrigins.length === 0 ? 'Origin not allowed: set ALLOWED_ORIGINS' : 'Origin not allowed' });
+      }
+      const cors = corsHeaders(origin);
 
-    const newResponse = new Response(response.body, response);
-    newResponse.headers.set('Access-Control-Allow-Origin', '*');
-    return newResponse;
+      if (request.method === 'OPTIONS') return new Response(null, { status: 204, headers: cors });
+      if (request.method !== 'GET') return json(405, { error: 'Method not allowed' }, cors);
+
+      const path = decodePath(url.pathname);
+      const isStream = path === STREAM_PATH;
+      const route = isStream || path == null ? null : ROUTES.find(r => r.pattern.test(path));
+      if (!isStream && !route) return json(404, { error: 'Unknown path' }, cors);
+
+      // Cloudflare always sets CF-Connecting-IP; elsewhere (worker/dev.js sets
+      // it too) fall back to the proxy's X-Forwarded-For before one shared bucket.
+      const client = request.headers.get('CF-Connecting-IP')
+        || request.headers.get('X-Forwarded-For')?.split(',')[0].trim()
+        || 'anonymous';
+      const limited = () => {
+        const retryAfter = takeToken(client);
+        return retryAfter > 0 ? json(429, { error: 'Rate limit exceeded' }, { ...cors, 'Retry-After': String(retryAfter) }) : null;
+      };
+
+      // Returning the upstream's 101 response hands the socket pair to the
+      // runtime, which relays frames both ways; each connection counts as one request.
+      if (isStream) {
+        const refused = limited();
+        if (refused) return refused;
+        if (request.headers.get('Upgrade')?.toLowerCase() !== 'websocket') return json(426, { error: 'Expected a WebSocket upgrade' }, cors);
+        if (!finnhubApiKey) return json(503, { error: 'Finnhub is not configured' }, cors);
+        return fetchImpl(`${finnhubWsUpstream}?token=${encodeURIComponent(finnhubApiKey)}`, { headers: { Upgrade: 'websocket' } });
+      }
+
+      // Only allowlisted parameters, in a fixed order, so equivalent requests share a cache entry.
+      const params = new URLSearchParams();
+      for (const name of route.params) {
+        if (url.searchParams.has(name)) params.set(name, url.searchParams.get(name));
+      }
+      const key = `${path}?${params}`;
+      const ttl = cacheTtl(path, params);
+
+      const hit = cache.get(key);
+      if (hit && hit.expires > now()) {
+        return new Response(hit.body, {
+          status: hit.status,
+          headers: { ...cors, 'Content-Type': hit.contentType, 'Cache-Control': `public, max-age=${Math.ceil((hit.expires - now()) / 1000)}`, 'X-Cache': 'HIT' },
+        });
+      }
+      // Only requests that go upstream count against the client's limit.
+      const refused = limited();
+      if (refused) return refused;
+
+      let upstreamUrl;
+      if (route.upstream === 'finnhub') {
+        if (!finnhubApiKey) return json(503, { error: 'Finnhub is not configured' }, cors);
+        params.set('token', finnhubApiKey);
+        upstreamUrl = `${finnhubUpstream}${encodePath(path.slice('/finnhub'.length))}?${params}`;
+      } else {
+        upstreamUrl = `${yahooUpstream}${encodePath(path)}?${params}`;
+      }
+
+      let response;
+      try {
+        response = await fetchImpl(upstreamUrl, { headers: { 'User-Agent': 'Mozilla/5.0', Accept: 'application/json' } });
+      } catch (err) {
+        return json(502, { error: `Upstream unreachable: ${err.message}` }, cors);
+      }
+
+      const body = await response.text();
+      const contentType = response.headers.get('Content-Type') || 'application/json';
+      if (response.ok && ttl > 0) remember(key, { body, status: response.status, contentType, expires: now() + ttl * 1000 });
+
+      return new Response(body, {
+        status: response.status,
+        headers: { ...cors, 'Content-Type': contentType, 'Cache-Control': response.ok ? `public, max-age=${ttl}` : 'no-store', 'X-Cache': 'MISS' },
+      });
+    },
+  };
+};
+
+const splitList = (value) => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// One gateway per isolate, built from the env on first use so its cache and
+// rate-limit counters survive between requests.
+let gateway = null;
+
+export default {
+  async fetch(request, env = {}) {
+    if (!gateway) {
+      gateway = createGateway({
+        allowedOrigins: splitList(env.ALLOWED_ORIGINS),
+        finnhubApiKey: env.FINNHUB_API_KEY || '',
+        rateLimit: Number(env.RATE_LIMIT) || 60,
+        yahooUpstream: env.YAHOO_UPSTREAM || YAHOO_UPSTREAM,
+        finnhubUpstream: env.FINNHUB_UPSTREAM || FINNHUB_UPSTREAM,
+        finnhubWsUpstream: env.FINNHUB_WS_UPSTREAM || FINNHUB_WS_UPSTREAM,
+      });
+    }
+    return gateway.fetch(request);
   },
 };